@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN IF NOT EXISTS "parentOrderId" TEXT;
+ALTER TABLE "Order" ADD COLUMN IF NOT EXISTS "brandId" TEXT;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN IF NOT EXISTS "brandId" TEXT;
+
+-- CreateTable
+CREATE TABLE "BrandShopifyCredential" (
+    "id" TEXT NOT NULL,
+    "brandId" TEXT NOT NULL,
+    "accessToken" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BrandShopifyCredential_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BrandShopifyCredential_brandId_key" ON "BrandShopifyCredential"("brandId");
+
+-- CreateIndex
+CREATE INDEX "Order_parentOrderId_idx" ON "Order"("parentOrderId");
+
+-- CreateIndex
+CREATE INDEX "Order_brandId_idx" ON "Order"("brandId");
+
+-- CreateIndex
+CREATE INDEX "OrderItem_brandId_idx" ON "OrderItem"("brandId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_parentOrderId_fkey" FOREIGN KEY ("parentOrderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BrandShopifyCredential" ADD CONSTRAINT "BrandShopifyCredential_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN IF NOT EXISTS "paymentProvider" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Order_razorpayOrderId_idx" ON "Order"("razorpayOrderId");
+
+-- CreateTable
+CREATE TABLE "PaymentEvent" (
+    "id" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "eventId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "orderId" TEXT,
+    "providerOrderId" TEXT,
+    "paymentId" TEXT,
+    "status" TEXT,
+    "applied" BOOLEAN NOT NULL DEFAULT false,
+    "payload" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PaymentEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PaymentEvent_provider_eventId_key" ON "PaymentEvent"("provider", "eventId");
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_orderId_idx" ON "PaymentEvent"("orderId");
+
+-- CreateIndex
+CREATE INDEX "PaymentEvent_providerOrderId_idx" ON "PaymentEvent"("providerOrderId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentEvent" ADD CONSTRAINT "PaymentEvent_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
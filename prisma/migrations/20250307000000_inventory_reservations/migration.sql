@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "ProductVariant" ADD COLUMN IF NOT EXISTS "inventoryTracked" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "InventoryReservation" (
+    "id" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "orderId" TEXT,
+    "quantity" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'active',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "InventoryReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_variantId_status_expiresAt_idx" ON "InventoryReservation"("variantId", "status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_orderId_idx" ON "InventoryReservation"("orderId");
+
+-- CreateIndex
+CREATE INDEX "InventoryReservation_status_expiresAt_idx" ON "InventoryReservation"("status", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "InventoryReservation" ADD CONSTRAINT "InventoryReservation_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InventoryReservation" ADD CONSTRAINT "InventoryReservation_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "CartItem" ADD COLUMN IF NOT EXISTS "unitPrice" TEXT;
@@ -0,0 +1,66 @@
+-- CreateTable
+CREATE TABLE "GuestSession" (
+    "id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GuestSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GuestCartItem" (
+    "id" TEXT NOT NULL,
+    "guestId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "quantity" INTEGER NOT NULL DEFAULT 1,
+    "unitPrice" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GuestCartItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GuestWishlistItem" (
+    "id" TEXT NOT NULL,
+    "guestId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GuestWishlistItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "GuestSession_lastSeenAt_idx" ON "GuestSession"("lastSeenAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestCartItem_guestId_productId_variantId_key" ON "GuestCartItem"("guestId", "productId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "GuestCartItem_guestId_idx" ON "GuestCartItem"("guestId");
+
+-- CreateIndex
+CREATE INDEX "GuestCartItem_productId_idx" ON "GuestCartItem"("productId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GuestWishlistItem_guestId_productId_variantId_key" ON "GuestWishlistItem"("guestId", "productId", "variantId");
+
+-- CreateIndex
+CREATE INDEX "GuestWishlistItem_guestId_idx" ON "GuestWishlistItem"("guestId");
+
+-- CreateIndex
+CREATE INDEX "GuestWishlistItem_productId_idx" ON "GuestWishlistItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "GuestCartItem" ADD CONSTRAINT "GuestCartItem_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "GuestSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestCartItem" ADD CONSTRAINT "GuestCartItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestWishlistItem" ADD CONSTRAINT "GuestWishlistItem_guestId_fkey" FOREIGN KEY ("guestId") REFERENCES "GuestSession"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GuestWishlistItem" ADD CONSTRAINT "GuestWishlistItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "ProductAlert" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT,
+    "type" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "previousPrice" TEXT,
+    "currentPrice" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "channel" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "notifiedAt" TIMESTAMP(3),
+    "readAt" TIMESTAMP(3),
+
+    CONSTRAINT "ProductAlert_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AlertPreference" (
+    "userId" TEXT NOT NULL,
+    "priceDrop" BOOLEAN NOT NULL DEFAULT true,
+    "backInStock" BOOLEAN NOT NULL DEFAULT true,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AlertPreference_pkey" PRIMARY KEY ("userId")
+);
+
+-- CreateIndex
+CREATE INDEX "ProductAlert_userId_createdAt_idx" ON "ProductAlert"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ProductAlert_productId_idx" ON "ProductAlert"("productId");
+
+-- CreateIndex
+CREATE INDEX "ProductAlert_status_idx" ON "ProductAlert"("status");
+
+-- AddForeignKey
+ALTER TABLE "ProductAlert" ADD CONSTRAINT "ProductAlert_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductAlert" ADD CONSTRAINT "ProductAlert_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlertPreference" ADD CONSTRAINT "AlertPreference_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN "trackingNumber" TEXT,
+ADD COLUMN "carrier" TEXT,
+ADD COLUMN "trackingUrl" TEXT;
+
+-- CreateIndex
+CREATE INDEX "OrderItem_brandId_createdAt_idx" ON "OrderItem"("brandId", "createdAt");
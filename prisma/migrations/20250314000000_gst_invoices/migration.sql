@@ -0,0 +1,66 @@
+-- AlterTable
+ALTER TABLE "Brand" ADD COLUMN "gstin" TEXT,
+ADD COLUMN "legalName" TEXT,
+ADD COLUMN "gstAddress" TEXT,
+ADD COLUMN "defaultHsnCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "hsnCode" TEXT;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN "hsnCode" TEXT,
+ADD COLUMN "taxRate" DOUBLE PRECISION,
+ADD COLUMN "tax" TEXT NOT NULL DEFAULT '0.00';
+
+-- CreateTable
+CREATE TABLE "Invoice" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "brandId" TEXT,
+    "userId" TEXT,
+    "invoiceNumber" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "supplyType" TEXT NOT NULL,
+    "taxableValue" TEXT NOT NULL,
+    "cgst" TEXT NOT NULL DEFAULT '0.00',
+    "sgst" TEXT NOT NULL DEFAULT '0.00',
+    "igst" TEXT NOT NULL DEFAULT '0.00',
+    "total" TEXT NOT NULL,
+    "data" TEXT NOT NULL,
+    "htmlKey" TEXT,
+    "pdfKey" TEXT,
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "InvoiceSequence" (
+    "brandId" TEXT NOT NULL,
+    "financialYear" TEXT NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "InvoiceSequence_pkey" PRIMARY KEY ("brandId","financialYear")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_orderId_key" ON "Invoice"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_brandId_financialYear_sequence_key" ON "Invoice"("brandId", "financialYear", "sequence");
+
+-- CreateIndex
+CREATE INDEX "Invoice_brandId_issuedAt_idx" ON "Invoice"("brandId", "issuedAt");
+
+-- CreateIndex
+CREATE INDEX "Invoice_userId_idx" ON "Invoice"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Invoice" ADD CONSTRAINT "Invoice_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "InvoiceSequence" ADD CONSTRAINT "InvoiceSequence_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
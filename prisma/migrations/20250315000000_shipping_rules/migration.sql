@@ -0,0 +1,48 @@
+-- AlterTable
+ALTER TABLE "ProductVariant" ADD COLUMN "weightGrams" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ShippingRule" (
+    "id" TEXT NOT NULL,
+    "brandId" TEXT NOT NULL,
+    "rateType" TEXT NOT NULL DEFAULT 'flat',
+    "flatRate" TEXT NOT NULL DEFAULT '0.00',
+    "tiers" TEXT,
+    "freeAbove" TEXT,
+    "defaultWeightGrams" INTEGER NOT NULL DEFAULT 500,
+    "codAvailable" BOOLEAN NOT NULL DEFAULT false,
+    "codFee" TEXT NOT NULL DEFAULT '0.00',
+    "codMaxOrderValue" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ShippingRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ServiceablePinCode" (
+    "id" TEXT NOT NULL,
+    "brandId" TEXT NOT NULL,
+    "pinCode" TEXT NOT NULL,
+    "codAvailable" BOOLEAN NOT NULL DEFAULT true,
+    "deliveryDays" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "ServiceablePinCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShippingRule_brandId_key" ON "ShippingRule"("brandId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ServiceablePinCode_brandId_pinCode_key" ON "ServiceablePinCode"("brandId", "pinCode");
+
+-- CreateIndex
+CREATE INDEX "ServiceablePinCode_pinCode_idx" ON "ServiceablePinCode"("pinCode");
+
+-- AddForeignKey
+ALTER TABLE "ShippingRule" ADD CONSTRAINT "ShippingRule_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ServiceablePinCode" ADD CONSTRAINT "ServiceablePinCode_brandId_fkey" FOREIGN KEY ("brandId") REFERENCES "Brand"("id") ON DELETE CASCADE ON UPDATE CASCADE;
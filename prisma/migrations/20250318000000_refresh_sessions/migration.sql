@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "MarketplaceSession" ADD COLUMN "familyId" TEXT,
+ADD COLUMN "refreshTokenHash" TEXT,
+ADD COLUMN "revokedAt" TIMESTAMP(3),
+ADD COLUMN "revokedReason" TEXT,
+ADD COLUMN "lastUsedAt" TIMESTAMP(3),
+ADD COLUMN "userAgent" TEXT,
+ADD COLUMN "ip" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MarketplaceSession_refreshTokenHash_key" ON "MarketplaceSession"("refreshTokenHash");
+
+-- CreateIndex
+CREATE INDEX "MarketplaceSession_familyId_idx" ON "MarketplaceSession"("familyId");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "MarketplaceSession" ADD COLUMN "activeBrandId" TEXT;
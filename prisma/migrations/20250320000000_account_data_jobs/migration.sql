@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "AccountDataJob" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "archiveKey" TEXT,
+    "archiveSize" INTEGER,
+    "expiresAt" TIMESTAMP(3),
+    "summary" TEXT,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AccountDataJob_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AccountDataJob_userId_type_idx" ON "AccountDataJob"("userId", "type");
+
+-- CreateIndex
+CREATE INDEX "AccountDataJob_status_idx" ON "AccountDataJob"("status");
+
+-- CreateIndex
+CREATE INDEX "AccountDataJob_expiresAt_idx" ON "AccountDataJob"("expiresAt");
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE "ImpersonationGrant" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "adminId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "ip" TEXT,
+    "userAgent" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ImpersonationGrant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ImpersonationGrant_userId_createdAt_idx" ON "ImpersonationGrant"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ImpersonationGrant_adminId_createdAt_idx" ON "ImpersonationGrant"("adminId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "ImpersonationGrant" ADD CONSTRAINT "ImpersonationGrant_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
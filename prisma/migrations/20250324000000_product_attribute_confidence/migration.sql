@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN "attributeConfidence" JSONB,
+ADD COLUMN "attributeSource" TEXT,
+ADD COLUMN "attributeSchemaVersion" INTEGER;
+
+-- CreateIndex
+CREATE INDEX "Product_attributeSchemaVersion_idx" ON "Product"("attributeSchemaVersion");
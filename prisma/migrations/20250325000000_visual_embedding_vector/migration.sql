@@ -0,0 +1,18 @@
+-- Visual (pixel) embeddings for image-to-image search, written by the worker (domain/product/visualEmbedding.js).
+ALTER TABLE "Product" ADD COLUMN IF NOT EXISTS "visualEmbeddingGeneratedAt" TIMESTAMP(3);
+ALTER TABLE "Product" ADD COLUMN IF NOT EXISTS "visualEmbeddingModel" TEXT;
+ALTER TABLE "Product" ADD COLUMN IF NOT EXISTS "visualEmbeddingImageUrl" TEXT;
+ALTER TABLE "Product" ADD COLUMN IF NOT EXISTS visual_embedding TEXT;
+
+-- Nothing populated visual_embedding_vector before, so (re)create it with the fixed dimension
+-- (VISUAL_EMBEDDING_DIM in utils/visualEmbedding.js).
+ALTER TABLE "Product" DROP COLUMN IF EXISTS visual_embedding_vector;
+ALTER TABLE "Product" ADD COLUMN visual_embedding_vector vector(512);
+UPDATE "Product" SET visual_embedding = NULL, "visualEmbeddingGeneratedAt" = NULL
+WHERE visual_embedding IS NOT NULL OR "visualEmbeddingGeneratedAt" IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS "Product_visual_embedding_vector_hnsw_idx"
+  ON "Product"
+  USING hnsw (visual_embedding_vector vector_cosine_ops)
+  WITH (m = 16, ef_construction = 64)
+  WHERE visual_embedding_vector IS NOT NULL;
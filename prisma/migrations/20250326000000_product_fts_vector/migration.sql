@@ -0,0 +1,49 @@
+-- Full-text search vector for hybrid product search (domain/product/product.js), kept up to date by triggers.
+-- Weights: A title, brand name, vendor; B tags, product type, categories; C enriched attributes; D description.
+-- The 'english' config must match FTS_CONFIG in product.js.
+-- Existing rows are not backfilled here (one UPDATE would lock the whole table during deploy): the worker fills NULL
+-- vectors in small batches (backfillProductFtsVectors in product.js).
+ALTER TABLE "Product" ADD COLUMN IF NOT EXISTS "ftsVector" tsvector;
+
+CREATE OR REPLACE FUNCTION product_fts_vector_update() RETURNS trigger AS $$
+DECLARE
+  brand_name TEXT;
+BEGIN
+  SELECT name INTO brand_name FROM "Brand" WHERE id = NEW."brandId";
+  NEW."ftsVector" :=
+    setweight(to_tsvector('english', concat_ws(' ', NEW.title, brand_name, NEW.vendor)), 'A') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      NEW.tags, NEW.product_type, NEW.category_lvl1, NEW.category_lvl2, NEW.category_lvl3)), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ',
+      NEW.gender, NEW.color_primary, NEW.color_family, NEW.fabric_primary, NEW.pattern, NEW.fit, NEW.length,
+      NEW.sleeve_length, NEW.sleeve_style, NEW.style_family, NEW.occasion_primary, NEW.occasion_secondary,
+      NEW.mood_vibe, NEW.trend_tags)), 'C') ||
+    setweight(to_tsvector('english',
+      left(regexp_replace(coalesce(NEW."descriptionHtml", ''), '<[^>]*>', ' ', 'g'), 20000)), 'D');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Product_fts_vector" ON "Product";
+CREATE TRIGGER "Product_fts_vector"
+  BEFORE INSERT OR UPDATE OF title, vendor, "brandId", tags, product_type, category_lvl1, category_lvl2, category_lvl3,
+    gender, color_primary, color_family, fabric_primary, pattern, fit, length, sleeve_length, sleeve_style,
+    style_family, occasion_primary, occasion_secondary, mood_vibe, trend_tags, "descriptionHtml"
+  ON "Product"
+  FOR EACH ROW EXECUTE FUNCTION product_fts_vector_update();
+
+-- Brand renames: re-run the Product trigger for the brand's products.
+CREATE OR REPLACE FUNCTION brand_fts_name_update() RETURNS trigger AS $$
+BEGIN
+  UPDATE "Product" SET title = title WHERE "brandId" = NEW.id;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS "Brand_fts_name" ON "Brand";
+CREATE TRIGGER "Brand_fts_name"
+  AFTER UPDATE OF name ON "Brand"
+  FOR EACH ROW WHEN (OLD.name IS DISTINCT FROM NEW.name)
+  EXECUTE FUNCTION brand_fts_name_update();
+
+CREATE INDEX IF NOT EXISTS "Product_ftsVector_idx" ON "Product" USING GIN ("ftsVector");
@@ -0,0 +1,6 @@
+-- inventoryTracked was added with default false, so stock was not enforced for variants synced before it existed.
+-- Treat every variant with a non-zero stock count as tracked; zero-stock variants (sold out, or a source that does not
+-- track stock) keep false until the next sync sets the real value.
+UPDATE "ProductVariant"
+SET "inventoryTracked" = true
+WHERE "inventoryTracked" = false AND "inventoryQuantity" <> 0;
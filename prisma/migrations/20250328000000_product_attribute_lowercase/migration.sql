@@ -0,0 +1,10 @@
+-- Attribute schema version 1 stored categories in display casing ("Tops", "One-Piece", "Blouse") while the catalogue and
+-- its filters use lowercase ("tops", "dresses"). Rewrite only the rows that differ; colours and the other attributes
+-- were already lowercase.
+UPDATE "Product"
+SET "category_lvl1" = CASE WHEN lower("category_lvl1") = 'one-piece' THEN 'dresses' ELSE lower("category_lvl1") END
+WHERE "category_lvl1" <> lower("category_lvl1") OR lower("category_lvl1") = 'one-piece';
+
+UPDATE "Product"
+SET "category_lvl2" = lower("category_lvl2")
+WHERE "category_lvl2" <> lower("category_lvl2");
@@ -0,0 +1,76 @@
+-- User.defaultShippingAddress / defaultBillingAddress predate the address book. Copy every JSON-object value that has
+-- all required fields into "Address" as the user's default for that role (unless the user already has one), then clear
+-- the migrated legacy value. Free-text or incomplete values stay on "User" for manual review; the columns are no
+-- longer read by the application.
+CREATE FUNCTION pg_temp.legacy_address_json(value TEXT) RETURNS JSONB AS $$
+BEGIN
+  IF value IS NULL OR value !~ '^\s*\{' THEN
+    RETURN NULL;
+  END IF;
+  RETURN value::jsonb;
+EXCEPTION WHEN others THEN
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Indian mobile numbers are stored as +91XXXXXXXXXX, as the address book does.
+CREATE TEMP TABLE legacy_address AS
+SELECT
+  "userId", kind, name,
+  CASE
+    WHEN country = 'IN' AND regexp_replace(phone, '[\s().-]', '', 'g') ~ '^(\+?91|0)?[6-9][0-9]{9}$'
+      THEN '+91' || right(regexp_replace(phone, '[\s().-]', '', 'g'), 10)
+    ELSE phone
+  END AS phone,
+  line1, line2, landmark, city, state, "pinCode", country
+FROM (
+  SELECT
+    u.id AS "userId",
+    v.kind,
+    left(NULLIF(btrim(COALESCE(a->>'name', a->>'fullName')), ''), 100) AS name,
+    NULLIF(btrim(a->>'phone'), '') AS phone,
+    left(NULLIF(btrim(COALESCE(a->>'line1', a->>'address1')), ''), 200) AS line1,
+    left(NULLIF(btrim(COALESCE(a->>'line2', a->>'address2')), ''), 200) AS line2,
+    left(NULLIF(btrim(a->>'landmark'), ''), 120) AS landmark,
+    left(NULLIF(btrim(a->>'city'), ''), 80) AS city,
+    left(NULLIF(btrim(COALESCE(a->>'state', a->>'province')), ''), 80) AS state,
+    NULLIF(btrim(COALESCE(a->>'pinCode', a->>'pincode', a->>'zip', a->>'postalCode')), '') AS "pinCode",
+    upper(COALESCE(NULLIF(btrim(COALESCE(a->>'country', a->>'countryCode')), ''), 'IN')) AS country
+  FROM "User" u
+  CROSS JOIN LATERAL (
+    VALUES ('shipping', u."defaultShippingAddress"), ('billing', u."defaultBillingAddress")
+  ) AS v(kind, value)
+  CROSS JOIN LATERAL pg_temp.legacy_address_json(v.value) AS a
+  WHERE v.value IS NOT NULL AND jsonb_typeof(a) = 'object'
+) parsed
+WHERE name IS NOT NULL AND phone IS NOT NULL AND line1 IS NOT NULL AND city IS NOT NULL AND state IS NOT NULL
+  AND "pinCode" IS NOT NULL AND country ~ '^[A-Z]{2}$';
+
+-- The same address used for both roles becomes one row with both default flags.
+INSERT INTO "Address" (
+  "id", "userId", "name", "phone", "line1", "line2", "landmark", "city", "state", "pinCode", "country",
+  "isDefaultShipping", "isDefaultBilling", "updatedAt"
+)
+SELECT
+  gen_random_uuid()::text, g."userId", g.name, g.phone, g.line1, g.line2, g.landmark, g.city, g.state, g."pinCode",
+  g.country,
+  g.shipping AND NOT EXISTS (SELECT 1 FROM "Address" x WHERE x."userId" = g."userId" AND x."isDefaultShipping"),
+  g.billing AND NOT EXISTS (SELECT 1 FROM "Address" x WHERE x."userId" = g."userId" AND x."isDefaultBilling"),
+  CURRENT_TIMESTAMP
+FROM (
+  SELECT "userId", name, phone, line1, line2, landmark, city, state, "pinCode", country,
+    bool_or(kind = 'shipping') AS shipping, bool_or(kind = 'billing') AS billing
+  FROM legacy_address
+  GROUP BY "userId", name, phone, line1, line2, landmark, city, state, "pinCode", country
+) g;
+
+UPDATE "User" u
+SET "defaultShippingAddress" = NULL
+WHERE EXISTS (SELECT 1 FROM legacy_address l WHERE l."userId" = u.id AND l.kind = 'shipping');
+
+UPDATE "User" u
+SET "defaultBillingAddress" = NULL
+WHERE EXISTS (SELECT 1 FROM legacy_address l WHERE l."userId" = u.id AND l.kind = 'billing');
+
+DROP TABLE legacy_address;
+DROP FUNCTION pg_temp.legacy_address_json(TEXT);
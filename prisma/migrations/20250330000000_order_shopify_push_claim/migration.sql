@@ -0,0 +1,3 @@
+-- Sub-orders are claimed before their Shopify draft order is created, so concurrent pushes (payment webhook, COD
+-- confirmation, manual retry) cannot create duplicate drafts. Cleared once the push succeeds or fails.
+ALTER TABLE "Order" ADD COLUMN "shopifyPushStartedAt" TIMESTAMP(3);
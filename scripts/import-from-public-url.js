@@ -14,7 +14,8 @@
  *
  * Environment:
  *   - API_BASE_URL or NEXT_PUBLIC_API_BASE_URL (default: http://localhost:3002)
- *   - ADMIN_SECRET: optional; send as X-Admin-Secret header (set same in backend2 .env)
+ *   - API_KEY: optional; API key with the catalog:import scope (POST /api/admin/api-keys), sent as X-Api-Key
+ *   - ADMIN_SECRET: optional, deprecated; send as X-Admin-Secret header (set same in backend2 .env)
  *   - ADMIN_TOKEN: optional; JWT from login, send as Authorization: Bearer <token>
  */
 
@@ -100,6 +101,7 @@ if (!baseUrl.startsWith("http://") && !baseUrl.startsWith("https://")) {
 }
 
 const API_BASE_URL = process.env.API_BASE_URL || process.env.NEXT_PUBLIC_API_BASE_URL || "http://localhost:3002";
+const API_KEY = process.env.API_KEY;
 const ADMIN_SECRET = process.env.ADMIN_SECRET;
 const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
 
@@ -173,7 +175,9 @@ try {
     "Content-Type": "application/json",
     Accept: "application/json",
   };
-  if (ADMIN_SECRET) {
+  if (API_KEY) {
+    headers["X-Api-Key"] = API_KEY;
+  } else if (ADMIN_SECRET) {
     headers["X-Admin-Secret"] = ADMIN_SECRET;
   } else if (ADMIN_TOKEN) {
     headers["Authorization"] = `Bearer ${ADMIN_TOKEN}`;
@@ -195,7 +199,7 @@ try {
     console.error(`❌ API error (${res.status}):`, msg);
     if (res.status === 401) {
       console.error("");
-      console.error("   Auth failed. Add ADMIN_SECRET=yourSecret to backend2/.env, restart backend2, then run this script again from the backend2 directory.");
+      console.error("   Auth failed. Set API_KEY to a key with the catalog:import scope (or ADMIN_SECRET matching backend2/.env), then run this script again.");
     }
     process.exit(1);
   }
@@ -232,8 +236,8 @@ try {
     console.error("Troubleshooting:");
     console.error("  1. Ensure backend2 is running (e.g. npm run dev in backend2)");
     console.error("  2. Set API_BASE_URL if backend is not at http://localhost:3002");
-    console.error("  3. Set ADMIN_SECRET in backend2 .env and same value when running this script");
-    console.error("     (or use ADMIN_TOKEN with a JWT from admin login)");
+    console.error("  3. Set API_KEY to an API key with the catalog:import scope");
+    console.error("     (or ADMIN_SECRET matching backend2 .env, or ADMIN_TOKEN with a JWT from admin login)");
   }
   process.exit(1);
 }
@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 /**
- * Phase 2 worker: processes enrich-product and sync-shopify jobs from Redis.
+ * Phase 2 worker: processes enrich-product and sync-shopify jobs from Redis; periodically expires lapsed inventory
+ * reservations, retries undelivered product alerts, runs account data export / deletion jobs, embeds new or changed
+ * product images for visual search, backfills product full-text vectors and purges idle guest sessions, expired
+ * refresh tokens and expired data exports.
  * Run: node scripts/worker.js   (or npm run worker with REDIS_URL set)
  */
 import "dotenv/config";
@@ -12,8 +15,108 @@ import {
 } from "../src/utils/queue.js";
 import { enrichProduct } from "../src/domain/product/enrichment.js";
 import { syncBrandFromShopify } from "../src/domain/product/sync.js";
+import { expireReservations } from "../src/domain/inventory/inventory.js";
+import { purgeStaleGuestSessions } from "../src/domain/guest/guest.js";
+import { deliverPendingAlerts } from "../src/domain/alerts/productAlerts.js";
+import { purgeExpiredSessions } from "../src/domain/user/sessions.js";
+import { processPendingDataJobs, purgeExpiredExports } from "../src/domain/user/accountData.js";
+import { embedPendingProductVisuals } from "../src/domain/product/visualEmbedding.js";
+import { backfillProductFtsVectors } from "../src/domain/product/product.js";
 
 const POLL_MS = 2000;
+const RESERVATION_SWEEP_MS = 60 * 1000;
+const GUEST_PURGE_MS = 60 * 60 * 1000;
+const ALERT_DELIVERY_MS = 60 * 1000;
+const SESSION_PURGE_MS = 60 * 60 * 1000;
+const DATA_JOBS_MS = 30 * 1000;
+const VISUAL_EMBED_MS = 5 * 60 * 1000;
+const FTS_BACKFILL_MS = 60 * 1000;
+let lastReservationSweep = 0;
+let lastGuestPurge = 0;
+let lastAlertDelivery = 0;
+let lastSessionPurge = 0;
+let lastDataJobs = 0;
+let lastVisualEmbed = 0;
+let lastFtsBackfill = 0;
+
+async function sweepReservations() {
+  if (Date.now() - lastReservationSweep < RESERVATION_SWEEP_MS) return;
+  lastReservationSweep = Date.now();
+  try {
+    const expired = await expireReservations();
+    if (expired > 0) console.log(`[worker] Expired ${expired} inventory reservation(s)`);
+  } catch (err) {
+    console.error("[worker] Reservation sweep failed:", err.message);
+  }
+}
+
+async function purgeGuestSessions() {
+  if (Date.now() - lastGuestPurge < GUEST_PURGE_MS) return;
+  lastGuestPurge = Date.now();
+  try {
+    const purged = await purgeStaleGuestSessions();
+    if (purged > 0) console.log(`[worker] Purged ${purged} idle guest session(s)`);
+  } catch (err) {
+    console.error("[worker] Guest session purge failed:", err.message);
+  }
+}
+
+async function purgeSessions() {
+  if (Date.now() - lastSessionPurge < SESSION_PURGE_MS) return;
+  lastSessionPurge = Date.now();
+  try {
+    const purged = await purgeExpiredSessions();
+    if (purged > 0) console.log(`[worker] Purged ${purged} expired refresh token(s)`);
+    const exports = await purgeExpiredExports();
+    if (exports > 0) console.log(`[worker] Deleted ${exports} expired data export archive(s)`);
+  } catch (err) {
+    console.error("[worker] Refresh token purge failed:", err.message);
+  }
+}
+
+async function runDataJobs() {
+  if (Date.now() - lastDataJobs < DATA_JOBS_MS) return;
+  lastDataJobs = Date.now();
+  try {
+    const { completed, failed } = await processPendingDataJobs();
+    if (completed > 0 || failed > 0) console.log(`[worker] Account data jobs: completed=${completed} failed=${failed}`);
+  } catch (err) {
+    console.error("[worker] Account data jobs failed:", err.message);
+  }
+}
+
+async function deliverAlerts() {
+  if (Date.now() - lastAlertDelivery < ALERT_DELIVERY_MS) return;
+  lastAlertDelivery = Date.now();
+  try {
+    const { sent, failed } = await deliverPendingAlerts();
+    if (sent > 0 || failed > 0) console.log(`[worker] Product alerts: sent=${sent} failed=${failed}`);
+  } catch (err) {
+    console.error("[worker] Alert delivery failed:", err.message);
+  }
+}
+
+async function embedVisuals() {
+  if (Date.now() - lastVisualEmbed < VISUAL_EMBED_MS) return;
+  lastVisualEmbed = Date.now();
+  try {
+    const { embedded, failed } = await embedPendingProductVisuals();
+    if (embedded > 0 || failed > 0) console.log(`[worker] Visual embeddings: embedded=${embedded} failed=${failed}`);
+  } catch (err) {
+    console.error("[worker] Visual embedding failed:", err.message);
+  }
+}
+
+async function backfillSearchVectors() {
+  if (Date.now() - lastFtsBackfill < FTS_BACKFILL_MS) return;
+  lastFtsBackfill = Date.now();
+  try {
+    const updated = await backfillProductFtsVectors();
+    if (updated > 0) console.log(`[worker] Backfilled full-text vectors for ${updated} product(s)`);
+  } catch (err) {
+    console.error("[worker] Full-text vector backfill failed:", err.message);
+  }
+}
 
 async function runOne() {
   const job = await getNextJob();
@@ -50,6 +153,13 @@ async function runOne() {
 async function loop() {
   let cycle = 0;
   while (true) {
+    await sweepReservations();
+    await purgeGuestSessions();
+    await purgeSessions();
+    await runDataJobs();
+    await deliverAlerts();
+    await embedVisuals();
+    await backfillSearchVectors();
     try {
       const didWork = await runOne();
       if (!didWork) {
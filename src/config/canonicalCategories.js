@@ -2,41 +2,52 @@
  * Canonical category list for LLM/product mapping. Use these in prompts so the model
  * fixes the product to a specific category (not just "Pants"). See docs/COLOR_AND_STYLE_IMPROVEMENTS.md.
  *
- * Format: { id, label, category_lvl1 } for grouping and filters.
+ * Format: { id, label, category_lvl1 } for grouping and filters. category_lvl1 is one of CATEGORY_LVL1_OPTIONS, the
+ * lowercase values the catalogue and its filters use.
  */
 export const CANONICAL_CATEGORIES = [
-  { id: "blouse", label: "Blouse", category_lvl1: "Tops" },
-  { id: "t_shirt", label: "T-Shirt", category_lvl1: "Tops" },
-  { id: "oversized_tshirt", label: "Oversized T-Shirt", category_lvl1: "Tops" },
-  { id: "shirt", label: "Shirt", category_lvl1: "Tops" },
-  { id: "polo", label: "Polo", category_lvl1: "Tops" },
-  { id: "sweater", label: "Sweater", category_lvl1: "Tops" },
-  { id: "knitwear", label: "Knitwear", category_lvl1: "Tops" },
-  { id: "crop_top", label: "Crop Top", category_lvl1: "Tops" },
-  { id: "tank", label: "Tank", category_lvl1: "Tops" },
-  { id: "skinny_jeans", label: "Skinny Jeans", category_lvl1: "Bottoms" },
-  { id: "straight_leg_jeans", label: "Straight-Leg Jeans", category_lvl1: "Bottoms" },
-  { id: "relaxed_jeans", label: "Relaxed Fit Jeans", category_lvl1: "Bottoms" },
-  { id: "wide_leg_trousers", label: "Wide-Leg Trousers", category_lvl1: "Bottoms" },
-  { id: "chinos", label: "Chinos", category_lvl1: "Bottoms" },
-  { id: "trousers", label: "Trousers", category_lvl1: "Bottoms" },
-  { id: "shorts", label: "Shorts", category_lvl1: "Bottoms" },
-  { id: "skirt", label: "Skirt", category_lvl1: "Bottoms" },
-  { id: "dress", label: "Dress", category_lvl1: "One-Piece" },
-  { id: "jumpsuit", label: "Jumpsuit", category_lvl1: "One-Piece" },
-  { id: "romper", label: "Romper", category_lvl1: "One-Piece" },
-  { id: "jacket", label: "Jacket", category_lvl1: "Outerwear" },
-  { id: "coat", label: "Coat", category_lvl1: "Outerwear" },
-  { id: "blazer", label: "Blazer", category_lvl1: "Outerwear" },
-  { id: "sneakers", label: "Sneakers", category_lvl1: "Footwear" },
-  { id: "boots", label: "Boots", category_lvl1: "Footwear" },
-  { id: "loafers", label: "Loafers", category_lvl1: "Footwear" },
-  { id: "sandals", label: "Sandals", category_lvl1: "Footwear" },
-  { id: "heels", label: "Heels", category_lvl1: "Footwear" },
-  { id: "bag", label: "Bag", category_lvl1: "Accessories" },
-  { id: "hat", label: "Hat", category_lvl1: "Accessories" },
-  { id: "belt", label: "Belt", category_lvl1: "Accessories" },
-  { id: "scarf", label: "Scarf", category_lvl1: "Accessories" },
+  { id: "blouse", label: "Blouse", category_lvl1: "tops" },
+  { id: "t_shirt", label: "T-Shirt", category_lvl1: "tops" },
+  { id: "oversized_tshirt", label: "Oversized T-Shirt", category_lvl1: "tops" },
+  { id: "shirt", label: "Shirt", category_lvl1: "tops" },
+  { id: "polo", label: "Polo", category_lvl1: "tops" },
+  { id: "sweater", label: "Sweater", category_lvl1: "tops" },
+  { id: "knitwear", label: "Knitwear", category_lvl1: "tops" },
+  { id: "crop_top", label: "Crop Top", category_lvl1: "tops" },
+  { id: "tank", label: "Tank", category_lvl1: "tops" },
+  { id: "skinny_jeans", label: "Skinny Jeans", category_lvl1: "bottoms" },
+  { id: "straight_leg_jeans", label: "Straight-Leg Jeans", category_lvl1: "bottoms" },
+  { id: "relaxed_jeans", label: "Relaxed Fit Jeans", category_lvl1: "bottoms" },
+  { id: "wide_leg_trousers", label: "Wide-Leg Trousers", category_lvl1: "bottoms" },
+  { id: "chinos", label: "Chinos", category_lvl1: "bottoms" },
+  { id: "trousers", label: "Trousers", category_lvl1: "bottoms" },
+  { id: "shorts", label: "Shorts", category_lvl1: "bottoms" },
+  { id: "skirt", label: "Skirt", category_lvl1: "bottoms" },
+  { id: "dress", label: "Dress", category_lvl1: "dresses" },
+  { id: "jumpsuit", label: "Jumpsuit", category_lvl1: "dresses" },
+  { id: "romper", label: "Romper", category_lvl1: "dresses" },
+  { id: "kurta", label: "Kurta", category_lvl1: "ethnicwear" },
+  { id: "saree", label: "Saree", category_lvl1: "ethnicwear" },
+  { id: "lehenga", label: "Lehenga", category_lvl1: "ethnicwear" },
+  { id: "salwar_suit", label: "Salwar Suit", category_lvl1: "ethnicwear" },
+  { id: "co_ord_set", label: "Co-ord Set", category_lvl1: "co-ords" },
+  { id: "leggings", label: "Leggings", category_lvl1: "activewear" },
+  { id: "sports_bra", label: "Sports Bra", category_lvl1: "activewear" },
+  { id: "pyjama_set", label: "Pyjama Set", category_lvl1: "loungewear" },
+  { id: "jacket", label: "Jacket", category_lvl1: "outerwear" },
+  { id: "coat", label: "Coat", category_lvl1: "outerwear" },
+  { id: "blazer", label: "Blazer", category_lvl1: "outerwear" },
+  { id: "sneakers", label: "Sneakers", category_lvl1: "footwear" },
+  { id: "boots", label: "Boots", category_lvl1: "footwear" },
+  { id: "loafers", label: "Loafers", category_lvl1: "footwear" },
+  { id: "sandals", label: "Sandals", category_lvl1: "footwear" },
+  { id: "heels", label: "Heels", category_lvl1: "footwear" },
+  { id: "bag", label: "Bag", category_lvl1: "accessories" },
+  { id: "hat", label: "Hat", category_lvl1: "accessories" },
+  { id: "belt", label: "Belt", category_lvl1: "accessories" },
+  { id: "scarf", label: "Scarf", category_lvl1: "accessories" },
+  { id: "earrings", label: "Earrings", category_lvl1: "jewellery" },
+  { id: "necklace", label: "Necklace", category_lvl1: "jewellery" },
 ];
 
 /** Labels only for prompt injection (e.g. "Blouse, T-Shirt, ..."). */
@@ -45,4 +56,7 @@ export function getCanonicalCategoryLabels() {
 }
 
 /** category_lvl1 grouping for filters. */
-export const CATEGORY_LVL1_OPTIONS = ["Tops", "Bottoms", "One-Piece", "Outerwear", "Footwear", "Accessories"];
+export const CATEGORY_LVL1_OPTIONS = [
+  "tops", "bottoms", "dresses", "ethnicwear", "outerwear", "co-ords", "activewear", "loungewear", "footwear",
+  "accessories", "jewellery", "menswear",
+];
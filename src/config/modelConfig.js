@@ -6,7 +6,7 @@
 import { loadFromDb } from "./modelConfigDb.js";
 
 /** Known scopes for utilities and (future) agents. */
-export const KNOWN_SCOPES = ["imageAnalysis", "llm", "embed", "imageGeneration"];
+export const KNOWN_SCOPES = ["imageAnalysis", "llm", "embed", "imageGeneration", "imageEmbed"];
 
 const ENV_MAP = {
   imageAnalysis: {
@@ -35,6 +35,13 @@ const ENV_MAP = {
     // Legacy: IMAGE_PROVIDER used by domain/images/generate.js before config layer
     envProviderFallback: "IMAGE_PROVIDER",
   },
+  // Pixel embeddings for image-to-image search (utils/visualEmbedding.js); providers: local, http
+  imageEmbed: {
+    provider: "IMAGE_EMBED_PROVIDER",
+    model: "IMAGE_EMBED_MODEL",
+    defaultProvider: "local",
+    defaultModel: "rgb-histogram-512",
+  },
 };
 
 // In-memory cache for DB-backed config (Phase B). Key: scope, value: { provider, model }. Null = not loaded.
@@ -54,7 +61,7 @@ function getEnvConfig(scope) {
 
 /**
  * Get model config for a scope. Merges optional overrides (e.g. from per-call options).
- * @param {string} scope - e.g. 'imageAnalysis', 'llm', 'embed', 'imageGeneration'
+ * @param {string} scope - e.g. 'imageAnalysis', 'llm', 'embed', 'imageGeneration', 'imageEmbed'
  * @param {{ provider?: string, model?: string }} overrides - optional per-call overrides
  * @returns {Promise<{ provider: string, model: string }>}
  */
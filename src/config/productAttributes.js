@@ -0,0 +1,43 @@
+/**
+ * Allowed values for Product attribute columns filled by enrichment (domain/product/enrichment.js). Categories come
+ * from canonicalCategories.js and colours from colorUtils.js; the lists here cover the other attributes.
+ *
+ * Bump ATTRIBUTE_SCHEMA_VERSION whenever a list here, CANONICAL_CATEGORIES or the colour palette changes: products
+ * enriched under an older version are picked up by enqueueStaleAttributeEnrichment.
+ */
+export const ATTRIBUTE_SCHEMA_VERSION = 2;
+
+export const ATTRIBUTE_OPTIONS = {
+  gender: ["women", "men", "unisex"],
+  color_family: ["neutral", "blue", "green", "yellow", "orange", "red", "pink", "purple", "brown", "metallic", "multicolour"],
+  fabric_primary: [
+    "cotton", "linen", "silk", "wool", "cashmere", "denim", "polyester", "viscose", "rayon", "modal", "chiffon",
+    "georgette", "crepe", "satin", "velvet", "jersey", "knit", "leather", "faux leather", "suede", "nylon", "blend",
+  ],
+  pattern: [
+    "solid", "striped", "checked", "floral", "printed", "graphic", "polka dot", "animal print", "abstract", "geometric",
+    "paisley", "embroidered", "tie-dye", "colour block", "textured",
+  ],
+  fit: ["slim", "regular", "relaxed", "oversized", "tailored", "bodycon", "flared", "a-line", "straight"],
+  length: ["cropped", "short", "hip", "knee", "midi", "ankle", "maxi", "full"],
+  coverage: ["minimal", "moderate", "full"],
+  sleeve_length: ["sleeveless", "cap", "short", "elbow", "three-quarter", "long"],
+  sleeve_style: ["regular", "puff", "bell", "balloon", "raglan", "cold shoulder", "off shoulder", "ruffle", "kimono", "rolled"],
+  style_family: [
+    "minimalist", "classic", "casual", "streetwear", "bohemian", "romantic", "edgy", "preppy", "sporty", "glam",
+    "ethnic", "fusion", "workwear", "vintage",
+  ],
+  occasion: ["casual", "work", "party", "evening", "wedding", "festive", "vacation", "lounge", "sport", "formal"],
+  mood_vibe: ["relaxed", "polished", "playful", "bold", "elegant", "edgy", "cozy", "fresh", "sensual", "understated"],
+};
+
+/** Product price (lowest variant, in the store currency) → price_band. Upper bounds are exclusive. */
+export const PRICE_BANDS = [
+  { band: "budget", below: 1000 },
+  { band: "mid", below: 3000 },
+  { band: "premium", below: 8000 },
+  { band: "luxury", below: Infinity },
+];
+
+/** At most this many trend_tags per product (lowercase, free-form). */
+export const MAX_TREND_TAGS = 8;
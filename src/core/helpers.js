@@ -25,3 +25,24 @@ export function slugify(text) {
     .replace(/\s+/g, "-")
     .replace(/[^a-z0-9-]/g, "");
 }
+
+/**
+ * Parse a decimal money string (e.g. "1299.50", as stored on ProductVariant/Order) to integer minor units (paise).
+ * Invalid or empty input returns 0.
+ */
+export function toMinorUnits(amount) {
+  if (amount == null) return 0;
+  const n = Number(String(amount).replace(/,/g, "").trim());
+  if (!Number.isFinite(n)) return 0;
+  return Math.round(n * 100);
+}
+
+/**
+ * Format integer minor units back to the "0.00" string shape used by money columns.
+ */
+export function formatMinorUnits(minor) {
+  const n = Math.round(Number(minor) || 0);
+  const sign = n < 0 ? "-" : "";
+  const abs = Math.abs(n);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, "0")}`;
+}
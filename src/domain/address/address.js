@@ -0,0 +1,292 @@
+/**
+ * Address book: structured shipping/billing addresses per user, with one default for each role.
+ * Indian addresses are validated (6-digit PIN code, 10-digit mobile, known state or union territory);
+ * other countries only need the fields to be present.
+ * Checkout snapshots an address onto the order (see toOrderAddress) instead of referencing the row.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { findIndianState } from "./indianStates.js";
+
+export const ADDRESS_DEFAULT_TYPES = ["shipping", "billing"];
+
+const MAX_ADDRESSES_PER_USER = 20;
+
+/** India Post PIN: six digits, first digit 1-9. */
+const PIN_CODE_PATTERN = /^[1-9][0-9]{5}$/;
+
+const COUNTRY_PATTERN = /^[A-Z]{2}$/;
+
+const FIELD_LIMITS = { label: 40, name: 100, line1: 200, line2: 200, landmark: 120, city: 80, state: 80 };
+
+/** Thrown for invalid address input; API should respond with statusCode and code. */
+export class AddressError extends Error {
+  constructor(message, code = "address_invalid", statusCode = 400) {
+    super(message);
+    this.name = "AddressError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function isValidPinCode(pinCode) {
+  return PIN_CODE_PATTERN.test(String(pinCode ?? "").trim());
+}
+
+function text(value, field, { required = false } = {}) {
+  const s = value == null ? "" : String(value).trim().replace(/\s+/g, " ");
+  if (!s) {
+    if (required) throw new AddressError(`${field} is required`, "address_field_required");
+    return null;
+  }
+  if (s.length > FIELD_LIMITS[field]) {
+    throw new AddressError(`${field} must be at most ${FIELD_LIMITS[field]} characters`);
+  }
+  return s;
+}
+
+/**
+ * Indian mobile numbers are stored as +91XXXXXXXXXX; a leading 0, 91 or +91 is accepted.
+ * Elsewhere 7-15 digits with an optional leading +.
+ */
+function normalizePhone(phone, country) {
+  const raw = String(phone ?? "").replace(/[\s\-().]/g, "");
+  if (!raw) throw new AddressError("phone is required", "address_field_required");
+  if (country === "IN") {
+    const m = raw.match(/^(?:\+?91|0)?([6-9][0-9]{9})$/);
+    if (!m) throw new AddressError("phone must be a 10-digit Indian mobile number", "invalid_phone");
+    return `+91${m[1]}`;
+  }
+  if (!/^\+?[0-9]{7,15}$/.test(raw)) throw new AddressError("phone must be 7-15 digits", "invalid_phone");
+  return raw;
+}
+
+/**
+ * Validate and normalize address fields. With `partial`, only the given fields are checked, against `existing`
+ * for country-dependent rules (PIN code, phone, state).
+ */
+function buildAddressData(input, { partial = false, existing = null } = {}) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+  const country =
+    has("country") || !existing ? String(input.country ?? "IN").trim().toUpperCase() || "IN" : existing.country;
+  if (!COUNTRY_PATTERN.test(country)) throw new AddressError("country must be a 2-letter ISO code");
+  if (!partial || has("country")) data.country = country;
+  const countryChanged = existing && country !== existing.country;
+
+  if (has("label")) data.label = text(input.label, "label");
+  if (!partial || has("name")) data.name = text(input.name, "name", { required: true });
+  if (!partial || has("line1")) data.line1 = text(input.line1, "line1", { required: true });
+  if (has("line2")) data.line2 = text(input.line2, "line2");
+  if (has("landmark")) data.landmark = text(input.landmark, "landmark");
+  if (!partial || has("city")) data.city = text(input.city, "city", { required: true });
+
+  if (!partial || has("phone") || countryChanged) {
+    data.phone = normalizePhone(has("phone") ? input.phone : existing?.phone, country);
+  }
+  if (!partial || has("state") || countryChanged) {
+    const state = text(has("state") ? input.state : existing?.state, "state", { required: true });
+    if (country === "IN") {
+      const known = findIndianState(state);
+      if (!known) throw new AddressError(`Unknown state or union territory: ${state}`, "invalid_state");
+      data.state = known.name;
+    } else {
+      data.state = state;
+    }
+  }
+  if (!partial || has("pinCode") || countryChanged) {
+    const pinCode = String((has("pinCode") ? input.pinCode : existing?.pinCode) ?? "").replace(/\s+/g, "");
+    if (!pinCode) throw new AddressError("pinCode is required", "address_field_required");
+    if (country === "IN" && !PIN_CODE_PATTERN.test(pinCode)) {
+      throw new AddressError("pinCode must be a 6-digit Indian PIN code", "invalid_pin_code");
+    }
+    if (country !== "IN" && !/^[A-Za-z0-9-]{3,10}$/.test(pinCode)) {
+      throw new AddressError("pinCode must be 3-10 letters or digits", "invalid_pin_code");
+    }
+    data.pinCode = pinCode.toUpperCase();
+  }
+  return data;
+}
+
+function defaultFlags(input) {
+  const flags = {};
+  if (input.isDefaultShipping !== undefined) flags.isDefaultShipping = Boolean(input.isDefaultShipping);
+  if (input.isDefaultBilling !== undefined) flags.isDefaultBilling = Boolean(input.isDefaultBilling);
+  if (input.isDefault !== undefined) {
+    flags.isDefaultShipping = Boolean(input.isDefault);
+    flags.isDefaultBilling = Boolean(input.isDefault);
+  }
+  return flags;
+}
+
+/** Clear the other addresses' flags for each default this address takes over. */
+async function takeOverDefaults(tx, userId, addressId, flags) {
+  for (const field of ["isDefaultShipping", "isDefaultBilling"]) {
+    if (flags[field]) {
+      await tx.address.updateMany({
+        where: { userId, id: { not: addressId }, [field]: true },
+        data: { [field]: false },
+      });
+    }
+  }
+}
+
+/**
+ * Give a default that no address holds to the most recently updated one, preferring addresses other than
+ * `releasedBy` (the address that just gave it up).
+ */
+async function backfillDefaults(tx, userId, releasedBy = null) {
+  for (const field of ["isDefaultShipping", "isDefaultBilling"]) {
+    const holder = await tx.address.findFirst({ where: { userId, [field]: true }, select: { id: true } });
+    if (holder) continue;
+    const latest =
+      (await tx.address.findFirst({
+        where: { userId, ...(releasedBy ? { id: { not: releasedBy } } : {}) },
+        orderBy: { updatedAt: "desc" },
+        select: { id: true },
+      })) ?? (releasedBy ? { id: releasedBy } : null);
+    if (latest) await tx.address.update({ where: { id: latest.id }, data: { [field]: true } });
+  }
+}
+
+/**
+ * A user's addresses, defaults first.
+ */
+export async function listAddresses(userId) {
+  const uid = normalizeId(userId);
+  if (!uid) return { items: [] };
+  const items = await getPrisma().address.findMany({
+    where: { userId: uid },
+    orderBy: [{ isDefaultShipping: "desc" }, { isDefaultBilling: "desc" }, { updatedAt: "desc" }],
+  });
+  return { items };
+}
+
+/**
+ * One of the user's addresses, or null.
+ */
+export async function getAddress(userId, addressId) {
+  const uid = normalizeId(userId);
+  const aid = normalizeId(addressId);
+  if (!uid || !aid) return null;
+  return getPrisma().address.findFirst({ where: { id: aid, userId: uid } });
+}
+
+/**
+ * The user's default shipping or billing address, or null.
+ * @param {"shipping"|"billing"} [type]
+ */
+export async function getDefaultAddress(userId, type = "shipping") {
+  const uid = normalizeId(userId);
+  if (!uid) return null;
+  const field = type === "billing" ? "isDefaultBilling" : "isDefaultShipping";
+  return getPrisma().address.findFirst({ where: { userId: uid, [field]: true } });
+}
+
+/**
+ * Add an address. The user's first address becomes the default for both shipping and billing.
+ * @param {Object} input - { name, phone, line1, line2?, landmark?, city, state, pinCode, country?, label?,
+ *   isDefault?, isDefaultShipping?, isDefaultBilling? }
+ * @throws {AddressError} On invalid fields or when the address book is full
+ */
+export async function createAddress(userId, input = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) throw new AddressError("userId required");
+  const data = buildAddressData(input);
+  const flags = defaultFlags(input);
+  const prisma = getPrisma();
+  return prisma.$transaction(async (tx) => {
+    const count = await tx.address.count({ where: { userId: uid } });
+    if (count >= MAX_ADDRESSES_PER_USER) {
+      throw new AddressError(`At most ${MAX_ADDRESSES_PER_USER} addresses can be saved`, "address_limit", 409);
+    }
+    const created = await tx.address.create({ data: { ...data, ...flags, userId: uid } });
+    await takeOverDefaults(tx, uid, created.id, flags);
+    await backfillDefaults(tx, uid);
+    return tx.address.findUnique({ where: { id: created.id } });
+  });
+}
+
+/**
+ * Update an address; only the given fields change.
+ * Unsetting a default hands it to the most recently updated other address (an only address keeps it).
+ * @returns {Promise<Object|null>} Updated address (null if not the user's)
+ * @throws {AddressError} On invalid fields
+ */
+export async function updateAddress(userId, addressId, input = {}) {
+  const uid = normalizeId(userId);
+  const aid = normalizeId(addressId);
+  if (!uid || !aid) return null;
+  const prisma = getPrisma();
+  const existing = await prisma.address.findFirst({ where: { id: aid, userId: uid } });
+  if (!existing) return null;
+  const data = buildAddressData(input, { partial: true, existing });
+  const flags = defaultFlags(input);
+  return prisma.$transaction(async (tx) => {
+    await tx.address.update({ where: { id: aid }, data: { ...data, ...flags } });
+    await takeOverDefaults(tx, uid, aid, flags);
+    await backfillDefaults(tx, uid, aid);
+    return tx.address.findUnique({ where: { id: aid } });
+  });
+}
+
+/**
+ * Make an address the default for shipping, billing or both.
+ * @param {"shipping"|"billing"|"both"} [type]
+ * @returns {Promise<Object|null>} null if not the user's address
+ */
+export async function setDefaultAddress(userId, addressId, type = "both") {
+  if (type !== "both" && !ADDRESS_DEFAULT_TYPES.includes(type)) {
+    throw new AddressError(`type must be one of: ${[...ADDRESS_DEFAULT_TYPES, "both"].join(", ")}`);
+  }
+  const flags = {};
+  if (type !== "billing") flags.isDefaultShipping = true;
+  if (type !== "shipping") flags.isDefaultBilling = true;
+  return updateAddress(userId, addressId, flags);
+}
+
+/**
+ * Delete an address; its defaults pass to the most recently updated remaining address.
+ * @returns {Promise<boolean>} false if not the user's address
+ */
+export async function deleteAddress(userId, addressId) {
+  const uid = normalizeId(userId);
+  const aid = normalizeId(addressId);
+  if (!uid || !aid) return false;
+  const prisma = getPrisma();
+  return prisma.$transaction(async (tx) => {
+    const result = await tx.address.deleteMany({ where: { id: aid, userId: uid } });
+    if (result.count === 0) return false;
+    await backfillDefaults(tx, uid);
+    return true;
+  });
+}
+
+/**
+ * Validate a one-off address given at checkout (same rules as saved addresses).
+ * @throws {AddressError}
+ */
+export function validateAddressInput(input) {
+  return buildAddressData(input || {});
+}
+
+/**
+ * The order's copy of an address. Shape understood by order fulfillment (name, line1, pinCode, countryCode, ...);
+ * stateCode is the GST state code for Indian addresses.
+ */
+export function toOrderAddress(address) {
+  if (!address) return null;
+  return {
+    addressId: address.id ?? null,
+    name: address.name,
+    phone: address.phone,
+    line1: address.line1,
+    line2: address.line2 ?? null,
+    landmark: address.landmark ?? null,
+    city: address.city,
+    state: address.state,
+    stateCode: address.country === "IN" ? findIndianState(address.state)?.gstCode ?? null : null,
+    pinCode: address.pinCode,
+    countryCode: address.country,
+  };
+}
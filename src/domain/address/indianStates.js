@@ -0,0 +1,69 @@
+/**
+ * Indian states and union territories with their GST state codes (first two digits of a GSTIN).
+ * Used to validate addresses and to decide intra- vs inter-state tax.
+ */
+export const INDIAN_STATES = [
+  { name: "Jammu and Kashmir", gstCode: "01" },
+  { name: "Himachal Pradesh", gstCode: "02" },
+  { name: "Punjab", gstCode: "03" },
+  { name: "Chandigarh", gstCode: "04" },
+  { name: "Uttarakhand", gstCode: "05", aliases: ["Uttaranchal"] },
+  { name: "Haryana", gstCode: "06" },
+  { name: "Delhi", gstCode: "07", aliases: ["New Delhi", "NCT of Delhi"] },
+  { name: "Rajasthan", gstCode: "08" },
+  { name: "Uttar Pradesh", gstCode: "09" },
+  { name: "Bihar", gstCode: "10" },
+  { name: "Sikkim", gstCode: "11" },
+  { name: "Arunachal Pradesh", gstCode: "12" },
+  { name: "Nagaland", gstCode: "13" },
+  { name: "Manipur", gstCode: "14" },
+  { name: "Mizoram", gstCode: "15" },
+  { name: "Tripura", gstCode: "16" },
+  { name: "Meghalaya", gstCode: "17" },
+  { name: "Assam", gstCode: "18" },
+  { name: "West Bengal", gstCode: "19" },
+  { name: "Jharkhand", gstCode: "20" },
+  { name: "Odisha", gstCode: "21", aliases: ["Orissa"] },
+  { name: "Chhattisgarh", gstCode: "22" },
+  { name: "Madhya Pradesh", gstCode: "23" },
+  { name: "Gujarat", gstCode: "24" },
+  {
+    name: "Dadra and Nagar Haveli and Daman and Diu",
+    gstCode: "26",
+    aliases: ["Dadra and Nagar Haveli", "Daman and Diu"],
+  },
+  { name: "Maharashtra", gstCode: "27" },
+  { name: "Karnataka", gstCode: "29" },
+  { name: "Goa", gstCode: "30" },
+  { name: "Lakshadweep", gstCode: "31" },
+  { name: "Kerala", gstCode: "32" },
+  { name: "Tamil Nadu", gstCode: "33" },
+  { name: "Puducherry", gstCode: "34", aliases: ["Pondicherry"] },
+  { name: "Andaman and Nicobar Islands", gstCode: "35" },
+  { name: "Telangana", gstCode: "36" },
+  { name: "Andhra Pradesh", gstCode: "37" },
+  { name: "Ladakh", gstCode: "38" },
+];
+
+function key(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z]/g, "");
+}
+
+const BY_KEY = new Map();
+for (const state of INDIAN_STATES) {
+  BY_KEY.set(key(state.name), state);
+  for (const alias of state.aliases || []) BY_KEY.set(key(alias), state);
+}
+
+/**
+ * Find a state by name (case/spacing-insensitive, common aliases accepted) or GST state code.
+ * @returns {{ name: string, gstCode: string } | null}
+ */
+export function findIndianState(nameOrCode) {
+  const s = String(nameOrCode || "").trim();
+  const state = /^\d{2}$/.test(s) ? INDIAN_STATES.find((st) => st.gstCode === s) : BY_KEY.get(key(s));
+  return state ? { name: state.name, gstCode: state.gstCode } : null;
+}
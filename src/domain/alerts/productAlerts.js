@@ -0,0 +1,246 @@
+/**
+ * Product alerts: when a Shopify sync or public import lowers a variant's price or brings it back in stock, users who
+ * have the product in their wishlist or cart get a ProductAlert. Alerts are listed in-app and delivered through the
+ * configured notification channel (utils/notifications); users can opt out per alert type.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { getNotificationChannel, getDefaultNotificationChannelName } from "../../utils/notifications/index.js";
+
+export const ALERT_TYPES = ["price_drop", "back_in_stock"];
+
+/** Delivery attempts before an alert is marked failed. */
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+const DELIVERY_BATCH = 100;
+
+/** Preference column per alert type (AlertPreference; no row = all enabled). */
+const PREFERENCE_FIELD = { price_drop: "priceDrop", back_in_stock: "backInStock" };
+
+function isOutOfStock(variant) {
+  return Boolean(variant.inventoryTracked) && Number(variant.inventoryQuantity) <= 0;
+}
+
+/**
+ * Alert-worthy changes between a stored variant and its incoming data: a lower (non-zero) price, or tracked stock
+ * going from none to some (or becoming untracked).
+ * @param {{ id, price, inventoryQuantity, inventoryTracked }} before
+ * @param {{ price, inventoryQuantity, inventoryTracked }} after - Normalized sync data
+ * @returns {Array<{ variantId, type, previousPrice?, currentPrice? }>}
+ */
+export function detectVariantChanges(before, after) {
+  const changes = [];
+  const oldPrice = toMinorUnits(before.price);
+  const newPrice = toMinorUnits(after.price);
+  if (newPrice > 0 && newPrice < oldPrice) {
+    changes.push({
+      variantId: before.id,
+      type: "price_drop",
+      previousPrice: formatMinorUnits(oldPrice),
+      currentPrice: formatMinorUnits(newPrice),
+    });
+  }
+  if (isOutOfStock(before) && !isOutOfStock(after)) {
+    changes.push({ variantId: before.id, type: "back_in_stock", currentPrice: formatMinorUnits(newPrice) });
+  }
+  return changes;
+}
+
+/**
+ * Create alerts for everyone watching a product whose variants changed. A wishlist or cart line without a variant
+ * watches every variant; each user gets at most one alert per type per call (a cart line wins over a wishlist entry).
+ * Delivery runs in the background.
+ * @param {string} productId
+ * @param {Array<Object>} changes - From detectVariantChanges
+ * @param {Object} [db] - Prisma client
+ * @returns {Promise<number>} Alerts created
+ */
+export async function recordProductAlerts(productId, changes, db = getPrisma()) {
+  const pid = normalizeId(productId);
+  if (!pid || !changes?.length) return 0;
+  const product = await db.product.findUnique({ where: { id: pid }, select: { status: true } });
+  if (product?.status !== "active") return 0;
+
+  const variantIds = [...new Set(changes.map((c) => c.variantId))];
+  const watchWhere = { productId: pid, OR: [{ variantId: null }, { variantId: { in: variantIds } }] };
+  const [cartLines, wishlistLines] = await Promise.all([
+    db.cartItem.findMany({ where: watchWhere, select: { userId: true, variantId: true } }),
+    db.wishlist.findMany({ where: watchWhere, select: { userId: true, variantId: true } }),
+  ]);
+  const watchers = [
+    ...cartLines.map((w) => ({ ...w, source: "cart" })),
+    ...wishlistLines.map((w) => ({ ...w, source: "wishlist" })),
+  ];
+  if (watchers.length === 0) return 0;
+
+  const userIds = [...new Set(watchers.map((w) => w.userId))];
+  const prefs = await db.alertPreference.findMany({ where: { userId: { in: userIds } } });
+  const prefByUser = new Map(prefs.map((p) => [p.userId, p]));
+
+  const seen = new Set();
+  const data = [];
+  for (const change of changes) {
+    for (const w of watchers) {
+      if (w.variantId && w.variantId !== change.variantId) continue;
+      if (prefByUser.get(w.userId)?.[PREFERENCE_FIELD[change.type]] === false) continue;
+      const key = `${w.userId}:${change.type}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      data.push({
+        userId: w.userId,
+        productId: pid,
+        variantId: change.variantId,
+        type: change.type,
+        source: w.source,
+        previousPrice: change.previousPrice ?? null,
+        currentPrice: change.currentPrice ?? null,
+      });
+    }
+  }
+  if (data.length === 0) return 0;
+  await db.productAlert.createMany({ data });
+  deliverPendingAlerts().catch((err) => console.error("[alerts] Delivery failed:", err.message));
+  return data.length;
+}
+
+function alertMessage(alert) {
+  const title = alert.product?.title || "An item you saved";
+  if (alert.type === "price_drop") {
+    return {
+      subject: `Price drop: ${title}`,
+      text: `${title} is now ₹${alert.currentPrice} (was ₹${alert.previousPrice}).`,
+    };
+  }
+  return { subject: `Back in stock: ${title}`, text: `${title} is back in stock.` };
+}
+
+/**
+ * Send pending alerts through the notification channel. Each alert is claimed by bumping its attempt count, so
+ * concurrent runs (sync process and worker) never send the same alert twice; failures stay pending until
+ * MAX_DELIVERY_ATTEMPTS, then become failed.
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+export async function deliverPendingAlerts({ limit = DELIVERY_BATCH } = {}) {
+  const prisma = getPrisma();
+  const channelName = getDefaultNotificationChannelName();
+  const channel = getNotificationChannel(channelName);
+  const pending = await prisma.productAlert.findMany({
+    where: { status: "pending" },
+    include: {
+      user: { select: { id: true, email: true, firstName: true } },
+      product: { select: { id: true, title: true, handle: true } },
+    },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+  let sent = 0;
+  let failed = 0;
+  for (const alert of pending) {
+    const claimed = await prisma.productAlert.updateMany({
+      where: { id: alert.id, status: "pending", attempts: alert.attempts },
+      data: { attempts: { increment: 1 }, channel: channelName },
+    });
+    if (claimed.count === 0) continue;
+    const { subject, text } = alertMessage(alert);
+    try {
+      await channel.send({
+        to: { userId: alert.userId, email: alert.user?.email ?? null, name: alert.user?.firstName ?? null },
+        subject,
+        text,
+        data: { alertId: alert.id, type: alert.type, productId: alert.productId, variantId: alert.variantId },
+      });
+      await prisma.productAlert.update({
+        where: { id: alert.id },
+        data: { status: "sent", notifiedAt: new Date(), error: null },
+      });
+      sent++;
+    } catch (err) {
+      const exhausted = alert.attempts + 1 >= MAX_DELIVERY_ATTEMPTS;
+      await prisma.productAlert.update({
+        where: { id: alert.id },
+        data: { status: exhausted ? "failed" : "pending", error: String(err.message).slice(0, 500) },
+      });
+      if (exhausted) failed++;
+    }
+  }
+  return { sent, failed };
+}
+
+/**
+ * A user's alerts, newest first.
+ * @param {{ unread?: boolean, type?: string, limit?: number, offset?: number }} [opts]
+ * @returns {Promise<{ items, total, unread }>}
+ */
+export async function listUserAlerts(userId, opts = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) return { items: [], total: 0, unread: 0 };
+  const { limit = 20, offset = 0 } = opts;
+  const where = { userId: uid };
+  if (opts.unread) where.readAt = null;
+  if (ALERT_TYPES.includes(opts.type)) where.type = opts.type;
+  const prisma = getPrisma();
+  const [items, total, unread] = await Promise.all([
+    prisma.productAlert.findMany({
+      where,
+      select: {
+        id: true,
+        type: true,
+        source: true,
+        productId: true,
+        variantId: true,
+        previousPrice: true,
+        currentPrice: true,
+        createdAt: true,
+        readAt: true,
+        product: { select: { id: true, title: true, handle: true, images: { take: 1, orderBy: { position: "asc" } } } },
+      },
+      orderBy: { createdAt: "desc" },
+      take: Math.min(Number(limit) || 20, 100),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.productAlert.count({ where }),
+    prisma.productAlert.count({ where: { userId: uid, readAt: null } }),
+  ]);
+  return { items, total, unread };
+}
+
+/**
+ * Mark alerts read: the given ids, or all of the user's unread alerts when ids is omitted.
+ * @returns {Promise<number>} Alerts updated
+ */
+export async function markAlertsRead(userId, ids = null) {
+  const uid = normalizeId(userId);
+  if (!uid) return 0;
+  const where = { userId: uid, readAt: null };
+  if (Array.isArray(ids)) where.id = { in: ids.map(String) };
+  const result = await getPrisma().productAlert.updateMany({ where, data: { readAt: new Date() } });
+  return result.count;
+}
+
+/**
+ * Which alert types the user receives (all by default).
+ * @returns {Promise<{ priceDrop: boolean, backInStock: boolean }>}
+ */
+export async function getAlertPreferences(userId) {
+  const uid = normalizeId(userId);
+  const row = uid ? await getPrisma().alertPreference.findUnique({ where: { userId: uid } }) : null;
+  return { priceDrop: row?.priceDrop ?? true, backInStock: row?.backInStock ?? true };
+}
+
+/**
+ * Opt in or out of alert types; omitted fields keep their value.
+ * @param {{ priceDrop?: boolean, backInStock?: boolean }} input
+ */
+export async function updateAlertPreferences(userId, input = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) return null;
+  const data = {};
+  if (input.priceDrop !== undefined) data.priceDrop = Boolean(input.priceDrop);
+  if (input.backInStock !== undefined) data.backInStock = Boolean(input.backInStock);
+  const row = await getPrisma().alertPreference.upsert({
+    where: { userId: uid },
+    create: { userId: uid, ...data },
+    update: data,
+  });
+  return { priceDrop: row.priceDrop, backInStock: row.backInStock };
+}
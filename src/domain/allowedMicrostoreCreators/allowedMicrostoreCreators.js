@@ -1,8 +1,9 @@
 /**
- * Allowed microstore creators: users who can create microstores (in addition to admin/brand).
+ * Allowed microstore creators: users who can create microstores (in addition to those with microstore:create).
  */
 import { getPrisma } from "../../core/db.js";
 import { normalizeId } from "../../core/helpers.js";
+import { hasPermission, PERMISSIONS } from "../user/permissions.js";
 
 /**
  * List all allowed creator user IDs (and optionally join user for display).
@@ -51,13 +52,13 @@ export async function removeAllowedMicrostoreCreator(userId) {
 
 /**
  * Check whether the given user is allowed to create microstores.
- * Admin and brand roles are always allowed; others must be in the list.
+ * Users with the microstore:create permission (admin and brand roles) are always allowed; others must be in the list.
+ * @param {Object} [user] - req.user
  */
-export async function canCreateMicrostore(userId, role) {
+export async function canCreateMicrostore(userId, user) {
   const uid = normalizeId(userId);
   if (!uid) return false;
-  if (role === "admin") return true;
-  if (role === "brand") return true;
+  if (hasPermission(user, PERMISSIONS.MICROSTORE_CREATE)) return true;
   const prisma = getPrisma();
   const row = await prisma.allowedMicrostoreCreator.findUnique({
     where: { userId: uid },
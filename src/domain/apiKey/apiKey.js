@@ -0,0 +1,221 @@
+/**
+ * API keys for scripts, cron and brand integrations. A key looks like `hk_<prefix>_<secret>`; it is returned once at
+ * creation or rotation and only its SHA-256 is stored. Each key has scopes (API_KEY_SCOPES), optionally a brand it is
+ * bound to, and optionally an expiry. An authenticated key becomes a principal shaped like a session user
+ * ({ id, role: "api_key", permissions, brandId, brandIds }), so routes check it with requirePermission.
+ */
+import { createHash, randomBytes } from "crypto";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { PERMISSIONS } from "../user/permissions.js";
+
+export const API_KEY_SCOPES = Object.freeze({
+  CATALOG_IMPORT: "catalog:import",
+  CRON_RUN: "cron:run",
+  BRAND_READ: "brand:read",
+});
+
+/** Permissions each scope grants. brand:read is read-only access to the brand portal API, analytics included. */
+const SCOPE_PERMISSIONS = Object.freeze({
+  [API_KEY_SCOPES.CATALOG_IMPORT]: [PERMISSIONS.CATALOG_IMPORT],
+  [API_KEY_SCOPES.CRON_RUN]: [PERMISSIONS.CRON_RUN],
+  [API_KEY_SCOPES.BRAND_READ]: [PERMISSIONS.BRAND_READ, PERMISSIONS.BRAND_ANALYTICS],
+});
+
+const KEY_PREFIX = "hk_";
+/** lastUsedAt is written at most this often per key. */
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+const MAX_ROTATION_GRACE_MINUTES = 7 * 24 * 60;
+
+/** Thrown for invalid key input; API should respond with statusCode and code. */
+export class ApiKeyError extends Error {
+  constructor(message, code = "invalid_api_key_request", statusCode = 400) {
+    super(message);
+    this.name = "ApiKeyError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function hashKey(key) {
+  return createHash("sha256").update(String(key)).digest("hex");
+}
+
+/** True if the string has the API key format (used to tell keys from JWTs in the Authorization header). */
+export function isApiKey(value) {
+  return typeof value === "string" && value.startsWith(KEY_PREFIX);
+}
+
+function generateKey() {
+  const prefix = randomBytes(6).toString("hex");
+  const key = `${KEY_PREFIX}${prefix}_${randomBytes(32).toString("base64url")}`;
+  return { prefix, key, keyHash: hashKey(key) };
+}
+
+function toApiKeyView(row, now = new Date()) {
+  let status = "active";
+  if (row.revokedAt) status = "revoked";
+  else if (row.expiresAt && row.expiresAt <= now) status = "expired";
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: `${KEY_PREFIX}${row.prefix}`,
+    scopes: row.scopes,
+    brandId: row.brandId,
+    brand: row.brand ? { id: row.brand.id, name: row.brand.name } : undefined,
+    status,
+    expiresAt: row.expiresAt,
+    lastUsedAt: row.lastUsedAt,
+    lastUsedIp: row.lastUsedIp,
+    revokedAt: row.revokedAt,
+    rotatedFromId: row.rotatedFromId,
+    createdById: row.createdById,
+    createdAt: row.createdAt,
+  };
+}
+
+function parseScopes(scopes) {
+  const list = Array.isArray(scopes) ? [...new Set(scopes.map((s) => String(s).trim()))] : [];
+  const known = Object.values(API_KEY_SCOPES);
+  if (list.length === 0) throw new ApiKeyError(`scopes required (one or more of ${known.join(", ")})`, "invalid_scopes");
+  const unknown = list.filter((s) => !known.includes(s));
+  if (unknown.length) throw new ApiKeyError(`Unknown scope(s): ${unknown.join(", ")}`, "invalid_scopes");
+  return list;
+}
+
+function parseExpiresAt(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ApiKeyError("expiresAt must be an ISO date", "invalid_expiry");
+  if (date <= new Date()) throw new ApiKeyError("expiresAt must be in the future", "invalid_expiry");
+  return date;
+}
+
+/**
+ * Create a key. brand:read keys must be bound to a brand.
+ * @param {{ name, scopes: string[], brandId?, expiresAt? }} input
+ * @returns {Promise<{ apiKey: object, key: string }>} key is the secret; it cannot be retrieved again
+ */
+export async function createApiKey(input, createdById = null) {
+  const prisma = getPrisma();
+  const name = typeof input?.name === "string" ? input.name.trim() : "";
+  if (!name || name.length > 100) throw new ApiKeyError("name required (max 100 characters)", "invalid_name");
+  const scopes = parseScopes(input.scopes);
+  const expiresAt = parseExpiresAt(input.expiresAt);
+  const brandId = normalizeId(input.brandId) || null;
+  if (scopes.includes(API_KEY_SCOPES.BRAND_READ) && !brandId) {
+    throw new ApiKeyError("brand:read keys must be bound to a brand (brandId)", "brand_required");
+  }
+  if (brandId) {
+    const brand = await prisma.brand.findUnique({ where: { id: brandId }, select: { id: true } });
+    if (!brand) throw new ApiKeyError("Brand not found", "brand_not_found", 404);
+  }
+  const { prefix, key, keyHash } = generateKey();
+  const row = await prisma.apiKey.create({
+    data: { name, prefix, keyHash, scopes, brandId, expiresAt, createdById: normalizeId(createdById) || null },
+    include: { brand: { select: { id: true, name: true } } },
+  });
+  return { apiKey: toApiKeyView(row), key };
+}
+
+/**
+ * @param {{ brandId?, includeRevoked? }} [opts]
+ */
+export async function listApiKeys(opts = {}) {
+  const where = {};
+  const brandId = normalizeId(opts.brandId);
+  if (brandId) where.brandId = brandId;
+  if (!opts.includeRevoked) where.revokedAt = null;
+  const rows = await getPrisma().apiKey.findMany({
+    where,
+    orderBy: { createdAt: "desc" },
+    include: { brand: { select: { id: true, name: true } } },
+  });
+  const now = new Date();
+  return rows.map((r) => toApiKeyView(r, now));
+}
+
+/** Revoke a key immediately. Returns the key, or null if not found. Revoking twice is a no-op. */
+export async function revokeApiKey(id) {
+  const keyId = normalizeId(id);
+  if (!keyId) return null;
+  const prisma = getPrisma();
+  await prisma.apiKey.updateMany({ where: { id: keyId, revokedAt: null }, data: { revokedAt: new Date() } });
+  const row = await prisma.apiKey.findUnique({ where: { id: keyId }, include: { brand: { select: { id: true, name: true } } } });
+  return row ? toApiKeyView(row) : null;
+}
+
+/**
+ * Replace a key with a new one (same name, scopes, brand and expiry). The old key stops working now, or after
+ * graceMinutes so deployments can switch over.
+ * @returns {Promise<{ apiKey, key, previous }|null>} null if the key does not exist
+ * @throws {ApiKeyError} key_revoked (409) if the key is already revoked
+ */
+export async function rotateApiKey(id, { graceMinutes = 0 } = {}, createdById = null) {
+  const keyId = normalizeId(id);
+  if (!keyId) return null;
+  const grace = Number(graceMinutes) || 0;
+  if (grace < 0 || grace > MAX_ROTATION_GRACE_MINUTES) {
+    throw new ApiKeyError(`graceMinutes must be between 0 and ${MAX_ROTATION_GRACE_MINUTES}`, "invalid_grace");
+  }
+  const include = { brand: { select: { id: true, name: true } } };
+  return getPrisma().$transaction(async (tx) => {
+    const old = await tx.apiKey.findUnique({ where: { id: keyId } });
+    if (!old) return null;
+    const now = new Date();
+    if (old.revokedAt) throw new ApiKeyError("API key is revoked", "key_revoked", 409);
+    const oldEnd = grace > 0 ? new Date(now.getTime() + grace * 60 * 1000) : now;
+    const claimed = await tx.apiKey.updateMany({
+      where: { id: keyId, revokedAt: null },
+      data: grace > 0 ? { expiresAt: old.expiresAt && old.expiresAt < oldEnd ? old.expiresAt : oldEnd } : { revokedAt: now },
+    });
+    if (claimed.count === 0) throw new ApiKeyError("API key is revoked", "key_revoked", 409);
+    const { prefix, key, keyHash } = generateKey();
+    const row = await tx.apiKey.create({
+      data: {
+        name: old.name,
+        prefix,
+        keyHash,
+        scopes: old.scopes,
+        brandId: old.brandId,
+        expiresAt: old.expiresAt && old.expiresAt > now ? old.expiresAt : null,
+        rotatedFromId: old.id,
+        createdById: normalizeId(createdById) || null,
+      },
+      include,
+    });
+    const previous = await tx.apiKey.findUnique({ where: { id: keyId }, include });
+    return { apiKey: toApiKeyView(row, now), key, previous: toApiKeyView(previous, now) };
+  });
+}
+
+/**
+ * Principal for a presented key, or null if unknown, revoked or expired. Records last use (at most once a minute).
+ * @returns {Promise<{ id, apiKeyId, name, role, scopes, permissions, brandId, brandIds }|null>}
+ */
+export async function authenticateApiKey(key, ip = null) {
+  if (!isApiKey(key)) return null;
+  const prisma = getPrisma();
+  const row = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(key) } });
+  const now = new Date();
+  if (!row || row.revokedAt || (row.expiresAt && row.expiresAt <= now)) return null;
+  if (!row.lastUsedAt || now - row.lastUsedAt >= LAST_USED_INTERVAL_MS) {
+    prisma.apiKey
+      .updateMany({
+        where: { id: row.id, OR: [{ lastUsedAt: null }, { lastUsedAt: { lt: new Date(now - LAST_USED_INTERVAL_MS) } }] },
+        data: { lastUsedAt: now, lastUsedIp: ip ? String(ip).slice(0, 64) : null },
+      })
+      .catch((err) => console.error("[apiKey] lastUsedAt update failed:", err.message));
+  }
+  const permissions = [...new Set(row.scopes.flatMap((s) => SCOPE_PERMISSIONS[s] ?? []))];
+  return {
+    id: `apikey:${row.id}`,
+    apiKeyId: row.id,
+    name: row.name,
+    role: "api_key",
+    scopes: row.scopes,
+    permissions,
+    brandId: row.brandId,
+    brandIds: row.brandId ? [row.brandId] : [],
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Audit log: who did what to which record, with before/after snapshots, written by admin and moderation routes after
+ * the action succeeds. Rows are never updated or deleted (a database trigger enforces it).
+ * A failed audit write is logged and does not undo or fail the action.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+
+const MAX_PAGE_SIZE = 100;
+
+/** Actions written by the routes, for filters and docs. */
+export const AUDIT_ACTIONS = Object.freeze({
+  MICROSTORE_APPROVE: "microstore.approve",
+  MICROSTORE_REJECT: "microstore.reject",
+  FEED_POST_APPROVE: "feed_post.approve",
+  FEED_POST_REJECT: "feed_post.reject",
+  AGENT_PROMPT_UPDATE: "agent_prompt.update",
+  MODEL_CONFIG_UPDATE: "model_config.update",
+  BRAND_DELETE: "brand.delete",
+  STYLE_REPORT_SETTINGS_UPDATE: "style_report_settings.update",
+  USER_DEACTIVATE: "user.deactivate",
+  USER_ACTIVATE: "user.activate",
+  USER_ROLE_CHANGE: "user.role_change",
+  IMPERSONATION_START: "impersonation.start",
+  IMPERSONATION_END: "impersonation.end",
+  API_KEY_CREATE: "api_key.create",
+  API_KEY_ROTATE: "api_key.rotate",
+  API_KEY_REVOKE: "api_key.revoke",
+});
+
+/** Actor, IP and user agent of a request (after an auth middleware set req.user). */
+export function auditContext(req) {
+  return {
+    actorId: req.user?.id ?? req.userId ?? null,
+    actorRole: req.user?.role ?? null,
+    ip: req.ip ?? null,
+    userAgent: req.headers?.["user-agent"] ?? null,
+  };
+}
+
+/** JSON-safe copy (Dates to ISO strings, undefined dropped). */
+function toJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Changed top-level fields: { field: { from, to } }. Non-object values are compared as a whole (field "value").
+ */
+export function diffSnapshots(before, after) {
+  const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+  if (!isObject(before) || !isObject(after)) {
+    return JSON.stringify(before) === JSON.stringify(after) ? {} : { value: { from: before ?? null, to: after ?? null } };
+  }
+  const changes = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key] ?? null, to: after[key] ?? null };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Append an entry. changes is only stored when there are both a before and an after snapshot.
+ * @param {{ actorId?, actorRole?, ip?, userAgent? }} context - see auditContext
+ * @param {{ action: string, targetType: string, targetId?: string, before?: object, after?: object }} entry
+ * @returns {Promise<object|null>} The entry, or null if it could not be written
+ */
+export async function recordAudit(context, { action, targetType, targetId = null, before, after }) {
+  try {
+    const beforeJson = toJson(before);
+    const afterJson = toJson(after);
+    return await getPrisma().auditLogEntry.create({
+      data: {
+        actorId: context?.actorId ? String(context.actorId) : null,
+        actorRole: context?.actorRole ?? null,
+        action,
+        targetType,
+        targetId: targetId != null ? String(targetId) : null,
+        before: beforeJson ?? undefined,
+        after: afterJson ?? undefined,
+        changes: beforeJson != null && afterJson != null ? diffSnapshots(beforeJson, afterJson) : undefined,
+        ip: context?.ip ? String(context.ip).slice(0, 64) : null,
+        userAgent: context?.userAgent ? String(context.userAgent).slice(0, 255) : null,
+      },
+    });
+  } catch (err) {
+    console.error(`[auditLog] failed to record ${action} ${targetType}:${targetId}:`, err.message);
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Entries newest first.
+ * @param {{ actorId?, action?, targetType?, targetId?, from?, to?, limit?, offset? }} opts - action ending in ".*"
+ *   matches a prefix (e.g. microstore.*); from / to are ISO dates
+ * @returns {Promise<{ items, total, limit, offset }>}
+ */
+export async function listAuditLog(opts = {}) {
+  const limit = Math.min(Math.max(Number(opts.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(Number(opts.offset) || 0, 0);
+  const where = {};
+  if (opts.actorId) where.actorId = String(opts.actorId);
+  if (opts.action) {
+    const action = String(opts.action);
+    where.action = action.endsWith(".*") ? { startsWith: action.slice(0, -1) } : action;
+  }
+  if (opts.targetType) where.targetType = String(opts.targetType);
+  const targetId = normalizeId(opts.targetId);
+  if (targetId) where.targetId = targetId;
+  const from = parseDate(opts.from);
+  const to = parseDate(opts.to);
+  if (from || to) where.createdAt = { ...(from && { gte: from }), ...(to && { lte: to }) };
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.auditLogEntry.findMany({ where, orderBy: { createdAt: "desc" }, take: limit, skip: offset }),
+    prisma.auditLogEntry.count({ where }),
+  ]);
+  return { items, total, limit, offset };
+}
@@ -1,5 +1,6 @@
 import { getPrisma } from "../../core/db.js";
 import { normalizeId } from "../../core/helpers.js";
+import { normalizeGstin, normalizeHsnCode } from "../invoice/invoice.js";
 
 const defaultInclude = {
   _count: { select: { followers: true, products: true } },
@@ -115,13 +116,16 @@ export async function searchBrands(query, opts = {}) {
 
 /**
  * Update brand (for brand zone edit by brand user or admin).
+ * @throws {InvoiceError} On an invalid gstin or defaultHsnCode
  */
 export async function updateBrand(id, data) {
   const nid = normalizeId(id);
   if (!nid) return null;
   const prisma = getPrisma();
-  const { name, description, logoUrl, websiteUrl, pageConfig, ...rest } = data;
+  const { name, description, logoUrl, websiteUrl, pageConfig, gstin, defaultHsnCode, ...rest } = data;
   const update = { ...rest };
+  if (gstin !== undefined) update.gstin = normalizeGstin(gstin);
+  if (defaultHsnCode !== undefined) update.defaultHsnCode = normalizeHsnCode(defaultHsnCode);
   if (name !== undefined) update.name = name;
   if (description !== undefined) update.description = description;
   if (logoUrl !== undefined) update.logoUrl = logoUrl;
@@ -1,10 +1,64 @@
 import { getPrisma } from "../../core/db.js";
 import { normalizeId } from "../../core/helpers.js";
+import { assertInStock } from "../inventory/inventory.js";
+import { getAddress, getDefaultAddress, isValidPinCode } from "../address/address.js";
+import { priceCartItems, toPublicSummary } from "./pricing.js";
+import {
+  PromotionError,
+  findCouponByCode,
+  getCartCoupon,
+  setCartCoupon,
+  clearCartCoupon,
+} from "../promotion/promotion.js";
+
+/** Thrown for invalid cart changes; API should respond with statusCode and code. */
+export class CartError extends Error {
+  constructor(message, code = "cart_invalid", statusCode = 400) {
+    super(message);
+    this.name = "CartError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const MAX_LINE_QUANTITY = 99;
+
+function parseQuantity(quantity) {
+  const n = Number(quantity);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_LINE_QUANTITY) {
+    throw new CartError(`quantity must be a whole number between 1 and ${MAX_LINE_QUANTITY}`, "invalid_quantity");
+  }
+  return n;
+}
+
+/**
+ * The variant a line refers to: an explicit variantId must belong to the product; null means the product's first variant.
+ * @throws {CartError} variant_mismatch
+ */
+function pickVariant(product, variantId) {
+  if (variantId) {
+    const variant = product.variants.find((v) => v.id === variantId);
+    if (!variant) throw new CartError("variantId does not belong to this product", "variant_mismatch");
+    return variant;
+  }
+  return product.variants[0] ?? null;
+}
 
 function triggerPreferenceGraph(userId) {
   import("../preferences/preferenceGraph.js").then((m) => m.triggerBuildPreferenceGraph(userId)).catch(() => {});
 }
 
+/**
+ * Where a cart lives: a signed-in user's CartItem rows or an anonymous shopper's GuestCartItem rows (see domain/guest).
+ * Both share the same line logic; only user carts feed the preference graph.
+ */
+const USER_CART = { key: "userId", model: (db) => db.cartItem, onChange: triggerPreferenceGraph };
+const GUEST_CART = { key: "guestId", model: (db) => db.guestCartItem, onChange: () => {} };
+
+function normalizeVariantId(variantId) {
+  return variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
+}
+
 const cartInclude = {
   product: {
     include: {
@@ -15,82 +69,301 @@ const cartInclude = {
   },
 };
 
-/**
- * List cart items for a user.
- */
-export async function listCartItems(userId) {
-  const uid = normalizeId(userId);
-  if (!uid) return { items: [] };
-  const prisma = getPrisma();
-  const items = await prisma.cartItem.findMany({
-    where: { userId: uid },
+async function listLines(store, ownerId) {
+  const oid = normalizeId(ownerId);
+  if (!oid) return { items: [] };
+  const items = await store.model(getPrisma()).findMany({
+    where: { [store.key]: oid },
     include: cartInclude,
     orderBy: { updatedAt: "desc" },
   });
   return { items };
 }
 
-/**
- * Add item to cart. Idempotent: if same productId+variantId exists, increment quantity.
- */
-export async function addToCart(userId, productId, variantId = null, quantity = 1) {
-  const uid = normalizeId(userId);
+async function addLine(store, ownerId, productId, variantId, quantity) {
+  const oid = normalizeId(ownerId);
   const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return null;
+  const vid = normalizeVariantId(variantId);
+  if (!oid || !pid) return null;
+  const qty = parseQuantity(quantity);
   const prisma = getPrisma();
-  const product = await prisma.product.findUnique({ where: { id: pid }, select: { id: true } });
+  const product = await prisma.product.findUnique({
+    where: { id: pid },
+    select: { id: true, title: true, variants: { select: { id: true, price: true } } },
+  });
   if (!product) return null;
+  const variant = pickVariant(product, vid);
 
-  const existing = await prisma.cartItem.findFirst({
-    where: { userId: uid, productId: pid, variantId: vid },
+  const lines = store.model(prisma);
+  const existing = await lines.findFirst({
+    where: { [store.key]: oid, productId: pid, variantId: vid },
   });
-  if (existing) {
-    const updated = await prisma.cartItem.update({
-      where: { id: existing.id },
-      data: { quantity: existing.quantity + quantity, updatedAt: new Date() },
-      include: cartInclude,
-    });
-  triggerPreferenceGraph(uid);
+  const nextQuantity = parseQuantity((existing?.quantity ?? 0) + qty);
+  await assertInStock(variant?.id, nextQuantity, { title: product.title });
+  const unitPrice = variant?.price ?? null;
+  const saved = existing
+    ? await lines.update({
+        where: { id: existing.id },
+        data: { quantity: nextQuantity, unitPrice, updatedAt: new Date() },
+        include: cartInclude,
+      })
+    : await lines.create({
+        data: { [store.key]: oid, productId: pid, variantId: vid, quantity: qty, unitPrice },
+        include: cartInclude,
+      });
+  store.onChange(oid);
+  return saved;
+}
+
+async function updateLine(store, ownerId, cartItemId, changes) {
+  const oid = normalizeId(ownerId);
+  const cid = normalizeId(cartItemId);
+  if (!oid || !cid) return null;
+  const prisma = getPrisma();
+  const lines = store.model(prisma);
+  const line = await lines.findFirst({
+    where: { id: cid, [store.key]: oid },
+    include: { product: { select: { id: true, title: true, variants: { select: { id: true, price: true } } } } },
+  });
+  if (!line) return null;
+
+  const variantChanged = changes.variantId !== undefined;
+  const vid = variantChanged ? normalizeId(changes.variantId) : line.variantId;
+  const variant = pickVariant(line.product, vid);
+  let quantity = changes.quantity !== undefined ? parseQuantity(changes.quantity) : line.quantity;
+
+  const other =
+    variantChanged && vid !== line.variantId
+      ? await lines.findFirst({ where: { [store.key]: oid, productId: line.productId, variantId: vid } })
+      : null;
+  if (other) quantity = parseQuantity(other.quantity + quantity);
+  await assertInStock(variant?.id, quantity, { title: line.product.title });
+
+  const data = { variantId: vid, quantity, unitPrice: variant?.price ?? null, updatedAt: new Date() };
+  let updated;
+  if (other) {
+    [, updated] = await prisma.$transaction([
+      lines.delete({ where: { id: line.id } }),
+      lines.update({ where: { id: other.id }, data, include: cartInclude }),
+    ]);
+  } else {
+    updated = await lines.update({ where: { id: line.id }, data, include: cartInclude });
+  }
+  store.onChange(oid);
   return updated;
+}
+
+async function removeLine(store, ownerId, productId, variantId) {
+  const oid = normalizeId(ownerId);
+  const pid = normalizeId(productId);
+  if (!oid || !pid) return false;
+  const result = await store.model(getPrisma()).deleteMany({
+    where: { [store.key]: oid, productId: pid, variantId: normalizeVariantId(variantId) },
+  });
+  if ((result?.count ?? 0) > 0) store.onChange(oid);
+  return (result?.count ?? 0) > 0;
+}
+
+async function hasLine(store, ownerId, productId, variantId) {
+  const oid = normalizeId(ownerId);
+  const pid = normalizeId(productId);
+  if (!oid || !pid) return false;
+  const row = await store.model(getPrisma()).findFirst({
+    where: { [store.key]: oid, productId: pid, variantId: normalizeVariantId(variantId) },
+  });
+  return Boolean(row);
+}
+
+function selectLines(items, cartItemIds) {
+  if (!Array.isArray(cartItemIds)) return items;
+  const selected = new Set(cartItemIds.map(String));
+  return items.filter((c) => selected.has(c.id));
+}
+
+/**
+ * List cart items for a user.
+ */
+export async function listCartItems(userId) {
+  return listLines(USER_CART, userId);
+}
+
+/**
+ * Add item to cart. Idempotent: if same productId+variantId exists, increment quantity.
+ * Records the current unit price so the cart summary can flag later price changes.
+ * @throws {CartError} When variantId is not one of the product's variants or quantity is invalid
+ * @throws {InventoryError} When the resulting line quantity exceeds available stock
+ */
+export async function addToCart(userId, productId, variantId = null, quantity = 1) {
+  return addLine(USER_CART, userId, productId, variantId, quantity);
+}
+
+/**
+ * Change a cart line's quantity and/or variant. Switching to a variant already in the cart merges the two lines.
+ * The line's recorded unit price is refreshed, clearing any price_changed warning.
+ * @param {string} userId
+ * @param {string} cartItemId
+ * @param {{ quantity?: number, variantId?: string }} changes
+ * @returns {Promise<Object|null>} Updated line (null if not the user's)
+ * @throws {CartError} On invalid quantity or a variant of another product
+ * @throws {InventoryError} When the new quantity exceeds available stock
+ */
+export async function updateCartItem(userId, cartItemId, changes = {}) {
+  return updateLine(USER_CART, userId, cartItemId, changes);
+}
+
+/**
+ * PIN code to quote shipping for: explicit pinCode, else the given saved address, else (users only) the default
+ * shipping address. Null when none is known (shipping is quoted without a serviceability check).
+ * @throws {CartError} On an invalid PIN code or unknown address
+ */
+async function resolveQuotePinCode(userId, opts) {
+  if (opts.pinCode != null && opts.pinCode !== "") {
+    const pinCode = String(opts.pinCode).trim();
+    if (!isValidPinCode(pinCode)) throw new CartError("pinCode must be a 6-digit Indian PIN code", "invalid_pin_code");
+    return pinCode;
+  }
+  if (!userId) return null;
+  let address;
+  if (opts.addressId) {
+    address = await getAddress(userId, opts.addressId);
+    if (!address) throw new CartError("Address not found", "address_not_found", 404);
+  } else {
+    address = await getDefaultAddress(userId, "shipping");
   }
+  return address?.country === "IN" ? address.pinCode : null;
+}
 
-  const created = await prisma.cartItem.create({
-    data: { userId: uid, productId: pid, variantId: vid, quantity },
-    include: cartInclude,
+/**
+ * Priced cart: per-line and per-brand totals, savings, applied coupon, tax, per-brand shipping and serviceability, warnings.
+ * @param {string} userId
+ * @param {{ cartItemIds?: string[], pinCode?: string, addressId?: string, paymentMethod?: string }} [opts] - Price only
+ *   these lines (e.g. a partial checkout); quote shipping to this PIN code or saved address (default: the default
+ *   shipping address); paymentMethod "cod" includes COD fees
+ * @throws {CartError} On an invalid PIN code or unknown address
+ */
+export async function getCartSummary(userId, opts = {}) {
+  const uid = normalizeId(userId);
+  const [{ items }, coupon, pinCode] = await Promise.all([
+    listCartItems(userId),
+    getCartCoupon(userId),
+    resolveQuotePinCode(uid, opts),
+  ]);
+  const priced = await priceCartItems(selectLines(items, opts.cartItemIds), {
+    coupon,
+    userId: uid,
+    pinCode,
+    paymentMethod: opts.paymentMethod,
   });
-  triggerPreferenceGraph(uid);
-  return created;
+  return toPublicSummary(priced);
+}
+
+/**
+ * Apply a coupon code to the cart after checking it against the current cart.
+ * @returns {Promise<Object>} Cart summary with the coupon applied
+ * @throws {PromotionError} 404 unknown code; 409 with the reason (expired, min_cart_value, ...) when it does not apply
+ */
+export async function applyCartCoupon(userId, code) {
+  const uid = normalizeId(userId);
+  if (!uid) throw new PromotionError("userId required");
+  const coupon = await findCouponByCode(code);
+  if (!coupon) throw new PromotionError("Coupon not found", "coupon_not_found", 404);
+  const [{ items }, pinCode] = await Promise.all([listCartItems(uid), resolveQuotePinCode(uid, {})]);
+  const priced = await priceCartItems(items, { coupon, userId: uid, pinCode });
+  if (!priced.coupon.applied) throw new PromotionError(priced.coupon.message, priced.coupon.reason, 409);
+  await setCartCoupon(uid, coupon.code);
+  return toPublicSummary(priced);
+}
+
+/**
+ * Remove the cart's coupon.
+ * @returns {Promise<boolean>} false if none was applied
+ */
+export async function removeCartCoupon(userId) {
+  return clearCartCoupon(userId);
 }
 
 /**
  * Remove from cart. If variantId omitted, remove the entry with variantId null for that product.
  */
 export async function removeFromCart(userId, productId, variantId = null) {
-  const uid = normalizeId(userId);
-  const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return false;
-  const prisma = getPrisma();
-  const where = { userId: uid, productId: pid };
-  if (vid !== null) where.variantId = vid;
-  else where.variantId = null;
-  const result = await prisma.cartItem.deleteMany({ where });
-  if ((result?.count ?? 0) > 0) triggerPreferenceGraph(uid);
-  return (result?.count ?? 0) > 0;
+  return removeLine(USER_CART, userId, productId, variantId);
 }
 
 /**
  * Check if product (and optional variant) is in user's cart.
  */
 export async function isInCart(userId, productId, variantId = null) {
+  return hasLine(USER_CART, userId, productId, variantId);
+}
+
+/** Guest cart (anonymous session id from domain/guest): same rules as the user cart, no coupons. */
+export async function listGuestCartItems(guestId) {
+  return listLines(GUEST_CART, guestId);
+}
+
+export async function addToGuestCart(guestId, productId, variantId = null, quantity = 1) {
+  return addLine(GUEST_CART, guestId, productId, variantId, quantity);
+}
+
+export async function updateGuestCartItem(guestId, cartItemId, changes = {}) {
+  return updateLine(GUEST_CART, guestId, cartItemId, changes);
+}
+
+export async function removeFromGuestCart(guestId, productId, variantId = null) {
+  return removeLine(GUEST_CART, guestId, productId, variantId);
+}
+
+export async function isInGuestCart(guestId, productId, variantId = null) {
+  return hasLine(GUEST_CART, guestId, productId, variantId);
+}
+
+/**
+ * @param {{ cartItemIds?: string[], pinCode?: string, paymentMethod?: string }} [opts]
+ * @throws {CartError} On an invalid PIN code
+ */
+export async function getGuestCartSummary(guestId, opts = {}) {
+  const [{ items }, pinCode] = await Promise.all([listGuestCartItems(guestId), resolveQuotePinCode(null, opts)]);
+  return toPublicSummary(
+    await priceCartItems(selectLines(items, opts.cartItemIds), { pinCode, paymentMethod: opts.paymentMethod })
+  );
+}
+
+/**
+ * Move a guest cart into a user's cart: quantities of matching lines are summed (capped at the per-line maximum),
+ * other lines are copied with their recorded price. Stock is not re-checked; the cart summary flags shortfalls.
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<{ merged: number, added: number }>}
+ */
+export async function mergeGuestCart(tx, guestId, userId) {
+  const gid = normalizeId(guestId);
   const uid = normalizeId(userId);
-  const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return false;
-  const prisma = getPrisma();
-  const row = await prisma.cartItem.findFirst({
-    where: { userId: uid, productId: pid, variantId: vid },
-  });
-  return Boolean(row);
+  if (!gid || !uid) return { merged: 0, added: 0 };
+  const guestLines = await tx.guestCartItem.findMany({ where: { guestId: gid } });
+  let merged = 0;
+  let added = 0;
+  for (const line of guestLines) {
+    const existing = await tx.cartItem.findFirst({
+      where: { userId: uid, productId: line.productId, variantId: line.variantId },
+    });
+    if (existing) {
+      await tx.cartItem.update({
+        where: { id: existing.id },
+        data: { quantity: Math.min(MAX_LINE_QUANTITY, existing.quantity + line.quantity), updatedAt: new Date() },
+      });
+      merged++;
+    } else {
+      await tx.cartItem.create({
+        data: {
+          userId: uid,
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: Math.min(MAX_LINE_QUANTITY, line.quantity),
+          unitPrice: line.unitPrice,
+        },
+      });
+      added++;
+    }
+  }
+  await tx.guestCartItem.deleteMany({ where: { guestId: gid } });
+  return { merged, added };
 }
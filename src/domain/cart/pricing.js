@@ -0,0 +1,244 @@
+/**
+ * Cart pricing: per-line and per-brand totals, compareAtPrice savings, coupon discount, tax, per-brand shipping quotes
+ * (see domain/shipping) and warnings (unavailable product/variant, stock, price changed since the line was added).
+ * Checkout prices through the same functions so the summary a customer sees is what the order charges.
+ * Tax is charged on each line's amount after its share of the coupon discount.
+ * All arithmetic in paise; output money fields are "0.00" strings (INR).
+ */
+import { getPrisma } from "../../core/db.js";
+import { toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { getAvailability } from "../inventory/inventory.js";
+import { evaluateCoupon } from "../promotion/promotion.js";
+import { quoteShipping } from "../shipping/shipping.js";
+
+/** Warnings that make a line impossible to price or buy; such lines are left out of the totals. */
+export const BLOCKING_WARNINGS = ["product_unavailable", "variant_unavailable"];
+
+/**
+ * Brand.taxRate is a percentage (e.g. 12 for 12% GST). Values <= 1 are treated as fractions (0.12).
+ */
+export function taxRateToFraction(taxRate) {
+  const n = Number(taxRate);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n <= 1 ? n : n / 100;
+}
+
+export function variantTitle(variant) {
+  if (!variant) return null;
+  const title = [variant.option1, variant.option2, variant.option3].filter(Boolean).join(" / ");
+  return title || null;
+}
+
+/**
+ * Pick the cart line's variant: explicit variantId must belong to the product; otherwise the first variant.
+ */
+export function resolveVariant(product, variantId) {
+  const variants = product?.variants ?? [];
+  if (variantId) return variants.find((v) => v.id === variantId) ?? null;
+  return variants[0] ?? null;
+}
+
+function priceLine(line, brand, stock) {
+  const { product } = line;
+  const warnings = [];
+  const quantity = Math.max(1, Number(line.quantity) || 1);
+  const base = {
+    cartItemId: line.id,
+    productId: product.id,
+    productTitle: product.title,
+    brandId: product.brandId,
+    imageUrl: product.images?.[0]?.src ?? null,
+    quantity,
+  };
+  if (product.status !== "active") {
+    warnings.push({ code: "product_unavailable", message: `"${product.title}" is no longer available` });
+  }
+  const variant = resolveVariant(product, line.variantId);
+  if (!variant) {
+    warnings.push({ code: "variant_unavailable", message: `Selected option for "${product.title}" is no longer available` });
+  }
+  if (warnings.length) {
+    return { ...base, variantId: line.variantId ?? null, variantTitle: null, purchasable: false, warnings };
+  }
+
+  const unit = toMinorUnits(variant.price);
+  const compareAt = toMinorUnits(variant.compareAtPrice);
+  const lineSubtotal = unit * quantity;
+  const savings = compareAt > unit ? (compareAt - unit) * quantity : 0;
+  const taxRate = taxRateToFraction(brand?.taxRate);
+
+  const available = stock?.tracked ? stock.available : null;
+  if (available != null && available <= 0) {
+    warnings.push({ code: "out_of_stock", message: `"${product.title}" is out of stock`, available: 0 });
+  } else if (available != null && available < quantity) {
+    warnings.push({ code: "insufficient_stock", message: `Only ${available} of "${product.title}" left in stock`, available });
+  }
+  if (line.unitPrice != null && toMinorUnits(line.unitPrice) !== unit) {
+    warnings.push({
+      code: "price_changed",
+      message: `Price of "${product.title}" changed from ${formatMinorUnits(toMinorUnits(line.unitPrice))} to ${formatMinorUnits(unit)}`,
+      previousPrice: formatMinorUnits(toMinorUnits(line.unitPrice)),
+    });
+  }
+
+  return {
+    ...base,
+    variantId: variant.id,
+    variantTitle: variantTitle(variant),
+    hsnCode: product.hsnCode ?? brand?.defaultHsnCode ?? null,
+    unitPrice: formatMinorUnits(unit),
+    compareAtPrice: compareAt > unit ? formatMinorUnits(compareAt) : null,
+    lineSubtotal: formatMinorUnits(lineSubtotal),
+    savings: formatMinorUnits(savings),
+    available,
+    purchasable: !warnings.some((w) => w.code === "out_of_stock" || w.code === "insufficient_stock"),
+    warnings,
+    minor: { unit, lineSubtotal, savings, taxRate, discount: 0, tax: 0, weightGrams: variant.weightGrams ?? null },
+  };
+}
+
+function finishLine(line, discount) {
+  if (!line.minor) return line;
+  const tax = Math.round((line.minor.lineSubtotal - discount) * line.minor.taxRate);
+  line.minor.discount = discount;
+  line.minor.tax = tax;
+  return { ...line, discount: formatMinorUnits(discount), tax: formatMinorUnits(tax) };
+}
+
+/**
+ * Price cart lines (as returned by listCartItems: product with brand, images, variants).
+ * @param {Array<Object>} cartItems
+ * @param {{ coupon?: Object, userId?: string, pinCode?: string, paymentMethod?: string }} [opts] - Coupon row to apply
+ *   (see domain/promotion); pinCode of the delivery address to check serviceability; paymentMethod "cod" adds COD fees
+ * @returns {Promise<{ lines, brands, itemCount, subtotal, savings, discount, tax, shipping, total, currency, coupon,
+ *   pinCode, serviceable, codAvailable, hasWarnings, minor }>}
+ *   Lines with BLOCKING_WARNINGS are listed but not counted. `coupon` is null, or { code, applied, discount, reason?, message? }.
+ *   Each brand carries its shipping quote and serviceability; serviceable is null until a PIN code is known.
+ *   `minor` carries the paise totals for callers that persist them.
+ */
+export async function priceCartItems(cartItems, opts = {}) {
+  const items = cartItems || [];
+  const prisma = getPrisma();
+  const brandIds = [...new Set(items.map((c) => c.product.brandId))];
+  const [brandRows, stock] = await Promise.all([
+    brandIds.length
+      ? prisma.brand.findMany({
+          where: { id: { in: brandIds } },
+          select: { id: true, name: true, logoUrl: true, taxRate: true, shopDomain: true, defaultHsnCode: true },
+        })
+      : [],
+    getAvailability(items.map((c) => resolveVariant(c.product, c.variantId)?.id)),
+  ]);
+  const brandById = new Map(brandRows.map((b) => [b.id, b]));
+
+  const rawLines = items.map((line) => {
+    const variant = resolveVariant(line.product, line.variantId);
+    return priceLine(line, brandById.get(line.product.brandId), variant ? stock.get(variant.id) : null);
+  });
+  const couponResult = opts.coupon ? await evaluateCoupon(opts.coupon, rawLines, opts.userId ?? null) : null;
+  const lines = rawLines.map((line) => finishLine(line, couponResult?.allocations.get(line.cartItemId) ?? 0));
+
+  const groups = new Map();
+  let subtotal = 0;
+  let savings = 0;
+  let discount = 0;
+  let tax = 0;
+  let itemCount = 0;
+  for (const line of lines) {
+    if (line.warnings.some((w) => BLOCKING_WARNINGS.includes(w.code))) continue;
+    if (!groups.has(line.brandId)) {
+      const brand = brandById.get(line.brandId);
+      groups.set(line.brandId, {
+        brandId: line.brandId,
+        name: brand?.name ?? null,
+        logoUrl: brand?.logoUrl ?? null,
+        shopDomain: brand?.shopDomain ?? null,
+        itemCount: 0,
+        shippingLines: [],
+        minor: { subtotal: 0, savings: 0, discount: 0, tax: 0, shipping: 0 },
+      });
+    }
+    const group = groups.get(line.brandId);
+    group.itemCount += line.quantity;
+    group.shippingLines.push({ quantity: line.quantity, weightGrams: line.minor.weightGrams });
+    group.minor.subtotal += line.minor.lineSubtotal;
+    group.minor.savings += line.minor.savings;
+    group.minor.discount += line.minor.discount;
+    group.minor.tax += line.minor.tax;
+    subtotal += line.minor.lineSubtotal;
+    savings += line.minor.savings;
+    discount += line.minor.discount;
+    tax += line.minor.tax;
+    itemCount += line.quantity;
+  }
+  const pinCode = opts.pinCode ?? null;
+  const quotes = await quoteShipping(
+    [...groups.values()].map((g) => ({
+      brandId: g.brandId,
+      netMinor: g.minor.subtotal - g.minor.discount,
+      quantity: g.itemCount,
+      lines: g.shippingLines,
+    })),
+    { pinCode, paymentMethod: opts.paymentMethod ?? null }
+  );
+  let shipping = 0;
+  const brands = [...groups.values()].map(({ shippingLines: _l, ...g }) => {
+    const quote = quotes.get(g.brandId);
+    g.minor.shipping = quote.shipping;
+    shipping += quote.shipping;
+    return {
+      ...g,
+      subtotal: formatMinorUnits(g.minor.subtotal),
+      savings: formatMinorUnits(g.minor.savings),
+      discount: formatMinorUnits(g.minor.discount),
+      tax: formatMinorUnits(g.minor.tax),
+      shipping: formatMinorUnits(quote.shipping),
+      codFee: quote.codFee ? formatMinorUnits(quote.codFee) : null,
+      total: formatMinorUnits(g.minor.subtotal - g.minor.discount + g.minor.tax + quote.shipping),
+      serviceable: quote.serviceable,
+      serviceabilityReason: quote.reason,
+      codAvailable: quote.codAvailable,
+      deliveryDays: quote.deliveryDays,
+    };
+  });
+  const total = subtotal - discount + tax + shipping;
+
+  return {
+    lines,
+    brands,
+    itemCount,
+    subtotal: formatMinorUnits(subtotal),
+    savings: formatMinorUnits(savings),
+    discount: formatMinorUnits(discount),
+    tax: formatMinorUnits(tax),
+    shipping: formatMinorUnits(shipping),
+    total: formatMinorUnits(total),
+    currency: "INR",
+    coupon: opts.coupon
+      ? {
+          code: opts.coupon.code,
+          description: opts.coupon.description ?? null,
+          applied: couponResult.applied,
+          discount: formatMinorUnits(discount),
+          ...(couponResult.applied ? {} : { reason: couponResult.code, message: couponResult.message }),
+        }
+      : null,
+    pinCode,
+    serviceable: brands.some((b) => b.serviceable === false) ? false : brands.some((b) => b.serviceable === null) ? null : true,
+    codAvailable: brands.length > 0 && brands.every((b) => b.codAvailable),
+    hasWarnings: lines.some((l) => l.warnings.length > 0) || brands.some((b) => b.serviceable === false),
+    minor: { subtotal, savings, discount, tax, shipping, total },
+  };
+}
+
+/**
+ * Drop internal fields (paise amounts, brand shopDomain) before sending a priced cart to clients.
+ */
+export function toPublicSummary(priced) {
+  const { minor: _minor, ...rest } = priced;
+  return {
+    ...rest,
+    lines: priced.lines.map(({ minor: _m, ...line }) => line),
+    brands: priced.brands.map(({ minor: _m, shopDomain: _d, ...brand }) => brand),
+  };
+}
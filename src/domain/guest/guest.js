@@ -0,0 +1,78 @@
+/**
+ * Guest sessions: anonymous shoppers get an opaque id (sent back as X-Guest-Id) that keys a guest cart and wishlist.
+ * On login the guest data is merged into the account and the session is deleted.
+ */
+import { randomBytes } from "crypto";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { mergeGuestCart } from "../cart/cart.js";
+import { mergeGuestWishlist } from "../preferences/preferences.js";
+import { triggerBuildPreferenceGraph } from "../preferences/preferenceGraph.js";
+
+/** Guest sessions untouched for this many days are deleted (with their cart and wishlist). */
+const GUEST_SESSION_TTL_DAYS = Number(process.env.GUEST_SESSION_TTL_DAYS) || 30;
+
+/** lastSeenAt is refreshed at most this often, to avoid a write per request. */
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+const GUEST_ID_PATTERN = /^g_[a-f0-9]{48}$/;
+
+export function isGuestIdFormat(guestId) {
+  return typeof guestId === "string" && GUEST_ID_PATTERN.test(guestId);
+}
+
+/**
+ * Start a guest session.
+ * @returns {Promise<{ guestId: string }>}
+ */
+export async function createGuestSession() {
+  const guestId = `g_${randomBytes(24).toString("hex")}`;
+  await getPrisma().guestSession.create({ data: { id: guestId } });
+  return { guestId };
+}
+
+/**
+ * Resolve a guest id to a live session (refreshing lastSeenAt), or null.
+ */
+export async function getGuestSession(guestId) {
+  if (!isGuestIdFormat(guestId)) return null;
+  const prisma = getPrisma();
+  const session = await prisma.guestSession.findUnique({ where: { id: guestId } });
+  if (!session) return null;
+  if (Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+    await prisma.guestSession.update({ where: { id: guestId }, data: { lastSeenAt: new Date() } });
+  }
+  return session;
+}
+
+/**
+ * Merge a guest cart and wishlist into a user account, delete the guest session, then rebuild the preference graph.
+ * Cart quantities are summed; wishlist duplicates are skipped.
+ * @returns {Promise<{ cart: { merged: number, added: number }, wishlist: { added: number, skipped: number } } | null>}
+ *   null when the guest session does not exist
+ */
+export async function mergeGuestIntoUser(guestId, userId) {
+  const uid = normalizeId(userId);
+  if (!uid || !isGuestIdFormat(guestId)) return null;
+  const prisma = getPrisma();
+  const result = await prisma.$transaction(async (tx) => {
+    const session = await tx.guestSession.findUnique({ where: { id: guestId }, select: { id: true } });
+    if (!session) return null;
+    const cart = await mergeGuestCart(tx, guestId, uid);
+    const wishlist = await mergeGuestWishlist(tx, guestId, uid);
+    await tx.guestSession.delete({ where: { id: guestId } });
+    return { cart, wishlist };
+  });
+  if (result) triggerBuildPreferenceGraph(uid);
+  return result;
+}
+
+/**
+ * Delete guest sessions idle for longer than GUEST_SESSION_TTL_DAYS.
+ * @returns {Promise<number>} Sessions deleted
+ */
+export async function purgeStaleGuestSessions(now = new Date()) {
+  const cutoff = new Date(now.getTime() - GUEST_SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const result = await getPrisma().guestSession.deleteMany({ where: { lastSeenAt: { lt: cutoff } } });
+  return result.count;
+}
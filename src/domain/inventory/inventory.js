@@ -0,0 +1,239 @@
+/**
+ * Inventory: stock checks against ProductVariant.inventoryQuantity and short-lived reservations for pending orders.
+ * inventoryQuantity is whatever the last Shopify sync / public import reported; reservations live in their own table
+ * so syncs never overwrite them. Available = inventoryQuantity - active, unexpired reservations.
+ * Untracked variants (inventoryTracked = false) are always available.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+
+/** How long checkout holds units while payment is pending (minutes). */
+const RESERVATION_MINUTES = Number(process.env.INVENTORY_RESERVATION_MINUTES) || 15;
+
+/** Thrown when a quantity exceeds available stock; API should respond with statusCode, code and the details. */
+export class InventoryError extends Error {
+  constructor(message, details = {}, code = "insufficient_stock", statusCode = 409) {
+    super(message);
+    this.name = "InventoryError";
+    this.code = code;
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+function activeReservationWhere(now = new Date()) {
+  return { status: "active", expiresAt: { gt: now } };
+}
+
+/**
+ * Available stock per variant.
+ * @param {string[]} variantIds
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<Map<string, { tracked: boolean, onHand: number, reserved: number, available: number }>>}
+ *   Untracked variants report available = Infinity.
+ */
+export async function getAvailability(variantIds, db = getPrisma()) {
+  const ids = [...new Set((variantIds || []).filter(Boolean))];
+  const result = new Map();
+  if (ids.length === 0) return result;
+  const [variants, reserved] = await Promise.all([
+    db.productVariant.findMany({
+      where: { id: { in: ids } },
+      select: { id: true, inventoryQuantity: true, inventoryTracked: true },
+    }),
+    db.inventoryReservation.groupBy({
+      by: ["variantId"],
+      where: { variantId: { in: ids }, ...activeReservationWhere() },
+      _sum: { quantity: true },
+    }),
+  ]);
+  const reservedById = new Map(reserved.map((r) => [r.variantId, r._sum.quantity ?? 0]));
+  for (const v of variants) {
+    const held = reservedById.get(v.id) ?? 0;
+    result.set(v.id, {
+      tracked: v.inventoryTracked,
+      onHand: v.inventoryQuantity,
+      reserved: held,
+      available: v.inventoryTracked ? Math.max(0, v.inventoryQuantity - held) : Infinity,
+    });
+  }
+  return result;
+}
+
+/**
+ * Throw InventoryError unless `quantity` units of the variant are available.
+ * @param {string} variantId
+ * @param {number} quantity - Total units the caller wants to hold (e.g. cart line quantity after the change)
+ * @param {{ title?: string }} [opts] - Product title for the error message
+ */
+export async function assertInStock(variantId, quantity, opts = {}) {
+  const vid = normalizeId(variantId);
+  if (!vid) return;
+  const stock = (await getAvailability([vid])).get(vid);
+  if (!stock || stock.available >= quantity) return;
+  throw stockError(vid, stock.available, opts.title);
+}
+
+function stockError(variantId, available, title) {
+  const what = title ? `"${title}"` : "This item";
+  const message =
+    available > 0 ? `Only ${available} of ${what} left in stock` : `${what} is out of stock`;
+  return new InventoryError(message, { variantId, available });
+}
+
+/**
+ * Reserve stock for an order inside the checkout transaction. Locks the variant rows so concurrent checkouts
+ * of the same variant serialize; throws InventoryError (rolling the checkout back) if any line is short.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} orderId
+ * @param {Array<{ variantId: string, quantity: number, productTitle?: string }>} lines
+ * @returns {Promise<Date>} When the reservations expire
+ */
+export async function reserveForOrder(tx, orderId, lines) {
+  const wanted = new Map();
+  for (const line of lines) {
+    if (!line.variantId) continue;
+    const entry = wanted.get(line.variantId) ?? { quantity: 0, title: line.productTitle };
+    entry.quantity += line.quantity;
+    wanted.set(line.variantId, entry);
+  }
+  const expiresAt = new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+  if (wanted.size === 0) return expiresAt;
+
+  const ids = [...wanted.keys()].sort();
+  await tx.$queryRaw`SELECT id FROM "ProductVariant" WHERE id IN (${Prisma.join(ids)}) ORDER BY id FOR UPDATE`;
+  const stock = await getAvailability(ids, tx);
+  const data = [];
+  for (const [variantId, { quantity, title }] of wanted) {
+    const s = stock.get(variantId);
+    if (!s?.tracked) continue;
+    if (s.available < quantity) throw stockError(variantId, s.available, title);
+    data.push({ variantId, orderId, quantity, expiresAt });
+  }
+  if (data.length) await tx.inventoryReservation.createMany({ data });
+  return expiresAt;
+}
+
+/**
+ * Payment went through (or a COD order was placed): turn the order's reservations into sold units by decrementing
+ * inventoryQuantity. A reservation that lapsed before this is committed only if its units are still available (its
+ * stock may have been released and sold again); otherwise it stays expired and the shortfall is logged.
+ * The next sync replaces inventoryQuantity with the source's figure.
+ * @returns {Promise<number>} Reservations committed
+ */
+export async function commitReservations(orderId) {
+  const oid = normalizeId(orderId);
+  if (!oid) return 0;
+  const prisma = getPrisma();
+  return prisma.$transaction(async (tx) => {
+    const rows = await tx.inventoryReservation.findMany({
+      where: { orderId: oid, status: { in: ["active", "expired"] } },
+    });
+    const now = new Date();
+    const lapsed = rows.filter((r) => r.status === "expired" || r.expiresAt <= now);
+    let stock = new Map();
+    if (lapsed.length) {
+      const ids = [...new Set(lapsed.map((r) => r.variantId))].sort();
+      await tx.$queryRaw`SELECT id FROM "ProductVariant" WHERE id IN (${Prisma.join(ids)}) ORDER BY id FOR UPDATE`;
+      stock = await getAvailability(ids, tx);
+    }
+    let committed = 0;
+    for (const r of rows) {
+      if (lapsed.includes(r)) {
+        const s = stock.get(r.variantId);
+        if (s && s.available < r.quantity) {
+          console.warn(
+            `[inventory] Order ${oid}: reservation ${r.id} lapsed and only ${s.available} of ${r.quantity} unit(s) of variant ${r.variantId} are left; not committed`
+          );
+          continue;
+        }
+        if (s) s.available -= r.quantity;
+      }
+      const updated = await tx.inventoryReservation.updateMany({
+        where: { id: r.id, status: r.status },
+        data: { status: "committed" },
+      });
+      if (updated.count === 0) continue;
+      await tx.productVariant.update({
+        where: { id: r.variantId },
+        data: { inventoryQuantity: { decrement: r.quantity } },
+      });
+      committed++;
+    }
+    return committed;
+  });
+}
+
+/**
+ * Give back an order's held units (order cancelled before payment completed).
+ * @param {string} orderId
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<number>} Reservations released
+ */
+export async function releaseReservations(orderId, db = getPrisma()) {
+  const oid = normalizeId(orderId);
+  if (!oid) return 0;
+  const result = await db.inventoryReservation.updateMany({
+    where: { orderId: oid, status: "active" },
+    data: { status: "released" },
+  });
+  return result.count;
+}
+
+/**
+ * Put an order's sold units back on the shelf (a paid or confirmed COD order cancelled before shipping): committed
+ * reservations become restocked and inventoryQuantity is incremented by their quantity. Each row moves once, so a
+ * repeated call restocks nothing.
+ * @param {string} orderId
+ * @param {Object} [db] - Prisma client or transaction client
+ * @returns {Promise<number>} Reservations restocked
+ */
+export async function restockCommittedReservations(orderId, db = getPrisma()) {
+  const oid = normalizeId(orderId);
+  if (!oid) return 0;
+  const rows = await db.inventoryReservation.findMany({ where: { orderId: oid, status: "committed" } });
+  let restocked = 0;
+  for (const r of rows) {
+    const updated = await db.inventoryReservation.updateMany({
+      where: { id: r.id, status: "committed" },
+      data: { status: "restocked" },
+    });
+    if (updated.count === 0) continue;
+    await db.productVariant.update({
+      where: { id: r.variantId },
+      data: { inventoryQuantity: { increment: r.quantity } },
+    });
+    restocked++;
+  }
+  return restocked;
+}
+
+/**
+ * Mark lapsed reservations expired. Availability already ignores them; this keeps the table tidy and the status honest.
+ * @returns {Promise<number>} Reservations expired
+ */
+export async function expireReservations(now = new Date()) {
+  const prisma = getPrisma();
+  const result = await prisma.inventoryReservation.updateMany({
+    where: { status: "active", expiresAt: { lte: now } },
+    data: { status: "expired" },
+  });
+  return result.count;
+}
+
+/**
+ * Units held by active reservations per variant (of those given, only variants with holds); syncs keep these rows
+ * instead of deleting them.
+ * @returns {Promise<Map<string, number>>}
+ */
+export async function activeReservedQuantities(variantIds, db = getPrisma()) {
+  const ids = (variantIds || []).filter(Boolean);
+  if (ids.length === 0) return new Map();
+  const rows = await db.inventoryReservation.groupBy({
+    by: ["variantId"],
+    where: { variantId: { in: ids }, ...activeReservationWhere() },
+    _sum: { quantity: true },
+  });
+  return new Map(rows.map((r) => [r.variantId, r._sum.quantity ?? 0]));
+}
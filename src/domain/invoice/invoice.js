@@ -0,0 +1,357 @@
+/**
+ * GST tax invoices: one per brand sub-order, issued by the brand (the supplier) once the order is paid.
+ * Tax is split by place of supply: CGST + SGST when the shipping state matches the brand's GSTIN state, IGST otherwise.
+ * Invoice numbers run sequentially per brand and financial year (April-March, IST): "2025-26/00001".
+ * The HTML and PDF are stored with uploadFile under invoices/{userId}/{brandId}/ and served by /api/storage/access.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, safeJsonParse, toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { uploadFile } from "../../utils/storage.js";
+import { taxRateToFraction } from "../cart/pricing.js";
+import { findIndianState } from "../address/indianStates.js";
+import { renderInvoiceHtml, renderInvoicePdf } from "./invoiceDocument.js";
+import { isReleasedForFulfilment } from "../order/orderStatus.js";
+
+/** Lines that were never supplied are left off the invoice. */
+const UNINVOICED_ITEM_STATUSES = ["cancelled"];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/** HSN codes are 4, 6 or 8 digits. */
+const HSN_PATTERN = /^[0-9]{4}([0-9]{2}){0,2}$/;
+
+/** IST offset, for the financial year and invoice date. */
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/** Thrown when an invoice cannot be issued or GST details are invalid; API should respond with statusCode and code. */
+export class InvoiceError extends Error {
+  constructor(message, code = "invoice_invalid", statusCode = 400) {
+    super(message);
+    this.name = "InvoiceError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function gstinCheckChar(first14) {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARS.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARS[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Validate a GSTIN (format, state code and check character). Empty input clears it.
+ * @returns {string|null} Upper-cased GSTIN
+ * @throws {InvoiceError} invalid_gstin
+ */
+export function normalizeGstin(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const gstin = String(value).trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(gstin) || !findIndianState(gstin.slice(0, 2))) {
+    throw new InvoiceError("gstin must be a valid 15-character GSTIN", "invalid_gstin");
+  }
+  if (gstinCheckChar(gstin.slice(0, 14)) !== gstin[14]) {
+    throw new InvoiceError("gstin check character does not match", "invalid_gstin");
+  }
+  return gstin;
+}
+
+/**
+ * Validate an HSN code (4, 6 or 8 digits). Empty input clears it.
+ * @throws {InvoiceError} invalid_hsn_code
+ */
+export function normalizeHsnCode(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const code = String(value).replace(/\s+/g, "");
+  if (!HSN_PATTERN.test(code)) throw new InvoiceError("hsnCode must be 4, 6 or 8 digits", "invalid_hsn_code");
+  return code;
+}
+
+/** Indian financial year of a date, e.g. "2025-26". */
+export function financialYearOf(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+function placeOfSupply(shippingAddress) {
+  const a = safeJsonParse(shippingAddress);
+  if (!a || typeof a !== "object") return null;
+  if ((a.countryCode || "IN").toUpperCase() !== "IN") return null;
+  return findIndianState(a.stateCode || a.state);
+}
+
+function splitTax(taxMinor, interState) {
+  if (interState) return { cgst: 0, sgst: 0, igst: taxMinor };
+  const cgst = Math.floor(taxMinor / 2);
+  return { cgst, sgst: taxMinor - cgst, igst: 0 };
+}
+
+/**
+ * Build the invoice document (everything printed on it) for a sub-order.
+ */
+function buildInvoiceData({ subOrder, brand, items, invoiceNumber, issuedAt }) {
+  const supplierState = findIndianState(brand.gstin.slice(0, 2));
+  const pos = placeOfSupply(subOrder.shippingAddress);
+  if (!pos) {
+    throw new InvoiceError("Shipping address has no Indian state; place of supply is unknown", "place_of_supply_unknown", 409);
+  }
+  const interState = pos.gstCode !== supplierState.gstCode;
+  const brandRate = taxRateToFraction(brand.taxRate);
+
+  const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0 };
+  const lines = items.map((item) => {
+    const taxable = toMinorUnits(item.totalPrice) - toMinorUnits(item.discount);
+    const rate = item.taxRate ?? brandRate;
+    const tax = item.taxRate != null ? toMinorUnits(item.tax) : Math.round(taxable * rate);
+    const split = splitTax(tax, interState);
+    totals.taxable += taxable;
+    totals.cgst += split.cgst;
+    totals.sgst += split.sgst;
+    totals.igst += split.igst;
+    return {
+      description: item.variantTitle ? `${item.productTitle} (${item.variantTitle})` : item.productTitle,
+      hsnCode: item.hsnCode ?? brand.defaultHsnCode ?? null,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      discount: formatMinorUnits(toMinorUnits(item.discount)),
+      taxableValue: formatMinorUnits(taxable),
+      taxRatePercent: Math.round(rate * 10000) / 100,
+      cgst: formatMinorUnits(split.cgst),
+      sgst: formatMinorUnits(split.sgst),
+      igst: formatMinorUnits(split.igst),
+      total: formatMinorUnits(taxable + tax),
+    };
+  });
+  const shipping = toMinorUnits(subOrder.shipping);
+  const tax = totals.cgst + totals.sgst + totals.igst;
+  const address = safeJsonParse(subOrder.shippingAddress) || {};
+  return {
+    invoiceNumber,
+    issuedAt: issuedAt.toISOString(),
+    orderNumber: subOrder.orderNumber,
+    orderDate: subOrder.createdAt.toISOString(),
+    supplyType: interState ? "inter_state" : "intra_state",
+    reverseCharge: false,
+    supplier: {
+      name: brand.legalName || brand.name,
+      tradeName: brand.name,
+      gstin: brand.gstin,
+      address: brand.gstAddress ?? null,
+      state: supplierState.name,
+      stateCode: supplierState.gstCode,
+    },
+    recipient: {
+      name: address.name || subOrder.customerName || null,
+      phone: address.phone || subOrder.customerPhone || null,
+      addressLines: [address.line1, address.line2, address.landmark, [address.city, address.pinCode].filter(Boolean).join(" ")]
+        .filter(Boolean),
+      state: pos.name,
+      stateCode: pos.gstCode,
+    },
+    placeOfSupply: { state: pos.name, stateCode: pos.gstCode },
+    lines,
+    totals: {
+      taxableValue: formatMinorUnits(totals.taxable),
+      cgst: formatMinorUnits(totals.cgst),
+      sgst: formatMinorUnits(totals.sgst),
+      igst: formatMinorUnits(totals.igst),
+      tax: formatMinorUnits(tax),
+      shipping: formatMinorUnits(shipping),
+      total: formatMinorUnits(totals.taxable + tax + shipping),
+    },
+    currency: subOrder.currency || "INR",
+  };
+}
+
+/**
+ * Render and store the invoice's HTML and PDF (again), recording their storage keys.
+ * @returns {Promise<Object>} Updated invoice row
+ */
+async function storeInvoiceDocuments(invoice) {
+  const data = JSON.parse(invoice.data);
+  const base = `invoices/${invoice.userId || "guest"}/${invoice.brandId || "brand"}/{hash}`;
+  const [html, pdf] = await Promise.all([
+    uploadFile(Buffer.from(renderInvoiceHtml(data), "utf8"), base, "text/html"),
+    uploadFile(renderInvoicePdf(data), base, "application/pdf"),
+  ]);
+  return getPrisma().invoice.update({
+    where: { id: invoice.id },
+    data: { htmlKey: html.key, pdfKey: pdf.key },
+  });
+}
+
+function isUniqueViolation(err) {
+  return err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002";
+}
+
+/**
+ * Issue the tax invoice for a brand sub-order, or return the one already issued. Idempotent; documents that failed
+ * to upload earlier are stored again.
+ * @param {string} subOrderId
+ * @returns {Promise<Object>} Invoice row
+ * @throws {InvoiceError} not a sub-order, unpaid (and not confirmed COD) or cancelled order, brand without GSTIN,
+ *   unknown place of supply
+ */
+export async function issueInvoice(subOrderId) {
+  const sid = normalizeId(subOrderId);
+  if (!sid) throw new InvoiceError("orderId required");
+  const prisma = getPrisma();
+  let invoice = await prisma.invoice.findUnique({ where: { orderId: sid } });
+  if (!invoice) {
+    const subOrder = await prisma.order.findUnique({
+      where: { id: sid },
+      include: { brand: true, parentOrder: { select: { paymentMethod: true } } },
+    });
+    if (!subOrder?.parentOrderId || !subOrder.brand) {
+      throw new InvoiceError("Invoices are issued per brand sub-order", "not_a_sub_order", 404);
+    }
+    const paymentMethod = subOrder.parentOrder?.paymentMethod ?? null;
+    if (!isReleasedForFulfilment({ ...subOrder, paymentMethod })) {
+      throw new InvoiceError("Order is not paid", "order_not_invoiceable", 409);
+    }
+    const brand = subOrder.brand;
+    if (!brand.gstin) throw new InvoiceError(`${brand.name} has no GSTIN on file`, "gstin_required", 409);
+    const items = await prisma.orderItem.findMany({
+      where: { orderId: subOrder.parentOrderId, brandId: brand.id, status: { notIn: UNINVOICED_ITEM_STATUSES } },
+      orderBy: { createdAt: "asc" },
+    });
+    if (items.length === 0) throw new InvoiceError("No invoiceable lines", "order_not_invoiceable", 409);
+
+    const issuedAt = new Date();
+    const financialYear = financialYearOf(issuedAt);
+    try {
+      invoice = await prisma.$transaction(async (tx) => {
+        const seq = await tx.invoiceSequence.upsert({
+          where: { brandId_financialYear: { brandId: brand.id, financialYear } },
+          create: { brandId: brand.id, financialYear, lastNumber: 1 },
+          update: { lastNumber: { increment: 1 } },
+        });
+        const invoiceNumber = `${financialYear}/${String(seq.lastNumber).padStart(5, "0")}`;
+        const data = buildInvoiceData({ subOrder, brand, items, invoiceNumber, issuedAt });
+        return tx.invoice.create({
+          data: {
+            orderId: sid,
+            brandId: brand.id,
+            userId: subOrder.userId,
+            invoiceNumber,
+            financialYear,
+            sequence: seq.lastNumber,
+            supplyType: data.supplyType,
+            taxableValue: data.totals.taxableValue,
+            cgst: data.totals.cgst,
+            sgst: data.totals.sgst,
+            igst: data.totals.igst,
+            total: data.totals.total,
+            data: JSON.stringify(data),
+            issuedAt,
+          },
+        });
+      });
+    } catch (err) {
+      if (!isUniqueViolation(err)) throw err;
+      invoice = await prisma.invoice.findUnique({ where: { orderId: sid } });
+      if (!invoice) throw err;
+    }
+  }
+  if (!invoice.htmlKey || !invoice.pdfKey) invoice = await storeInvoiceDocuments(invoice);
+  return invoice;
+}
+
+/**
+ * Issue invoices for every brand sub-order of a paid customer order. Brands that cannot be invoiced yet (no GSTIN)
+ * are reported, not fatal.
+ * @returns {Promise<Array<{ subOrderId, invoiceId?, invoiceNumber?, code?, error? }>>}
+ */
+export async function issueInvoicesForOrder(orderId) {
+  const oid = normalizeId(orderId);
+  if (!oid) return [];
+  const subOrders = await getPrisma().order.findMany({ where: { parentOrderId: oid }, select: { id: true } });
+  const results = [];
+  for (const sub of subOrders) {
+    try {
+      const invoice = await issueInvoice(sub.id);
+      results.push({ subOrderId: sub.id, invoiceId: invoice.id, invoiceNumber: invoice.invoiceNumber });
+    } catch (err) {
+      if (err.name !== "InvoiceError") throw err;
+      results.push({ subOrderId: sub.id, code: err.code, error: err.message });
+    }
+  }
+  return results;
+}
+
+/** Storage-access URL for a stored invoice file. */
+function accessUrl(key) {
+  return key ? `/api/storage/access?key=${encodeURIComponent(key)}` : null;
+}
+
+/**
+ * Invoice as returned by the API: amounts, number and links to the HTML and PDF.
+ */
+export function toPublicInvoice(invoice) {
+  return {
+    id: invoice.id,
+    orderId: invoice.orderId,
+    brandId: invoice.brandId,
+    invoiceNumber: invoice.invoiceNumber,
+    financialYear: invoice.financialYear,
+    supplyType: invoice.supplyType,
+    taxableValue: invoice.taxableValue,
+    cgst: invoice.cgst,
+    sgst: invoice.sgst,
+    igst: invoice.igst,
+    total: invoice.total,
+    issuedAt: invoice.issuedAt,
+    htmlUrl: accessUrl(invoice.htmlKey),
+    pdfUrl: accessUrl(invoice.pdfKey),
+  };
+}
+
+/**
+ * Invoices for a customer's order, issuing any that are due.
+ * @returns {Promise<{ invoices: Object[], pending: Array<{ subOrderId, code, error }> }>}
+ * @throws {InvoiceError} 404 when the order is not the user's
+ */
+export async function getOrderInvoicesForUser(orderId, userId) {
+  const oid = normalizeId(orderId);
+  const uid = normalizeId(userId);
+  const prisma = getPrisma();
+  const order =
+    oid && uid ? await prisma.order.findFirst({ where: { id: oid, userId: uid, parentOrderId: null }, select: { id: true } }) : null;
+  if (!order) throw new InvoiceError("Order not found", "order_not_found", 404);
+  const results = await issueInvoicesForOrder(order.id);
+  const ids = results.filter((r) => r.invoiceId).map((r) => r.invoiceId);
+  const invoices = ids.length ? await prisma.invoice.findMany({ where: { id: { in: ids } }, orderBy: { issuedAt: "asc" } }) : [];
+  return {
+    invoices: invoices.map(toPublicInvoice),
+    pending: results.filter((r) => !r.invoiceId).map(({ subOrderId, code, error }) => ({ subOrderId, code, error })),
+  };
+}
+
+/**
+ * A brand's invoices, newest first.
+ * @param {{ financialYear?: string, limit?: number, offset?: number }} [opts]
+ */
+export async function listBrandInvoices(brandId, opts = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) return { items: [], total: 0 };
+  const { limit = 50, offset = 0 } = opts;
+  const where = { brandId: bid };
+  if (opts.financialYear) where.financialYear = String(opts.financialYear);
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      orderBy: { issuedAt: "desc" },
+      take: Math.min(Number(limit) || 50, 200),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.invoice.count({ where }),
+  ]);
+  return { items: items.map(toPublicInvoice), total };
+}
@@ -0,0 +1,209 @@
+/**
+ * Render an invoice document (see buildInvoiceData in invoice.js) as standalone HTML or as a PDF.
+ */
+import { SimplePdf, PAGE_HEIGHT } from "../../utils/pdf.js";
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata", day: "2-digit", month: "short", year: "numeric" });
+}
+
+function taxColumns(doc) {
+  return doc.supplyType === "intra_state"
+    ? [
+        { key: "cgst", label: "CGST" },
+        { key: "sgst", label: "SGST" },
+      ]
+    : [{ key: "igst", label: "IGST" }];
+}
+
+/**
+ * @param {Object} doc - Invoice document
+ * @returns {string} Complete HTML page
+ */
+export function renderInvoiceHtml(doc) {
+  const taxes = taxColumns(doc);
+  const rows = doc.lines
+    .map(
+      (l, i) => `<tr>
+  <td>${i + 1}</td><td>${escapeHtml(l.description)}</td><td>${escapeHtml(l.hsnCode ?? "")}</td>
+  <td class="num">${l.quantity}</td><td class="num">${l.unitPrice}</td><td class="num">${l.discount}</td>
+  <td class="num">${l.taxableValue}</td><td class="num">${l.taxRatePercent}%</td>
+  ${taxes.map((t) => `<td class="num">${l[t.key]}</td>`).join("")}<td class="num">${l.total}</td>
+</tr>`
+    )
+    .join("\n");
+  const span = 7;
+  const totalRow = (label, value) =>
+    `<tr class="total"><td colspan="${span + taxes.length}">${escapeHtml(label)}</td><td class="num">${value}</td></tr>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Tax Invoice ${escapeHtml(doc.invoiceNumber)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #111; margin: 32px; }
+  h1 { font-size: 20px; margin: 0 0 16px; }
+  .parties { display: flex; gap: 32px; margin-bottom: 16px; }
+  .parties div { flex: 1; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; }
+  .num { text-align: right; }
+  tr.total td { font-weight: bold; }
+  .meta td { border: none; padding: 2px 8px 2px 0; }
+</style>
+</head>
+<body>
+<h1>Tax Invoice</h1>
+<table class="meta">
+  <tr><td>Invoice number</td><td>${escapeHtml(doc.invoiceNumber)}</td></tr>
+  <tr><td>Invoice date</td><td>${formatDate(doc.issuedAt)}</td></tr>
+  <tr><td>Order</td><td>${escapeHtml(doc.orderNumber)} (${formatDate(doc.orderDate)})</td></tr>
+  <tr><td>Place of supply</td><td>${escapeHtml(doc.placeOfSupply.state)} (${doc.placeOfSupply.stateCode})</td></tr>
+  <tr><td>Reverse charge</td><td>${doc.reverseCharge ? "Yes" : "No"}</td></tr>
+</table>
+<div class="parties">
+  <div>
+    <h3>Sold by</h3>
+    <strong>${escapeHtml(doc.supplier.name)}</strong><br>
+    ${doc.supplier.tradeName !== doc.supplier.name ? `${escapeHtml(doc.supplier.tradeName)}<br>` : ""}
+    ${doc.supplier.address ? `${escapeHtml(doc.supplier.address)}<br>` : ""}
+    ${escapeHtml(doc.supplier.state)} (${doc.supplier.stateCode})<br>
+    GSTIN: ${escapeHtml(doc.supplier.gstin)}
+  </div>
+  <div>
+    <h3>Ship to</h3>
+    <strong>${escapeHtml(doc.recipient.name ?? "")}</strong><br>
+    ${doc.recipient.addressLines.map((l) => `${escapeHtml(l)}<br>`).join("")}
+    ${escapeHtml(doc.recipient.state)} (${doc.recipient.stateCode})<br>
+    ${doc.recipient.phone ? `Phone: ${escapeHtml(doc.recipient.phone)}` : ""}
+  </div>
+</div>
+<table>
+<thead><tr>
+  <th>#</th><th>Item</th><th>HSN</th><th class="num">Qty</th><th class="num">Rate</th><th class="num">Discount</th>
+  <th class="num">Taxable value</th><th class="num">GST</th>${taxes.map((t) => `<th class="num">${t.label}</th>`).join("")}<th class="num">Total</th>
+</tr></thead>
+<tbody>
+${rows}
+${totalRow("Taxable value", doc.totals.taxableValue)}
+${taxes.map((t) => totalRow(t.label, doc.totals[t.key])).join("\n")}
+${doc.totals.shipping !== "0.00" ? totalRow("Shipping", doc.totals.shipping) : ""}
+${totalRow(`Invoice total (${doc.currency})`, doc.totals.total)}
+</tbody>
+</table>
+<p>This is a computer-generated invoice issued on behalf of ${escapeHtml(doc.supplier.name)}.</p>
+</body>
+</html>
+`;
+}
+
+const MARGIN = 40;
+const RIGHT = 555;
+
+/**
+ * @param {Object} doc - Invoice document
+ * @returns {Buffer} PDF file
+ */
+export function renderInvoicePdf(doc) {
+  const pdf = new SimplePdf();
+  const taxes = taxColumns(doc);
+  let y = 56;
+
+  pdf.text("Tax Invoice", MARGIN, y, { size: 18, bold: true });
+  y += 24;
+  const meta = [
+    ["Invoice number", doc.invoiceNumber],
+    ["Invoice date", formatDate(doc.issuedAt)],
+    ["Order", `${doc.orderNumber} (${formatDate(doc.orderDate)})`],
+    ["Place of supply", `${doc.placeOfSupply.state} (${doc.placeOfSupply.stateCode})`],
+    ["Reverse charge", doc.reverseCharge ? "Yes" : "No"],
+  ];
+  for (const [label, value] of meta) {
+    pdf.text(label, MARGIN, y, { size: 9 });
+    pdf.text(value, MARGIN + 100, y, { size: 9 });
+    y += 13;
+  }
+  y += 10;
+
+  const supplier = [
+    doc.supplier.name,
+    doc.supplier.tradeName !== doc.supplier.name ? doc.supplier.tradeName : null,
+    doc.supplier.address,
+    `${doc.supplier.state} (${doc.supplier.stateCode})`,
+    `GSTIN: ${doc.supplier.gstin}`,
+  ].filter(Boolean);
+  const recipient = [
+    doc.recipient.name,
+    ...doc.recipient.addressLines,
+    `${doc.recipient.state} (${doc.recipient.stateCode})`,
+    doc.recipient.phone ? `Phone: ${doc.recipient.phone}` : null,
+  ].filter(Boolean);
+  pdf.text("Sold by", MARGIN, y, { size: 10, bold: true });
+  pdf.text("Ship to", 310, y, { size: 10, bold: true });
+  y += 14;
+  for (let i = 0; i < Math.max(supplier.length, recipient.length); i++) {
+    if (supplier[i]) pdf.text(supplier[i].slice(0, 48), MARGIN, y, { size: 9, bold: i === 0 });
+    if (recipient[i]) pdf.text(recipient[i].slice(0, 48), 310, y, { size: 9, bold: i === 0 });
+    y += 12;
+  }
+  y += 12;
+
+  const columns = [
+    { label: "Item", x: MARGIN },
+    { label: "HSN", x: 205 },
+    { label: "Qty", x: 265, right: true },
+    { label: "Taxable", x: 330, right: true },
+    { label: "GST", x: 365, right: true },
+    ...taxes.map((t, i) => ({ label: t.label, key: t.key, x: taxes.length === 2 ? 425 + i * 60 : 455, right: true })),
+    { label: "Total", x: RIGHT, right: true },
+  ];
+  const header = () => {
+    for (const c of columns) pdf.text(c.label, c.x, y, { size: 9, bold: true, align: c.right ? "right" : "left" });
+    y += 5;
+    pdf.line(MARGIN, y, RIGHT, y);
+    y += 13;
+  };
+  header();
+  for (const l of doc.lines) {
+    if (y > PAGE_HEIGHT - 120) {
+      pdf.addPage();
+      y = 56;
+      header();
+    }
+    pdf.text(l.description.slice(0, 34), MARGIN, y, { size: 9 });
+    pdf.text(l.hsnCode ?? "", 205, y, { size: 9 });
+    pdf.text(String(l.quantity), 265, y, { size: 9, align: "right" });
+    pdf.text(l.taxableValue, 330, y, { size: 9, align: "right" });
+    pdf.text(`${l.taxRatePercent}%`, 365, y, { size: 9, align: "right" });
+    for (const c of columns.filter((c) => c.key)) pdf.text(l[c.key], c.x, y, { size: 9, align: "right" });
+    pdf.text(l.total, RIGHT, y, { size: 9, align: "right" });
+    y += 14;
+  }
+  pdf.line(MARGIN, y - 8, RIGHT, y - 8);
+  y += 6;
+
+  const totals = [
+    ["Taxable value", doc.totals.taxableValue],
+    ...taxes.map((t) => [t.label, doc.totals[t.key]]),
+    ...(doc.totals.shipping !== "0.00" ? [["Shipping", doc.totals.shipping]] : []),
+    [`Invoice total (${doc.currency})`, doc.totals.total],
+  ];
+  totals.forEach(([label, value], i) => {
+    const bold = i === totals.length - 1;
+    pdf.text(label, 380, y, { size: 10, bold });
+    pdf.text(value, RIGHT, y, { size: 10, bold, align: "right" });
+    y += 15;
+  });
+  y += 20;
+  pdf.text(`This is a computer-generated invoice issued on behalf of ${doc.supplier.name}.`, MARGIN, y, { size: 8 });
+  return pdf.toBuffer();
+}
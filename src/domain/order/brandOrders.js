@@ -0,0 +1,269 @@
+/**
+ * Brand order dashboard: the order lines of one brand, packing/shipping them, and revenue.
+ * A brand only ever sees its own OrderItems and its own sub-order (ship-to details and brand totals); the customer
+ * order's other lines and totals are never exposed. Orders awaiting payment stay hidden (and cannot be fulfilled)
+ * until they are paid or, for cash on delivery, confirmed.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, safeJsonParse, formatMinorUnits } from "../../core/helpers.js";
+import { OrderError } from "./order.js";
+import { ORDER_STATUSES, transitionOrderItem } from "./orderStatus.js";
+
+/** Payment states that count as a sale in the revenue summary. */
+const PAID_STATUSES = ["authorized", "captured", "refund_pending", "refunded"];
+
+/** Line statuses whose value is not (or no longer) revenue. */
+const NON_REVENUE_STATUSES = ["cancelled", "returned", "refunded"];
+
+const MAX_BULK_ITEMS = 100;
+
+/** Customer orders a brand may see: paid (including later refunded) or cash-on-delivery orders past pending. */
+const VISIBLE_ORDER_WHERE = {
+  OR: [
+    { paymentStatus: { in: PAID_STATUSES } },
+    { paymentMethod: { equals: "cod", mode: "insensitive" }, status: { not: "pending" } },
+  ],
+};
+
+function parseDate(value, field) {
+  if (value == null || value === "") return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new OrderError(`${field} must be a valid date`, "invalid_date");
+  return d;
+}
+
+function dateRange(opts) {
+  const from = parseDate(opts.from, "from");
+  const to = parseDate(opts.to, "to");
+  if (from && to && to < from) throw new OrderError("to must not be before from", "invalid_date");
+  return { from, to };
+}
+
+function toBrandLine(item, subOrder) {
+  return {
+    id: item.id,
+    orderId: item.orderId,
+    productId: item.productId,
+    variantId: item.variantId,
+    productTitle: item.productTitle,
+    variantTitle: item.variantTitle,
+    imageUrl: item.imageUrl,
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    totalPrice: item.totalPrice,
+    discount: item.discount,
+    status: item.status,
+    trackingNumber: item.trackingNumber,
+    carrier: item.carrier,
+    trackingUrl: item.trackingUrl,
+    createdAt: item.createdAt,
+    subOrder: subOrder
+      ? {
+          id: subOrder.id,
+          orderNumber: subOrder.orderNumber,
+          status: subOrder.status,
+          paymentStatus: subOrder.paymentStatus,
+          customerName: subOrder.customerName,
+          customerPhone: subOrder.customerPhone,
+          shippingAddress: safeJsonParse(subOrder.shippingAddress) ?? subOrder.shippingAddress,
+          subtotal: subOrder.subtotal,
+          discount: subOrder.discount,
+          tax: subOrder.tax,
+          shipping: subOrder.shipping,
+          total: subOrder.total,
+        }
+      : null,
+  };
+}
+
+async function attachSubOrders(prisma, brandId, items) {
+  const orderIds = [...new Set(items.map((i) => i.orderId))];
+  const subOrders = orderIds.length
+    ? await prisma.order.findMany({ where: { parentOrderId: { in: orderIds }, brandId } })
+    : [];
+  const byParent = new Map(subOrders.map((o) => [o.parentOrderId, o]));
+  return items.map((i) => toBrandLine(i, byParent.get(i.orderId)));
+}
+
+/**
+ * A brand's order lines, newest first.
+ * @param {string} brandId
+ * @param {{ status?: string, from?: string, to?: string, paymentStatus?: string, limit?: number, offset?: number }} [opts]
+ *   from/to filter on when the order was placed
+ * @returns {Promise<{ items, total }>}
+ * @throws {OrderError} On an unknown status or invalid date
+ */
+export async function listBrandOrderItems(brandId, opts = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) return { items: [], total: 0 };
+  const { limit = 50, offset = 0 } = opts;
+  const where = { brandId: bid, order: VISIBLE_ORDER_WHERE };
+  if (opts.status) {
+    const statuses = String(opts.status).split(",").map((s) => s.trim()).filter(Boolean);
+    const unknown = statuses.find((s) => !ORDER_STATUSES.includes(s));
+    if (unknown) throw new OrderError(`Unknown status: ${unknown}`, "invalid_status");
+    where.status = { in: statuses };
+  }
+  const { from, to } = dateRange(opts);
+  if (from || to) where.createdAt = { ...(from ? { gte: from } : {}), ...(to ? { lte: to } : {}) };
+  if (opts.paymentStatus) where.order = { AND: [VISIBLE_ORDER_WHERE, { paymentStatus: String(opts.paymentStatus) }] };
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.orderItem.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: Math.min(Number(limit) || 50, 200),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.orderItem.count({ where }),
+  ]);
+  return { items: await attachSubOrders(prisma, bid, items), total };
+}
+
+/**
+ * One of the brand's order lines, or null (also for a line on an order awaiting payment).
+ */
+export async function getBrandOrderItem(brandId, itemId) {
+  const bid = normalizeId(brandId);
+  const iid = normalizeId(itemId);
+  if (!bid || !iid) return null;
+  const prisma = getPrisma();
+  const item = await prisma.orderItem.findFirst({ where: { id: iid, brandId: bid, order: VISIBLE_ORDER_WHERE } });
+  if (!item) return null;
+  const [line] = await attachSubOrders(prisma, bid, [item]);
+  return line;
+}
+
+function parseItemIds(itemIds) {
+  const ids = [...new Set((Array.isArray(itemIds) ? itemIds : []).map((id) => normalizeId(id)).filter(Boolean))];
+  if (ids.length === 0) throw new OrderError("itemIds must be a non-empty array", "items_required");
+  if (ids.length > MAX_BULK_ITEMS) throw new OrderError(`At most ${MAX_BULK_ITEMS} items at a time`, "too_many_items");
+  return ids;
+}
+
+/**
+ * Move several of the brand's lines to `toStatus`, one at a time; a line that cannot move is reported, not fatal.
+ * @returns {Promise<{ updated: Object[], failed: Array<{ itemId, code, error }> }>}
+ */
+async function transitionBrandItems(brandId, itemIds, toStatus, actor, opts = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) throw new OrderError("Brand context required", "brand_required");
+  const ids = parseItemIds(itemIds);
+  const updated = [];
+  const failed = [];
+  for (const id of ids) {
+    try {
+      const item = await transitionOrderItem(id, toStatus, actor, { ...opts, brandId: bid });
+      updated.push(item);
+    } catch (err) {
+      if (err.name !== "OrderError") throw err;
+      failed.push({ itemId: id, code: err.code, error: err.message });
+    }
+  }
+  return { updated, failed };
+}
+
+/**
+ * Mark lines packed.
+ * @param {Actor} actor - see orderStatus.js
+ */
+export async function markItemsPacked(brandId, itemIds, actor, { note } = {}) {
+  return transitionBrandItems(brandId, itemIds, "packed", actor, { note });
+}
+
+/**
+ * Mark lines shipped with their tracking details (one shipment: same tracking number and carrier for all lines).
+ * @param {{ trackingNumber: string, carrier: string, trackingUrl?: string, note?: string }} shipment
+ * @throws {OrderError} When trackingNumber or carrier is missing
+ */
+export async function markItemsShipped(brandId, itemIds, shipment, actor) {
+  const trackingNumber = String(shipment?.trackingNumber ?? "").trim();
+  const carrier = String(shipment?.carrier ?? "").trim();
+  if (!trackingNumber || !carrier) {
+    throw new OrderError("trackingNumber and carrier are required", "tracking_required");
+  }
+  const trackingUrl = shipment.trackingUrl ? String(shipment.trackingUrl).trim() : null;
+  if (trackingUrl && !/^https?:\/\//i.test(trackingUrl)) {
+    throw new OrderError("trackingUrl must be an http(s) URL", "invalid_tracking");
+  }
+  return transitionBrandItems(brandId, itemIds, "shipped", actor, {
+    note: shipment.note,
+    tracking: { trackingNumber: trackingNumber.slice(0, 100), carrier: carrier.slice(0, 100), trackingUrl },
+  });
+}
+
+/**
+ * Revenue from the brand's lines on paid orders (payment authorized, captured or later refunded), optionally within
+ * a date range. Amounts exclude tax and shipping and are net of coupon discounts.
+ * @param {{ from?: string, to?: string }} [opts]
+ * @returns {Promise<{ currency, orders, units, grossSales, discounts, netSales, cancelled, returned, netRevenue, byStatus, daily }>}
+ *   netRevenue = netSales minus cancelled/returned/refunded lines; daily is netSales per day (UTC)
+ */
+export async function getBrandRevenueSummary(brandId, opts = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) throw new OrderError("Brand context required", "brand_required");
+  const { from, to } = dateRange(opts);
+  const conditions = [
+    Prisma.sql`oi."brandId" = ${bid}`,
+    Prisma.sql`o."paymentStatus" IN (${Prisma.join(PAID_STATUSES)})`,
+  ];
+  if (from) conditions.push(Prisma.sql`oi."createdAt" >= ${from}`);
+  if (to) conditions.push(Prisma.sql`oi."createdAt" <= ${to}`);
+  const where = Prisma.join(conditions, " AND ");
+  const prisma = getPrisma();
+  const [byStatusRows, dailyRows, orderRows] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT oi.status,
+             COUNT(*)::int AS lines,
+             SUM(oi.quantity)::int AS units,
+             SUM(ROUND(CAST(oi."totalPrice" AS NUMERIC) * 100))::bigint AS gross,
+             SUM(ROUND(CAST(oi.discount AS NUMERIC) * 100))::bigint AS discount
+      FROM "OrderItem" oi JOIN "Order" o ON o.id = oi."orderId"
+      WHERE ${where}
+      GROUP BY oi.status`,
+    prisma.$queryRaw`
+      SELECT to_char(date_trunc('day', oi."createdAt"), 'YYYY-MM-DD') AS day,
+             SUM(ROUND((CAST(oi."totalPrice" AS NUMERIC) - CAST(oi.discount AS NUMERIC)) * 100))::bigint AS net
+      FROM "OrderItem" oi JOIN "Order" o ON o.id = oi."orderId"
+      WHERE ${where}
+      GROUP BY 1 ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT COUNT(DISTINCT oi."orderId")::int AS orders
+      FROM "OrderItem" oi JOIN "Order" o ON o.id = oi."orderId"
+      WHERE ${where}`,
+  ]);
+
+  let gross = 0;
+  let discounts = 0;
+  let units = 0;
+  let lost = 0;
+  const lostByStatus = { cancelled: 0, returned: 0, refunded: 0 };
+  const byStatus = byStatusRows.map((r) => {
+    const g = Number(r.gross ?? 0);
+    const d = Number(r.discount ?? 0);
+    gross += g;
+    discounts += d;
+    units += r.units ?? 0;
+    if (NON_REVENUE_STATUSES.includes(r.status)) {
+      lost += g - d;
+      lostByStatus[r.status] += g - d;
+    }
+    return { status: r.status, lines: r.lines, units: r.units ?? 0, netSales: formatMinorUnits(g - d) };
+  });
+  return {
+    currency: "INR",
+    from,
+    to,
+    orders: orderRows[0]?.orders ?? 0,
+    units,
+    grossSales: formatMinorUnits(gross),
+    discounts: formatMinorUnits(discounts),
+    netSales: formatMinorUnits(gross - discounts),
+    cancelled: formatMinorUnits(lostByStatus.cancelled),
+    returned: formatMinorUnits(lostByStatus.returned + lostByStatus.refunded),
+    netRevenue: formatMinorUnits(gross - discounts - lost),
+    byStatus,
+    daily: dailyRows.map((r) => ({ date: r.day, netSales: formatMinorUnits(Number(r.net ?? 0)) })),
+  };
+}
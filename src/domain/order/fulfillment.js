@@ -0,0 +1,232 @@
+/**
+ * Per-brand fulfilment: each brand in an order gets a sub-order (Order with parentOrderId + brandId).
+ * Brands with shopifyWriteEnabled and a stored Admin token receive a Shopify draft order for their lines, priced as
+ * the customer paid: our unit prices, the coupon discount and the sub-order's shipping charge.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, safeJsonParse, toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { getShopifyClient } from "../../utils/shopify/index.js";
+import { isReleasedForFulfilment } from "./orderStatus.js";
+
+/** Lines that will not be supplied are left off the draft order. */
+const UNPUSHED_ITEM_STATUSES = ["cancelled", "returned", "refunded"];
+
+/** A push claim older than this is assumed abandoned (process died mid-push) and may be taken over. */
+const PUSH_CLAIM_MS = 10 * 60 * 1000;
+
+/**
+ * Store (or replace) the Shopify Admin access token used to write draft orders for a brand.
+ */
+export async function setBrandShopifyAccessToken(brandId, accessToken) {
+  const bid = normalizeId(brandId);
+  const token = typeof accessToken === "string" ? accessToken.trim() : "";
+  if (!bid || !token) return null;
+  const prisma = getPrisma();
+  await prisma.brandShopifyCredential.upsert({
+    where: { brandId: bid },
+    create: { brandId: bid, accessToken: token },
+    update: { accessToken: token },
+  });
+  return { brandId: bid, hasAccessToken: true };
+}
+
+async function getBrandShopifyAccessToken(prisma, brandId) {
+  const row = await prisma.brandShopifyCredential.findUnique({
+    where: { brandId },
+    select: { accessToken: true },
+  });
+  return row?.accessToken ?? null;
+}
+
+/**
+ * Map our address (structured object or JSON string) to a Shopify MailingAddressInput; null for free text.
+ */
+function toShopifyAddress(address) {
+  const a = typeof address === "string" ? safeJsonParse(address) : address;
+  if (!a || typeof a !== "object") return null;
+  const [firstName, ...rest] = String(a.name || a.fullName || "").trim().split(/\s+/);
+  return {
+    firstName: firstName || undefined,
+    lastName: rest.join(" ") || undefined,
+    phone: a.phone || undefined,
+    address1: a.line1 || a.address1 || undefined,
+    address2: [a.line2 || a.address2, a.landmark].filter(Boolean).join(", ") || undefined,
+    city: a.city || undefined,
+    province: a.state || a.province || undefined,
+    zip: a.pinCode || a.postalCode || a.zip || undefined,
+    countryCode: (a.countryCode || "IN").toUpperCase(),
+  };
+}
+
+/**
+ * Shopify variant ids are numeric; public-import placeholders (var-0) cannot be referenced, so they become custom lines.
+ * Variant lines carry our unit price as a price override, since the store's price may have changed since checkout.
+ */
+function toDraftLineItem(item, sourceVariantId, currency) {
+  if (sourceVariantId && /^\d+$/.test(sourceVariantId)) {
+    return {
+      variantId: `gid://shopify/ProductVariant/${sourceVariantId}`,
+      quantity: item.quantity,
+      priceOverride: { amount: item.unitPrice, currencyCode: currency },
+    };
+  }
+  return {
+    title: item.variantTitle ? `${item.productTitle} (${item.variantTitle})` : item.productTitle,
+    originalUnitPrice: item.unitPrice,
+    quantity: item.quantity,
+  };
+}
+
+/**
+ * Create a Shopify draft order for one sub-order's live lines and store its id. No-op when the order is not yet paid
+ * (or a confirmed COD order), the brand is not write-enabled, has no token, or the sub-order was already pushed.
+ * The sub-order is claimed (shopifyPushStartedAt) before Shopify is called, so a concurrent push backs off with
+ * push_in_progress instead of creating a second draft; a failed push releases the claim for a retry.
+ * @returns {Promise<{ pushed: boolean, shopifyOrderId?: string, reason?: string }>}
+ */
+export async function pushSubOrderToShopify(subOrderId) {
+  const sid = normalizeId(subOrderId);
+  if (!sid) return { pushed: false, reason: "invalid_id" };
+  const prisma = getPrisma();
+  const subOrder = await prisma.order.findUnique({
+    where: { id: sid },
+    include: {
+      brand: { select: { id: true, shopDomain: true, shopifyWriteEnabled: true } },
+      parentOrder: { select: { status: true, paymentStatus: true, paymentMethod: true, couponCode: true } },
+    },
+  });
+  if (!subOrder?.parentOrderId || !subOrder.brand) return { pushed: false, reason: "not_a_sub_order" };
+  if (!isReleasedForFulfilment(subOrder.parentOrder)) return { pushed: false, reason: "not_paid" };
+  if (subOrder.shopifyOrderId) return { pushed: false, reason: "already_pushed", shopifyOrderId: subOrder.shopifyOrderId };
+  if (!subOrder.brand.shopifyWriteEnabled) return { pushed: false, reason: "write_disabled" };
+  const accessToken = await getBrandShopifyAccessToken(prisma, subOrder.brand.id);
+  if (!accessToken) return { pushed: false, reason: "no_access_token" };
+
+  const items = await prisma.orderItem.findMany({
+    where: {
+      orderId: subOrder.parentOrderId,
+      brandId: subOrder.brand.id,
+      status: { notIn: UNPUSHED_ITEM_STATUSES },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  if (items.length === 0) return { pushed: false, reason: "no_items" };
+  const variantIds = items.map((i) => i.variantId).filter(Boolean);
+  const variants = variantIds.length
+    ? await prisma.productVariant.findMany({
+        where: { id: { in: variantIds } },
+        select: { id: true, sourceVariantId: true },
+      })
+    : [];
+  const sourceByVariant = new Map(variants.map((v) => [v.id, v.sourceVariantId]));
+
+  const shippingAddress = toShopifyAddress(subOrder.shippingAddress);
+  const discountMinor = items.reduce((sum, i) => sum + toMinorUnits(i.discount), 0);
+  const shippingMinor = toMinorUnits(subOrder.shipping);
+  const input = {
+    email: subOrder.customerEmail || undefined,
+    note: shippingAddress
+      ? `Hanger order ${subOrder.orderNumber}`
+      : `Hanger order ${subOrder.orderNumber}\nShip to: ${subOrder.shippingAddress}`,
+    tags: ["hanger"],
+    lineItems: items.map((i) => toDraftLineItem(i, sourceByVariant.get(i.variantId), subOrder.currency)),
+    ...(shippingAddress ? { shippingAddress } : {}),
+    ...(discountMinor > 0
+      ? {
+          appliedDiscount: {
+            title: subOrder.parentOrder.couponCode || "Hanger discount",
+            value: Number(formatMinorUnits(discountMinor)),
+            valueType: "FIXED_AMOUNT",
+          },
+        }
+      : {}),
+    ...(shippingMinor > 0 ? { shippingLine: { title: "Shipping", price: formatMinorUnits(shippingMinor) } } : {}),
+  };
+
+  const claimed = await prisma.order.updateMany({
+    where: {
+      id: sid,
+      shopifyOrderId: null,
+      OR: [{ shopifyPushStartedAt: null }, { shopifyPushStartedAt: { lt: new Date(Date.now() - PUSH_CLAIM_MS) } }],
+    },
+    data: { shopifyPushStartedAt: new Date() },
+  });
+  if (claimed.count === 0) return { pushed: false, reason: "push_in_progress" };
+  let draft;
+  try {
+    draft = await getShopifyClient().createDraftOrder(subOrder.brand.shopDomain, accessToken, input);
+  } catch (err) {
+    await prisma.order.update({ where: { id: sid }, data: { shopifyPushStartedAt: null } });
+    throw err;
+  }
+  await prisma.order.update({
+    where: { id: sid },
+    data: { shopifyOrderId: draft.id, shopDomain: subOrder.brand.shopDomain, shopifyPushStartedAt: null },
+  });
+  return { pushed: true, shopifyOrderId: draft.id };
+}
+
+/**
+ * Push every sub-order of an order to Shopify. Failures are logged and recorded in the sub-order's metadata
+ * (shopifyError) so confirming an order never fails because a brand's store is unreachable. Called once the order
+ * is paid (or a COD order is confirmed); unpaid sub-orders are skipped.
+ * @returns {Promise<Array<{ subOrderId: string, pushed: boolean, shopifyOrderId?: string, reason?: string, error?: string }>>}
+ */
+export async function pushOrderToShopify(orderId) {
+  const oid = normalizeId(orderId);
+  if (!oid) return [];
+  const prisma = getPrisma();
+  const subOrders = await prisma.order.findMany({
+    where: { parentOrderId: oid },
+    select: { id: true, metadata: true },
+  });
+  const results = [];
+  for (const sub of subOrders) {
+    try {
+      const result = await pushSubOrderToShopify(sub.id);
+      results.push({ subOrderId: sub.id, ...result });
+    } catch (err) {
+      console.error(`[fulfillment] Shopify draft order failed for sub-order ${sub.id}:`, err.message);
+      const metadata = { ...(safeJsonParse(sub.metadata) || {}), shopifyError: err.message };
+      await prisma.order.update({ where: { id: sub.id }, data: { metadata: JSON.stringify(metadata) } });
+      results.push({ subOrderId: sub.id, pushed: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+/**
+ * Withdraw the Shopify draft orders of a cancelled order. A draft that cannot be deleted (already completed in the
+ * brand's store, store unreachable, token revoked) is logged and flagged in the sub-order's metadata
+ * (shopifyCancelError) for the brand to cancel by hand; deleted drafts are marked shopifyDraftDeleted.
+ * @returns {Promise<Array<{ subOrderId: string, deleted: boolean, error?: string }>>}
+ */
+export async function cancelShopifyDraftOrders(orderId) {
+  const oid = normalizeId(orderId);
+  if (!oid) return [];
+  const prisma = getPrisma();
+  const subOrders = await prisma.order.findMany({
+    where: { parentOrderId: oid, shopifyOrderId: { not: null } },
+    select: { id: true, brandId: true, shopDomain: true, shopifyOrderId: true, metadata: true },
+  });
+  const results = [];
+  for (const sub of subOrders) {
+    const metadata = safeJsonParse(sub.metadata) || {};
+    if (metadata.shopifyDraftDeleted) continue;
+    let error = null;
+    try {
+      const accessToken = sub.brandId ? await getBrandShopifyAccessToken(prisma, sub.brandId) : null;
+      if (!accessToken) throw new Error("no Shopify access token");
+      await getShopifyClient().deleteDraftOrder(sub.shopDomain, accessToken, sub.shopifyOrderId);
+    } catch (err) {
+      error = err.message;
+      console.error(`[fulfillment] Withdrawing Shopify draft order ${sub.shopifyOrderId} of sub-order ${sub.id} failed:`, error);
+    }
+    const next = error
+      ? { ...metadata, shopifyCancelError: error }
+      : { ...metadata, shopifyDraftDeleted: true, shopifyCancelError: undefined };
+    await prisma.order.update({ where: { id: sub.id }, data: { metadata: JSON.stringify(next) } });
+    results.push(error ? { subOrderId: sub.id, deleted: false, error } : { subOrderId: sub.id, deleted: true });
+  }
+  return results;
+}
@@ -0,0 +1,285 @@
+/**
+ * Orders: checkout from cart, list and detail for the customer.
+ * Checkout creates one customer-facing order (holding all items) plus one sub-order per brand for fulfilment.
+ * Money columns are "0.00" strings (INR); all arithmetic is done in paise via toMinorUnits/formatMinorUnits.
+ */
+import { randomBytes } from "crypto";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, formatMinorUnits } from "../../core/helpers.js";
+import { listCartItems } from "../cart/cart.js";
+import { priceCartItems, BLOCKING_WARNINGS } from "../cart/pricing.js";
+import { confirmCashOnDeliveryOrder } from "../payment/payment.js";
+import { reserveForOrder } from "../inventory/inventory.js";
+import { findCouponByCode, getCartCoupon, redeemCoupon, clearCartCoupon } from "../promotion/promotion.js";
+import { getAddress, getDefaultAddress, validateAddressInput, toOrderAddress } from "../address/address.js";
+
+const ORDER_NUMBER_PREFIX = "HNG";
+
+/**
+ * paymentMethod values checkout accepts: "cod", or an online method (the gateway's own method names; "online" lets
+ * the customer pick on the gateway). Omitted means online; the gateway reports the method actually used when paid.
+ */
+export const CHECKOUT_PAYMENT_METHODS = ["online", "upi", "card", "netbanking", "wallet", "emi", "paylater", "cod"];
+
+/** Thrown for checkout/validation failures; API should respond with statusCode and code. */
+export class OrderError extends Error {
+  constructor(message, code = "order_invalid", statusCode = 400, details = undefined) {
+    super(message);
+    this.name = "OrderError";
+    this.code = code;
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+const orderInclude = {
+  items: { orderBy: { createdAt: "asc" } },
+  subOrders: {
+    select: {
+      id: true,
+      orderNumber: true,
+      brandId: true,
+      status: true,
+      subtotal: true,
+      shipping: true,
+      tax: true,
+      total: true,
+      shopDomain: true,
+      shopifyOrderId: true,
+      brand: { select: { id: true, name: true, logoUrl: true } },
+    },
+    orderBy: { orderNumber: "asc" },
+  },
+};
+
+/**
+ * Human-readable, unique-enough order number: HNG-YYYYMMDD-XXXXXXXX.
+ */
+function generateOrderNumber(now = new Date()) {
+  const date = now.toISOString().slice(0, 10).replace(/-/g, "");
+  return `${ORDER_NUMBER_PREFIX}-${date}-${randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+/**
+ * Snapshot of the address to store on the order (JSON string): a saved address by id, an address object given
+ * inline (validated like saved ones), legacy free text, or else the user's default for that role.
+ * pinCode (for shipping serviceability) is the Indian PIN of a structured address, or the last PIN found in free text.
+ * @returns {Promise<{ snapshot: string, phone: string|null, pinCode: string|null }|null>}
+ */
+async function resolveOrderAddress(userId, addressId, inline, type) {
+  let address = null;
+  if (addressId) {
+    address = await getAddress(userId, addressId);
+    if (!address) throw new OrderError(`${type} address not found`, "address_not_found", 404);
+  } else if (typeof inline === "string") {
+    const text = inline.trim();
+    return text ? { snapshot: text, phone: null, pinCode: text.match(/\b[1-9][0-9]{5}\b/g)?.pop() ?? null } : null;
+  } else if (inline != null) {
+    try {
+      address = validateAddressInput(inline);
+    } catch (err) {
+      if (err.name === "AddressError") throw new OrderError(`${type} address: ${err.message}`, err.code);
+      throw err;
+    }
+  } else {
+    address = await getDefaultAddress(userId, type);
+  }
+  if (!address) return null;
+  const snapshot = toOrderAddress(address);
+  return {
+    snapshot: JSON.stringify(snapshot),
+    phone: snapshot.phone,
+    pinCode: snapshot.countryCode === "IN" ? snapshot.pinCode : null,
+  };
+}
+
+/**
+ * Turn the user's cart (or the given cart lines) into an Order with OrderItem snapshots, then clear those lines.
+ * Lines are priced by cart/pricing with the cart's coupon (or input.couponCode), which is redeemed with the order;
+ * stock for every line is reserved until payment completes (see domain/inventory).
+ * Addresses come from the address book (shippingAddressId / billingAddressId, else the user's defaults) or inline;
+ * either way the order keeps a snapshot. Billing falls back to the shipping address.
+ * Shipping is quoted per brand for the shipping PIN code; every brand must deliver there (and offer COD when
+ * paymentMethod is "cod"). COD orders are confirmed at once: stock is committed, invoices issued and Shopify draft
+ * orders sent, since no payment webhook will follow. Other orders reach brands' Shopify stores once paid.
+ * @param {string} userId
+ * @param {Object} input - { shippingAddressId?, shippingAddress?, billingAddressId?, billingAddress?, customerName?,
+ *   customerPhone?, notes?, paymentMethod?, cartItemIds?, couponCode? }
+ * @returns {Promise<Object>} Created order with items and per-brand subOrders
+ * @throws {OrderError} On unsupported paymentMethod, empty cart, missing or invalid address, unavailable product or variant, coupon that no longer
+ *   applies, address a brand does not deliver to, COD not offered
+ * @throws {InventoryError} When a line exceeds available stock (code insufficient_stock)
+ */
+export async function checkout(userId, input = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) throw new OrderError("userId required");
+  const paymentMethod = input.paymentMethod ? String(input.paymentMethod).trim().toLowerCase() : null;
+  if (paymentMethod && !CHECKOUT_PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new OrderError(
+      `paymentMethod must be one of: ${CHECKOUT_PAYMENT_METHODS.join(", ")}`,
+      "invalid_payment_method",
+      400
+    );
+  }
+  const shipTo = await resolveOrderAddress(uid, normalizeId(input.shippingAddressId), input.shippingAddress, "shipping");
+  if (!shipTo) throw new OrderError("shippingAddressId or shippingAddress is required", "address_required");
+  const billTo = await resolveOrderAddress(uid, normalizeId(input.billingAddressId), input.billingAddress, "billing");
+
+  const { items: cartItems } = await listCartItems(uid);
+  const selectedIds = Array.isArray(input.cartItemIds) ? new Set(input.cartItemIds.map(String)) : null;
+  const lines = selectedIds ? cartItems.filter((c) => selectedIds.has(c.id)) : cartItems;
+  if (lines.length === 0) throw new OrderError("Cart is empty", "cart_empty");
+
+  const coupon = input.couponCode ? await findCouponByCode(input.couponCode) : await getCartCoupon(uid);
+  if (input.couponCode && !coupon) throw new OrderError("Coupon not found", "coupon_not_found", 404);
+  const priced = await priceCartItems(lines, { coupon, userId: uid, pinCode: shipTo.pinCode, paymentMethod });
+  for (const line of priced.lines) {
+    const blocking = line.warnings.find((w) => BLOCKING_WARNINGS.includes(w.code));
+    if (blocking) throw new OrderError(blocking.message, blocking.code, 409);
+  }
+  if (priced.coupon && !priced.coupon.applied) {
+    throw new OrderError(priced.coupon.message, priced.coupon.reason, 409);
+  }
+  const unserviceable = priced.brands.filter((b) => b.serviceable !== true);
+  if (unserviceable.length) {
+    const names = unserviceable.map((b) => b.name ?? b.brandId).join(", ");
+    throw new OrderError(
+      shipTo.pinCode ? `${names} cannot deliver to PIN code ${shipTo.pinCode}` : `${names} needs a shipping address with a PIN code`,
+      shipTo.pinCode ? "address_unserviceable" : "pin_code_required",
+      409,
+      { brandIds: unserviceable.map((b) => b.brandId) }
+    );
+  }
+  if (paymentMethod === "cod" && !priced.codAvailable) {
+    const names = priced.brands.filter((b) => !b.codAvailable).map((b) => b.name ?? b.brandId).join(", ");
+    throw new OrderError(`Cash on delivery is not available for ${names}`, "cod_unavailable", 409, {
+      brandIds: priced.brands.filter((b) => !b.codAvailable).map((b) => b.brandId),
+    });
+  }
+  const itemsData = priced.lines.map((line) => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    productTitle: line.productTitle,
+    variantTitle: line.variantTitle,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    totalPrice: line.lineSubtotal,
+    discount: line.discount,
+    tax: line.tax,
+    taxRate: line.minor.taxRate,
+    hsnCode: line.hsnCode,
+    imageUrl: line.imageUrl,
+    brandId: line.brandId,
+  }));
+  const { subtotal, discount, tax, shipping, total } = priced.minor;
+
+  const prisma = getPrisma();
+  const user = await prisma.user.findUnique({
+    where: { id: uid },
+    select: { email: true, firstName: true, lastName: true, phone: true },
+  });
+  const customerName =
+    (input.customerName && String(input.customerName).trim()) ||
+    [user?.firstName, user?.lastName].filter(Boolean).join(" ") ||
+    null;
+
+  const customer = {
+    userId: uid,
+    customerEmail: user?.email ?? null,
+    customerName,
+    customerPhone: (input.customerPhone && String(input.customerPhone).trim()) || shipTo.phone || user?.phone || null,
+    shippingAddress: shipTo.snapshot,
+    billingAddress: billTo?.snapshot ?? shipTo.snapshot,
+  };
+  const orderNumber = generateOrderNumber();
+
+  const order = await prisma.$transaction(async (tx) => {
+    const created = await tx.order.create({
+      data: {
+        ...customer,
+        orderNumber,
+        status: "pending",
+        paymentStatus: "pending",
+        subtotal: formatMinorUnits(subtotal),
+        shipping: formatMinorUnits(shipping),
+        tax: formatMinorUnits(tax),
+        discount: formatMinorUnits(discount),
+        total: formatMinorUnits(total),
+        currency: "INR",
+        couponCode: coupon?.code ?? null,
+        paymentMethod,
+        notes: input.notes ? String(input.notes).trim() : null,
+        items: { create: itemsData },
+      },
+    });
+    await reserveForOrder(tx, created.id, itemsData);
+    if (coupon) {
+      await redeemCoupon(tx, coupon, { orderId: created.id, userId: uid, discountMinor: discount });
+      await clearCartCoupon(uid, tx);
+    }
+    let index = 0;
+    for (const group of priced.brands) {
+      index++;
+      await tx.order.create({
+        data: {
+          ...customer,
+          orderNumber: `${orderNumber}-${index}`,
+          parentOrderId: created.id,
+          brandId: group.brandId,
+          shopDomain: group.shopDomain,
+          status: "pending",
+          paymentStatus: "pending",
+          subtotal: group.subtotal,
+          shipping: group.shipping,
+          tax: group.tax,
+          discount: group.discount,
+          total: group.total,
+          currency: "INR",
+        },
+      });
+    }
+    await tx.cartItem.deleteMany({ where: { userId: uid, id: { in: lines.map((c) => c.id) } } });
+    return created;
+  });
+
+  if (paymentMethod === "cod") await confirmCashOnDeliveryOrder(order.id);
+  return prisma.order.findUnique({ where: { id: order.id }, include: orderInclude });
+}
+
+/**
+ * List a user's orders, newest first.
+ * @param {Object} opts - { status?, limit?, offset? }
+ */
+export async function listOrders(userId, opts = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) return { items: [], total: 0 };
+  const { status, limit = 20, offset = 0 } = opts;
+  const prisma = getPrisma();
+  const where = { userId: uid, parentOrderId: null };
+  if (status != null && String(status).trim()) where.status = String(status).trim();
+  const [items, total] = await Promise.all([
+    prisma.order.findMany({
+      where,
+      include: orderInclude,
+      orderBy: { createdAt: "desc" },
+      take: Math.min(Number(limit) || 20, 100),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.order.count({ where }),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Get one order with items if it belongs to the user.
+ */
+export async function getOrder(orderId, userId) {
+  const oid = normalizeId(orderId);
+  const uid = normalizeId(userId);
+  if (!oid || !uid) return null;
+  const prisma = getPrisma();
+  return prisma.order.findFirst({
+    where: { id: oid, userId: uid, parentOrderId: null },
+    include: orderInclude,
+  });
+}
@@ -0,0 +1,328 @@
+/**
+ * Order lifecycle: the only place Order.status / OrderItem.status change. Every change is checked against
+ * TRANSITIONS and recorded in OrderStatusHistory.
+ *
+ * Order-level transitions (customer cancel/return, admin, payment) cascade to the items and sub-orders that can
+ * make the same move. Item-level transitions (brand fulfilment) roll up to the brand sub-order and the customer order
+ * once every live (non-cancelled) line agrees.
+ *
+ * Cancelling undoes what checkout and payment did: held stock is released and sold stock restocked, the coupon use
+ * is given back, a payment already taken moves to refund_pending, and drafts sent to brands' Shopify stores are
+ * withdrawn.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, safeJsonParse } from "../../core/helpers.js";
+import { OrderError } from "./order.js";
+import { releaseReservations, restockCommittedReservations } from "../inventory/inventory.js";
+import { releaseCouponRedemption } from "../promotion/promotion.js";
+import { cancelShopifyDraftOrders } from "./fulfillment.js";
+
+export const ORDER_STATUSES = [
+  "pending",
+  "confirmed",
+  "packed",
+  "shipped",
+  "delivered",
+  "cancelled",
+  "return_requested",
+  "returned",
+  "refunded",
+  "exchanged",
+];
+
+/** Allowed moves. Terminal: refunded, exchanged. */
+const TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["packed", "shipped", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["return_requested"],
+  return_requested: ["returned", "delivered"],
+  returned: ["refunded", "exchanged"],
+  cancelled: ["refunded"],
+  refunded: [],
+  exchanged: [],
+};
+
+/** Statuses a brand may set on its own order items. */
+export const BRAND_ITEM_STATUSES = ["confirmed", "packed", "shipped", "delivered", "cancelled", "returned"];
+
+/** Payment states in which an order is paid for. */
+export const PAID_PAYMENT_STATUSES = ["authorized", "captured"];
+
+/** Cash on delivery: nothing is paid online; the order is confirmed when it is placed. */
+export function isCashOnDelivery(order) {
+  return String(order?.paymentMethod ?? "").toLowerCase() === "cod";
+}
+
+/**
+ * Whether an order may be fulfilled, invoiced and shown to brands: paid online, or cash on delivery and confirmed.
+ * Never once cancelled, even if a payment arrived afterwards.
+ * @param {{ paymentStatus, paymentMethod, status }} order - Customer order (sub-orders: use the parent's paymentMethod)
+ */
+export function isReleasedForFulfilment(order) {
+  if (!order || order.status === "cancelled") return false;
+  if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) return true;
+  return isCashOnDelivery(order) && order.status !== "pending";
+}
+
+/** Order of the forward fulfilment path, used when rolling item statuses up to the order. */
+const FORWARD_RANK = { pending: 0, confirmed: 1, packed: 2, shipped: 3, delivered: 4 };
+
+/** Days after delivery during which the customer can request a return or exchange. */
+const RETURN_WINDOW_DAYS = Number(process.env.ORDER_RETURN_WINDOW_DAYS) || 7;
+
+export function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+/**
+ * @typedef {{ type: "user" | "brand" | "admin" | "system", id?: string | null }} Actor
+ */
+
+async function recordHistory(tx, { orderId, orderItemId = null, fromStatus, toStatus, actor, note = null }) {
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId,
+      orderItemId,
+      fromStatus,
+      toStatus,
+      actorType: actor?.type ?? "system",
+      actorId: actor?.id ?? null,
+      note: note ? String(note).slice(0, 1000) : null,
+    },
+  });
+}
+
+/**
+ * Conditionally move one order row; returns false if it was not in `from` anymore (concurrent change).
+ */
+async function moveOrderRow(tx, order, toStatus, actor, note) {
+  const updated = await tx.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: { status: toStatus },
+  });
+  if (updated.count === 0) return false;
+  await recordHistory(tx, { orderId: order.id, fromStatus: order.status, toStatus, actor, note });
+  return true;
+}
+
+/**
+ * Status the order should have given its item statuses: the shared status when all live lines agree,
+ * otherwise the least-advanced forward status; "cancelled" when every line is cancelled. Null = no change.
+ */
+function rollupStatus(items) {
+  if (items.length === 0) return null;
+  const live = items.filter((i) => i.status !== "cancelled");
+  if (live.length === 0) return "cancelled";
+  const statuses = new Set(live.map((i) => i.status));
+  if (statuses.size === 1) return live[0].status;
+  if (live.every((i) => FORWARD_RANK[i.status] != null)) {
+    return live.reduce((min, i) => (FORWARD_RANK[i.status] < FORWARD_RANK[min] ? i.status : min), live[0].status);
+  }
+  return null;
+}
+
+async function rollupOrder(tx, order, items, actor) {
+  const target = rollupStatus(items);
+  if (!target || target === order.status || !canTransition(order.status, target)) return;
+  await moveOrderRow(tx, order, target, actor, "rollup from item status");
+}
+
+/**
+ * Transition a customer order (and cascade to its items and sub-orders that allow the same move).
+ * Cancelling also releases and restocks its stock, frees its coupon redemption, marks a taken payment refund_pending
+ * and withdraws its Shopify draft orders (see cancelShopifyDraftOrders; failures there never undo the cancellation).
+ * @param {string} orderId - Customer-facing order id (not a sub-order)
+ * @param {string} toStatus
+ * @param {Actor} actor
+ * @param {{ note?: string, metadata?: object }} [opts] - metadata is merged into Order.metadata
+ * @returns {Promise<Object>} Updated order with items
+ * @throws {OrderError} 404 if not found, 409 if the transition is not allowed
+ */
+export async function transitionOrder(orderId, toStatus, actor, opts = {}) {
+  const oid = normalizeId(orderId);
+  if (!oid) throw new OrderError("orderId required");
+  if (!ORDER_STATUSES.includes(toStatus)) throw new OrderError(`Unknown status: ${toStatus}`, "invalid_status");
+  const prisma = getPrisma();
+  const pushed = await prisma.$transaction(async (tx) => {
+    const order = await tx.order.findFirst({
+      where: { id: oid, parentOrderId: null },
+      include: { items: true, subOrders: true },
+    });
+    if (!order) throw new OrderError("Order not found", "order_not_found", 404);
+    if (!canTransition(order.status, toStatus)) {
+      throw new OrderError(`Cannot change order from ${order.status} to ${toStatus}`, "invalid_transition", 409);
+    }
+    if (!(await moveOrderRow(tx, order, toStatus, actor, opts.note))) {
+      throw new OrderError("Order was updated concurrently; retry", "conflict", 409);
+    }
+    if (opts.metadata) {
+      const metadata = { ...(safeJsonParse(order.metadata) || {}), ...opts.metadata };
+      await tx.order.update({ where: { id: oid }, data: { metadata: JSON.stringify(metadata) } });
+    }
+    for (const item of order.items) {
+      if (!canTransition(item.status, toStatus)) continue;
+      const updated = await tx.orderItem.updateMany({
+        where: { id: item.id, status: item.status },
+        data: { status: toStatus },
+      });
+      if (updated.count > 0) {
+        await recordHistory(tx, { orderId: oid, orderItemId: item.id, fromStatus: item.status, toStatus, actor, note: opts.note });
+      }
+    }
+    for (const sub of order.subOrders) {
+      if (canTransition(sub.status, toStatus)) await moveOrderRow(tx, sub, toStatus, actor, opts.note);
+    }
+    if (toStatus !== "cancelled") return false;
+    await releaseReservations(oid, tx);
+    await restockCommittedReservations(oid, tx);
+    await releaseCouponRedemption(oid, tx);
+    if (PAID_PAYMENT_STATUSES.includes(order.paymentStatus)) {
+      await tx.order.updateMany({
+        where: { OR: [{ id: oid }, { parentOrderId: oid }], paymentStatus: { in: PAID_PAYMENT_STATUSES } },
+        data: { paymentStatus: "refund_pending" },
+      });
+    }
+    return order.subOrders.some((sub) => sub.shopifyOrderId);
+  });
+  if (pushed) {
+    try {
+      await cancelShopifyDraftOrders(oid);
+    } catch (err) {
+      console.error(`[orderStatus] Withdrawing Shopify draft orders of cancelled order ${oid} failed:`, err.message);
+    }
+  }
+  return prisma.order.findUnique({ where: { id: oid }, include: { items: true } });
+}
+
+/**
+ * Transition one order item (brand fulfilment). Brand actors may only touch their own lines and BRAND_ITEM_STATUSES,
+ * and only once the order is released for fulfilment (paid, or a confirmed COD order).
+ * The brand sub-order and the customer order follow once all their live lines agree.
+ * @param {string} itemId
+ * @param {string} toStatus
+ * @param {Actor} actor
+ * @param {{ brandId?: string, note?: string, tracking?: { trackingNumber, carrier, trackingUrl? } }} [opts]
+ *   brandId restricts to that brand's lines; tracking is stored on the item (only when moving to shipped)
+ * @returns {Promise<Object>} Updated item
+ * @throws {OrderError}
+ */
+export async function transitionOrderItem(itemId, toStatus, actor, opts = {}) {
+  const iid = normalizeId(itemId);
+  if (!iid) throw new OrderError("itemId required");
+  if (!ORDER_STATUSES.includes(toStatus)) throw new OrderError(`Unknown status: ${toStatus}`, "invalid_status");
+  if (actor?.type === "brand" && !BRAND_ITEM_STATUSES.includes(toStatus)) {
+    throw new OrderError(`Brands cannot set status ${toStatus}`, "forbidden_status", 403);
+  }
+  if (opts.tracking && toStatus !== "shipped") {
+    throw new OrderError("Tracking details can only be set when shipping", "invalid_tracking");
+  }
+  const scopeBrandId = normalizeId(opts.brandId);
+  const prisma = getPrisma();
+  await prisma.$transaction(async (tx) => {
+    const item = await tx.orderItem.findUnique({ where: { id: iid } });
+    if (!item || (scopeBrandId && item.brandId !== scopeBrandId)) {
+      throw new OrderError("Order item not found", "item_not_found", 404);
+    }
+    if (actor?.type === "brand") {
+      const parent = await tx.order.findUnique({
+        where: { id: item.orderId },
+        select: { status: true, paymentStatus: true, paymentMethod: true },
+      });
+      if (!isReleasedForFulfilment(parent)) throw new OrderError("Order is not paid", "order_unpaid", 409);
+    }
+    if (!canTransition(item.status, toStatus)) {
+      throw new OrderError(`Cannot change item from ${item.status} to ${toStatus}`, "invalid_transition", 409);
+    }
+    const data = { status: toStatus };
+    if (opts.tracking) {
+      data.trackingNumber = opts.tracking.trackingNumber ?? null;
+      data.carrier = opts.tracking.carrier ?? null;
+      data.trackingUrl = opts.tracking.trackingUrl ?? null;
+    }
+    const updated = await tx.orderItem.updateMany({ where: { id: iid, status: item.status }, data });
+    if (updated.count === 0) throw new OrderError("Order item was updated concurrently; retry", "conflict", 409);
+    await recordHistory(tx, { orderId: item.orderId, orderItemId: iid, fromStatus: item.status, toStatus, actor, note: opts.note });
+
+    const siblings = await tx.orderItem.findMany({ where: { orderId: item.orderId }, select: { brandId: true, status: true } });
+    const subOrder = item.brandId
+      ? await tx.order.findFirst({ where: { parentOrderId: item.orderId, brandId: item.brandId } })
+      : null;
+    if (subOrder) {
+      await rollupOrder(tx, subOrder, siblings.filter((s) => s.brandId === item.brandId), actor);
+    }
+    const order = await tx.order.findUnique({ where: { id: item.orderId } });
+    if (order) await rollupOrder(tx, order, siblings, actor);
+  });
+  return prisma.orderItem.findUnique({ where: { id: iid } });
+}
+
+async function findCustomerOrder(orderId, userId, include = undefined) {
+  const oid = normalizeId(orderId);
+  const uid = normalizeId(userId);
+  const order =
+    oid && uid
+      ? await getPrisma().order.findFirst({ where: { id: oid, userId: uid, parentOrderId: null }, include })
+      : null;
+  if (!order) throw new OrderError("Order not found", "order_not_found", 404);
+  return order;
+}
+
+/**
+ * Customer cancellation: allowed before any line has shipped, paid or not (a taken payment becomes refund_pending).
+ * @throws {OrderError}
+ */
+export async function cancelOrder(orderId, userId, reason = null) {
+  const order = await findCustomerOrder(orderId, userId, { items: { select: { status: true } } });
+  if (!canTransition(order.status, "cancelled")) {
+    throw new OrderError(`Order cannot be cancelled once ${order.status}`, "not_cancellable", 409);
+  }
+  if (order.items.some((i) => FORWARD_RANK[i.status] >= FORWARD_RANK.shipped)) {
+    throw new OrderError("Part of this order has already shipped", "not_cancellable", 409);
+  }
+  return transitionOrder(order.id, "cancelled", { type: "user", id: userId }, {
+    note: reason,
+    metadata: reason ? { cancellationReason: String(reason).slice(0, 500) } : undefined,
+  });
+}
+
+/**
+ * Customer return or exchange request: allowed within RETURN_WINDOW_DAYS of delivery.
+ * @param {{ reason?: string, type?: "return" | "exchange" }} [opts]
+ * @throws {OrderError}
+ */
+export async function requestReturn(orderId, userId, opts = {}) {
+  const type = opts.type === "exchange" ? "exchange" : "return";
+  const prisma = getPrisma();
+  const order = await findCustomerOrder(orderId, userId);
+  if (order.status !== "delivered") {
+    throw new OrderError("Returns can only be requested for delivered orders", "not_returnable", 409);
+  }
+  const delivered = await prisma.orderStatusHistory.findFirst({
+    where: { orderId: order.id, orderItemId: null, toStatus: "delivered" },
+    orderBy: { createdAt: "desc" },
+    select: { createdAt: true },
+  });
+  const deliveredAt = delivered?.createdAt ?? null;
+  if (deliveredAt && Date.now() - deliveredAt.getTime() > RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+    throw new OrderError(`Return window of ${RETURN_WINDOW_DAYS} days has passed`, "return_window_closed", 409);
+  }
+  return transitionOrder(order.id, "return_requested", { type: "user", id: userId }, {
+    note: opts.reason,
+    metadata: { returnType: type, returnReason: opts.reason ? String(opts.reason).slice(0, 500) : null },
+  });
+}
+
+/**
+ * Status history for an order (order- and item-level), oldest first.
+ */
+export async function getOrderStatusHistory(orderId) {
+  const oid = normalizeId(orderId);
+  if (!oid) return [];
+  const prisma = getPrisma();
+  return prisma.orderStatusHistory.findMany({
+    where: { orderId: oid },
+    orderBy: { createdAt: "asc" },
+  });
+}
@@ -0,0 +1,254 @@
+/**
+ * Payments: create a provider order for an Order at checkout, reconcile paymentStatus from signed webhooks.
+ * paymentStatus only moves forward (pending → authorized → captured → refund_pending → refunded; failed before
+ * authorization), so redelivered or out-of-order webhooks never regress an order. refund_pending is ours, not the
+ * provider's: money was taken for an order that was cancelled, and a refund is owed until the provider reports it.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, toMinorUnits } from "../../core/helpers.js";
+import { getPaymentProvider, getDefaultPaymentProviderName } from "../../utils/payments/index.js";
+import { transitionOrder, canTransition, isCashOnDelivery, PAID_PAYMENT_STATUSES } from "../order/orderStatus.js";
+import { commitReservations } from "../inventory/inventory.js";
+import { issueInvoicesForOrder } from "../invoice/invoice.js";
+import { pushOrderToShopify } from "../order/fulfillment.js";
+
+export const PAYMENT_STATUSES = ["pending", "failed", "authorized", "captured", "refund_pending", "refunded"];
+
+/** Forward-only ordering; a transition is applied only when the new rank is higher. */
+const STATUS_RANK = { pending: 0, failed: 1, authorized: 2, captured: 3, refund_pending: 4, refunded: 5 };
+
+/** Thrown for payment failures; API should respond with statusCode and code. */
+export class PaymentError extends Error {
+  constructor(message, code = "payment_invalid", statusCode = 400) {
+    super(message);
+    this.name = "PaymentError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether paymentStatus may move from `from` to `to`.
+ */
+export function canTransitionPayment(from, to) {
+  const a = STATUS_RANK[from ?? "pending"];
+  const b = STATUS_RANK[to];
+  if (a == null || b == null) return false;
+  return b > a;
+}
+
+/**
+ * Create (or return the existing) provider order for a customer order. Idempotent per order. Only orders still
+ * pending can be paid for (not cancelled ones), and never cash-on-delivery orders, which are paid to the courier.
+ * @param {string} orderId
+ * @param {string} [userId] - When set, the order must belong to this user
+ * @returns {Promise<{ provider, providerOrderId, amountMinor, currency, publicKey?, orderId, orderNumber }>}
+ * @throws {PaymentError}
+ */
+export async function createPaymentForOrder(orderId, userId = null) {
+  const oid = normalizeId(orderId);
+  if (!oid) throw new PaymentError("orderId required");
+  const prisma = getPrisma();
+  const where = { id: oid, parentOrderId: null };
+  if (normalizeId(userId)) where.userId = normalizeId(userId);
+  const order = await prisma.order.findFirst({ where });
+  if (!order) throw new PaymentError("Order not found", "order_not_found", 404);
+  if (isCashOnDelivery(order)) {
+    throw new PaymentError("Cash on delivery orders are paid on delivery", "cod_order", 409);
+  }
+  if (order.status !== "pending") {
+    throw new PaymentError(`Order is ${order.status} and can no longer be paid`, "order_not_payable", 409);
+  }
+  if (order.paymentStatus !== "pending" && order.paymentStatus !== "failed") {
+    throw new PaymentError(`Order payment is already ${order.paymentStatus}`, "payment_not_pending", 409);
+  }
+
+  const amountMinor = toMinorUnits(order.total);
+  const base = { orderId: order.id, orderNumber: order.orderNumber, amountMinor, currency: order.currency };
+  if (order.razorpayOrderId && order.paymentProvider && order.paymentStatus === "pending") {
+    return { ...base, provider: order.paymentProvider, providerOrderId: order.razorpayOrderId };
+  }
+
+  const providerName = getDefaultPaymentProviderName();
+  const provider = getPaymentProvider(providerName);
+  const created = await provider.createOrder({
+    amountMinor,
+    currency: order.currency,
+    receipt: order.orderNumber,
+    notes: { orderId: order.id, orderNumber: order.orderNumber },
+  });
+  await prisma.order.update({
+    where: { id: order.id },
+    data: { paymentProvider: providerName, razorpayOrderId: created.providerOrderId, paymentStatus: "pending" },
+  });
+  return {
+    ...base,
+    provider: providerName,
+    providerOrderId: created.providerOrderId,
+    publicKey: created.publicKey,
+  };
+}
+
+/**
+ * Move an order (and its sub-orders) to a new paymentStatus if the transition is forward.
+ * @returns {Promise<boolean>} true if the status changed
+ */
+export async function applyPaymentStatus(orderId, status, { transactionId, method } = {}) {
+  const oid = normalizeId(orderId);
+  if (!oid || !PAYMENT_STATUSES.includes(status)) return false;
+  const prisma = getPrisma();
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.order.findUnique({ where: { id: oid }, select: { id: true, paymentStatus: true } });
+    if (!order || !canTransitionPayment(order.paymentStatus, status)) return false;
+    const data = { paymentStatus: status };
+    if (transactionId) data.paymentTransactionId = transactionId;
+    if (method) data.paymentMethod = method;
+    const updated = await tx.order.updateMany({
+      where: { id: oid, paymentStatus: order.paymentStatus },
+      data,
+    });
+    if (updated.count === 0) return false;
+    await tx.order.updateMany({ where: { parentOrderId: oid }, data: { paymentStatus: status } });
+    return true;
+  });
+}
+
+async function commitOrderStock(orderId) {
+  try {
+    await commitReservations(orderId);
+  } catch (err) {
+    console.error(`[payment] Committing inventory for order ${orderId} failed:`, err.message);
+  }
+}
+
+async function issueOrderInvoices(orderId) {
+  try {
+    const results = await issueInvoicesForOrder(orderId);
+    for (const r of results.filter((r) => !r.invoiceId)) {
+      console.warn(`[payment] Invoice for sub-order ${r.subOrderId} not issued: ${r.error}`);
+    }
+  } catch (err) {
+    console.error(`[payment] Issuing invoices for order ${orderId} failed:`, err.message);
+  }
+}
+
+/**
+ * Cash-on-delivery order placed: confirm it, turn its held stock into sold stock, issue invoices and send the brands'
+ * Shopify draft orders, as a captured online payment would (paymentStatus stays pending until the cash is collected).
+ * @returns {Promise<boolean>} false if the order could not be confirmed (e.g. already cancelled)
+ */
+export async function confirmCashOnDeliveryOrder(orderId) {
+  try {
+    await transitionOrder(orderId, "confirmed", { type: "system" }, { note: "cash on delivery" });
+  } catch (err) {
+    console.error(`[payment] Confirming COD order ${orderId} failed:`, err.message);
+    return false;
+  }
+  await commitOrderStock(orderId);
+  await issueOrderInvoices(orderId);
+  await pushOrderToShopify(orderId);
+  return true;
+}
+
+/**
+ * Order lifecycle side effects of a payment status change: authorization or capture turns held stock into sold stock
+ * and sends the brands' Shopify draft orders, capture confirms a pending order, a refund closes a cancelled or
+ * returned order. A cancelled order is never committed, invoiced or sent to Shopify.
+ */
+async function onPaymentStatusChanged(orderId, status) {
+  const prisma = getPrisma();
+  let order = await prisma.order.findUnique({ where: { id: orderId }, select: { status: true } });
+  if (!order) return;
+  if (PAID_PAYMENT_STATUSES.includes(status) && order.status !== "cancelled") {
+    await commitOrderStock(orderId);
+    await pushOrderToShopify(orderId);
+    if (status === "captured") await issueOrderInvoices(orderId);
+    order = await prisma.order.findUnique({ where: { id: orderId }, select: { status: true } });
+    if (!order) return;
+  }
+  const target =
+    status === "captured" && order.status === "pending"
+      ? "confirmed"
+      : status === "refunded" && canTransition(order.status, "refunded")
+        ? "refunded"
+        : null;
+  if (!target) return;
+  try {
+    await transitionOrder(orderId, target, { type: "system" }, { note: `payment ${status}` });
+  } catch (err) {
+    console.error(`[payment] Order ${orderId} → ${target} after payment ${status} failed:`, err.message);
+  }
+}
+
+/**
+ * Verify and apply a provider webhook. Duplicate deliveries (same provider + eventId) are acknowledged without effect.
+ * A payment authorized or captured for an order that was cancelled meanwhile is recorded as refund_pending (with its
+ * transaction id, so the refund can be issued) instead of releasing the order.
+ * @param {string} providerName - e.g. "razorpay" | "mock"
+ * @param {Buffer} rawBody - Exact request body (signature is computed over it)
+ * @param {Object} headers - Lower-cased request headers
+ * @returns {Promise<{ received: true, duplicate?: boolean, applied?: boolean, refundPending?: boolean, ignored?: string }>}
+ * @throws {PaymentError} 401 on bad signature, 400 on unparseable payload
+ */
+export async function handlePaymentWebhook(providerName, rawBody, headers = {}) {
+  let provider;
+  try {
+    provider = getPaymentProvider(providerName);
+  } catch {
+    throw new PaymentError(`Unknown payment provider: ${providerName}`, "unknown_provider", 404);
+  }
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    throw new PaymentError("Invalid webhook signature", "invalid_signature", 401);
+  }
+  const event = provider.parseWebhookEvent(rawBody, headers);
+  if (!event) throw new PaymentError("Unrecognized webhook payload", "invalid_payload", 400);
+
+  const prisma = getPrisma();
+  const order = await prisma.order.findFirst({
+    where: { razorpayOrderId: event.providerOrderId, paymentProvider: providerName, parentOrderId: null },
+    select: { id: true, status: true },
+  });
+
+  try {
+    await prisma.paymentEvent.create({
+      data: {
+        provider: providerName,
+        eventId: String(event.eventId),
+        type: event.type,
+        orderId: order?.id ?? null,
+        providerOrderId: event.providerOrderId,
+        paymentId: event.paymentId,
+        status: event.status,
+        payload: Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody),
+      },
+    });
+  } catch (err) {
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002") {
+      return { received: true, duplicate: true };
+    }
+    throw err;
+  }
+
+  if (!order) return { received: true, ignored: "order_not_found" };
+  if (!event.status) return { received: true, ignored: "event_type" };
+
+  const refundPending = order.status === "cancelled" && PAID_PAYMENT_STATUSES.includes(event.status);
+  const status = refundPending ? "refund_pending" : event.status;
+  const applied = await applyPaymentStatus(order.id, status, {
+    transactionId: event.paymentId,
+    method: event.method,
+  });
+  if (applied) {
+    await prisma.paymentEvent.update({
+      where: { provider_eventId: { provider: providerName, eventId: String(event.eventId) } },
+      data: { applied: true },
+    });
+    if (refundPending) {
+      console.warn(`[payment] Order ${order.id} was paid after it was cancelled; payment ${event.paymentId} needs a refund`);
+    } else {
+      await onPaymentStatusChanged(order.id, status);
+    }
+  }
+  return refundPending ? { received: true, applied, refundPending } : { received: true, applied };
+}
@@ -5,6 +5,14 @@ function triggerPreferenceGraph(userId) {
   import("./preferenceGraph.js").then((m) => m.triggerBuildPreferenceGraph(userId)).catch(() => {});
 }
 
+/** Wishlist rows of a signed-in user or of an anonymous guest session (see domain/guest); only users feed the graph. */
+const USER_WISHLIST = { key: "userId", model: (db) => db.wishlist, onChange: triggerPreferenceGraph };
+const GUEST_WISHLIST = { key: "guestId", model: (db) => db.guestWishlistItem, onChange: () => {} };
+
+function normalizeVariantId(variantId) {
+  return variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
+}
+
 const wishlistInclude = {
   product: {
     include: {
@@ -15,79 +23,135 @@ const wishlistInclude = {
   },
 };
 
-/**
- * List wishlist items for a user.
- */
-export async function listWishlist(userId) {
-  const uid = normalizeId(userId);
-  if (!uid) return { items: [] };
-  const prisma = getPrisma();
-  const items = await prisma.wishlist.findMany({
-    where: { userId: uid },
+async function listItems(store, ownerId) {
+  const oid = normalizeId(ownerId);
+  if (!oid) return { items: [] };
+  const items = await store.model(getPrisma()).findMany({
+    where: { [store.key]: oid },
     include: wishlistInclude,
     orderBy: { createdAt: "desc" },
   });
   return { items };
 }
 
-/**
- * Add product to wishlist. Idempotent (upsert).
- */
-export async function addToWishlist(userId, productId, variantId = null) {
-  const uid = normalizeId(userId);
+async function addItem(store, ownerId, productId, variantId) {
+  const oid = normalizeId(ownerId);
   const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return null;
+  const vid = normalizeVariantId(variantId);
+  if (!oid || !pid) return null;
   const prisma = getPrisma();
   const product = await prisma.product.findUnique({ where: { id: pid }, select: { id: true } });
   if (!product) return null;
 
-  const existing = await prisma.wishlist.findFirst({
-    where: { userId: uid, productId: pid, variantId: vid },
+  const items = store.model(prisma);
+  const existing = await items.findFirst({
+    where: { [store.key]: oid, productId: pid, variantId: vid },
   });
   if (existing) {
-    return prisma.wishlist.findUnique({
+    return items.findUnique({
       where: { id: existing.id },
       include: wishlistInclude,
     });
   }
 
-  const created = await prisma.wishlist.create({
-    data: { userId: uid, productId: pid, variantId: vid },
+  const created = await items.create({
+    data: { [store.key]: oid, productId: pid, variantId: vid },
     include: wishlistInclude,
   });
-  triggerPreferenceGraph(uid);
+  store.onChange(oid);
   return created;
 }
 
+async function removeItem(store, ownerId, productId, variantId) {
+  const oid = normalizeId(ownerId);
+  const pid = normalizeId(productId);
+  if (!oid || !pid) return false;
+  const result = await store.model(getPrisma()).deleteMany({
+    where: { [store.key]: oid, productId: pid, variantId: normalizeVariantId(variantId) },
+  });
+  if ((result?.count ?? 0) > 0) store.onChange(oid);
+  return (result?.count ?? 0) > 0;
+}
+
+async function hasItem(store, ownerId, productId, variantId) {
+  const oid = normalizeId(ownerId);
+  const pid = normalizeId(productId);
+  if (!oid || !pid) return false;
+  const row = await store.model(getPrisma()).findFirst({
+    where: { [store.key]: oid, productId: pid, variantId: normalizeVariantId(variantId) },
+  });
+  return Boolean(row);
+}
+
+/**
+ * List wishlist items for a user.
+ */
+export async function listWishlist(userId) {
+  return listItems(USER_WISHLIST, userId);
+}
+
+/**
+ * Add product to wishlist. Idempotent (upsert).
+ */
+export async function addToWishlist(userId, productId, variantId = null) {
+  return addItem(USER_WISHLIST, userId, productId, variantId);
+}
+
 /**
  * Remove from wishlist. If variantId omitted, remove the entry with variantId null for that product.
  */
 export async function removeFromWishlist(userId, productId, variantId = null) {
-  const uid = normalizeId(userId);
-  const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return false;
-  const prisma = getPrisma();
-  const where = { userId: uid, productId: pid };
-  if (vid !== null) where.variantId = vid;
-  else where.variantId = null;
-  const result = await prisma.wishlist.deleteMany({ where });
-  if ((result?.count ?? 0) > 0) triggerPreferenceGraph(uid);
-  return (result?.count ?? 0) > 0;
+  return removeItem(USER_WISHLIST, userId, productId, variantId);
 }
 
 /**
  * Check if product (and optional variant) is in user's wishlist.
  */
 export async function isInWishlist(userId, productId, variantId = null) {
+  return hasItem(USER_WISHLIST, userId, productId, variantId);
+}
+
+/** Guest wishlist (anonymous session id from domain/guest). */
+export async function listGuestWishlist(guestId) {
+  return listItems(GUEST_WISHLIST, guestId);
+}
+
+export async function addToGuestWishlist(guestId, productId, variantId = null) {
+  return addItem(GUEST_WISHLIST, guestId, productId, variantId);
+}
+
+export async function removeFromGuestWishlist(guestId, productId, variantId = null) {
+  return removeItem(GUEST_WISHLIST, guestId, productId, variantId);
+}
+
+export async function isInGuestWishlist(guestId, productId, variantId = null) {
+  return hasItem(GUEST_WISHLIST, guestId, productId, variantId);
+}
+
+/**
+ * Move a guest wishlist into a user's wishlist, skipping products (and variants) the user already saved.
+ * @param {Object} tx - Prisma transaction client
+ * @returns {Promise<{ added: number, skipped: number }>}
+ */
+export async function mergeGuestWishlist(tx, guestId, userId) {
+  const gid = normalizeId(guestId);
   const uid = normalizeId(userId);
-  const pid = normalizeId(productId);
-  const vid = variantId != null && String(variantId).trim() !== "" ? String(variantId).trim() : null;
-  if (!uid || !pid) return false;
-  const prisma = getPrisma();
-  const row = await prisma.wishlist.findFirst({
-    where: { userId: uid, productId: pid, variantId: vid },
-  });
-  return Boolean(row);
+  if (!gid || !uid) return { added: 0, skipped: 0 };
+  const guestItems = await tx.guestWishlistItem.findMany({ where: { guestId: gid } });
+  let added = 0;
+  let skipped = 0;
+  for (const item of guestItems) {
+    const existing = await tx.wishlist.findFirst({
+      where: { userId: uid, productId: item.productId, variantId: item.variantId },
+      select: { id: true },
+    });
+    if (existing) {
+      skipped++;
+      continue;
+    }
+    await tx.wishlist.create({ data: { userId: uid, productId: item.productId, variantId: item.variantId } });
+    added++;
+  }
+  await tx.guestWishlistItem.deleteMany({ where: { guestId: gid } });
+  return { added, skipped };
 }
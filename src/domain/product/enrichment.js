@@ -1,16 +1,148 @@
+/**
+ * Product enrichment: one vision-plus-text pass over the product's images (up to MAX_IMAGES) and description fills the
+ * attribute columns (category, colour, fabric, pattern, fit, length, sleeves, occasion, mood, style, trend tags) plus
+ * a text embedding; price_band is derived from variant prices. Model output is validated against
+ * canonicalCategories.js, the colour palette in colorUtils.js and config/productAttributes.js; a value is written only
+ * if valid and at least MIN_CONFIDENCE, otherwise the existing value stays. Per-field confidence and the taxonomy
+ * version are stored (attributeConfidence, attributeSchemaVersion) so products can be re-enriched when it changes.
+ */
 import { Prisma } from "@prisma/client";
 import { getPrisma } from "../../core/db.js";
 import { chat, embed } from "../../utils/llm.js";
+import { getModelConfig } from "../../config/modelConfig.js";
+import { CANONICAL_CATEGORIES, CATEGORY_LVL1_OPTIONS } from "../../config/canonicalCategories.js";
+import { getCanonicalColorNames } from "../../utils/colorUtils.js";
+import {
+  ATTRIBUTE_SCHEMA_VERSION,
+  ATTRIBUTE_OPTIONS,
+  PRICE_BANDS,
+  MAX_TREND_TAGS,
+} from "../../config/productAttributes.js";
+
+const MAX_IMAGES = 4;
+const STALE_PAGE_SIZE = 500;
+const MIN_CONFIDENCE = Number(process.env.ENRICHMENT_MIN_CONFIDENCE) || 0.5;
+const CANONICAL_COLORS = getCanonicalColorNames();
+
+/** Attribute columns filled from a single allowed-values list. */
+const ENUM_FIELDS = {
+  gender: ATTRIBUTE_OPTIONS.gender,
+  color_family: ATTRIBUTE_OPTIONS.color_family,
+  fabric_primary: ATTRIBUTE_OPTIONS.fabric_primary,
+  pattern: ATTRIBUTE_OPTIONS.pattern,
+  fit: ATTRIBUTE_OPTIONS.fit,
+  length: ATTRIBUTE_OPTIONS.length,
+  coverage: ATTRIBUTE_OPTIONS.coverage,
+  sleeve_length: ATTRIBUTE_OPTIONS.sleeve_length,
+  sleeve_style: ATTRIBUTE_OPTIONS.sleeve_style,
+  style_family: ATTRIBUTE_OPTIONS.style_family,
+  occasion_primary: ATTRIBUTE_OPTIONS.occasion,
+  occasion_secondary: ATTRIBUTE_OPTIONS.occasion,
+  mood_vibe: ATTRIBUTE_OPTIONS.mood_vibe,
+};
 
-const DETECTION_PROMPT = `You are a fashion product classifier. Given the product information below, return a single JSON object with exactly these keys (use null if unknown):
-- category_lvl1: one of "tops", "bottoms", "dresses", "ethnicwear", "outerwear", "co-ords", "activewear", "loungewear", "footwear", "accessories", "jewellery", "menswear", or null
-- gender: one of "women", "men", "unisex", or null
-- color_primary: primary color (e.g. "black", "navy"), or null
-- product_type: brief type (e.g. "t-shirt", "jeans"), or null
+const list = (values) => values.map((v) => `"${v}"`).join(", ");
+
+const ATTRIBUTE_PROMPT = `You are a fashion product classifier. Use the product photos (if any) and the product information below.
+Return a single JSON object: { "attributes": { "<field>": { "value": ..., "confidence": <0-1> }, ... } } with these fields.
+Use value null when the field does not apply or cannot be determined. confidence is how sure you are (1 = certain).
+- category: exactly one of ${list(CANONICAL_CATEGORIES.map((c) => c.label))}, or null if none fits
+- category_lvl1: one of ${list(CATEGORY_LVL1_OPTIONS)} (use this when category is null)
+- category_lvl3: short specific type in lowercase (e.g. "wrap dress", "cargo pants")
+- product_type: brief type (e.g. "t-shirt", "jeans")
+- color_primary: exactly one of ${list(CANONICAL_COLORS)} (the dominant colour of the product, not the background)
+${Object.entries(ENUM_FIELDS)
+  .map(([field, values]) => `- ${field}: one of ${list(values)}`)
+  .join("\n")}
+- trend_tags: array of up to ${MAX_TREND_TAGS} short lowercase trend tags (e.g. ["quiet luxury", "y2k"])
+occasion_secondary must differ from occasion_primary. Judge colour, pattern, fit, length and sleeves from the photos
+when available; fabric from the description when stated.
 
 Product information:
 `;
 
+/** Lowercase, with spaces, underscores and hyphens folded, for comparing model output to allowed values. */
+function foldValue(value) {
+  return String(value).trim().toLowerCase().replace(/[\s_-]+/g, "");
+}
+
+function matchOption(value, options) {
+  if (value == null || value === "") return null;
+  const folded = foldValue(value);
+  return options.find((o) => foldValue(o) === folded) ?? null;
+}
+
+function matchCategory(value) {
+  if (value == null || value === "") return null;
+  const folded = foldValue(value);
+  return CANONICAL_CATEGORIES.find((c) => foldValue(c.label) === folded || foldValue(c.id) === folded) ?? null;
+}
+
+function freeText(value, maxLength = 60) {
+  if (typeof value !== "string") return null;
+  const s = value.trim().toLowerCase().replace(/\s+/g, " ");
+  return s && s.length <= maxLength ? s : null;
+}
+
+function clampConfidence(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : 0;
+}
+
+/**
+ * Validate model output. Returns only fields whose value is allowed, with their confidence.
+ * @param {object} raw - { field: { value, confidence } } (a bare value counts as confidence 0.5)
+ * @returns {Record<string, { value: string, confidence: number }>}
+ */
+export function validateAttributes(raw = {}) {
+  const entry = (field) => {
+    const v = raw?.[field];
+    if (v && typeof v === "object" && !Array.isArray(v)) return { value: v.value, confidence: clampConfidence(v.confidence) };
+    return { value: v, confidence: v == null ? 0 : 0.5 };
+  };
+  const out = {};
+  const put = (field, value, confidence) => {
+    if (value != null && value !== "") out[field] = { value, confidence };
+  };
+
+  const category = entry("category");
+  const canonical = matchCategory(category.value);
+  if (canonical) {
+    put("category_lvl2", canonical.label.toLowerCase(), category.confidence);
+    put("category_lvl1", canonical.category_lvl1, category.confidence);
+  } else {
+    const lvl1 = entry("category_lvl1");
+    put("category_lvl1", matchOption(lvl1.value, CATEGORY_LVL1_OPTIONS), lvl1.confidence);
+  }
+  for (const field of ["category_lvl3", "product_type"]) {
+    const e = entry(field);
+    put(field, freeText(e.value), e.confidence);
+  }
+  const color = entry("color_primary");
+  put("color_primary", matchOption(color.value, CANONICAL_COLORS), color.confidence);
+  for (const [field, options] of Object.entries(ENUM_FIELDS)) {
+    const e = entry(field);
+    put(field, matchOption(e.value, options), e.confidence);
+  }
+  if (out.occasion_secondary && out.occasion_secondary.value === out.occasion_primary?.value) {
+    delete out.occasion_secondary;
+  }
+  const trends = entry("trend_tags");
+  if (Array.isArray(trends.value)) {
+    const tags = [...new Set(trends.value.map((t) => freeText(t, 40)).filter(Boolean))].slice(0, MAX_TREND_TAGS);
+    if (tags.length) put("trend_tags", JSON.stringify(tags), trends.confidence);
+  }
+  return out;
+}
+
+/** price_band from the lowest variant price, or null without prices. */
+export function priceBandFor(variants = []) {
+  const prices = variants.map((v) => parseFloat(v.price)).filter((p) => Number.isFinite(p) && p > 0);
+  if (!prices.length) return null;
+  const price = Math.min(...prices);
+  return PRICE_BANDS.find((b) => price < b.below)?.band ?? null;
+}
+
 /**
  * Build text bundle from product for LLM.
  */
@@ -36,7 +168,50 @@ function textBundle(product) {
 }
 
 /**
- * Enrich one product: LLM attributes + optional embedding. Does not re-enqueue existing 27k.
+ * Ask the vision model (imageAnalysis config) with images and text; without images, or if the vision call fails,
+ * ask the text model. Returns { attributes, source: "vision" | "text" }.
+ */
+async function detectAttributes(product) {
+  const prompt = ATTRIBUTE_PROMPT + textBundle(product) + "\nRespond only with valid JSON.";
+  const imageUrls = (product.images ?? [])
+    .map((img) => img.src)
+    .filter((src) => typeof src === "string" && /^https?:\/\//.test(src))
+    .slice(0, MAX_IMAGES);
+  if (imageUrls.length) {
+    try {
+      const config = await getModelConfig("imageAnalysis");
+      const result = await chat({
+        messages: [
+          {
+            role: "user",
+            content: [
+              { type: "text", text: prompt },
+              ...imageUrls.map((url) => ({ type: "image_url", image_url: { url, detail: "low" } })),
+            ],
+          },
+        ],
+        responseFormat: "json_object",
+        temperature: 0.2,
+        maxTokens: 1200,
+        provider: config?.provider,
+        model: config?.model,
+      });
+      return { attributes: result?.attributes ?? result, source: "vision" };
+    } catch (err) {
+      console.warn(`[enrichment] Vision pass failed for ${product.id}, using text only:`, err.message);
+    }
+  }
+  const result = await chat({
+    messages: [{ role: "user", content: prompt }],
+    responseFormat: "json_object",
+    temperature: 0.2,
+    maxTokens: 1200,
+  });
+  return { attributes: result?.attributes ?? result, source: "text" };
+}
+
+/**
+ * Enrich one product: attributes from images and text (see module doc) + text embedding. Does not re-enqueue existing 27k.
  */
 export async function enrichProduct(productId) {
   const prisma = getPrisma();
@@ -53,25 +228,28 @@ export async function enrichProduct(productId) {
   });
 
   try {
-    const text = textBundle(product);
-    const prompt = DETECTION_PROMPT + text + "\nRespond only with valid JSON.";
-
-    const result = await chat({
-      messages: [{ role: "user", content: prompt }],
-      responseFormat: "json_object",
-      temperature: 0.2,
-      maxTokens: 500,
-    });
-
-    const updateData = {
-      gender: result.gender || product.gender || null,
-      category_lvl1: result.category_lvl1 || product.category_lvl1 || null,
-      color_primary: result.color_primary || product.color_primary || null,
-      product_type: result.product_type || product.product_type || null,
+    const { attributes, source } = await detectAttributes(product);
+    const validated = validateAttributes(attributes);
+    const updateData = {};
+    const confidence = {};
+    for (const [field, { value, confidence: c }] of Object.entries(validated)) {
+      if (c < MIN_CONFIDENCE) continue;
+      updateData[field] = value;
+      confidence[field] = Math.round(c * 100) / 100;
+    }
+    const priceBand = priceBandFor(product.variants);
+    if (priceBand) {
+      updateData.price_band = priceBand;
+      confidence.price_band = 1;
+    }
+    Object.assign(updateData, {
+      attributeConfidence: confidence,
+      attributeSource: source,
+      attributeSchemaVersion: ATTRIBUTE_SCHEMA_VERSION,
       enrichedAt: new Date(),
       enrichmentStatus: "completed",
       enrichmentError: null,
-    };
+    });
 
     await prisma.product.update({
       where: { id: productId },
@@ -80,7 +258,20 @@ export async function enrichProduct(productId) {
 
     // Optional: store text embedding for search (embedding + pgvector embedding_vector)
     try {
-      const embedText = [product.title, product.descriptionHtml, result.category_lvl1, result.color_primary].filter(Boolean).join(" ");
+      const merged = { ...product, ...updateData };
+      const embedText = [
+        product.title,
+        product.descriptionHtml,
+        merged.category_lvl1,
+        merged.category_lvl2,
+        merged.color_primary,
+        merged.fabric_primary,
+        merged.pattern,
+        merged.style_family,
+        merged.occasion_primary,
+      ]
+        .filter(Boolean)
+        .join(" ");
       const vector = await embed(embedText.slice(0, 8000));
       await prisma.product.update({
         where: { id: productId },
@@ -111,3 +302,35 @@ export async function enqueueProductEnrichment(productId, priority = 100) {
   const { enqueueEnrichment } = await import("../../utils/queue.js");
   return enqueueEnrichment(productId, priority);
 }
+
+/**
+ * Queue active products whose attributes were enriched under an older taxonomy (attributeSchemaVersion) or never.
+ * Low priority so new imports go first. Ids are read and queued in pages, one Redis round trip per page.
+ * @param {{ brandId?: string, limit?: number }} [opts]
+ * @returns {Promise<number>} Products queued
+ */
+export async function enqueueStaleAttributeEnrichment({ brandId, limit = 500 } = {}) {
+  const { enqueueEnrichmentBatch } = await import("../../utils/queue.js");
+  const prisma = getPrisma();
+  const max = Math.min(Math.max(Number(limit) || 500, 1), 5000);
+  const where = {
+    status: "active",
+    ...(brandId && { brandId }),
+    OR: [{ attributeSchemaVersion: null }, { attributeSchemaVersion: { lt: ATTRIBUTE_SCHEMA_VERSION } }],
+  };
+  let enqueued = 0;
+  let cursor = null;
+  while (enqueued < max) {
+    const page = await prisma.product.findMany({
+      where,
+      select: { id: true },
+      orderBy: { id: "asc" },
+      take: Math.min(STALE_PAGE_SIZE, max - enqueued),
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+    if (page.length === 0) break;
+    enqueued += await enqueueEnrichmentBatch(page.map((p) => p.id), 200);
+    cursor = page[page.length - 1].id;
+  }
+  return enqueued;
+}
@@ -5,6 +5,7 @@
 
 import { getPrisma } from "../../core/db.js";
 import { enqueueEnrichment } from "../../utils/queue.js";
+import { syncProductVariants, variantWeightGrams } from "./sync.js";
 
 /**
  * Fetch all products from Shopify public JSON API with pagination.
@@ -90,6 +91,17 @@ export async function fetchProductsFromPublicUrl(baseUrl) {
   return allProducts;
 }
 
+/**
+ * products.json usually omits inventory_quantity and only says whether a variant is `available`.
+ * Track stock when a quantity is given (unless the variant sells when out); an unavailable variant is tracked at zero.
+ */
+function isPublicInventoryTracked(v) {
+  if (v.inventory_quantity != null || v.inventoryQuantity != null) {
+    return String(v.inventory_policy || "deny").toLowerCase() !== "continue";
+  }
+  return v.available === false;
+}
+
 /**
  * Normalize raw product from products.json to backend2 Product shape (for upsert).
  */
@@ -121,6 +133,8 @@ export function normalizePublicProduct(productData, _baseUrl) {
       option2: v.option2 ?? null,
       option3: v.option3 ?? null,
       inventoryQuantity: Number(v.inventory_quantity ?? v.inventoryQuantity ?? 0) || 0,
+      inventoryTracked: isPublicInventoryTracked(v),
+      weightGrams: variantWeightGrams(v),
     })),
     images,
   };
@@ -129,7 +143,7 @@ export function normalizePublicProduct(productData, _baseUrl) {
 /**
  * Derive shop domain from URL (hostname).
  */
-function getShopDomainFromUrl(urlInput) {
+export function getShopDomainFromUrl(urlInput) {
   let s = urlInput.replace(/^https?:\/\//i, "").split("/")[0].toLowerCase();
   return s || urlInput;
 }
@@ -245,7 +259,6 @@ async function importRawProductsIntoBrand(prisma, baseUrl, shopDomain, name, raw
           where: { id: existing.id },
           data: productPayload,
         });
-        await prisma.productVariant.deleteMany({ where: { productId: product.id } });
         await prisma.productImage.deleteMany({ where: { productId: product.id } });
         updatedProducts++;
       } else {
@@ -253,11 +266,7 @@ async function importRawProductsIntoBrand(prisma, baseUrl, shopDomain, name, raw
         newProducts++;
       }
 
-      if (normalized.variants?.length) {
-        await prisma.productVariant.createMany({
-          data: normalized.variants.map((v) => ({ ...v, productId: product.id })),
-        });
-      }
+      await syncProductVariants(prisma, product.id, normalized.variants);
       if (normalized.images?.length) {
         await prisma.productImage.createMany({
           data: normalized.images.map((img) => ({
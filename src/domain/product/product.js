@@ -2,6 +2,7 @@ import { Prisma } from "@prisma/client";
 import { getPrisma } from "../../core/db.js";
 import { normalizeId } from "../../core/helpers.js";
 import { embedText, embedImage, embedImageWithQuery } from "../../utils/llm.js";
+import { embedImageVisual } from "../../utils/visualEmbedding.js";
 
 /** Max products to load for semantic similarity when pgvector is not used. */
 const SEMANTIC_SEARCH_CANDIDATE_LIMIT = 2000;
@@ -15,6 +16,60 @@ const RELEVANCE_DISTANCE_THRESHOLD = Number(process.env.RELEVANCE_DISTANCE_THRES
 /** Min similarity (dot product, ~cosine) for in-memory path; only return products above this. */
 const RELEVANCE_MIN_SIMILARITY = Number(process.env.RELEVANCE_MIN_SIMILARITY) || 0.25;
 
+/** Image queries: weight (0–1) of visual similarity vs caption / text similarity in the blended score. */
+const VISUAL_SEARCH_WEIGHT = Number.isFinite(Number(process.env.VISUAL_SEARCH_WEIGHT))
+  ? Math.min(Math.max(Number(process.env.VISUAL_SEARCH_WEIGHT), 0), 1)
+  : 0.6;
+
+/** Cosine distance threshold on visual_embedding_vector for image queries (as RELEVANCE_DISTANCE_THRESHOLD). */
+const VISUAL_DISTANCE_THRESHOLD = Number(process.env.VISUAL_DISTANCE_THRESHOLD) || 0.5;
+
+/** Nearest neighbours taken from each index (visual, text) before blending. */
+const VISUAL_SEARCH_CANDIDATES = 200;
+
+/** Text search config for ftsVector; must match the Product_fts_vector trigger (migration product_fts_vector). */
+const FTS_CONFIG = "english";
+
+/** Products per ftsVector backfill batch (one short UPDATE each). */
+const FTS_BACKFILL_BATCH = 500;
+
+/**
+ * Hybrid text search (reciprocal-rank fusion): score = weight / (SEARCH_RRF_K + rank) summed over the full-text and
+ * vector rankings. Raise SEARCH_LEXICAL_WEIGHT to favour exact terms (brand names, "kurta", codes), raise
+ * SEARCH_SEMANTIC_WEIGHT to favour meaning; a larger SEARCH_RRF_K flattens the difference between top ranks.
+ */
+const SEARCH_LEXICAL_WEIGHT = Number.isFinite(Number(process.env.SEARCH_LEXICAL_WEIGHT))
+  ? Math.max(Number(process.env.SEARCH_LEXICAL_WEIGHT), 0)
+  : 1;
+const SEARCH_SEMANTIC_WEIGHT = Number.isFinite(Number(process.env.SEARCH_SEMANTIC_WEIGHT))
+  ? Math.max(Number(process.env.SEARCH_SEMANTIC_WEIGHT), 0)
+  : 1;
+const SEARCH_RRF_K = Number(process.env.SEARCH_RRF_K) || 60;
+
+/** Candidates taken from each ranking before fusion. */
+const HYBRID_SEARCH_CANDIDATES = 200;
+
+/** Attribute filter value as stored by enrichment (lowercase), or null when not filtering. */
+function attributeFilterValue(value) {
+  const v = value != null ? String(value).trim().toLowerCase() : "";
+  return v || null;
+}
+
+/** SQL filters shared by search and text listing (values already normalized). */
+function productSqlFilters({ status, brandId, category, occasion, mood }) {
+  const filters = [Prisma.sql`status = ${status || "active"}`];
+  if (brandId) filters.push(Prisma.sql`"brandId" = ${brandId}`);
+  if (category) filters.push(Prisma.sql`"category_lvl1" = ${category}`);
+  if (occasion) filters.push(Prisma.sql`"occasion_primary" = ${occasion}`);
+  if (mood) filters.push(Prisma.sql`"mood_vibe" = ${mood}`);
+  return filters;
+}
+
+/** tsquery matching any word of the text (plainto_tsquery ANDs them); ts_rank_cd ranks more matches higher. */
+function ftsAnyWordQuery(text) {
+  return Prisma.sql`replace(plainto_tsquery(${FTS_CONFIG}::regconfig, ${text})::text, '&', '|')::tsquery`;
+}
+
 /**
  * Get a single product by id (with brand and images).
  */
@@ -33,7 +88,8 @@ export async function getProduct(id) {
 }
 
 /**
- * List products with optional filters and optional text search (title, tags).
+ * List products with optional filters and optional text search: full-text match on ftsVector (ranked) or a
+ * substring of title / tags; without search, newest updates first.
  * @param {Object} opts - { brandId?, status?, limit?, offset?, category_lvl1?, occasion_primary?, mood_vibe?, search? }
  */
 export async function listProducts(opts = {}) {
@@ -50,15 +106,38 @@ export async function listProducts(opts = {}) {
   const prisma = getPrisma();
   const where = { status: status || "active" };
   if (normalizeId(brandId)) where.brandId = normalizeId(brandId);
-  if (category_lvl1 != null && String(category_lvl1).trim()) where.category_lvl1 = String(category_lvl1).trim();
-  if (occasion_primary != null && String(occasion_primary).trim()) where.occasion_primary = String(occasion_primary).trim();
-  if (mood_vibe != null && String(mood_vibe).trim()) where.mood_vibe = String(mood_vibe).trim();
+  const cat = attributeFilterValue(category_lvl1);
+  const occ = attributeFilterValue(occasion_primary);
+  const mood = attributeFilterValue(mood_vibe);
+  if (cat) where.category_lvl1 = cat;
+  if (occ) where.occasion_primary = occ;
+  if (mood) where.mood_vibe = mood;
+  const limitNum = Math.min(Number(limit) || 24, 100);
+  const offsetNum = Math.max(0, Number(offset) || 0);
   if (search != null && String(search).trim()) {
-    const q = `%${String(search).trim()}%`;
-    where.OR = [
-      { title: { contains: q, mode: "insensitive" } },
-      { tags: { contains: q, mode: "insensitive" } },
-    ];
+    const term = String(search).trim();
+    const filters = productSqlFilters({
+      status,
+      brandId: where.brandId,
+      category: where.category_lvl1,
+      occasion: where.occasion_primary,
+      mood: where.mood_vibe,
+    });
+    const tsQuery = Prisma.sql`plainto_tsquery(${FTS_CONFIG}::regconfig, ${term})`;
+    const pattern = `%${term.replace(/[\\%_]/g, "\\$&")}%`;
+    const match = Prisma.sql`${Prisma.join(filters, " AND ")}
+      AND ("ftsVector" @@ ${tsQuery} OR title ILIKE ${pattern} OR tags ILIKE ${pattern})`;
+    const [rows, countResult] = await Promise.all([
+      prisma.$queryRaw(Prisma.sql`
+        SELECT id FROM "Product"
+        WHERE ${match}
+        ORDER BY ts_rank_cd("ftsVector", ${tsQuery}) DESC NULLS LAST, "updatedAt" DESC
+        LIMIT ${limitNum} OFFSET ${offsetNum}
+      `),
+      prisma.$queryRaw(Prisma.sql`SELECT COUNT(*)::int AS c FROM "Product" WHERE ${match}`),
+    ]);
+    const idList = rows.map((row) => row.id);
+    return { items: idList.length ? await loadSearchResults(prisma, idList) : [], total: countResult[0]?.c ?? 0 };
   }
 
   const [items, total] = await Promise.all([
@@ -70,8 +149,8 @@ export async function listProducts(opts = {}) {
         variants: { select: { price: true }, take: 1, orderBy: { id: "asc" } },
       },
       orderBy: { updatedAt: "desc" },
-      take: Math.min(Number(limit) || 24, 100),
-      skip: Math.max(0, Number(offset) || 0),
+      take: limitNum,
+      skip: offsetNum,
     }),
     prisma.product.count({ where }),
   ]);
@@ -92,6 +171,8 @@ function dot(a, b) {
 /**
  * Natural language or image-based semantic search over products.
  * Uses pgvector when available (full catalog, fast); otherwise in-memory similarity over products with embedding.
+ * Text queries fuse full-text rank on ftsVector with vector distance (hybridSearch); image queries also compare
+ * pixels (visual_embedding_vector) and blend that with the caption match (searchByImage).
  * @param {Object} opts - { query?, imageUrl?, limit?, offset?, brandId?, status?, category_lvl1?, occasion_primary?, mood_vibe? }
  * @returns {Promise<{ items: Object[], total: number }>}
  */
@@ -124,6 +205,14 @@ export async function searchProducts(opts = {}) {
     });
   }
 
+  // Visual query runs alongside the caption embedding; if it fails, search uses the caption alone
+  const visualQueryPromise = imageUrlTrimmed
+    ? embedImageVisual(imageUrlTrimmed).catch((err) => {
+        console.warn("[searchProducts] visual embedding failed, using caption only:", err?.message);
+        return null;
+      })
+    : null;
+
   let queryVector;
   if (imageUrlTrimmed && queryTrimmed) {
     queryVector = await embedImageWithQuery(imageUrlTrimmed, queryTrimmed);
@@ -137,29 +226,49 @@ export async function searchProducts(opts = {}) {
   const limitNum = Math.min(Number(limit) || 24, 100);
   const offsetNum = Math.max(0, Number(offset) || 0);
   const nidBrand = normalizeId(brandId);
-  const cat =
-    category_lvl1 != null && String(category_lvl1).trim() ? String(category_lvl1).trim() : null;
-  const occ =
-    occasion_primary != null && String(occasion_primary).trim() ? String(occasion_primary).trim() : null;
-  const mood =
-    mood_vibe != null && String(mood_vibe).trim() ? String(mood_vibe).trim() : null;
+  const cat = attributeFilterValue(category_lvl1);
+  const occ = attributeFilterValue(occasion_primary);
+  const mood = attributeFilterValue(mood_vibe);
 
   const vectorStr = "[" + queryVector.join(",") + "]";
+  const filters = productSqlFilters({ status, brandId: nidBrand, category: cat, occasion: occ, mood });
+
+  const visualQuery = await visualQueryPromise;
+  if (visualQuery) {
+    try {
+      const result = await searchByImage(prisma, {
+        visualQuery,
+        textVectorStr: vectorStr,
+        filters,
+        limit: limitNum,
+        offset: offsetNum,
+      });
+      if (result) return result;
+    } catch (pgErr) {
+      console.warn("[searchProducts] visual search failed, using caption only:", pgErr?.message);
+    }
+  }
+
+  if (queryTrimmed) {
+    try {
+      return await hybridSearch(prisma, {
+        query: queryTrimmed,
+        vectorStr,
+        filters,
+        limit: limitNum,
+        offset: offsetNum,
+      });
+    } catch (pgErr) {
+      console.warn("[searchProducts] hybrid search failed, using vector distance only:", pgErr?.message);
+    }
+  }
 
   try {
     const distanceCondition = Prisma.raw(
       `(embedding_vector <=> '${vectorStr}'::vector(1536)) < ${RELEVANCE_DISTANCE_THRESHOLD}`
     );
     const orderByDistance = Prisma.raw(`embedding_vector <=> '${vectorStr}'::vector(1536)`);
-    const conditions = [
-      Prisma.sql`status = ${status || "active"}`,
-      Prisma.sql`embedding_vector IS NOT NULL`,
-      distanceCondition,
-    ];
-    if (nidBrand) conditions.push(Prisma.sql`"brandId" = ${nidBrand}`);
-    if (cat) conditions.push(Prisma.sql`"category_lvl1" = ${cat}`);
-    if (occ) conditions.push(Prisma.sql`"occasion_primary" = ${occ}`);
-    if (mood) conditions.push(Prisma.sql`"mood_vibe" = ${mood}`);
+    const conditions = [...filters, Prisma.sql`embedding_vector IS NOT NULL`, distanceCondition];
 
     const [ids, countResult] = await Promise.all([
       prisma.$queryRaw(
@@ -181,26 +290,7 @@ export async function searchProducts(opts = {}) {
     const idList = ids.map((row) => row.id);
     const total = countResult[0]?.c ?? 0;
     if (idList.length === 0) return { items: [], total };
-
-    const order = idList.map((id, i) => ({ id, ord: i }));
-    const products = await prisma.product.findMany({
-      where: { id: { in: idList } },
-      include: {
-        brand: { select: { id: true, name: true, logoUrl: true } },
-        images: { take: 1, orderBy: { position: "asc" } },
-        variants: { select: { price: true }, take: 1, orderBy: { id: "asc" } },
-      },
-    });
-    const byId = new Map(products.map((p) => [p.id, p]));
-    const items = idList
-      .map((id) => byId.get(id))
-      .filter(Boolean)
-      .map((p) => {
-        const { embedding, embedding_vector, ...rest } = p;
-        return rest;
-      });
-
-    return { items, total };
+    return { items: await loadSearchResults(prisma, idList), total };
   } catch (pgErr) {
     console.warn("[searchProducts] pgvector path failed, falling back to in-memory:", pgErr?.message);
   }
@@ -240,8 +330,151 @@ export async function searchProducts(opts = {}) {
   const total = scored.length;
   const slice = scored.slice(offsetNum, offsetNum + limitNum);
   const items = slice.map(({ product }) => {
-    const { embedding, ...rest } = product;
+    const { embedding, visual_embedding, ...rest } = product;
     return rest;
   });
   return { items, total };
 }
+
+/** Products for search result ids, in the given order, with brand, first image and first variant price. */
+async function loadSearchResults(prisma, idList) {
+  const products = await prisma.product.findMany({
+    where: { id: { in: idList } },
+    include: {
+      brand: { select: { id: true, name: true, logoUrl: true } },
+      images: { take: 1, orderBy: { position: "asc" } },
+      variants: { select: { price: true }, take: 1, orderBy: { id: "asc" } },
+    },
+  });
+  const byId = new Map(products.map((p) => [p.id, p]));
+  return idList
+    .map((id) => byId.get(id))
+    .filter(Boolean)
+    .map((p) => {
+      const { embedding, visual_embedding, ...rest } = p;
+      return rest;
+    });
+}
+
+/**
+ * Image query: nearest neighbours by visual_embedding_vector (same imageEmbed model only) and by the caption's text
+ * embedding, blended as VISUAL_SEARCH_WEIGHT × visual similarity + the rest × text similarity (a missing vector counts
+ * as 0). A product is kept if either distance is under its threshold.
+ * @returns {Promise<{ items, total }|null>} null when no product has a visual embedding for this model yet
+ */
+async function searchByImage(prisma, { visualQuery, textVectorStr, filters, limit, offset }) {
+  const visualVectorStr = "[" + visualQuery.vector.join(",") + "]";
+  const where = Prisma.join(filters, " AND ");
+  const candidates = Math.max(VISUAL_SEARCH_CANDIDATES, offset + limit);
+  const rows = await prisma.$queryRaw(Prisma.sql`
+    WITH visual AS (
+      SELECT id FROM "Product"
+      WHERE ${where} AND visual_embedding_vector IS NOT NULL AND "visualEmbeddingModel" = ${visualQuery.model}
+      ORDER BY visual_embedding_vector <=> ${visualVectorStr}::vector(512)
+      LIMIT ${candidates}
+    ), semantic AS (
+      SELECT id FROM "Product"
+      WHERE ${where} AND embedding_vector IS NOT NULL
+      ORDER BY embedding_vector <=> ${textVectorStr}::vector(1536)
+      LIMIT ${candidates}
+    )
+    SELECT p.id,
+      CASE WHEN p."visualEmbeddingModel" = ${visualQuery.model}
+        THEN (p.visual_embedding_vector <=> ${visualVectorStr}::vector(512)) END AS visual_distance,
+      (p.embedding_vector <=> ${textVectorStr}::vector(1536)) AS text_distance
+    FROM "Product" p
+    WHERE p.id IN (SELECT id FROM visual UNION SELECT id FROM semantic)
+  `);
+  if (!rows.some((row) => row.visual_distance != null)) return null;
+
+  const scored = [];
+  for (const row of rows) {
+    const visualDistance = row.visual_distance != null ? Number(row.visual_distance) : null;
+    const textDistance = row.text_distance != null ? Number(row.text_distance) : null;
+    const relevant =
+      (visualDistance != null && visualDistance < VISUAL_DISTANCE_THRESHOLD) ||
+      (textDistance != null && textDistance < RELEVANCE_DISTANCE_THRESHOLD);
+    if (!relevant) continue;
+    const score =
+      VISUAL_SEARCH_WEIGHT * (visualDistance != null ? 1 - visualDistance : 0) +
+      (1 - VISUAL_SEARCH_WEIGHT) * (textDistance != null ? 1 - textDistance : 0);
+    scored.push({ id: row.id, score });
+  }
+  scored.sort((a, b) => b.score - a.score);
+  const idList = scored.slice(offset, offset + limit).map((s) => s.id);
+  if (idList.length === 0) return { items: [], total: scored.length };
+  return { items: await loadSearchResults(prisma, idList), total: scored.length };
+}
+
+/**
+ * Text query: reciprocal-rank fusion of the full-text ranking (ftsVector, any query word) and the vector ranking
+ * (embedding_vector, distance under RELEVANCE_DISTANCE_THRESHOLD), weighted by SEARCH_LEXICAL_WEIGHT and
+ * SEARCH_SEMANTIC_WEIGHT. A product in only one ranking scores from that one alone.
+ * @returns {Promise<{ items, total }>} total counts every product matching either way
+ */
+async function hybridSearch(prisma, { query, vectorStr, filters, limit, offset }) {
+  const where = Prisma.join(filters, " AND ");
+  const tsQuery = ftsAnyWordQuery(query.slice(0, 1000));
+  const distance = Prisma.sql`(embedding_vector <=> ${vectorStr}::vector(1536))`;
+  const semanticMatch = Prisma.sql`embedding_vector IS NOT NULL AND ${distance} < ${RELEVANCE_DISTANCE_THRESHOLD}`;
+  const candidates = Math.max(HYBRID_SEARCH_CANDIDATES, offset + limit);
+  const [lexical, semantic, countResult] = await Promise.all([
+    SEARCH_LEXICAL_WEIGHT > 0
+      ? prisma.$queryRaw(Prisma.sql`
+          SELECT id FROM "Product"
+          WHERE ${where} AND "ftsVector" @@ ${tsQuery}
+          ORDER BY ts_rank_cd("ftsVector", ${tsQuery}) DESC, id
+          LIMIT ${candidates}
+        `)
+      : [],
+    SEARCH_SEMANTIC_WEIGHT > 0
+      ? prisma.$queryRaw(Prisma.sql`
+          SELECT id FROM "Product"
+          WHERE ${where} AND ${semanticMatch}
+          ORDER BY ${distance}
+          LIMIT ${candidates}
+        `)
+      : [],
+    prisma.$queryRaw(Prisma.sql`
+      SELECT COUNT(*)::int AS c FROM "Product"
+      WHERE ${where} AND (${SEARCH_LEXICAL_WEIGHT > 0 ? Prisma.sql`"ftsVector" @@ ${tsQuery}` : Prisma.sql`FALSE`}
+        OR ${SEARCH_SEMANTIC_WEIGHT > 0 ? Prisma.sql`(${semanticMatch})` : Prisma.sql`FALSE`})
+    `),
+  ]);
+
+  const scores = new Map();
+  const addRanking = (rows, weight) => {
+    rows.forEach((row, i) => scores.set(row.id, (scores.get(row.id) ?? 0) + weight / (SEARCH_RRF_K + i + 1)));
+  };
+  addRanking(lexical, SEARCH_LEXICAL_WEIGHT);
+  addRanking(semantic, SEARCH_SEMANTIC_WEIGHT);
+  const idList = [...scores.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(offset, offset + limit)
+    .map(([id]) => id);
+  const total = countResult[0]?.c ?? 0;
+  if (idList.length === 0) return { items: [], total };
+  return { items: await loadSearchResults(prisma, idList), total };
+}
+
+/**
+ * Fill ftsVector for products written before the Product_fts_vector trigger existed, in batches of
+ * FTS_BACKFILL_BATCH rows so no statement holds many row locks (rows locked by others are skipped until the next run).
+ * A no-op UPDATE fires the trigger, which computes the vector.
+ * @param {{ maxBatches?: number }} [opts]
+ * @returns {Promise<number>} Products updated
+ */
+export async function backfillProductFtsVectors({ maxBatches = 20 } = {}) {
+  const prisma = getPrisma();
+  let updated = 0;
+  for (let i = 0; i < maxBatches; i++) {
+    const count = await prisma.$executeRaw`
+      UPDATE "Product" SET title = title
+      WHERE id IN (
+        SELECT id FROM "Product" WHERE "ftsVector" IS NULL ORDER BY id LIMIT ${FTS_BACKFILL_BATCH} FOR UPDATE SKIP LOCKED
+      )`;
+    updated += count;
+    if (count < FTS_BACKFILL_BATCH) break;
+  }
+  return updated;
+}
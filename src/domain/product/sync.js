@@ -1,6 +1,24 @@
 import { getPrisma } from "../../core/db.js";
+import { getShopifyClient } from "../../utils/shopify/index.js";
+import { activeReservedQuantities } from "../inventory/inventory.js";
+import { detectVariantChanges, recordProductAlerts } from "../alerts/productAlerts.js";
 
-const SHOPIFY_API_VERSION = "2025-01";
+/**
+ * Stock only limits sales when Shopify manages it and the variant does not "continue selling when out of stock".
+ */
+function isInventoryTracked(v) {
+  return Boolean(v.inventory_management) && String(v.inventory_policy || "deny").toLowerCase() !== "continue";
+}
+
+/**
+ * Shipping weight in grams from a Shopify variant's `grams` (REST / products.json); null when unknown.
+ */
+export function variantWeightGrams(v) {
+  const grams = Number(v.grams);
+  return Number.isFinite(grams) && grams > 0 ? Math.round(grams) : null;
+}
+
+const GRAMS_PER_UNIT = { GRAMS: 1, KILOGRAMS: 1000, OUNCES: 28.3495, POUNDS: 453.592 };
 
 /**
  * Normalize Shopify product data (REST-like shape) to our schema.
@@ -29,6 +47,8 @@ export function normalizeProduct(productData, _shopDomain) {
       option2: v.option2 ?? null,
       option3: v.option3 ?? null,
       inventoryQuantity: Number(v.inventory_quantity) || 0,
+      inventoryTracked: isInventoryTracked(v),
+      weightGrams: variantWeightGrams(v),
     })),
     images: (productData.images || []).map((img, index) => ({
       src: img.src || img.url,
@@ -38,6 +58,53 @@ export function normalizeProduct(productData, _shopDomain) {
   };
 }
 
+/**
+ * Update a product's variants in place, matched by sourceVariantId, so variant ids (referenced by carts, orders and
+ * inventory reservations) stay stable across syncs. Variants gone from the source are deleted, except those with
+ * active reservations: they keep exactly the held units (nothing more to sell) so committing the holds ends at zero.
+ * Price drops and restocks on existing variants raise alerts for users watching the product (see domain/alerts).
+ * @param {Object} prisma
+ * @param {string} productId
+ * @param {Array<Object>} variants - Normalized variants
+ */
+export async function syncProductVariants(prisma, productId, variants = []) {
+  const existing = await prisma.productVariant.findMany({
+    where: { productId },
+    select: { id: true, sourceVariantId: true, price: true, inventoryQuantity: true, inventoryTracked: true },
+  });
+  const bySource = new Map(existing.map((v) => [v.sourceVariantId, v]));
+  const kept = new Set();
+  const changes = [];
+  for (const v of variants) {
+    const current = bySource.get(v.sourceVariantId);
+    if (current && !kept.has(current.id)) {
+      kept.add(current.id);
+      changes.push(...detectVariantChanges(current, v));
+      await prisma.productVariant.update({ where: { id: current.id }, data: v });
+    } else {
+      await prisma.productVariant.create({ data: { ...v, productId } });
+    }
+  }
+  if (changes.length) {
+    try {
+      await recordProductAlerts(productId, changes, prisma);
+    } catch (err) {
+      console.error(`[sync] Recording alerts for product ${productId} failed:`, err.message);
+    }
+  }
+  const removed = existing.map((v) => v.id).filter((id) => !kept.has(id));
+  if (removed.length === 0) return;
+  const held = await activeReservedQuantities(removed, prisma);
+  const deletable = removed.filter((id) => !held.has(id));
+  if (deletable.length) await prisma.productVariant.deleteMany({ where: { id: { in: deletable } } });
+  for (const [id, quantity] of held) {
+    await prisma.productVariant.update({
+      where: { id },
+      data: { inventoryQuantity: quantity, inventoryTracked: true },
+    });
+  }
+}
+
 /**
  * Upsert one product (create or update) for a brand. Idempotent by sourceProductId.
  */
@@ -79,17 +146,12 @@ export async function upsertProduct(normalizedProduct, shopDomain) {
       where: { id: existing.id },
       data: productData,
     });
-    await prisma.productVariant.deleteMany({ where: { productId: product.id } });
     await prisma.productImage.deleteMany({ where: { productId: product.id } });
   } else {
     product = await prisma.product.create({ data: productData });
   }
 
-  if (normalizedProduct.variants?.length) {
-    await prisma.productVariant.createMany({
-      data: normalizedProduct.variants.map((v) => ({ ...v, productId: product.id })),
-    });
-  }
+  await syncProductVariants(prisma, product.id, normalizedProduct.variants);
   if (normalizedProduct.images?.length) {
     await prisma.productImage.createMany({
       data: normalizedProduct.images.map((img) => ({ ...img, productId: product.id })),
@@ -127,7 +189,8 @@ export async function syncBrandFromShopify(brandId, accessToken) {
             variants(first: 100) {
               edges {
                 node {
-                  id sku price compareAtPrice inventoryQuantity
+                  id sku price compareAtPrice inventoryQuantity inventoryPolicy
+                  inventoryItem { tracked measurement { weight { unit value } } }
                   selectedOptions { name value }
                 }
               }
@@ -142,28 +205,13 @@ export async function syncBrandFromShopify(brandId, accessToken) {
   let cursor = null;
   let synced = 0;
   let errors = 0;
-  const graphqlUrl = `https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+  const shopify = getShopifyClient();
 
   while (hasNextPage) {
     const variables = { first: 50, after: cursor || undefined };
-    const res = await fetch(graphqlUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Shopify-Access-Token": accessToken,
-      },
-      body: JSON.stringify({ query, variables }),
-    });
-
-    if (!res.ok) {
-      const text = await res.text();
-      throw new Error(`Shopify API error: ${res.status} - ${text}`);
-    }
-
-    const data = await res.json();
-    if (data.errors) throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+    const data = await shopify.graphql(shopDomain, accessToken, query, variables);
 
-    const products = data.data.products;
+    const products = data.products;
     hasNextPage = products.pageInfo.hasNextPage;
     cursor = products.pageInfo.endCursor;
 
@@ -186,12 +234,16 @@ export async function syncBrandFromShopify(brandId, accessToken) {
         variants: (node.variants?.edges || []).map((e) => {
           const v = e.node;
           const opts = v.selectedOptions || [];
+          const weight = v.inventoryItem?.measurement?.weight;
           return {
             id: v.id.split("/").pop(),
             sku: v.sku,
             price: v.price || "0.00",
             compare_at_price: v.compareAtPrice,
             inventory_quantity: v.inventoryQuantity ?? 0,
+            inventory_management: v.inventoryItem?.tracked ? "shopify" : null,
+            inventory_policy: v.inventoryPolicy?.toLowerCase?.() ?? null,
+            grams: weight ? Number(weight.value) * (GRAMS_PER_UNIT[weight.unit] ?? 0) : null,
             option1: opts[0]?.value ?? null,
             option2: opts[1]?.value ?? null,
             option3: opts[2]?.value ?? null,
@@ -0,0 +1,93 @@
+/**
+ * Visual embeddings: the worker embeds each product's primary image (lowest position) with embedImageVisual and stores
+ * it in visual_embedding (JSON) and visual_embedding_vector (pgvector, used by searchProducts for image queries).
+ * The image src and model are recorded so a product is re-embedded only when its primary image or the imageEmbed
+ * model changes. A failed image is recorded too (without a vector) and is not retried until one of them changes.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { embedImageVisual, getVisualEmbeddingModel } from "../../utils/visualEmbedding.js";
+
+const DEFAULT_BATCH_SIZE = Number(process.env.VISUAL_EMBED_BATCH_SIZE) || 50;
+
+async function writeVisualEmbedding(prisma, productId, { src, model, vector }) {
+  if (!vector) {
+    await prisma.$executeRaw(Prisma.sql`
+      UPDATE "Product"
+      SET visual_embedding = NULL, visual_embedding_vector = NULL, "visualEmbeddingGeneratedAt" = NULL,
+          "visualEmbeddingModel" = ${model}, "visualEmbeddingImageUrl" = ${src}
+      WHERE id = ${productId}`);
+    return;
+  }
+  const vectorStr = "[" + vector.join(",") + "]";
+  await prisma.$executeRaw(Prisma.sql`
+    UPDATE "Product"
+    SET visual_embedding = ${JSON.stringify(vector)},
+        visual_embedding_vector = ${vectorStr}::vector(512),
+        "visualEmbeddingGeneratedAt" = NOW(), "visualEmbeddingModel" = ${model}, "visualEmbeddingImageUrl" = ${src}
+    WHERE id = ${productId}`);
+}
+
+/**
+ * Embed one product's primary image now.
+ * @returns {Promise<{ productId, embedded: boolean, error?: string }|null>} null if the product is not found;
+ *   embedded false if it has no image or the image could not be embedded
+ */
+export async function embedProductVisual(productId) {
+  const id = normalizeId(productId);
+  if (!id) return null;
+  const prisma = getPrisma();
+  const product = await prisma.product.findUnique({
+    where: { id },
+    select: { id: true, images: { select: { src: true }, orderBy: [{ position: "asc" }, { id: "asc" }], take: 1 } },
+  });
+  if (!product) return null;
+  const src = product.images[0]?.src;
+  if (!src) return { productId: id, embedded: false, error: "no image" };
+  try {
+    const { vector, model } = await embedImageVisual(src);
+    await writeVisualEmbedding(prisma, id, { src, model, vector });
+    return { productId: id, embedded: true };
+  } catch (err) {
+    await writeVisualEmbedding(prisma, id, { src, model: await getVisualEmbeddingModel(), vector: null });
+    return { productId: id, embedded: false, error: err.message };
+  }
+}
+
+/**
+ * Embed products whose primary image or the imageEmbed model changed since they were last embedded (active
+ * products first). Run by the worker.
+ * @param {{ limit?: number }} opts
+ * @returns {Promise<{ embedded: number, failed: number }>}
+ */
+export async function embedPendingProductVisuals({ limit = DEFAULT_BATCH_SIZE } = {}) {
+  const model = await getVisualEmbeddingModel();
+  if (!model) return { embedded: 0, failed: 0 };
+  const prisma = getPrisma();
+  const rows = await prisma.$queryRaw(Prisma.sql`
+    SELECT p.id
+    FROM "Product" p
+    JOIN LATERAL (
+      SELECT i.src FROM "ProductImage" i
+      WHERE i."productId" = p.id
+      ORDER BY i.position ASC, i.id ASC
+      LIMIT 1
+    ) img ON TRUE
+    WHERE p."visualEmbeddingImageUrl" IS DISTINCT FROM img.src
+       OR p."visualEmbeddingModel" IS DISTINCT FROM ${model}
+    ORDER BY (p.status = 'active') DESC, p."createdAt" DESC
+    LIMIT ${Math.min(Math.max(Number(limit) || DEFAULT_BATCH_SIZE, 1), 500)}`);
+
+  let embedded = 0;
+  let failed = 0;
+  for (const { id } of rows) {
+    const result = await embedProductVisual(id);
+    if (result?.embedded) embedded++;
+    else {
+      failed++;
+      if (result?.error) console.warn(`[visualEmbedding] ${id}: ${result.error}`);
+    }
+  }
+  return { embedded, failed };
+}
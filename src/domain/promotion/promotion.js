@@ -0,0 +1,376 @@
+/**
+ * Promotions: coupon codes managed by admins (any scope) and brands (their own products only), applied to a cart
+ * and redeemed at checkout into Order.discount.
+ * A coupon discounts only its eligible lines (brand- or microstore-scoped, otherwise all); the discount is split
+ * across those lines in proportion to their subtotal so tax and per-brand sub-orders can be computed on net amounts.
+ */
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { PAID_PAYMENT_STATUSES } from "../order/orderStatus.js";
+
+export const COUPON_TYPES = ["percent", "flat"];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+/** Thrown for invalid coupon definitions or codes that cannot be applied; API should respond with statusCode and code. */
+export class PromotionError extends Error {
+  constructor(message, code = "coupon_invalid", statusCode = 400) {
+    super(message);
+    this.name = "PromotionError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function normalizeCouponCode(code) {
+  return typeof code === "string" ? code.trim().toUpperCase() : "";
+}
+
+function parseOptionalDate(value, field) {
+  if (value == null || value === "") return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw new PromotionError(`${field} must be a valid date`);
+  return d;
+}
+
+function parseOptionalInt(value, field) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new PromotionError(`${field} must be a positive whole number`);
+  return n;
+}
+
+function parseOptionalMoney(value, field) {
+  if (value == null || value === "") return null;
+  const minor = toMinorUnits(value);
+  if (minor <= 0) throw new PromotionError(`${field} must be a positive amount`);
+  return formatMinorUnits(minor);
+}
+
+/**
+ * Validate and normalize coupon fields. `scopeBrandId` (brand users) pins the coupon to that brand and only
+ * allows that brand's microstores.
+ */
+async function buildCouponData(input, { scopeBrandId = null, partial = false } = {}) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (!partial || has("code")) {
+    const code = normalizeCouponCode(input.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new PromotionError("code must be 3-32 characters: letters, digits, - or _");
+    }
+    data.code = code;
+  }
+  if (!partial || has("type") || has("value")) {
+    const type = input.type;
+    if (!COUPON_TYPES.includes(type)) throw new PromotionError(`type must be one of: ${COUPON_TYPES.join(", ")}`);
+    const n = Number(input.value);
+    if (!Number.isFinite(n) || n <= 0 || (type === "percent" && n > 100)) {
+      throw new PromotionError(type === "percent" ? "value must be a percentage between 0 and 100" : "value must be a positive amount");
+    }
+    data.type = type;
+    data.value = type === "percent" ? String(n) : formatMinorUnits(toMinorUnits(n));
+  }
+  if (has("description")) data.description = input.description ? String(input.description).trim() : null;
+  if (has("maxDiscount")) data.maxDiscount = parseOptionalMoney(input.maxDiscount, "maxDiscount");
+  if (has("minCartValue")) data.minCartValue = parseOptionalMoney(input.minCartValue, "minCartValue");
+  if (has("firstOrderOnly")) data.firstOrderOnly = Boolean(input.firstOrderOnly);
+  if (has("usageLimit")) data.usageLimit = parseOptionalInt(input.usageLimit, "usageLimit");
+  if (has("perUserLimit")) data.perUserLimit = parseOptionalInt(input.perUserLimit, "perUserLimit");
+  if (has("startsAt")) data.startsAt = parseOptionalDate(input.startsAt, "startsAt");
+  if (has("endsAt")) data.endsAt = parseOptionalDate(input.endsAt, "endsAt");
+  if (has("isActive")) data.isActive = Boolean(input.isActive);
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    throw new PromotionError("endsAt must be after startsAt");
+  }
+
+  const prisma = getPrisma();
+  if (scopeBrandId) {
+    data.brandId = scopeBrandId;
+  } else if (has("brandId")) {
+    data.brandId = normalizeId(input.brandId);
+    if (data.brandId && !(await prisma.brand.findUnique({ where: { id: data.brandId }, select: { id: true } }))) {
+      throw new PromotionError("Brand not found", "brand_not_found", 404);
+    }
+  }
+  if (has("microStoreId")) {
+    data.microStoreId = normalizeId(input.microStoreId);
+    if (data.microStoreId) {
+      const store = await prisma.microStore.findUnique({
+        where: { id: data.microStoreId },
+        select: { id: true, brandId: true },
+      });
+      if (!store) throw new PromotionError("Microstore not found", "microstore_not_found", 404);
+      if (scopeBrandId && store.brandId !== scopeBrandId) {
+        throw new PromotionError("Brands can only scope coupons to their own microstores", "forbidden_scope", 403);
+      }
+    }
+  }
+  return data;
+}
+
+function isUniqueViolation(err) {
+  return err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002";
+}
+
+/**
+ * List coupons, newest first.
+ * @param {{ brandId?: string, active?: boolean, limit?: number, offset?: number }} [opts]
+ */
+export async function listCoupons(opts = {}) {
+  const { limit = 50, offset = 0 } = opts;
+  const where = {};
+  if (normalizeId(opts.brandId)) where.brandId = normalizeId(opts.brandId);
+  if (opts.active != null) where.isActive = Boolean(opts.active);
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.coupon.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: Math.min(Number(limit) || 50, 200),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.coupon.count({ where }),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Get one coupon; with scopeBrandId, only that brand's coupons are visible.
+ */
+export async function getCoupon(couponId, scopeBrandId = null) {
+  const id = normalizeId(couponId);
+  if (!id) return null;
+  const coupon = await getPrisma().coupon.findUnique({ where: { id } });
+  if (!coupon || (scopeBrandId && coupon.brandId !== scopeBrandId)) return null;
+  return coupon;
+}
+
+/**
+ * Create a coupon.
+ * @param {Object} input - { code, type, value, description?, maxDiscount?, minCartValue?, brandId?, microStoreId?,
+ *   firstOrderOnly?, usageLimit?, perUserLimit?, startsAt?, endsAt?, isActive? }
+ * @param {{ scopeBrandId?: string, createdBy?: "admin" | "brand", userId?: string }} [opts]
+ * @throws {PromotionError}
+ */
+export async function createCoupon(input = {}, opts = {}) {
+  const data = await buildCouponData(input, { scopeBrandId: normalizeId(opts.scopeBrandId) });
+  try {
+    return await getPrisma().coupon.create({
+      data: { ...data, createdBy: opts.createdBy || "admin", createdByUserId: normalizeId(opts.userId) },
+    });
+  } catch (err) {
+    if (isUniqueViolation(err)) throw new PromotionError(`Coupon code ${data.code} already exists`, "code_taken", 409);
+    throw err;
+  }
+}
+
+/**
+ * Update a coupon (partial). With scopeBrandId, only that brand's coupons and its own microstores.
+ * @returns {Promise<Object|null>} null if not found / not visible
+ * @throws {PromotionError}
+ */
+export async function updateCoupon(couponId, input = {}, opts = {}) {
+  const scopeBrandId = normalizeId(opts.scopeBrandId);
+  const existing = await getCoupon(couponId, scopeBrandId);
+  if (!existing) return null;
+  const merged = { ...input };
+  if (merged.value !== undefined && merged.type === undefined) merged.type = existing.type;
+  if (merged.type !== undefined && merged.value === undefined) merged.value = existing.value;
+  const data = await buildCouponData(merged, { scopeBrandId, partial: true });
+  const startsAt = data.startsAt !== undefined ? data.startsAt : existing.startsAt;
+  const endsAt = data.endsAt !== undefined ? data.endsAt : existing.endsAt;
+  if (startsAt && endsAt && endsAt <= startsAt) throw new PromotionError("endsAt must be after startsAt");
+  try {
+    return await getPrisma().coupon.update({ where: { id: existing.id }, data });
+  } catch (err) {
+    if (isUniqueViolation(err)) throw new PromotionError(`Coupon code ${data.code} already exists`, "code_taken", 409);
+    throw err;
+  }
+}
+
+/**
+ * Delete a coupon. Redemption history goes with it; orders keep their couponCode and discount.
+ * @returns {Promise<boolean>}
+ */
+export async function deleteCoupon(couponId, scopeBrandId = null) {
+  const existing = await getCoupon(couponId, normalizeId(scopeBrandId));
+  if (!existing) return false;
+  await getPrisma().coupon.delete({ where: { id: existing.id } });
+  return true;
+}
+
+/**
+ * A user's earlier orders that count against firstOrderOnly: released (paid, or cash on delivery and confirmed) and
+ * not cancelled. Abandoned checkouts still awaiting payment do not count.
+ */
+function placedOrdersWhere(userId) {
+  return {
+    userId,
+    parentOrderId: null,
+    status: { not: "cancelled" },
+    OR: [
+      { paymentStatus: { in: PAID_PAYMENT_STATUSES } },
+      { paymentMethod: { equals: "cod", mode: "insensitive" }, status: { notIn: ["pending", "cancelled"] } },
+    ],
+  };
+}
+
+/**
+ * Look up an active-or-not coupon by code (case-insensitive).
+ */
+export async function findCouponByCode(code) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return null;
+  return getPrisma().coupon.findUnique({ where: { code: normalized } });
+}
+
+/**
+ * Check a coupon against priced cart lines and compute the discount.
+ * @param {Object} coupon - Coupon row
+ * @param {Array<Object>} lines - Lines from cart/pricing (only lines with `minor` are priceable)
+ * @param {string|null} userId
+ * @param {{ now?: Date, db?: Object }} [opts]
+ * @returns {Promise<{ applied: boolean, code?: string, message?: string, discountMinor: number, allocations: Map<string, number> }>}
+ *   allocations: cartItemId -> discount in paise. When not applied, `code` says why (e.g. min_cart_value).
+ */
+export async function evaluateCoupon(coupon, lines, userId, opts = {}) {
+  const now = opts.now ?? new Date();
+  const db = opts.db ?? getPrisma();
+  const uid = normalizeId(userId);
+  const reject = (code, message) => ({ applied: false, code, message, discountMinor: 0, allocations: new Map() });
+
+  if (!coupon.isActive) return reject("coupon_inactive", "This coupon is no longer active");
+  if (coupon.startsAt && coupon.startsAt > now) return reject("coupon_not_started", "This coupon is not active yet");
+  if (coupon.endsAt && coupon.endsAt <= now) return reject("coupon_expired", "This coupon has expired");
+  if (coupon.usageLimit != null && coupon.usedCount >= coupon.usageLimit) {
+    return reject("coupon_exhausted", "This coupon has been fully redeemed");
+  }
+  if (coupon.perUserLimit != null && uid) {
+    const used = await db.couponRedemption.count({ where: { couponId: coupon.id, userId: uid } });
+    if (used >= coupon.perUserLimit) return reject("coupon_already_used", "You have already used this coupon");
+  }
+  if (coupon.firstOrderOnly) {
+    if (!uid) return reject("login_required", "Sign in to use this coupon");
+    const previous = await db.order.count({ where: placedOrdersWhere(uid) });
+    if (previous > 0) return reject("not_first_order", "This coupon is only valid on your first order");
+  }
+
+  let eligible = lines.filter((l) => l.minor && (!coupon.brandId || l.brandId === coupon.brandId));
+  if (coupon.microStoreId && eligible.length) {
+    const inStore = await db.microStoreProduct.findMany({
+      where: { microStoreId: coupon.microStoreId, productId: { in: eligible.map((l) => l.productId) } },
+      select: { productId: true },
+    });
+    const ids = new Set(inStore.map((p) => p.productId));
+    eligible = eligible.filter((l) => ids.has(l.productId));
+  }
+  if (eligible.length === 0) return reject("coupon_not_applicable", "No items in your cart qualify for this coupon");
+
+  const eligibleMinor = eligible.reduce((sum, l) => sum + l.minor.lineSubtotal, 0);
+  const minCart = coupon.minCartValue ? toMinorUnits(coupon.minCartValue) : 0;
+  if (eligibleMinor < minCart) {
+    return reject(
+      "min_cart_value",
+      `Add items worth ${formatMinorUnits(minCart - eligibleMinor)} more to use this coupon`
+    );
+  }
+
+  let discountMinor =
+    coupon.type === "percent"
+      ? Math.round((eligibleMinor * Number(coupon.value)) / 100)
+      : toMinorUnits(coupon.value);
+  if (coupon.maxDiscount) discountMinor = Math.min(discountMinor, toMinorUnits(coupon.maxDiscount));
+  discountMinor = Math.min(discountMinor, eligibleMinor);
+
+  const allocations = new Map();
+  let allocated = 0;
+  eligible.forEach((line, i) => {
+    const share =
+      i === eligible.length - 1
+        ? discountMinor - allocated
+        : Math.floor((discountMinor * line.minor.lineSubtotal) / eligibleMinor);
+    allocations.set(line.cartItemId, share);
+    allocated += share;
+  });
+  return { applied: true, discountMinor, allocations };
+}
+
+/**
+ * Coupon currently applied to the user's cart (row or null).
+ */
+export async function getCartCoupon(userId) {
+  const uid = normalizeId(userId);
+  if (!uid) return null;
+  const row = await getPrisma().cartCoupon.findUnique({ where: { userId: uid }, include: { coupon: true } });
+  return row?.coupon ?? null;
+}
+
+/**
+ * Attach a coupon code to the user's cart (replacing any other). Callers validate eligibility first.
+ * @throws {PromotionError} 404 when the code does not exist
+ */
+export async function setCartCoupon(userId, code) {
+  const uid = normalizeId(userId);
+  if (!uid) throw new PromotionError("userId required");
+  const coupon = await findCouponByCode(code);
+  if (!coupon) throw new PromotionError("Coupon not found", "coupon_not_found", 404);
+  await getPrisma().cartCoupon.upsert({
+    where: { userId: uid },
+    create: { userId: uid, couponId: coupon.id },
+    update: { couponId: coupon.id, createdAt: new Date() },
+  });
+  return coupon;
+}
+
+export async function clearCartCoupon(userId, db = getPrisma()) {
+  const uid = normalizeId(userId);
+  if (!uid) return false;
+  const result = await db.cartCoupon.deleteMany({ where: { userId: uid } });
+  return result.count > 0;
+}
+
+/**
+ * Record a redemption inside the checkout transaction. Claims one use atomically so a usage limit cannot be overrun;
+ * with a perUserLimit the user's row is locked while their redemptions are counted, so concurrent checkouts by the
+ * same user cannot both take the last use.
+ * @throws {PromotionError} 409 coupon_exhausted when the last use was taken concurrently, coupon_already_used when
+ *   the user has reached perUserLimit
+ */
+export async function redeemCoupon(tx, coupon, { orderId, userId, discountMinor }) {
+  const uid = normalizeId(userId);
+  if (coupon.perUserLimit != null && uid) {
+    await tx.$queryRaw`SELECT id FROM "User" WHERE id = ${uid} FOR UPDATE`;
+    const used = await tx.couponRedemption.count({ where: { couponId: coupon.id, userId: uid } });
+    if (used >= coupon.perUserLimit) {
+      throw new PromotionError("You have already used this coupon", "coupon_already_used", 409);
+    }
+  }
+  const where = { id: coupon.id };
+  if (coupon.usageLimit != null) where.usedCount = { lt: coupon.usageLimit };
+  const claimed = await tx.coupon.updateMany({ where, data: { usedCount: { increment: 1 } } });
+  if (claimed.count === 0) throw new PromotionError("This coupon has been fully redeemed", "coupon_exhausted", 409);
+  await tx.couponRedemption.create({
+    data: { couponId: coupon.id, userId: uid, orderId, discount: formatMinorUnits(discountMinor) },
+  });
+}
+
+/**
+ * Give a cancelled order's coupon use back.
+ * @param {string} orderId
+ * @param {Object} [db] - Prisma client or transaction client
+ */
+export async function releaseCouponRedemption(orderId, db = getPrisma()) {
+  const oid = normalizeId(orderId);
+  if (!oid) return false;
+  const redemption = await db.couponRedemption.findUnique({ where: { orderId: oid } });
+  if (!redemption) return false;
+  await db.couponRedemption.delete({ where: { id: redemption.id } });
+  await db.coupon.updateMany({
+    where: { id: redemption.couponId, usedCount: { gt: 0 } },
+    data: { usedCount: { decrement: 1 } },
+  });
+  return true;
+}
@@ -0,0 +1,389 @@
+/**
+ * Shipping: per-brand rate rules (flat, free above a threshold, weight or quantity tiers, cash on delivery) and the
+ * PIN codes each brand delivers to. Cart pricing quotes shipping per brand group through quoteShipping; checkout
+ * rejects addresses a brand cannot serve.
+ * Brands without a rule fall back to ORDER_SHIPPING_FEE / ORDER_FREE_SHIPPING_ABOVE and offer no COD.
+ * A brand without uploaded PIN codes ships everywhere. All arithmetic in paise; money fields are "0.00" strings.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId, safeJsonParse, toMinorUnits, formatMinorUnits } from "../../core/helpers.js";
+import { isValidPinCode } from "../address/address.js";
+
+export const SHIPPING_RATE_TYPES = ["flat", "weight", "quantity"];
+
+/** Fallback for brands without a rule: flat fee per brand sub-order in rupees. */
+const DEFAULT_SHIPPING_FEE = toMinorUnits(process.env.ORDER_SHIPPING_FEE || "0");
+
+/** Fallback for brands without a rule: sub-orders at or above this (rupees) ship free. Unset = never free. */
+const DEFAULT_FREE_SHIPPING_ABOVE = process.env.ORDER_FREE_SHIPPING_ABOVE
+  ? toMinorUnits(process.env.ORDER_FREE_SHIPPING_ABOVE)
+  : null;
+
+const MAX_TIERS = 20;
+const MAX_PIN_CODES_PER_UPLOAD = 50000;
+const PIN_WRITE_CHUNK = 5000;
+
+/** Thrown for invalid shipping rules or PIN uploads; API should respond with statusCode and code. */
+export class ShippingError extends Error {
+  constructor(message, code = "shipping_invalid", statusCode = 400) {
+    super(message);
+    this.name = "ShippingError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function parseMoney(value, field, { optional = false } = {}) {
+  if (optional && (value == null || value === "")) return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0) throw new ShippingError(`${field} must be an amount of 0 or more`);
+  return formatMinorUnits(toMinorUnits(n));
+}
+
+/**
+ * Tiers must ascend on upTo; only the last may be open-ended (upTo null).
+ */
+function parseTiers(value, rateType) {
+  const tiers = typeof value === "string" ? safeJsonParse(value) : value;
+  if (!Array.isArray(tiers) || tiers.length === 0 || tiers.length > MAX_TIERS) {
+    throw new ShippingError(`${rateType} rules need 1-${MAX_TIERS} tiers of { upTo, rate }`);
+  }
+  const unit = rateType === "weight" ? "grams" : "units";
+  let previous = 0;
+  return tiers.map((tier, i) => {
+    const last = i === tiers.length - 1;
+    const upTo = tier?.upTo == null || tier.upTo === "" ? null : Number(tier.upTo);
+    if (upTo === null && !last) throw new ShippingError("Only the last tier may omit upTo");
+    if (upTo !== null && (!Number.isInteger(upTo) || upTo <= previous)) {
+      throw new ShippingError(`Tier ${i + 1}: upTo must be a whole number of ${unit} above the previous tier`);
+    }
+    if (upTo !== null) previous = upTo;
+    return { upTo, rate: parseMoney(tier?.rate, `Tier ${i + 1} rate`) };
+  });
+}
+
+/**
+ * Validate and normalize rule fields against the stored rule (partial updates keep the other fields).
+ */
+function buildRuleData(input, existing) {
+  const data = {};
+  const has = (key) => input[key] !== undefined;
+  const rateType = has("rateType") ? input.rateType : (existing?.rateType ?? "flat");
+  if (!SHIPPING_RATE_TYPES.includes(rateType)) {
+    throw new ShippingError(`rateType must be one of: ${SHIPPING_RATE_TYPES.join(", ")}`);
+  }
+  data.rateType = rateType;
+  if (has("flatRate")) data.flatRate = parseMoney(input.flatRate, "flatRate");
+  if (rateType === "flat") {
+    data.tiers = null;
+  } else if (has("tiers") || rateType !== existing?.rateType) {
+    data.tiers = JSON.stringify(parseTiers(input.tiers, rateType));
+  }
+  if (has("freeAbove")) {
+    data.freeAbove = parseMoney(input.freeAbove, "freeAbove", { optional: true });
+  }
+  if (has("defaultWeightGrams")) {
+    const grams = Number(input.defaultWeightGrams);
+    if (!Number.isInteger(grams) || grams < 1) throw new ShippingError("defaultWeightGrams must be a positive whole number");
+    data.defaultWeightGrams = grams;
+  }
+  if (has("codAvailable")) data.codAvailable = Boolean(input.codAvailable);
+  if (has("codFee")) data.codFee = parseMoney(input.codFee, "codFee");
+  if (has("codMaxOrderValue")) {
+    data.codMaxOrderValue = parseMoney(input.codMaxOrderValue, "codMaxOrderValue", { optional: true });
+  }
+  return data;
+}
+
+function toPublicRule(rule) {
+  if (!rule) return null;
+  return { ...rule, tiers: safeJsonParse(rule.tiers) };
+}
+
+/**
+ * A brand's shipping rule with how many PIN codes it has uploaded.
+ * @returns {Promise<{ rule: Object|null, pinCodeCount: number }>} rule null = the platform default applies
+ */
+export async function getShippingSettings(brandId) {
+  const bid = normalizeId(brandId);
+  if (!bid) return { rule: null, pinCodeCount: 0 };
+  const prisma = getPrisma();
+  const [rule, pinCodeCount] = await Promise.all([
+    prisma.shippingRule.findUnique({ where: { brandId: bid } }),
+    prisma.serviceablePinCode.count({ where: { brandId: bid } }),
+  ]);
+  return { rule: toPublicRule(rule), pinCodeCount };
+}
+
+/**
+ * Create or update a brand's shipping rule.
+ * @param {Object} input - { rateType?, flatRate?, tiers?, freeAbove?, defaultWeightGrams?, codAvailable?, codFee?, codMaxOrderValue? }
+ * @throws {ShippingError} On invalid fields or unknown brand
+ */
+export async function upsertShippingRule(brandId, input = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) throw new ShippingError("brandId required");
+  const prisma = getPrisma();
+  const [brand, existing] = await Promise.all([
+    prisma.brand.findUnique({ where: { id: bid }, select: { id: true } }),
+    prisma.shippingRule.findUnique({ where: { brandId: bid } }),
+  ]);
+  if (!brand) throw new ShippingError("Brand not found", "brand_not_found", 404);
+  const data = buildRuleData(input, existing);
+  const rule = await prisma.shippingRule.upsert({
+    where: { brandId: bid },
+    create: { brandId: bid, ...data },
+    update: data,
+  });
+  return toPublicRule(rule);
+}
+
+/**
+ * Remove a brand's rule (the platform default applies again).
+ * @returns {Promise<boolean>} false if the brand had none
+ */
+export async function deleteShippingRule(brandId) {
+  const bid = normalizeId(brandId);
+  if (!bid) return false;
+  const { count } = await getPrisma().shippingRule.deleteMany({ where: { brandId: bid } });
+  return count > 0;
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseCsvBoolean(value) {
+  const v = String(value ?? "").trim().toLowerCase();
+  if (v === "") return true;
+  if (["y", "yes", "true", "1"].includes(v)) return true;
+  if (["n", "no", "false", "0"].includes(v)) return false;
+  return null;
+}
+
+/**
+ * Parse a PIN-code CSV. Columns: pin_code, cod (yes/no, default yes), delivery_days (optional). A header row is
+ * optional; without one the columns are taken in that order.
+ * @returns {{ rows: Array<{ pinCode, codAvailable, deliveryDays }>, skipped: Array<{ line, value, reason }> }}
+ */
+export function parsePinCodeCsv(csv) {
+  const lines = String(csv ?? "").replace(/^﻿/, "").split(/\r?\n/);
+  let columns = { pin: 0, cod: 1, days: 2 };
+  let start = 0;
+  const first = parseCsvLine(lines[0] ?? "").map((c) => c.toLowerCase().replace(/[\s-]+/g, "_"));
+  if (first[0] && !/^[0-9]/.test(first[0])) {
+    const find = (names) => first.findIndex((c) => names.includes(c));
+    columns = {
+      pin: find(["pin_code", "pincode", "pin", "postal_code"]),
+      cod: find(["cod", "cod_available"]),
+      days: find(["delivery_days", "days", "tat"]),
+    };
+    if (columns.pin < 0) throw new ShippingError("CSV header needs a pin_code column", "invalid_csv");
+    start = 1;
+  }
+  const rows = new Map();
+  const skipped = [];
+  for (let i = start; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const cells = parseCsvLine(lines[i]);
+    const pinCode = cells[columns.pin] ?? "";
+    const codAvailable = columns.cod >= 0 ? parseCsvBoolean(cells[columns.cod]) : true;
+    const daysCell = columns.days >= 0 ? (cells[columns.days] ?? "") : "";
+    const deliveryDays = daysCell === "" ? null : Number(daysCell);
+    let reason = null;
+    if (!isValidPinCode(pinCode)) reason = "invalid_pin_code";
+    else if (codAvailable === null) reason = "invalid_cod";
+    else if (deliveryDays !== null && (!Number.isInteger(deliveryDays) || deliveryDays < 0 || deliveryDays > 90)) {
+      reason = "invalid_delivery_days";
+    }
+    if (reason) {
+      skipped.push({ line: i + 1, value: lines[i].slice(0, 100), reason });
+      continue;
+    }
+    rows.set(pinCode, { pinCode, codAvailable, deliveryDays });
+  }
+  if (rows.size > MAX_PIN_CODES_PER_UPLOAD) {
+    throw new ShippingError(`At most ${MAX_PIN_CODES_PER_UPLOAD} PIN codes per upload`, "too_many_pin_codes");
+  }
+  return { rows: [...rows.values()], skipped };
+}
+
+/**
+ * Upload serviceable PIN codes from CSV. Listed PIN codes are added or updated; with replace, PIN codes missing
+ * from the file are removed.
+ * @param {{ replace?: boolean }} [opts]
+ * @returns {Promise<{ imported: number, removed: number, skipped: Array<{ line, value, reason }>, total: number }>}
+ *   total = PIN codes the brand serves after the upload
+ * @throws {ShippingError} On an unknown brand, a file without a PIN column, or no valid rows
+ */
+export async function importServiceablePinCodes(brandId, csv, { replace = false } = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) throw new ShippingError("brandId required");
+  const prisma = getPrisma();
+  if (!(await prisma.brand.findUnique({ where: { id: bid }, select: { id: true } }))) {
+    throw new ShippingError("Brand not found", "brand_not_found", 404);
+  }
+  const { rows, skipped } = parsePinCodeCsv(csv);
+  if (rows.length === 0) throw new ShippingError("No valid PIN codes in the file", "invalid_csv");
+
+  const removed = await prisma.$transaction(
+    async (tx) => {
+      let removedCount = 0;
+      if (replace) {
+        const { count } = await tx.serviceablePinCode.deleteMany({ where: { brandId: bid } });
+        removedCount = count;
+      }
+      for (let i = 0; i < rows.length; i += PIN_WRITE_CHUNK) {
+        const chunk = rows.slice(i, i + PIN_WRITE_CHUNK);
+        if (!replace) {
+          await tx.serviceablePinCode.deleteMany({ where: { brandId: bid, pinCode: { in: chunk.map((r) => r.pinCode) } } });
+        }
+        await tx.serviceablePinCode.createMany({ data: chunk.map((r) => ({ brandId: bid, ...r })) });
+      }
+      return replace ? Math.max(0, removedCount - rows.length) : 0;
+    },
+    { timeout: 60000 }
+  );
+  const total = await prisma.serviceablePinCode.count({ where: { brandId: bid } });
+  return { imported: rows.length, removed, skipped, total };
+}
+
+/**
+ * A brand's serviceable PIN codes, in PIN order.
+ * @param {{ prefix?: string, limit?: number, offset?: number }} [opts] - prefix matches the start of the PIN
+ */
+export async function listServiceablePinCodes(brandId, opts = {}) {
+  const bid = normalizeId(brandId);
+  if (!bid) return { items: [], total: 0 };
+  const { limit = 100, offset = 0 } = opts;
+  const where = { brandId: bid };
+  const prefix = String(opts.prefix ?? "").trim();
+  if (/^[0-9]{1,6}$/.test(prefix)) where.pinCode = { startsWith: prefix };
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.serviceablePinCode.findMany({
+      where,
+      select: { pinCode: true, codAvailable: true, deliveryDays: true, updatedAt: true },
+      orderBy: { pinCode: "asc" },
+      take: Math.min(Number(limit) || 100, 1000),
+      skip: Math.max(0, Number(offset) || 0),
+    }),
+    prisma.serviceablePinCode.count({ where }),
+  ]);
+  return { items, total };
+}
+
+/**
+ * Remove some (or, without pinCodes, all) of a brand's PIN codes. Removing all means the brand ships everywhere.
+ * @returns {Promise<number>} Rows removed
+ */
+export async function deleteServiceablePinCodes(brandId, pinCodes = null) {
+  const bid = normalizeId(brandId);
+  if (!bid) return 0;
+  const where = { brandId: bid };
+  if (Array.isArray(pinCodes)) where.pinCode = { in: pinCodes.map((p) => String(p).trim()) };
+  const { count } = await getPrisma().serviceablePinCode.deleteMany({ where });
+  return count;
+}
+
+function tierRate(tiers, amount) {
+  const tier = tiers.find((t) => t.upTo == null || amount <= t.upTo) ?? tiers[tiers.length - 1];
+  return toMinorUnits(tier.rate);
+}
+
+function baseRate(rule, group) {
+  if (rule.rateType === "flat") return toMinorUnits(rule.flatRate);
+  const tiers = safeJsonParse(rule.tiers) ?? [];
+  if (tiers.length === 0) return toMinorUnits(rule.flatRate);
+  if (rule.rateType === "quantity") return tierRate(tiers, group.quantity);
+  const grams = group.lines.reduce((sum, l) => sum + l.quantity * (l.weightGrams ?? rule.defaultWeightGrams), 0);
+  return tierRate(tiers, grams);
+}
+
+/**
+ * Quote shipping for each brand group of a cart or order.
+ * @param {Array<{ brandId: string, netMinor: number, quantity: number, lines: Array<{ quantity, weightGrams }> }>} groups
+ *   netMinor = the group's subtotal after discount (paise)
+ * @param {{ pinCode?: string|null, paymentMethod?: string|null }} [opts] - without pinCode serviceability is not checked
+ * @returns {Promise<Map<string, { shipping: number, codFee: number, serviceable: boolean|null, codAvailable: boolean,
+ *   deliveryDays: number|null, reason: string|null }>>} By brandId; shipping (paise) includes codFee when paying COD.
+ *   serviceable null = the brand only ships to listed PIN codes and no PIN code was given.
+ */
+export async function quoteShipping(groups, { pinCode = null, paymentMethod = null } = {}) {
+  const quotes = new Map();
+  const brandIds = [...new Set(groups.map((g) => g.brandId))];
+  if (brandIds.length === 0) return quotes;
+  const prisma = getPrisma();
+  const [rules, restricted, pins] = await Promise.all([
+    prisma.shippingRule.findMany({ where: { brandId: { in: brandIds } } }),
+    prisma.serviceablePinCode.groupBy({ by: ["brandId"], where: { brandId: { in: brandIds } } }),
+    pinCode
+      ? prisma.serviceablePinCode.findMany({ where: { brandId: { in: brandIds }, pinCode: String(pinCode) } })
+      : [],
+  ]);
+  const ruleByBrand = new Map(rules.map((r) => [r.brandId, r]));
+  const restrictedBrands = new Set(restricted.map((r) => r.brandId));
+  const pinByBrand = new Map(pins.map((p) => [p.brandId, p]));
+  const cod = String(paymentMethod ?? "").toLowerCase() === "cod";
+
+  for (const group of groups) {
+    const rule = ruleByBrand.get(group.brandId);
+    const pin = pinByBrand.get(group.brandId) ?? null;
+    let serviceable = true;
+    let reason = null;
+    if (restrictedBrands.has(group.brandId)) {
+      serviceable = pinCode ? Boolean(pin) : null;
+      if (serviceable === false) reason = "unserviceable_pin_code";
+      if (serviceable === null) reason = "pin_code_required";
+    }
+
+    let shipping = 0;
+    if (group.netMinor > 0) {
+      if (!rule) {
+        shipping =
+          DEFAULT_FREE_SHIPPING_ABOVE != null && group.netMinor >= DEFAULT_FREE_SHIPPING_ABOVE ? 0 : DEFAULT_SHIPPING_FEE;
+      } else if (!(rule.freeAbove != null && group.netMinor >= toMinorUnits(rule.freeAbove))) {
+        shipping = baseRate(rule, group);
+      }
+    }
+    const codAvailable =
+      Boolean(rule?.codAvailable) &&
+      (pin ? pin.codAvailable : true) &&
+      (rule.codMaxOrderValue == null || group.netMinor <= toMinorUnits(rule.codMaxOrderValue));
+    const codFee = cod && codAvailable ? toMinorUnits(rule.codFee) : 0;
+
+    quotes.set(group.brandId, {
+      shipping: shipping + codFee,
+      codFee,
+      serviceable,
+      codAvailable,
+      deliveryDays: pin?.deliveryDays ?? null,
+      reason,
+    });
+  }
+  return quotes;
+}
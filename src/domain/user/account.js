@@ -0,0 +1,381 @@
+/**
+ * Self-service accounts: registration, email verification, forgotten and changed passwords.
+ * Emailed links carry a random single-use token; only its SHA-256 is stored (UserToken), so a database leak
+ * does not expose usable links. Mail goes through utils/mailer.
+ * Setting a new password signs out every device (see domain/user/sessions.js).
+ */
+import bcrypt from "bcryptjs";
+import { createHash, randomBytes } from "crypto";
+import { Prisma } from "@prisma/client";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { sendMail } from "../../utils/mailer/index.js";
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+/** bcrypt ignores bytes after the 72nd. */
+const MAX_PASSWORD_BYTES = 72;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.]{3,30}$/;
+
+const EMAIL_VERIFICATION = "email_verification";
+const VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const PASSWORD_RESET = "password_reset";
+const PASSWORD_RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+/** Email throttling per user and purpose: at most one email per cooldown and EMAIL_MAX_PER_HOUR per hour. */
+const EMAIL_COOLDOWN_MS = 60 * 1000;
+const EMAIL_MAX_PER_HOUR = 5;
+/** Brand users created by admins get a placeholder address that cannot receive mail. */
+const PLACEHOLDER_EMAIL_SUFFIX = "@brand-placeholder.local";
+
+/** Thrown for registration, verification and password failures; API should respond with statusCode and code. */
+export class AccountError extends Error {
+  constructor(message, code = "account_invalid", statusCode = 400, details = undefined) {
+    super(message);
+    this.name = "AccountError";
+    this.code = code;
+    this.statusCode = statusCode;
+    if (details) this.details = details;
+  }
+}
+
+/** Absolute link into the web app (APP_BASE_URL). */
+export function appUrl(path) {
+  return `${(process.env.APP_BASE_URL || "http://localhost:3000").replace(/\/$/, "")}${path}`;
+}
+
+/** False for missing and placeholder (brand user) addresses. */
+export function isDeliverableEmail(email) {
+  return Boolean(email) && !email.endsWith(PLACEHOLDER_EMAIL_SUFFIX);
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * @throws {AccountError} When the password is too short or too long for bcrypt
+ */
+export function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, "weak_password");
+  }
+  if (Buffer.byteLength(password, "utf8") > MAX_PASSWORD_BYTES) {
+    throw new AccountError(`Password must be at most ${MAX_PASSWORD_BYTES} bytes`, "password_too_long");
+  }
+}
+
+export async function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Create a single-use token for the user; returns the raw token (only its hash is stored).
+ */
+async function issueUserToken(db, userId, purpose, ttlMs, email = null) {
+  const token = randomBytes(32).toString("base64url");
+  await db.userToken.create({
+    data: { userId, purpose, tokenHash: hashToken(token), email, expiresAt: new Date(Date.now() + ttlMs) },
+  });
+  return token;
+}
+
+/**
+ * Look up an unused, unexpired token.
+ * @throws {AccountError} invalid_token or token_expired
+ */
+async function findUsableToken(db, token, purpose) {
+  const row = token ? await db.userToken.findUnique({ where: { tokenHash: hashToken(token) } }) : null;
+  if (!row || row.purpose !== purpose || row.usedAt) {
+    throw new AccountError("This link is invalid or has already been used", "invalid_token");
+  }
+  if (row.expiresAt <= new Date()) throw new AccountError("This link has expired", "token_expired");
+  return row;
+}
+
+/**
+ * Mark a token used; false when a concurrent request used it first.
+ */
+async function claimToken(db, row) {
+  const { count } = await db.userToken.updateMany({ where: { id: row.id, usedAt: null }, data: { usedAt: new Date() } });
+  return count > 0;
+}
+
+/**
+ * @throws {AccountError} too_many_requests (429, details.retryAfter in seconds) when the user was sent a
+ *   `purpose` email within the cooldown or already EMAIL_MAX_PER_HOUR in the last hour
+ */
+async function assertEmailNotThrottled(userId, purpose) {
+  const now = Date.now();
+  const recent = await getPrisma().userToken.findMany({
+    where: { userId, purpose, createdAt: { gte: new Date(now - 60 * 60 * 1000) } },
+    select: { createdAt: true },
+    orderBy: { createdAt: "desc" },
+  });
+  const waitForCooldown = recent.length ? recent[0].createdAt.getTime() + EMAIL_COOLDOWN_MS - now : 0;
+  const waitForHour =
+    recent.length >= EMAIL_MAX_PER_HOUR ? recent[EMAIL_MAX_PER_HOUR - 1].createdAt.getTime() + 60 * 60 * 1000 - now : 0;
+  const wait = Math.max(waitForCooldown, waitForHour);
+  if (wait > 0) {
+    throw new AccountError("Please wait before requesting another email", "too_many_requests", 429, {
+      retryAfter: Math.ceil(wait / 1000),
+    });
+  }
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueUserToken(getPrisma(), user.id, EMAIL_VERIFICATION, VERIFICATION_TTL_MS, user.email);
+  const link = appUrl(`/verify-email?token=${encodeURIComponent(token)}`);
+  const hours = Math.round(VERIFICATION_TTL_MS / 3600000);
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.firstName || "there"},\n\nConfirm your email address for Hanger by opening this link:\n${link}\n\nThe link expires in ${hours} hours. If you did not create an account, you can ignore this email.\n`,
+  });
+}
+
+/**
+ * Account as returned after registration or verification.
+ */
+function toAccount(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    username: user.username ?? undefined,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    role: (user.role || "user").toLowerCase(),
+    emailVerified: user.emailVerified,
+  };
+}
+
+function normalizeEmail(email) {
+  return typeof email === "string" ? email.trim().toLowerCase() : "";
+}
+
+/**
+ * Register a customer account (role "user") and email a verification link. A failed send is logged, not fatal;
+ * the user can ask for another link.
+ * @param {{ email: string, password: string, username?: string, firstName?: string, lastName?: string }} input
+ * @returns {Promise<{ user: Object, verificationSent: boolean }>}
+ * @throws {AccountError} On invalid input (400) or an email / username already in use (409)
+ */
+export async function registerUser(input = {}) {
+  const email = normalizeEmail(input.email);
+  if (!EMAIL_PATTERN.test(email) || email.length > 254) throw new AccountError("A valid email is required", "invalid_email");
+  validatePassword(input.password);
+  const username = input.username != null && String(input.username).trim() ? String(input.username).trim() : null;
+  if (username && !USERNAME_PATTERN.test(username)) {
+    throw new AccountError("username must be 3-30 characters: letters, digits, _ or .", "invalid_username");
+  }
+  const name = (value) => (value != null && String(value).trim() ? String(value).trim().slice(0, 100) : null);
+
+  const prisma = getPrisma();
+  const [byEmail, byUsername] = await Promise.all([
+    prisma.user.findUnique({ where: { email }, select: { id: true } }),
+    username ? prisma.user.findUnique({ where: { username }, select: { id: true } }) : null,
+  ]);
+  if (byEmail) throw new AccountError("An account with this email already exists", "email_taken", 409);
+  if (byUsername) throw new AccountError("Username already in use", "username_taken", 409);
+
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: {
+        email,
+        username,
+        passwordHash: await hashPassword(input.password),
+        firstName: name(input.firstName),
+        lastName: name(input.lastName),
+        role: "user",
+        isActive: true,
+        emailVerified: false,
+      },
+    });
+  } catch (err) {
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === "P2002") {
+      const target = String(err.meta?.target ?? "");
+      throw target.includes("username")
+        ? new AccountError("Username already in use", "username_taken", 409)
+        : new AccountError("An account with this email already exists", "email_taken", 409);
+    }
+    throw err;
+  }
+
+  let verificationSent = true;
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    verificationSent = false;
+    console.error(`[account] Verification email for user ${user.id} failed:`, err.message);
+  }
+  return { user: toAccount(user), verificationSent };
+}
+
+/**
+ * Mark the email verified using the token from a verification link. Other outstanding verification links are
+ * invalidated. A token issued for an address the user has since changed is rejected.
+ * @returns {Promise<Object>} The account
+ * @throws {AccountError} invalid_token, token_expired
+ */
+export async function verifyEmail(token) {
+  const prisma = getPrisma();
+  return prisma.$transaction(async (tx) => {
+    const row = await findUsableToken(tx, token, EMAIL_VERIFICATION);
+    const user = await tx.user.findUnique({ where: { id: row.userId } });
+    if (!user || !user.isActive || (row.email && row.email !== user.email)) {
+      throw new AccountError("This link is invalid or has already been used", "invalid_token");
+    }
+    if (!(await claimToken(tx, row))) throw new AccountError("This link is invalid or has already been used", "invalid_token");
+    await tx.userToken.updateMany({
+      where: { userId: user.id, purpose: EMAIL_VERIFICATION, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    const updated = await tx.user.update({ where: { id: user.id }, data: { emailVerified: true } });
+    return toAccount(updated);
+  });
+}
+
+/**
+ * Email a new verification link, subject to throttling.
+ * @throws {AccountError} already_verified (409), too_many_requests (429, details.retryAfter in seconds)
+ */
+export async function resendVerificationEmail(userId) {
+  const uid = normalizeId(userId);
+  const prisma = getPrisma();
+  const user = uid ? await prisma.user.findUnique({ where: { id: uid } }) : null;
+  if (!user || !user.isActive) throw new AccountError("User not found", "user_not_found", 404);
+  if (user.emailVerified) throw new AccountError("Email is already verified", "already_verified", 409);
+  if (!user.email) throw new AccountError("The account has no email address", "email_required");
+
+  await assertEmailNotThrottled(uid, EMAIL_VERIFICATION);
+  await sendVerificationEmail(user);
+}
+
+/**
+ * Resend by email address (signed-out users). Never reveals whether the address has an account: unknown,
+ * verified and throttled addresses are silently ignored, and a failed send is logged rather than returned.
+ */
+export async function resendVerificationEmailByAddress(email) {
+  const address = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(address)) throw new AccountError("A valid email is required", "invalid_email");
+  const user = await getPrisma().user.findUnique({ where: { email: address }, select: { id: true } });
+  if (!user) return;
+  try {
+    await resendVerificationEmail(user.id);
+  } catch (err) {
+    if (err.name === "AccountError") return;
+    console.error(`[account] Verification email for user ${user.id} failed:`, err.message);
+  }
+}
+
+/**
+ * Store a new password and revoke existing sessions: refresh tokens, and access tokens via tokenVersion + 1.
+ * Runs inside the caller's transaction.
+ * @returns {Promise<Object>} Updated user row
+ */
+async function setPassword(tx, userId, password) {
+  await tx.marketplaceSession.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: "password_changed" },
+  });
+  return tx.user.update({
+    where: { id: userId },
+    data: { passwordHash: await hashPassword(password), passwordChangedAt: new Date(), tokenVersion: { increment: 1 } },
+    include: { brandAdmins: { select: { brandId: true } } },
+  });
+}
+
+async function sendPasswordChangedEmail(user) {
+  if (!isDeliverableEmail(user.email)) return;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Your password was changed",
+      text: `Hi ${user.firstName || "there"},\n\nThe password for your Hanger account was just changed and other devices have been signed out.\nIf this was not you, reset your password right away: ${appUrl("/forgot-password")}\n`,
+    });
+  } catch (err) {
+    console.error(`[account] Password-changed email for user ${user.id} failed:`, err.message);
+  }
+}
+
+/**
+ * Email a password reset link to the account with this email or username. Never reveals whether the account
+ * exists: unknown, inactive, unreachable (placeholder email) and throttled accounts are silently ignored, and a
+ * failed send is logged rather than returned.
+ */
+export async function requestPasswordReset(identifier) {
+  const raw = typeof identifier === "string" ? identifier.trim() : "";
+  if (!raw) throw new AccountError("email or username required", "identifier_required");
+  const prisma = getPrisma();
+  const user = raw.includes("@")
+    ? await prisma.user.findUnique({ where: { email: normalizeEmail(raw) } })
+    : await prisma.user.findUnique({ where: { username: raw } });
+  if (!user || !user.isActive || !isDeliverableEmail(user.email)) return;
+  try {
+    await assertEmailNotThrottled(user.id, PASSWORD_RESET);
+  } catch (err) {
+    if (err.name === "AccountError") return;
+    throw err;
+  }
+  const token = await issueUserToken(prisma, user.id, PASSWORD_RESET, PASSWORD_RESET_TTL_MS, user.email);
+  const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.firstName || "there"},\n\nReset the password for your Hanger account by opening this link:\n${appUrl(`/reset-password?token=${encodeURIComponent(token)}`)}\n\nThe link expires in ${minutes} minutes and works once. If you did not ask for this, you can ignore this email.\n`,
+    });
+  } catch (err) {
+    console.error(`[account] Password reset email for user ${user.id} failed:`, err.message);
+  }
+}
+
+/**
+ * Set a new password with the token from a reset link. All outstanding reset links are invalidated and every
+ * existing session is revoked. A successful reset also proves the email address, so it is marked verified.
+ * @returns {Promise<Object>} Updated user row (for issuing a fresh session token)
+ * @throws {AccountError} invalid_token, token_expired, weak_password
+ */
+export async function resetPassword(token, newPassword) {
+  validatePassword(newPassword);
+  const prisma = getPrisma();
+  const user = await prisma.$transaction(async (tx) => {
+    const row = await findUsableToken(tx, token, PASSWORD_RESET);
+    const current = await tx.user.findUnique({ where: { id: row.userId }, select: { id: true, email: true, isActive: true } });
+    if (!current || !current.isActive || (row.email && row.email !== current.email) || !(await claimToken(tx, row))) {
+      throw new AccountError("This link is invalid or has already been used", "invalid_token");
+    }
+    await tx.userToken.updateMany({
+      where: { userId: current.id, purpose: PASSWORD_RESET, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+    await tx.user.update({ where: { id: current.id }, data: { emailVerified: true } });
+    return setPassword(tx, current.id, newPassword);
+  });
+  await sendPasswordChangedEmail(user);
+  return user;
+}
+
+/**
+ * Change the password of a signed-in user after checking the current one. Every existing session, including the
+ * caller's, is revoked; the caller should hand out a new token.
+ * @returns {Promise<Object>} Updated user row
+ * @throws {AccountError} invalid_password (401), same_password, weak_password
+ */
+export async function changePassword(userId, currentPassword, newPassword) {
+  const uid = normalizeId(userId);
+  const prisma = getPrisma();
+  const existing = uid ? await prisma.user.findUnique({ where: { id: uid } }) : null;
+  if (!existing || !existing.isActive) throw new AccountError("User not found", "user_not_found", 404);
+  if (typeof currentPassword !== "string" || !(await bcrypt.compare(currentPassword, existing.passwordHash))) {
+    throw new AccountError("Current password is incorrect", "invalid_password", 401);
+  }
+  validatePassword(newPassword);
+  if (newPassword === currentPassword) {
+    throw new AccountError("New password must be different from the current one", "same_password");
+  }
+  const user = await prisma.$transaction((tx) => setPassword(tx, uid, newPassword));
+  await sendPasswordChangedEmail(user);
+  return user;
+}
@@ -0,0 +1,398 @@
+/**
+ * Personal data rights: export (a zip of the user's rows and stored files) and account deletion. Both run as
+ * AccountDataJob rows processed by the worker (processPendingDataJobs); clients poll the job for status.
+ * Deletion deactivates the account and signs it out at once; the worker then removes stored files (R2 and local)
+ * and the user's rows. Orders are kept for the brands' records but stripped of the customer's name, contact details
+ * and street address; tax invoices are kept unchanged as GST records.
+ */
+import bcrypt from "bcryptjs";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { listStorageKeys, readStorageObject, uploadFile, deleteStoragePrefix, deleteStorageObjects } from "../../utils/storage.js";
+import { SimpleZip } from "../../utils/zip.js";
+import { sendMail } from "../../utils/mailer/index.js";
+import { AccountError, appUrl, isDeliverableEmail } from "./account.js";
+import { revokeAllSessions } from "./sessions.js";
+
+const EXPORT = "export";
+const DELETION = "deletion";
+const EXPORT_TTL_MS = (Number(process.env.ACCOUNT_EXPORT_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+/** Stored files beyond this many bytes are listed in the manifest instead of bundled. */
+const EXPORT_MAX_FILE_BYTES = (Number(process.env.ACCOUNT_EXPORT_MAX_MB) || 200) * 1024 * 1024;
+const MAX_ATTEMPTS = 3;
+const JOB_BATCH = 5;
+/** A job still "processing" after this long is assumed lost with its worker and retried. */
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+/** Storage prefixes holding a user's own uploads and generated files. */
+function userStoragePrefixes(userId) {
+  return [`user-images/${userId}/`, `wardrobe/${userId}/`, `looks/${userId}/`, `feed-posts/${userId}/`];
+}
+
+function exportPrefix(userId) {
+  return `exports/${userId}/`;
+}
+
+/** Tables exported as data/{name}.json, all filtered by userId. */
+const EXPORT_TABLES = [
+  "address",
+  "wardrobe",
+  "wardrobeExtraction",
+  "userImage",
+  "userPhoto",
+  "garment",
+  "outfit",
+  "outfitEvent",
+  "look",
+  "userLookInteraction",
+  "userProfile",
+  "styleProfile",
+  "styleReport",
+  "userStyleHistory",
+  "personaAssignment",
+  "userEvent",
+  "signal",
+  "sessionIntent",
+  "decisionTrace",
+  "agentMemory",
+  "wishlist",
+  "cartItem",
+  "productAlert",
+  "alertPreference",
+  "brandFollower",
+  "microStoreFollower",
+  "brandPageView",
+  "microStoreView",
+  "couponRedemption",
+  "invoice",
+  "generatedImage",
+];
+
+/** Public fields of a job. */
+export function toPublicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    ...(job.type === EXPORT
+      ? { archiveSize: job.archiveSize, expiresAt: job.expiresAt, downloadable: isDownloadable(job) }
+      : {}),
+    summary: job.summary ? JSON.parse(job.summary) : null,
+    error: job.status === "failed" ? job.error : null,
+  };
+}
+
+function isDownloadable(job) {
+  return job.status === "completed" && Boolean(job.archiveKey) && (!job.expiresAt || job.expiresAt > new Date());
+}
+
+async function findOpenJob(db, userId, type) {
+  return db.accountDataJob.findFirst({
+    where: { userId, type, status: { in: ["pending", "processing"] } },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Queue a data export. An export already pending or running is returned instead of a new one.
+ * @returns {Promise<Object>} AccountDataJob row
+ */
+export async function requestDataExport(userId) {
+  const uid = normalizeId(userId);
+  const prisma = getPrisma();
+  const user = uid ? await prisma.user.findUnique({ where: { id: uid }, select: { id: true, isActive: true } }) : null;
+  if (!user || !user.isActive) throw new AccountError("User not found", "user_not_found", 404);
+  const open = await findOpenJob(prisma, uid, EXPORT);
+  if (open) return open;
+  return prisma.accountDataJob.create({ data: { userId: uid, type: EXPORT } });
+}
+
+/**
+ * Request deletion of the account. Accounts with a password must confirm it. The account is deactivated and signed
+ * out everywhere immediately; the worker deletes the data. Admin and brand accounts are removed by an admin instead.
+ * @param {{ password?: string }} input
+ * @returns {Promise<Object>} AccountDataJob row
+ * @throws {AccountError} invalid_password (401), staff_account (409)
+ */
+export async function requestAccountDeletion(userId, input = {}) {
+  const uid = normalizeId(userId);
+  const prisma = getPrisma();
+  const user = uid
+    ? await prisma.user.findUnique({ where: { id: uid }, include: { brandAdmins: { select: { brandId: true } } } })
+    : null;
+  if (!user || !user.isActive) throw new AccountError("User not found", "user_not_found", 404);
+  if ((user.role || "user").toLowerCase() === "admin" || user.brandAdmins.length > 0) {
+    throw new AccountError("Admin and brand accounts must be removed by an administrator", "staff_account", 409);
+  }
+  if (user.passwordHash) {
+    const ok = typeof input.password === "string" && (await bcrypt.compare(input.password, user.passwordHash));
+    if (!ok) throw new AccountError("Password is incorrect", "invalid_password", 401);
+  }
+  const job = await prisma.$transaction(async (tx) => {
+    await tx.user.update({ where: { id: uid }, data: { isActive: false } });
+    return (await findOpenJob(tx, uid, DELETION)) ?? tx.accountDataJob.create({ data: { userId: uid, type: DELETION } });
+  });
+  await revokeAllSessions(uid, "account_deleted");
+  return job;
+}
+
+/**
+ * A job by id; with userId, only that user's.
+ */
+export async function getDataJob(jobId, { userId, type } = {}) {
+  const id = normalizeId(jobId);
+  if (!id) return null;
+  const job = await getPrisma().accountDataJob.findUnique({ where: { id } });
+  if (!job || (userId && job.userId !== userId) || (type && job.type !== type)) return null;
+  return job;
+}
+
+/**
+ * The user's export jobs, newest first.
+ */
+export async function listDataExports(userId) {
+  const uid = normalizeId(userId);
+  if (!uid) return [];
+  return getPrisma().accountDataJob.findMany({
+    where: { userId: uid, type: EXPORT },
+    orderBy: { createdAt: "desc" },
+    take: 20,
+  });
+}
+
+/**
+ * Archive of a completed, unexpired export of the user.
+ * @returns {Promise<{ buffer: Buffer, filename: string }|null>}
+ */
+export async function readDataExportArchive(jobId, userId) {
+  const job = await getDataJob(jobId, { userId, type: EXPORT });
+  if (!job || !isDownloadable(job)) return null;
+  const buffer = await readStorageObject(job.archiveKey);
+  if (!buffer) return null;
+  return { buffer, filename: `hanger-data-${job.createdAt.toISOString().slice(0, 10)}.zip` };
+}
+
+async function buildExport(userId) {
+  const prisma = getPrisma();
+  const zip = new SimpleZip();
+  const counts = {};
+  const json = (value) => JSON.stringify(value, (_k, v) => (typeof v === "bigint" ? v.toString() : v), 2);
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: { brandAdmins: { select: { brandId: true, createdAt: true } } },
+  });
+  if (!user) throw new Error("User not found");
+  const { passwordHash: _p, tokenVersion: _t, ...account } = user;
+  zip.add("account.json", json(account));
+
+  const orders = await prisma.order.findMany({
+    where: { userId, parentOrderId: null },
+    include: { items: true, statusHistory: true, subOrders: { select: { orderNumber: true, brandId: true, status: true } } },
+    orderBy: { createdAt: "asc" },
+  });
+  zip.add("data/orders.json", json(orders));
+  counts.orders = orders.length;
+
+  const conversations = await prisma.conversation.findMany({
+    where: { userId },
+    include: { messages: { orderBy: { createdAt: "asc" } } },
+    orderBy: { createdAt: "asc" },
+  });
+  zip.add("data/conversations.json", json(conversations));
+  counts.conversations = conversations.length;
+
+  const [microStores, feedPosts] = await Promise.all([
+    prisma.microStore.findMany({ where: { createdByUserId: userId } }),
+    prisma.feedPost.findMany({ where: { createdByUserId: userId } }),
+  ]);
+  zip.add("data/microStores.json", json(microStores));
+  zip.add("data/feedPosts.json", json(feedPosts));
+  counts.microStores = microStores.length;
+  counts.feedPosts = feedPosts.length;
+
+  for (const table of EXPORT_TABLES) {
+    const rows = await prisma[table].findMany({ where: { userId } });
+    if (rows.length === 0) continue;
+    zip.add(`data/${table}.json`, json(rows));
+    counts[table] = rows.length;
+  }
+
+  const keys = [];
+  for (const prefix of [...userStoragePrefixes(userId), `invoices/${userId}/`]) keys.push(...(await listStorageKeys(prefix)));
+  const skipped = [];
+  let bytes = 0;
+  for (const key of keys.sort()) {
+    const buffer = bytes < EXPORT_MAX_FILE_BYTES ? await readStorageObject(key) : null;
+    if (!buffer || bytes + buffer.length > EXPORT_MAX_FILE_BYTES) {
+      skipped.push(key);
+      continue;
+    }
+    zip.add(`files/${key}`, buffer);
+    bytes += buffer.length;
+  }
+  counts.files = keys.length - skipped.length;
+
+  zip.add(
+    "manifest.json",
+    json({ userId, generatedAt: new Date().toISOString(), counts, skippedFiles: skipped })
+  );
+  return { buffer: zip.toBuffer(), counts: { ...counts, skippedFiles: skipped.length }, user };
+}
+
+async function runExport(job) {
+  const { buffer, counts, user } = await buildExport(job.userId);
+  const { key, size } = await uploadFile(buffer, `${exportPrefix(job.userId)}${job.id}.zip`, "application/zip");
+  const expiresAt = new Date(Date.now() + EXPORT_TTL_MS);
+  await getPrisma().accountDataJob.update({
+    where: { id: job.id },
+    data: { status: "completed", archiveKey: key, archiveSize: size, expiresAt, summary: JSON.stringify(counts), completedAt: new Date(), error: null },
+  });
+  if (user.isActive && isDeliverableEmail(user.email)) {
+    await sendMail({
+      to: user.email,
+      subject: "Your Hanger data export is ready",
+      text: `Hi ${user.firstName || "there"},\n\nThe copy of your Hanger data you asked for is ready to download until ${expiresAt.toDateString()}:\n${appUrl("/account/privacy")}\n`,
+    }).catch((err) => console.error(`[accountData] Export email for user ${user.id} failed:`, err.message));
+  }
+}
+
+/** Order address snapshot reduced to what tax records need (state and country). */
+function anonymizeAddress(snapshot) {
+  try {
+    const parsed = JSON.parse(snapshot);
+    if (parsed && typeof parsed === "object") {
+      return JSON.stringify({
+        name: null,
+        city: null,
+        state: parsed.state ?? null,
+        stateCode: parsed.stateCode ?? null,
+        countryCode: parsed.countryCode ?? null,
+      });
+    }
+  } catch {
+    // legacy free-text address
+  }
+  return "[deleted]";
+}
+
+async function runDeletion(job) {
+  const uid = job.userId;
+  const prisma = getPrisma();
+  const user = await prisma.user.findUnique({ where: { id: uid }, select: { id: true, email: true, firstName: true } });
+
+  let files = 0;
+  for (const prefix of [...userStoragePrefixes(uid), exportPrefix(uid)]) files += await deleteStoragePrefix(prefix);
+  const generated = await prisma.generatedImage.findMany({ where: { userId: uid }, select: { key: true } });
+  files += await deleteStorageObjects(generated.map((g) => g.key));
+
+  const counts = await prisma.$transaction(async (tx) => {
+    const orders = await tx.order.findMany({
+      where: { userId: uid },
+      select: { id: true, shippingAddress: true, billingAddress: true },
+    });
+    for (const order of orders) {
+      await tx.order.update({
+        where: { id: order.id },
+        data: {
+          userId: null,
+          customerEmail: null,
+          customerName: "Deleted customer",
+          customerPhone: null,
+          shippingAddress: anonymizeAddress(order.shippingAddress),
+          billingAddress: order.billingAddress ? anonymizeAddress(order.billingAddress) : null,
+          notes: null,
+        },
+      });
+    }
+    await tx.couponRedemption.updateMany({ where: { userId: uid }, data: { userId: null } });
+    const looks = await tx.look.deleteMany({ where: { userId: uid } });
+    const feedPosts = await tx.feedPost.deleteMany({ where: { createdByUserId: uid, createdBy: "user" } });
+    // Microstores the customer curated are taken down; already-deleted ones just lose the link.
+    await tx.microStore.updateMany({
+      where: { createdByUserId: uid, deletedAt: null },
+      data: { deletedAt: new Date(), createdByUserId: null },
+    });
+    await tx.microStore.updateMany({ where: { createdByUserId: uid }, data: { createdByUserId: null } });
+    await tx.microStore.updateMany({ where: { visibilityUserId: uid }, data: { visibilityUserId: null } });
+    await tx.generatedImage.deleteMany({ where: { userId: uid } });
+    await tx.accountDataJob.deleteMany({ where: { userId: uid, type: EXPORT } });
+    if (user) await tx.user.delete({ where: { id: uid } });
+    return { ordersAnonymized: orders.length, looks: looks.count, feedPosts: feedPosts.count };
+  });
+
+  await prisma.accountDataJob.update({
+    where: { id: job.id },
+    data: { status: "completed", summary: JSON.stringify({ ...counts, files }), completedAt: new Date(), error: null },
+  });
+  if (isDeliverableEmail(user?.email)) {
+    await sendMail({
+      to: user.email,
+      subject: "Your Hanger account has been deleted",
+      text: `Hi ${user.firstName || "there"},\n\nYour Hanger account and its data have been deleted as you asked. Order records kept for the brands no longer carry your name or contact details.\n`,
+    }).catch((err) => console.error(`[accountData] Deletion email for job ${job.id} failed:`, err.message));
+  }
+}
+
+/**
+ * Run pending export and deletion jobs (worker). Failed jobs are retried up to MAX_ATTEMPTS times.
+ * @returns {Promise<{ completed: number, failed: number }>}
+ */
+export async function processPendingDataJobs({ limit = JOB_BATCH } = {}) {
+  const prisma = getPrisma();
+  await prisma.accountDataJob.updateMany({
+    where: { status: "processing", startedAt: { lt: new Date(Date.now() - STALE_PROCESSING_MS) } },
+    data: { status: "pending" },
+  });
+  const pending = await prisma.accountDataJob.findMany({
+    where: { status: "pending" },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+  let completed = 0;
+  let failed = 0;
+  for (const job of pending) {
+    const claimed = await prisma.accountDataJob.updateMany({
+      where: { id: job.id, status: "pending", attempts: job.attempts },
+      data: { status: "processing", attempts: { increment: 1 }, startedAt: new Date() },
+    });
+    if (claimed.count === 0) continue;
+    try {
+      if (job.type === DELETION) await runDeletion(job);
+      else await runExport(job);
+      completed++;
+    } catch (err) {
+      const exhausted = job.attempts + 1 >= MAX_ATTEMPTS;
+      await prisma.accountDataJob.update({
+        where: { id: job.id },
+        data: { status: exhausted ? "failed" : "pending", error: String(err.message).slice(0, 500) },
+      });
+      console.error(`[accountData] ${job.type} job ${job.id} failed:`, err.message, exhausted ? "(giving up)" : "(will retry)");
+      if (exhausted) failed++;
+    }
+  }
+  return { completed, failed };
+}
+
+/**
+ * Delete export archives past their expiry; the job rows remain with downloadable false.
+ * @returns {Promise<number>} Archives deleted
+ */
+export async function purgeExpiredExports() {
+  const prisma = getPrisma();
+  const expired = await prisma.accountDataJob.findMany({
+    where: { type: EXPORT, archiveKey: { not: null }, expiresAt: { lt: new Date() } },
+    select: { id: true, archiveKey: true },
+    take: 100,
+  });
+  if (expired.length === 0) return 0;
+  await deleteStorageObjects(expired.map((j) => j.archiveKey));
+  await prisma.accountDataJob.updateMany({
+    where: { id: { in: expired.map((j) => j.id) } },
+    data: { archiveKey: null },
+  });
+  return expired.length;
+}
@@ -3,6 +3,7 @@ import jwt from "jsonwebtoken";
 import { getPrisma } from "../../core/db.js";
 import { normalizeId } from "../../core/helpers.js";
 import { IS_PRODUCTION } from "../../core/constants.js";
+import { permissionsForRole, resolveActiveBrandId } from "./permissions.js";
 
 /** JWT signing secret. In production JWT_SECRET must be set (fail fast). */
 const JWT_SECRET = (() => {
@@ -13,11 +14,19 @@ const JWT_SECRET = (() => {
   return secret || "dev-secret-change-in-production";
 })();
 
+/** JWT audience of storage access tokens; verifyToken rejects them so they never work as bearer tokens. */
+const STORAGE_TOKEN_AUDIENCE = "storage";
+
+/** Lifetime of access tokens (jsonwebtoken expiresIn format); clients renew them with a refresh token. */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+const brandAdminsInclude = { brandAdmins: { select: { brandId: true }, orderBy: { createdAt: "asc" } } };
+
 /**
  * Validate login by username (brand) or email (admin/user).
  * @param {string} identifier - Username (brand) or email (admin/user)
  * @param {string} password
- * @returns {Promise<{ id, email?, username?, role, brandId? } | null>}
+ * @returns {Promise<Object|null>} Session user (see toSessionUser)
  */
 export async function validateLogin(identifier, password) {
   const prisma = getPrisma();
@@ -28,46 +37,41 @@ export async function validateLogin(identifier, password) {
   if (raw.includes("@")) {
     user = await prisma.user.findUnique({
       where: { email: raw.toLowerCase() },
-      include: { brandAdmins: { select: { brandId: true } } },
+      include: brandAdminsInclude,
     });
   } else {
     user = await prisma.user.findFirst({
       where: { username: raw },
-      include: { brandAdmins: { select: { brandId: true } } },
+      include: brandAdminsInclude,
     });
   }
   if (!user || !user.passwordHash || !user.isActive) return null;
   const ok = await bcrypt.compare(password, user.passwordHash);
   if (!ok) return null;
-
-  const role = (user.role || "user").toLowerCase();
-  let brandId = null;
-  if (role === "brand" && user.brandAdmins?.length) brandId = user.brandAdmins[0].brandId;
-
-  return {
-    id: user.id,
-    email: user.email ?? undefined,
-    username: user.username ?? undefined,
-    role,
-    brandId: brandId || undefined,
-  };
+  await prisma.user.update({ where: { id: user.id }, data: { lastLoginAt: new Date() } });
+  return toSessionUser(user);
 }
 
 /**
- * Get user by id (safe fields only).
+ * User row (with brandAdmins) if it exists and is active.
  */
-export async function getUser(id) {
+export async function findActiveUser(id) {
   const nid = normalizeId(id);
   if (!nid) return null;
   const prisma = getPrisma();
   const user = await prisma.user.findUnique({
     where: { id: nid },
-    include: { brandAdmins: { select: { brandId: true } } },
+    include: brandAdminsInclude,
   });
-  if (!user || !user.isActive) return null;
+  return user && user.isActive ? user : null;
+}
+
+/**
+ * Safe fields of a user row, as set on req.user: role with its permissions, the brands the user administers
+ * (brandIds) and the one this session acts for (brandId; see resolveActiveBrandId).
+ */
+export function toSessionUser(user, activeBrandId = null) {
   const role = (user.role || "user").toLowerCase();
-  let brandId = null;
-  if (role === "brand" && user.brandAdmins?.length) brandId = user.brandAdmins[0].brandId;
   return {
     id: user.id,
     email: user.email ?? undefined,
@@ -75,23 +79,94 @@ export async function getUser(id) {
     firstName: user.firstName,
     lastName: user.lastName,
     role,
-    brandId: brandId || undefined,
+    permissions: permissionsForRole(role),
+    brandId: resolveActiveBrandId(user, activeBrandId) || undefined,
+    brandIds: (user.brandAdmins ?? []).map((b) => b.brandId),
+    emailVerified: user.emailVerified,
   };
 }
 
 /**
- * Create JWT payload for session (userId, role, brandId).
+ * Get user by id (safe fields only).
+ */
+export async function getUser(id) {
+  const user = await findActiveUser(id);
+  return user ? toSessionUser(user) : null;
+}
+
+/** Unexpired, unrevoked impersonation grant for the user, or null. */
+export function findActiveImpersonationGrant(grantId, userId) {
+  return getPrisma().impersonationGrant.findFirst({
+    where: { id: grantId, userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    select: { id: true, adminId: true },
+  });
+}
+
+/**
+ * Active refresh session (sid) or impersonation grant (imp) behind a token; null for tokens with neither, so every
+ * accepted token can be revoked.
+ */
+async function findTokenSession(payload) {
+  if (payload.imp) return findActiveImpersonationGrant(payload.imp, payload.userId);
+  if (payload.sid) {
+    return getPrisma().marketplaceSession.findFirst({
+      where: { familyId: payload.sid, userId: payload.userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: { id: true },
+    });
+  }
+  return null;
+}
+
+/**
+ * User for a verified access token payload, or null when the user is gone or inactive, the token predates a password
+ * change or "log out everywhere" (its tv no longer matches User.tokenVersion), or its session (sid) was logged out.
+ * Impersonation tokens (imp) need an unexpired, unrevoked grant; the user then has impersonatedBy (admin id).
  */
-export function createToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: "7d" });
+export async function getUserForToken(payload) {
+  if (!payload?.userId) return null;
+  const [user, session] = await Promise.all([findActiveUser(payload.userId), findTokenSession(payload)]);
+  if (!user || !session || (payload.tv ?? 0) !== user.tokenVersion) return null;
+  const sessionUser = toSessionUser(user, payload.brandId);
+  if (payload.imp) {
+    sessionUser.impersonatedBy = session.adminId;
+    sessionUser.impersonationId = payload.imp;
+  }
+  return sessionUser;
+}
+
+/**
+ * Short-lived access token for a user row and session family (see domain/user/sessions.js), acting for
+ * activeBrandId when the user may (else their default brand).
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds
+ */
+export function createAccessToken(user, sessionId, activeBrandId = null) {
+  const { role, brandId } = toSessionUser(user, activeBrandId);
+  const token = jwt.sign({ userId: user.id, role, brandId, tv: user.tokenVersion, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const { iat, exp } = jwt.decode(token);
+  return { token, expiresIn: exp - iat };
+}
+
+/**
+ * Access token that signs in as the user for an impersonation grant (see domain/user/userAdmin.js); no refresh token.
+ * @returns {{ token: string, expiresIn: number }} expiresIn in seconds
+ */
+export function createImpersonationToken(user, grant) {
+  const { role } = toSessionUser(user);
+  const expiresIn = Math.max(1, Math.floor((grant.expiresAt.getTime() - Date.now()) / 1000));
+  const token = jwt.sign({ userId: user.id, role, tv: user.tokenVersion, imp: grant.id }, JWT_SECRET, { expiresIn });
+  return { token, expiresIn };
 }
 
 /**
  * Create short-lived JWT for storage access (img src cross-origin).
- * 5 min expiry; only encodes userId.
+ * 5 min expiry; encodes userId and, for an impersonation session, its grant (imp) so revoking the grant stops it.
  */
-export function createStorageAccessToken(userId) {
-  return jwt.sign({ userId, purpose: "storage" }, JWT_SECRET, { expiresIn: "5m" });
+export function createStorageAccessToken(userId, impersonationId = null) {
+  const payload = { userId, purpose: "storage" };
+  if (impersonationId) payload.imp = impersonationId;
+  return jwt.sign(payload, JWT_SECRET, { expiresIn: "5m", audience: STORAGE_TOKEN_AUDIENCE });
 }
 
 /**
@@ -99,7 +174,7 @@ export function createStorageAccessToken(userId) {
  */
 export function verifyStorageAccessToken(token) {
   try {
-    const payload = jwt.verify(token, JWT_SECRET);
+    const payload = jwt.verify(token, JWT_SECRET, { audience: STORAGE_TOKEN_AUDIENCE });
     if (payload?.purpose !== "storage" || !payload?.userId) return null;
     return payload;
   } catch {
@@ -108,11 +183,13 @@ export function verifyStorageAccessToken(token) {
 }
 
 /**
- * Verify JWT and return payload or null.
+ * Verify an access token and return its payload, or null. Special-purpose tokens (storage) are rejected.
  */
 export function verifyToken(token) {
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload?.purpose || payload?.aud) return null;
+    return payload;
   } catch {
     return null;
   }
@@ -0,0 +1,171 @@
+/**
+ * Login throttling, shared by every API instance through Redis (getRedisClient).
+ * Failed sign-ins are counted per account and per client IP within a window. The identifier typed (email or username)
+ * is resolved to the account it signs in to, so alternating between an account's email and username, or varying
+ * the email's case, shares one budget; identifiers that match no account are counted as typed (case-insensitive).
+ * From the third failure on, the next attempt for that account must wait 1, 2, 4 ... up to 30 seconds; after
+ * LOGIN_MAX_FAILURES the account is locked for LOGIN_LOCKOUT_MINUTES. An IP past LOGIN_MAX_IP_FAILURES failures is
+ * only slowed down (each further failure adds a delay of 1, 2, 4 ... up to 30 seconds), never locked, since many
+ * users can share one address. Admins can lift a lock or delay (unlockLogin).
+ * If Redis is unreachable, sign-in is not throttled (logged) rather than refused.
+ */
+import { createHash } from "crypto";
+import { getPrisma } from "../../core/db.js";
+import { getRedisClient } from "../../utils/queue.js";
+import { AccountError } from "./account.js";
+
+const PREFIX = "backend2:login";
+const WINDOW_MS = (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 50;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+/** Failures allowed before delays start, and the longest delay. */
+const FREE_FAILURES = 2;
+const MAX_DELAY_MS = 30 * 1000;
+
+function identifierKey(identifier) {
+  const normalized = String(identifier || "").trim().toLowerCase();
+  return createHash("sha256").update(normalized).digest("hex").slice(0, 32);
+}
+
+/**
+ * What a sign-in attempt counts against: "user:<id>" for the account the identifier resolves to (looked up as
+ * validateLogin does), else "id:<hash of the identifier>".
+ */
+async function loginSubject(identifier) {
+  const raw = String(identifier || "").trim();
+  if (raw) {
+    const prisma = getPrisma();
+    const user = raw.includes("@")
+      ? await prisma.user.findUnique({ where: { email: raw.toLowerCase() }, select: { id: true } })
+      : await prisma.user.findFirst({ where: { username: raw }, select: { id: true } });
+    if (user) return `user:${user.id}`;
+  }
+  return `id:${identifierKey(raw)}`;
+}
+
+function keys(subject, ip) {
+  const addr = String(ip || "unknown");
+  return {
+    idFailures: `${PREFIX}:fail:${subject}`,
+    idLock: `${PREFIX}:lock:${subject}`,
+    idNext: `${PREFIX}:next:${subject}`,
+    ipFailures: `${PREFIX}:fail:ip:${addr}`,
+    ipNext: `${PREFIX}:next:ip:${addr}`,
+  };
+}
+
+function delayAfter(failures) {
+  if (failures <= FREE_FAILURES) return 0;
+  return Math.min(1000 * 2 ** (failures - FREE_FAILURES - 1), MAX_DELAY_MS);
+}
+
+async function increment(redis, key) {
+  const count = await redis.incr(key);
+  if (count === 1) await redis.pexpire(key, WINDOW_MS);
+  return count;
+}
+
+/**
+ * Throw if the account behind this identifier, or this IP, may not try to sign in yet.
+ * @throws {AccountError} account_locked or too_many_attempts (429, details.retryAfter in seconds)
+ */
+export async function assertLoginAllowed(identifier, ip) {
+  const k = keys(await loginSubject(identifier), ip);
+  let idLock;
+  let ipNext;
+  let idNext;
+  try {
+    [idLock, ipNext, idNext] = await Promise.all([
+      getRedisClient().pttl(k.idLock),
+      getRedisClient().pttl(k.ipNext),
+      getRedisClient().pttl(k.idNext),
+    ]);
+  } catch (err) {
+    console.error("[loginThrottle] check failed, not throttling:", err.message);
+    return;
+  }
+  const retryAfter = (ms) => ({ retryAfter: Math.max(1, Math.ceil(ms / 1000)) });
+  if (idLock > 0) {
+    throw new AccountError("Too many failed sign-in attempts. This account is temporarily locked.", "account_locked", 429, retryAfter(idLock));
+  }
+  const wait = Math.max(idNext, ipNext);
+  if (wait > 0) {
+    throw new AccountError("Please wait before trying again.", "too_many_attempts", 429, retryAfter(wait));
+  }
+}
+
+/**
+ * Count a failed sign-in and apply the delay or lockout it earns.
+ * @returns {Promise<{ failures: number, locked: boolean, retryAfter: number }|null>} null when Redis is unavailable
+ */
+export async function recordLoginFailure(identifier, ip) {
+  const subject = await loginSubject(identifier);
+  const k = keys(subject, ip);
+  const redis = getRedisClient();
+  try {
+    const [failures, ipFailures] = await Promise.all([increment(redis, k.idFailures), increment(redis, k.ipFailures)]);
+    if (ipFailures > MAX_IP_FAILURES) {
+      await redis.set(k.ipNext, "1", "PX", delayAfter(ipFailures - MAX_IP_FAILURES + FREE_FAILURES));
+    }
+    if (failures >= MAX_FAILURES) {
+      await redis.set(k.idLock, "1", "PX", LOCKOUT_MS);
+      await redis.del(k.idFailures, k.idNext);
+      console.warn(`[loginThrottle] Locked ${subject} after ${failures} failures (ip ${ip})`);
+      return { failures, locked: true, retryAfter: Math.ceil(LOCKOUT_MS / 1000) };
+    }
+    const delay = delayAfter(failures);
+    if (delay > 0) await redis.set(k.idNext, "1", "PX", delay);
+    return { failures, locked: false, retryAfter: Math.ceil(delay / 1000) };
+  } catch (err) {
+    console.error("[loginThrottle] failed to record failure:", err.message);
+    return null;
+  }
+}
+
+/**
+ * Clear the account's failure count after a successful sign-in. The IP count is kept so one valid account does
+ * not reset an attacker's budget.
+ */
+export async function recordLoginSuccess(identifier) {
+  const k = keys(await loginSubject(identifier));
+  try {
+    await getRedisClient().del(k.idFailures, k.idNext);
+  } catch (err) {
+    console.error("[loginThrottle] failed to clear failures:", err.message);
+  }
+}
+
+/**
+ * Lift lockouts and delays (admin) for an account and/or an IP.
+ * @param {{ userId?: string, ip?: string }} target
+ * @returns {Promise<number>} Lock, delay and counter keys removed
+ */
+export async function unlockLogin({ userId, ip } = {}) {
+  const toDelete = [];
+  if (userId) {
+    const k = keys(`user:${userId}`);
+    toDelete.push(k.idFailures, k.idLock, k.idNext);
+  }
+  if (ip) {
+    const k = keys("", ip);
+    toDelete.push(k.ipFailures, k.ipNext);
+  }
+  if (toDelete.length === 0) return 0;
+  return getRedisClient().del(...toDelete);
+}
+
+/**
+ * Current lock state of an account (admin view).
+ * @returns {Promise<{ locked: boolean, lockedForSeconds: number, failures: number }>}
+ */
+export async function getLoginLockStatus(userId) {
+  const k = keys(`user:${userId}`);
+  const redis = getRedisClient();
+  const [lockedMs, count] = await Promise.all([redis.pttl(k.idLock), redis.get(k.idFailures)]);
+  return {
+    locked: lockedMs > 0,
+    lockedForSeconds: Math.max(0, Math.ceil(lockedMs / 1000)),
+    failures: Number(count) || 0,
+  };
+}
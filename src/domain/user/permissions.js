@@ -0,0 +1,124 @@
+/**
+ * Permissions: roles (User.role) grant permissions; routes check permissions, not role names (see
+ * middleware/requirePermission.js). Brand-scoped permissions apply to the brands a user administers (BrandAdmin rows)
+ * unless the role also grants brands:all. Users with several brands pick the one they act for per session
+ * (see switchBrand in domain/user/sessions.js).
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+
+export const PERMISSIONS = Object.freeze({
+  ADMIN_ACCESS: "admin:access",
+  BRANDS_ALL: "brands:all",
+  BRAND_PORTAL: "brand:portal",
+  BRAND_READ: "brand:read",
+  BRAND_ANALYTICS: "brand:analytics",
+  CATALOG_IMPORT: "catalog:import",
+  MICROSTORE_CREATE: "microstore:create",
+  MICROSTORE_MANAGE: "microstore:manage",
+  MICROSTORE_APPROVE: "microstore:approve",
+  FEED_MANAGE: "feed:manage",
+  FEED_APPROVE: "feed:approve",
+  PROMPTS_EDIT: "prompts:edit",
+  MODELS_EDIT: "models:edit",
+  API_KEYS_MANAGE: "api-keys:manage",
+  USERS_MANAGE: "users:manage",
+  USERS_IMPERSONATE: "users:impersonate",
+  AUDIT_READ: "audit:read",
+  CRON_RUN: "cron:run",
+});
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+/** Permissions granted by each role. Unknown roles get none. */
+export const ROLE_PERMISSIONS = Object.freeze({
+  admin: ALL_PERMISSIONS,
+  brand: [PERMISSIONS.BRAND_PORTAL, PERMISSIONS.BRAND_READ, PERMISSIONS.BRAND_ANALYTICS, PERMISSIONS.MICROSTORE_CREATE],
+  user: [],
+});
+
+/** @returns {string[]} */
+export function permissionsForRole(role) {
+  return ROLE_PERMISSIONS[(role || "user").toLowerCase()] ?? [];
+}
+
+/**
+ * True if the user (req.user shape: { role, permissions? }) has every given permission.
+ */
+export function hasPermission(user, ...permissions) {
+  if (!user) return false;
+  const granted = user.permissions ?? permissionsForRole(user.role);
+  return permissions.every((p) => granted.includes(p));
+}
+
+/**
+ * True if the user may act for the brand: brands:all, or the brand is one they administer.
+ */
+export function canActForBrand(user, brandId) {
+  if (!user || !brandId) return false;
+  if (hasPermission(user, PERMISSIONS.BRANDS_ALL)) return true;
+  return (user.brandIds ?? []).includes(brandId);
+}
+
+/**
+ * Brand the session acts for: the requested one if the user may act for it, else (for users without brands:all)
+ * the first brand they administer. Admins have no brand context unless they switch to one.
+ * @param {{ role, brandAdmins?: Array<{ brandId }> }} user - User row
+ * @returns {string|null}
+ */
+export function resolveActiveBrandId(user, requestedBrandId = null) {
+  const permissions = permissionsForRole(user.role);
+  const brandIds = (user.brandAdmins ?? []).map((b) => b.brandId);
+  const all = permissions.includes(PERMISSIONS.BRANDS_ALL);
+  if (requestedBrandId && (all || brandIds.includes(requestedBrandId))) return requestedBrandId;
+  if (all || !permissions.includes(PERMISSIONS.BRAND_PORTAL)) return null;
+  return brandIds[0] ?? null;
+}
+
+/**
+ * Brands the user administers, for the brand switcher.
+ * @returns {Promise<Array<{ brandId, name, logoUrl, since }>>}
+ */
+export async function listBrandMemberships(userId) {
+  const uid = normalizeId(userId);
+  if (!uid) return [];
+  const rows = await getPrisma().brandAdmin.findMany({
+    where: { userId: uid },
+    include: { brand: { select: { id: true, name: true, logoUrl: true } } },
+    orderBy: { createdAt: "asc" },
+  });
+  return rows.map((r) => ({ brandId: r.brandId, name: r.brand.name, logoUrl: r.brand.logoUrl, since: r.createdAt }));
+}
+
+/**
+ * Let a user administer another brand (idempotent).
+ * @returns {Promise<Object|null>} BrandAdmin row; null if the user or brand does not exist
+ */
+export async function addBrandMembership(userId, brandId) {
+  const uid = normalizeId(userId);
+  const bid = normalizeId(brandId);
+  if (!uid || !bid) return null;
+  const prisma = getPrisma();
+  const [user, brand] = await Promise.all([
+    prisma.user.findUnique({ where: { id: uid }, select: { id: true } }),
+    prisma.brand.findUnique({ where: { id: bid }, select: { id: true } }),
+  ]);
+  if (!user || !brand) return null;
+  return prisma.brandAdmin.upsert({
+    where: { userId_brandId: { userId: uid, brandId: bid } },
+    create: { userId: uid, brandId: bid },
+    update: {},
+  });
+}
+
+/**
+ * Remove a user's access to a brand. Sessions acting for it fall back to the user's next brand.
+ * @returns {Promise<boolean>} false if the user did not administer the brand
+ */
+export async function removeBrandMembership(userId, brandId) {
+  const uid = normalizeId(userId);
+  const bid = normalizeId(brandId);
+  if (!uid || !bid) return false;
+  const { count } = await getPrisma().brandAdmin.deleteMany({ where: { userId: uid, brandId: bid } });
+  return count > 0;
+}
@@ -0,0 +1,236 @@
+/**
+ * Sign-in sessions: short-lived access tokens (JWT, see createAccessToken) plus rotating refresh tokens stored in
+ * MarketplaceSession. A family of refresh tokens is one signed-in device; its id is the `sid` claim, so logging a
+ * device out also stops its access tokens (getUserForToken checks the family is still active).
+ * Refreshing revokes the presented token and issues the next one in the family. A rotated token presented again
+ * means it was copied: the whole family is revoked.
+ * Each family also remembers the brand the device acts for (switchBrand), so refreshed tokens keep it.
+ */
+import { createHash, randomBytes, randomUUID } from "crypto";
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { findActiveUser, toSessionUser, createAccessToken } from "./auth.js";
+import { canActForBrand } from "./permissions.js";
+
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+/** Thrown when a refresh token cannot be used; API should respond with statusCode and code. */
+export class SessionError extends Error {
+  constructor(message, code = "invalid_refresh_token", statusCode = 401) {
+    super(message);
+    this.name = "SessionError";
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+function clientMeta(meta = {}) {
+  return {
+    userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+    ip: meta.ip ? String(meta.ip).slice(0, 64) : null,
+  };
+}
+
+async function issueRefreshToken(db, user, familyId, meta, activeBrandId = null) {
+  const refreshToken = randomBytes(32).toString("base64url");
+  const now = new Date();
+  await db.marketplaceSession.create({
+    data: {
+      id: randomUUID(),
+      userId: user.id,
+      email: user.email,
+      familyId,
+      refreshTokenHash: hashToken(refreshToken),
+      expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS),
+      lastUsedAt: now,
+      activeBrandId,
+      ...clientMeta(meta),
+    },
+  });
+  return refreshToken;
+}
+
+function revokeFamily(db, familyId, reason) {
+  return db.marketplaceSession.updateMany({
+    where: { familyId, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+}
+
+/**
+ * Sign a user in on a new device.
+ * @param {string} userId
+ * @param {{ userAgent?: string, ip?: string }} [meta]
+ * @returns {Promise<{ token: string, expiresIn: number, refreshToken: string, sessionId: string }>}
+ *   token = access token; expiresIn in seconds
+ * @throws {SessionError} When the user does not exist or is inactive
+ */
+export async function startSession(userId, meta = {}) {
+  const user = await findActiveUser(userId);
+  if (!user) throw new SessionError("User not found", "user_not_found");
+  const sessionId = randomUUID();
+  const refreshToken = await issueRefreshToken(getPrisma(), user, sessionId, meta);
+  return { ...createAccessToken(user, sessionId), refreshToken, sessionId };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @returns {Promise<{ token, expiresIn, refreshToken, sessionId }>}
+ * @throws {SessionError} invalid_refresh_token, refresh_token_expired, session_revoked, refresh_token_reused
+ */
+export async function refreshSession(refreshToken, meta = {}) {
+  if (!refreshToken || typeof refreshToken !== "string") throw new SessionError("refreshToken required");
+  const prisma = getPrisma();
+  const row = await prisma.marketplaceSession.findUnique({ where: { refreshTokenHash: hashToken(refreshToken) } });
+  if (!row?.familyId) throw new SessionError("Invalid refresh token");
+  if (row.revokedAt) {
+    if (row.revokedReason === "rotated") {
+      await revokeFamily(prisma, row.familyId, "reuse_detected");
+      console.warn(`[sessions] Refresh token reuse for user ${row.userId}; session ${row.familyId} revoked`);
+      throw new SessionError("Refresh token was already used; please sign in again", "refresh_token_reused");
+    }
+    throw new SessionError("Session has been signed out", "session_revoked");
+  }
+  if (row.expiresAt <= new Date()) throw new SessionError("Session expired; please sign in again", "refresh_token_expired");
+  const user = await findActiveUser(row.userId);
+  if (!user) {
+    await revokeFamily(prisma, row.familyId, "user_inactive");
+    throw new SessionError("Session has been signed out", "session_revoked");
+  }
+
+  const next = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.marketplaceSession.updateMany({
+      where: { id: row.id, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: "rotated" },
+    });
+    if (count === 0) return null;
+    return issueRefreshToken(
+      tx,
+      user,
+      row.familyId,
+      { userAgent: meta.userAgent ?? row.userAgent, ip: meta.ip ?? row.ip },
+      row.activeBrandId
+    );
+  });
+  if (!next) {
+    // Another request rotated this token first: treat as reuse.
+    await revokeFamily(prisma, row.familyId, "reuse_detected");
+    throw new SessionError("Refresh token was already used; please sign in again", "refresh_token_reused");
+  }
+  return {
+    ...createAccessToken(user, row.familyId, row.activeBrandId),
+    refreshToken: next,
+    sessionId: row.familyId,
+  };
+}
+
+/**
+ * Switch the brand a signed-in device acts for. brandId null clears it (users with brands:all act for no brand
+ * by default). Refresh tokens are unchanged; the new brand applies to this and later access tokens.
+ * @returns {Promise<{ token, expiresIn, brandId }>}
+ * @throws {SessionError} session_required (token without a session), brand_access_denied (403)
+ */
+export async function switchBrand(userId, sessionId, brandId) {
+  if (!sessionId) throw new SessionError("Sign in again to switch brands", "session_required");
+  const user = await findActiveUser(userId);
+  if (!user) throw new SessionError("User not found", "user_not_found");
+  const target = brandId ? String(brandId) : null;
+  if (target && !canActForBrand(toSessionUser(user), target)) {
+    throw new SessionError("You do not administer this brand", "brand_access_denied", 403);
+  }
+  const { count } = await getPrisma().marketplaceSession.updateMany({
+    where: { familyId: sessionId, userId: user.id, revokedAt: null },
+    data: { activeBrandId: target },
+  });
+  if (count === 0) throw new SessionError("Session has been signed out", "session_revoked");
+  return { ...createAccessToken(user, sessionId, target), brandId: toSessionUser(user, target).brandId ?? null };
+}
+
+/**
+ * Sign out one device by its refresh token, or by session id (only the user's own).
+ * @param {{ refreshToken?: string, sessionId?: string, userId?: string }} by
+ * @returns {Promise<boolean>} false if no active session matched
+ */
+export async function endSession({ refreshToken, sessionId, userId } = {}) {
+  const prisma = getPrisma();
+  let familyId = null;
+  if (refreshToken) {
+    const row = await prisma.marketplaceSession.findUnique({
+      where: { refreshTokenHash: hashToken(refreshToken) },
+      select: { familyId: true, userId: true },
+    });
+    if (row && (!userId || row.userId === userId)) familyId = row.familyId;
+  } else if (sessionId && userId) {
+    const row = await prisma.marketplaceSession.findFirst({
+      where: { familyId: String(sessionId), userId },
+      select: { familyId: true },
+    });
+    familyId = row?.familyId ?? null;
+  }
+  if (!familyId) return false;
+  const { count } = await revokeFamily(prisma, familyId, "logout");
+  return count > 0;
+}
+
+/**
+ * Sign a user out everywhere: revoke every refresh token and (tokenVersion + 1) every access token, including ones
+ * issued before refresh tokens existed.
+ * @param {string} reason - logout_all | admin
+ * @returns {Promise<number|null>} Sessions revoked; null if the user does not exist
+ */
+export async function revokeAllSessions(userId, reason = "logout_all") {
+  const uid = normalizeId(userId);
+  if (!uid) return null;
+  const prisma = getPrisma();
+  const exists = await prisma.user.findUnique({ where: { id: uid }, select: { id: true } });
+  if (!exists) return null;
+  const [revoked] = await prisma.$transaction([
+    prisma.marketplaceSession.updateMany({
+      where: { userId: uid, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: reason },
+    }),
+    prisma.user.update({ where: { id: uid }, data: { tokenVersion: { increment: 1 } } }),
+  ]);
+  return revoked.count;
+}
+
+/**
+ * The user's signed-in devices (active refresh token families), most recently used first.
+ * @param {string} [currentSessionId] - marks the caller's own session
+ */
+export async function listSessions(userId, currentSessionId = null) {
+  const uid = normalizeId(userId);
+  if (!uid) return [];
+  const rows = await getPrisma().marketplaceSession.findMany({
+    where: { userId: uid, revokedAt: null, expiresAt: { gt: new Date() }, familyId: { not: null } },
+    orderBy: { lastUsedAt: "desc" },
+  });
+  const firstSeen = await getPrisma().marketplaceSession.groupBy({
+    by: ["familyId"],
+    where: { familyId: { in: rows.map((r) => r.familyId) } },
+    _min: { createdAt: true },
+  });
+  const createdAt = new Map(firstSeen.map((f) => [f.familyId, f._min.createdAt]));
+  return rows.map((r) => ({
+    id: r.familyId,
+    userAgent: r.userAgent,
+    ip: r.ip,
+    signedInAt: createdAt.get(r.familyId) ?? r.createdAt,
+    lastUsedAt: r.lastUsedAt,
+    expiresAt: r.expiresAt,
+    current: r.familyId === currentSessionId,
+  }));
+}
+
+/**
+ * Delete refresh tokens past their expiry (revoked ones are kept until then for reuse detection).
+ * @returns {Promise<number>} Rows deleted
+ */
+export async function purgeExpiredSessions() {
+  const { count } = await getPrisma().marketplaceSession.deleteMany({ where: { expiresAt: { lt: new Date() } } });
+  return count;
+}
@@ -0,0 +1,255 @@
+/**
+ * Admin user management: search, detail with activity counts, activate / deactivate, role changes and support
+ * impersonation. Deactivating signs the user out everywhere (and ends impersonation). Impersonation issues a
+ * short-lived access token for the user, recorded as an ImpersonationGrant with the admin and a reason; staff
+ * accounts (admin:access) cannot be impersonated.
+ */
+import { getPrisma } from "../../core/db.js";
+import { normalizeId } from "../../core/helpers.js";
+import { AccountError } from "./account.js";
+import { createImpersonationToken, toSessionUser } from "./auth.js";
+import { revokeAllSessions } from "./sessions.js";
+import { ROLE_PERMISSIONS, PERMISSIONS, permissionsForRole } from "./permissions.js";
+
+const MAX_PAGE_SIZE = 100;
+const IMPERSONATION_TTL_MINUTES = Number(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+const MAX_IMPERSONATION_MINUTES = 120;
+
+const userSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  phone: true,
+  role: true,
+  isActive: true,
+  emailVerified: true,
+  createdAt: true,
+  lastLoginAt: true,
+  brandAdmins: { select: { brandId: true }, orderBy: { createdAt: "asc" } },
+};
+
+function toAdminUser(row) {
+  const { brandAdmins, ...user } = row;
+  return { ...user, email: user.email ?? undefined, username: user.username ?? undefined, brandIds: brandAdmins.map((b) => b.brandId) };
+}
+
+function pageParams(opts) {
+  const limit = Math.min(Math.max(Number(opts.limit) || 50, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(Number(opts.offset) || 0, 0);
+  return { limit, offset };
+}
+
+/**
+ * @param {{ q?: string, role?: string, active?: boolean, brandId?: string, limit?, offset? }} opts - q matches email,
+ *   username or name (case-insensitive)
+ * @returns {Promise<{ users, total, limit, offset }>}
+ */
+export async function searchUsers(opts = {}) {
+  const { limit, offset } = pageParams(opts);
+  const where = {};
+  const q = typeof opts.q === "string" ? opts.q.trim() : "";
+  if (q) {
+    where.OR = ["email", "username", "firstName", "lastName"].map((field) => ({
+      [field]: { contains: q, mode: "insensitive" },
+    }));
+  }
+  if (opts.role) where.role = String(opts.role).toLowerCase();
+  if (typeof opts.active === "boolean") where.isActive = opts.active;
+  const brandId = normalizeId(opts.brandId);
+  if (brandId) where.brandAdmins = { some: { brandId } };
+  const prisma = getPrisma();
+  const [rows, total] = await Promise.all([
+    prisma.user.findMany({ where, select: userSelect, orderBy: { createdAt: "desc" }, take: limit, skip: offset }),
+    prisma.user.count({ where }),
+  ]);
+  return { users: rows.map(toAdminUser), total, limit, offset };
+}
+
+/**
+ * User with brands, permissions, activity counts, active sessions and recent impersonations; null if not found.
+ */
+export async function getUserDetail(id) {
+  const uid = normalizeId(id);
+  if (!uid) return null;
+  const prisma = getPrisma();
+  const now = new Date();
+  const row = await prisma.user.findUnique({
+    where: { id: uid },
+    select: {
+      ...userSelect,
+      brandAdmins: {
+        select: { brandId: true, createdAt: true, brand: { select: { name: true } } },
+        orderBy: { createdAt: "asc" },
+      },
+      _count: {
+        select: {
+          orders: true,
+          looks: true,
+          wardrobeItems: true,
+          wishlistItems: true,
+          cartItems: true,
+          conversations: true,
+          styleReports: true,
+          userImages: true,
+          addresses: true,
+          productAlerts: true,
+        },
+      },
+    },
+  });
+  if (!row) return null;
+  const [sessions, lastSession, impersonations] = await Promise.all([
+    prisma.marketplaceSession.count({ where: { userId: uid, revokedAt: null, expiresAt: { gt: now } } }),
+    prisma.marketplaceSession.findFirst({ where: { userId: uid }, orderBy: { lastUsedAt: "desc" }, select: { lastUsedAt: true } }),
+    listImpersonations({ userId: uid, limit: 10 }),
+  ]);
+  const { _count, brandAdmins, ...rest } = row;
+  return {
+    ...toAdminUser({ ...rest, brandAdmins }),
+    permissions: permissionsForRole(row.role),
+    brands: brandAdmins.map((b) => ({ brandId: b.brandId, name: b.brand?.name ?? null, since: b.createdAt })),
+    activity: { ..._count, activeSessions: sessions, lastActiveAt: lastSession?.lastUsedAt ?? null },
+    recentImpersonations: impersonations.items,
+  };
+}
+
+async function findUserForAdmin(prisma, uid) {
+  return prisma.user.findUnique({ where: { id: uid }, select: userSelect });
+}
+
+/**
+ * Activate or deactivate an account. Deactivated users cannot sign in and are signed out everywhere.
+ * @returns {Promise<object|null>} Updated user, null if not found
+ * @throws {AccountError} self_action (409) when an admin deactivates their own account
+ */
+export async function setUserActive(id, isActive, actorId) {
+  const uid = normalizeId(id);
+  if (!uid) return null;
+  if (!isActive && uid === actorId) throw new AccountError("You cannot deactivate your own account", "self_action", 409);
+  const prisma = getPrisma();
+  if (!(await findUserForAdmin(prisma, uid))) return null;
+  const row = await prisma.user.update({ where: { id: uid }, data: { isActive: Boolean(isActive) }, select: userSelect });
+  if (!isActive) {
+    await revokeAllSessions(uid, "user_inactive");
+    await prisma.impersonationGrant.updateMany({ where: { userId: uid, revokedAt: null }, data: { revokedAt: new Date() } });
+  }
+  return toAdminUser(row);
+}
+
+/**
+ * Change a user's role (see ROLE_PERMISSIONS); permissions apply from the next request. clearBrands also removes the
+ * user's brand memberships (e.g. when a brand user leaves).
+ * @returns {Promise<object|null>} Updated user, null if not found
+ * @throws {AccountError} invalid_role, self_action (409)
+ */
+export async function changeUserRole(id, role, actorId, { clearBrands = false } = {}) {
+  const uid = normalizeId(id);
+  if (!uid) return null;
+  const nextRole = typeof role === "string" ? role.trim().toLowerCase() : "";
+  const roles = Object.keys(ROLE_PERMISSIONS);
+  if (!roles.includes(nextRole)) {
+    throw new AccountError(`role must be one of ${roles.join(", ")}`, "invalid_role");
+  }
+  if (uid === actorId) throw new AccountError("You cannot change your own role", "self_action", 409);
+  const prisma = getPrisma();
+  if (!(await findUserForAdmin(prisma, uid))) return null;
+  const row = await prisma.$transaction(async (tx) => {
+    if (clearBrands) await tx.brandAdmin.deleteMany({ where: { userId: uid } });
+    return tx.user.update({ where: { id: uid }, data: { role: nextRole }, select: userSelect });
+  });
+  return toAdminUser(row);
+}
+
+/**
+ * Issue an impersonation token for support. The grant (admin, reason, IP, expiry) is stored for audit.
+ * @param {{ reason: string, minutes?: number }} input
+ * @param {{ ip?, userAgent? }} [meta]
+ * @returns {Promise<{ token, expiresIn, expiresAt, impersonationId, user }|null>} null if the user is not found
+ * @throws {AccountError} reason_required, user_inactive (409), staff_account (403), self_action (409)
+ */
+export async function startImpersonation(userId, adminId, input = {}, meta = {}) {
+  const uid = normalizeId(userId);
+  if (!uid) return null;
+  const reason = typeof input.reason === "string" ? input.reason.trim() : "";
+  if (reason.length < 5 || reason.length > 500) {
+    throw new AccountError("reason required (5-500 characters), e.g. a support ticket reference", "reason_required");
+  }
+  const minutes = Math.min(Math.max(Number(input.minutes) || IMPERSONATION_TTL_MINUTES, 1), MAX_IMPERSONATION_MINUTES);
+  if (uid === adminId) throw new AccountError("You cannot impersonate yourself", "self_action", 409);
+  const prisma = getPrisma();
+  const user = await prisma.user.findUnique({
+    where: { id: uid },
+    include: { brandAdmins: { select: { brandId: true }, orderBy: { createdAt: "asc" } } },
+  });
+  if (!user) return null;
+  if (!user.isActive) throw new AccountError("User is deactivated", "user_inactive", 409);
+  if (permissionsForRole(user.role).includes(PERMISSIONS.ADMIN_ACCESS)) {
+    throw new AccountError("Staff accounts cannot be impersonated", "staff_account", 403);
+  }
+  const grant = await prisma.impersonationGrant.create({
+    data: {
+      userId: uid,
+      adminId,
+      reason,
+      expiresAt: new Date(Date.now() + minutes * 60 * 1000),
+      ip: meta.ip ? String(meta.ip).slice(0, 64) : null,
+      userAgent: meta.userAgent ? String(meta.userAgent).slice(0, 255) : null,
+    },
+  });
+  const { token, expiresIn } = createImpersonationToken(user, grant);
+  return {
+    token,
+    expiresIn,
+    expiresAt: grant.expiresAt,
+    impersonationId: grant.id,
+    user: { ...toSessionUser(user), impersonatedBy: adminId },
+  };
+}
+
+/**
+ * Impersonation grants, newest first.
+ * @param {{ userId?, adminId?, active?: boolean, limit?, offset? }} opts
+ */
+export async function listImpersonations(opts = {}) {
+  const { limit, offset } = pageParams(opts);
+  const where = {};
+  const userId = normalizeId(opts.userId);
+  const adminId = normalizeId(opts.adminId);
+  if (userId) where.userId = userId;
+  if (adminId) where.adminId = adminId;
+  if (opts.active) Object.assign(where, { revokedAt: null, expiresAt: { gt: new Date() } });
+  const prisma = getPrisma();
+  const [items, total] = await Promise.all([
+    prisma.impersonationGrant.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: limit,
+      skip: offset,
+      select: {
+        id: true,
+        userId: true,
+        adminId: true,
+        reason: true,
+        expiresAt: true,
+        revokedAt: true,
+        ip: true,
+        createdAt: true,
+      },
+    }),
+    prisma.impersonationGrant.count({ where }),
+  ]);
+  return { items, total, limit, offset };
+}
+
+/** End an impersonation early; its token stops working. Returns false if not found or already ended. */
+export async function endImpersonation(grantId) {
+  const id = normalizeId(grantId);
+  if (!id) return false;
+  const ended = await getPrisma().impersonationGrant.updateMany({
+    where: { id, revokedAt: null, expiresAt: { gt: new Date() } },
+    data: { revokedAt: new Date() },
+  });
+  return ended.count > 0;
+}
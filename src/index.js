@@ -8,6 +8,16 @@ import routes from "./routes/index.js";
 
 const PORT = Number(process.env.PORT) || 3002;
 const app = express();
+
+// Behind a load balancer / reverse proxy, req.ip (login throttling, audit log) must come from X-Forwarded-For:
+// TRUST_PROXY is a hop count ("1"), "true", or a comma-separated list of proxy addresses / subnets.
+const trustProxy = process.env.TRUST_PROXY?.trim();
+if (trustProxy) {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" ? true : trustProxy === "false" ? false : trustProxy
+  );
+}
 const uploadsDir = join(process.cwd(), "public", "uploads");
 if (!existsSync(uploadsDir)) {
   mkdir(uploadsDir, { recursive: true }).catch((e) => console.warn("[uploads] mkdir:", e.message));
@@ -23,6 +33,8 @@ const origin = !corsOrigin
     ? corsOrigin.split(",").map((s) => s.trim())
     : corsOrigin;
 app.use(cors({ origin, credentials: true }));
+// Payment webhooks need the exact raw body for HMAC verification; parsed before express.json so it is left as a Buffer
+app.use("/api/payments/webhook", express.raw({ type: "*/*", limit: "1mb" }));
 // Allow large payloads for import-public-payload (e.g. hundreds of products)
 app.use(express.json({ limit: "50mb" }));
 
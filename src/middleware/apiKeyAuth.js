@@ -0,0 +1,32 @@
+import { authenticateApiKey, isApiKey } from "../domain/apiKey/apiKey.js";
+
+/** Key from X-Api-Key, or Authorization: Bearer hk_... (JWTs in that header are left to requirePermission). */
+function getApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (typeof header === "string" && header.trim()) return header.trim();
+  const auth = req.headers.authorization;
+  const bearer = auth?.startsWith("Bearer ") ? auth.slice(7).trim() : null;
+  return isApiKey(bearer) ? bearer : null;
+}
+
+/**
+ * Authenticate an API key if the request presents one (see domain/apiKey/apiKey.js). A presented key must be valid
+ * (otherwise 401); req.user becomes the key's principal so a later requirePermission checks its scopes.
+ * Requests without a key pass through unchanged.
+ */
+export function apiKeyAuth(req, res, next) {
+  const key = getApiKey(req);
+  if (!key) return next();
+  authenticateApiKey(key, req.ip)
+    .then((principal) => {
+      if (!principal) return res.status(401).json({ error: "Invalid or expired API key", code: "invalid_api_key" });
+      req.user = principal;
+      req.userId = principal.id;
+      if (principal.brandId) req.brandId = principal.brandId;
+      next();
+    })
+    .catch((err) => {
+      console.error("[apiKeyAuth]", err);
+      res.status(500).json({ error: "Auth check failed" });
+    });
+}
@@ -1,6 +1,7 @@
 /**
  * Rate limiting for LLM-heavy and expensive endpoints (code review recommendation).
- * Apply to style-report, looks/analyze, look-planning to prevent abuse.
+ * Apply to style-report, looks/analyze, look-planning to prevent abuse; and to unauthenticated account emails
+ * (forgot-password) so they cannot be used to spam inboxes.
  */
 import rateLimit from "express-rate-limit";
 
@@ -9,6 +10,7 @@ const WINDOW_MS = 15 * 60 * 1000;
 const MAX_STYLE_REPORT = 10;
 const MAX_LOOK_PLANNING = 10;
 const MAX_LOOKS_ANALYZE = 15;
+const MAX_ACCOUNT_EMAILS = 5;
 
 export const styleReportLimiter = rateLimit({
   windowMs: WINDOW_MS,
@@ -33,3 +35,11 @@ export const looksAnalyzeLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
 });
+
+export const accountEmailLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: MAX_ACCOUNT_EMAILS,
+  message: { error: "Too many requests. Try again later.", code: "rate_limit_exceeded" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
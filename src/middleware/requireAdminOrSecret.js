@@ -1,8 +1,12 @@
-import { requireAdmin } from "./requireAdmin.js";
+import { requirePermission } from "./requirePermission.js";
+import { apiKeyAuth } from "./apiKeyAuth.js";
+import { PERMISSIONS } from "../domain/user/permissions.js";
+
+const requireImportPermission = requirePermission(PERMISSIONS.CATALOG_IMPORT);
 
 /**
- * For import endpoints only: allow either Bearer JWT (requireAdmin) or
- * X-Admin-Secret header / query param ?secret= when ADMIN_SECRET is set.
+ * For import endpoints only: allow an API key with the catalog:import scope (X-Api-Key), a Bearer JWT with
+ * catalog:import, or (deprecated) X-Admin-Secret header / query param ?secret= when ADMIN_SECRET is set.
  * Use so the CLI script can auth without a JWT.
  */
 export function requireAdminOrSecret(req, res, next) {
@@ -11,9 +15,9 @@ export function requireAdminOrSecret(req, res, next) {
     const headerSecret = req.headers["x-admin-secret"];
     const querySecret = req.query && req.query.secret;
     if (headerSecret === secret || querySecret === secret) {
-      req.user = { id: "script", role: "admin" };
+      req.user = { id: "script", role: "admin", permissions: [PERMISSIONS.CATALOG_IMPORT] };
       return next();
     }
   }
-  return requireAdmin(req, res, next);
+  return apiKeyAuth(req, res, () => requireImportPermission(req, res, next));
 }
@@ -1,17 +1,19 @@
 import { getBearerToken } from "../core/getBearerToken.js";
-import { verifyToken, getUser } from "../domain/user/auth.js";
+import { verifyToken, getUserForToken } from "../domain/user/auth.js";
 
 /**
- * Optional auth: set req.userId and req.user if Bearer token is valid. Never 401.
+ * Optional auth: set req.userId and req.user if Bearer token is valid (and not revoked). Never 401.
  */
 export function optionalAuth(req, res, next) {
   const token = getBearerToken(req);
   if (!token) return next();
   const payload = verifyToken(token);
   if (!payload?.userId) return next();
-  req.userId = payload.userId;
-  getUser(payload.userId).then((user) => {
-    req.user = user || undefined;
+  getUserForToken(payload).then((user) => {
+    if (user) {
+      req.userId = user.id;
+      req.user = user;
+    }
     next();
   }).catch(() => next());
 }
@@ -25,8 +27,8 @@ export function requireAuth(req, res, next) {
   const payload = verifyToken(token);
   if (!payload?.userId) return res.status(401).json({ error: "Invalid or expired token" });
   req.userId = payload.userId;
-  getUser(payload.userId).then((user) => {
-    if (!user) return res.status(401).json({ error: "User not found" });
+  getUserForToken(payload).then((user) => {
+    if (!user) return res.status(401).json({ error: "Invalid or expired token" });
     req.user = user;
     next();
   }).catch((err) => {
@@ -34,3 +36,14 @@ export function requireAuth(req, res, next) {
     res.status(500).json({ error: "Auth check failed" });
   });
 }
+
+/**
+ * Use after requireAuth on actions support staff must not take as the user (credentials, payments, orders, data
+ * deletion): 403 for impersonation tokens.
+ */
+export function denyImpersonation(req, res, next) {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({ error: "Not allowed while impersonating a user", code: "impersonation_forbidden" });
+  }
+  next();
+}
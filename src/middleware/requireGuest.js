@@ -0,0 +1,17 @@
+import { getGuestSession } from "../domain/guest/guest.js";
+
+/**
+ * Require a live guest session: X-Guest-Id header (from POST /api/guest/session). Sets req.guestId; otherwise 401.
+ */
+export function requireGuest(req, res, next) {
+  const guestId = req.headers["x-guest-id"];
+  if (!guestId) return res.status(401).json({ error: "Guest session required" });
+  getGuestSession(String(guestId)).then((session) => {
+    if (!session) return res.status(401).json({ error: "Invalid or expired guest session" });
+    req.guestId = session.id;
+    next();
+  }).catch((err) => {
+    console.error("[requireGuest]", err);
+    res.status(500).json({ error: "Guest session check failed" });
+  });
+}
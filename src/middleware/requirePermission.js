@@ -0,0 +1,45 @@
+import { getBearerToken } from "../core/getBearerToken.js";
+import { verifyToken, getUserForToken } from "../domain/user/auth.js";
+import { hasPermission } from "../domain/user/permissions.js";
+
+function forbidden(res, permissions) {
+  return res.status(403).json({ error: "Permission denied", code: "forbidden", required: permissions });
+}
+
+/**
+ * Require a valid JWT whose user has every given permission (see domain/user/permissions.js).
+ * Sets req.user, req.userId and, when the session acts for a brand, req.brandId. Otherwise 401 or 403.
+ * When an earlier auth middleware already loaded req.user (e.g. a router-level requirePermission), it is reused.
+ * @param {...string} permissions
+ */
+export function requirePermission(...permissions) {
+  return function requirePermissionMiddleware(req, res, next) {
+    if (req.user?.permissions) {
+      if (!hasPermission(req.user, ...permissions)) return forbidden(res, permissions);
+      req.userId ??= req.user.id;
+      if (req.user.brandId) req.brandId ??= req.user.brandId;
+      return next();
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "No token" });
+    }
+    const payload = verifyToken(token);
+    if (!payload?.userId) {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    getUserForToken(payload)
+      .then((user) => {
+        if (!user) return res.status(401).json({ error: "User not found" });
+        if (!hasPermission(user, ...permissions)) return forbidden(res, permissions);
+        req.user = user;
+        req.userId = user.id;
+        if (user.brandId) req.brandId = user.brandId;
+        next();
+      })
+      .catch((err) => {
+        console.error("[requirePermission]", err);
+        res.status(500).json({ error: "Auth check failed" });
+      });
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Personal data rights: /api/account/exports (download a copy of your data) and /api/account/deletion.
+ * Both are background jobs; poll the job for status. Deletion status is readable without auth (the account is
+ * signed out as soon as deletion is requested) by its unguessable job id.
+ */
+import { Router } from "express";
+import { asyncHandler } from "../core/asyncHandler.js";
+import { requireAuth, denyImpersonation } from "../middleware/requireAuth.js";
+import * as accountData from "../domain/user/accountData.js";
+
+const router = Router();
+
+function sendAccountError(res, err) {
+  if (err.name === "AccountError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
+/** POST /api/account/exports - queue an export (returns the open one if already queued). 202 with the job. */
+router.post(
+  "/exports",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = await accountData.requestDataExport(req.userId);
+      res.status(202).json({ job: accountData.toPublicJob(job) });
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/account/exports - the user's exports, newest first */
+router.get(
+  "/exports",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const jobs = await accountData.listDataExports(req.userId);
+    res.json({ items: jobs.map(accountData.toPublicJob) });
+  })
+);
+
+/** GET /api/account/exports/:id - export status */
+router.get(
+  "/exports/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const job = await accountData.getDataJob(req.params.id, { userId: req.userId, type: "export" });
+    if (!job) return res.status(404).json({ error: "Export not found" });
+    res.json({ job: accountData.toPublicJob(job) });
+  })
+);
+
+/** GET /api/account/exports/:id/download - the zip archive; 404 until completed and after it expires */
+router.get(
+  "/exports/:id/download",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const archive = await accountData.readDataExportArchive(req.params.id, req.userId);
+    if (!archive) return res.status(404).json({ error: "Export not available" });
+    res.set("Content-Type", "application/zip");
+    res.set("Content-Disposition", `attachment; filename="${archive.filename}"`);
+    res.set("Cache-Control", "private, no-store");
+    res.send(archive.buffer);
+  })
+);
+
+/**
+ * POST /api/account/deletion - body: { password } (required for accounts with a password). Deactivates the account,
+ * signs out every device and queues deletion. 202 with the job; poll GET /api/account/deletion/:id.
+ */
+router.post(
+  "/deletion",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    try {
+      const job = await accountData.requestAccountDeletion(req.userId, { password: req.body?.password });
+      res.status(202).json({ job: accountData.toPublicJob(job) });
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/account/deletion/:id - deletion status (no auth) */
+router.get(
+  "/deletion/:id",
+  asyncHandler(async (req, res) => {
+    const job = await accountData.getDataJob(req.params.id, { type: "deletion" });
+    if (!job) return res.status(404).json({ error: "Deletion request not found" });
+    res.json({ job: accountData.toPublicJob(job) });
+  })
+);
+
+export default router;
@@ -1,5 +1,5 @@
 /**
- * Admin routes: composed in routes/admin/ (brands, modelConfig, content, microstores, feed, storageTest).
- * Import endpoints use requireAdminOrSecret; all others use requireAdmin.
+ * Admin routes: composed in routes/admin/ (brands, modelConfig, content, microstores, feed, storageTest, orders, coupons).
+ * Import endpoints use requireAdminOrSecret; all others require the admin:access permission.
  */
 export { default } from "./admin/index.js";
@@ -3,7 +3,10 @@
  */
 import { Router } from "express";
 import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
 import { getAgentPrompts, setAgentPrompt } from "../../domain/agentPrompts/agentPrompts.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 
 const router = Router();
 
@@ -45,15 +48,24 @@ router.get(
 
 router.put(
   "/agents/:agentId/prompts/:promptKey",
+  requirePermission(PERMISSIONS.PROMPTS_EDIT),
   asyncHandler(async (req, res) => {
     const { agentId, promptKey } = req.params;
     const { content, references } = req.body || {};
+    const previous = (await getAgentPrompts(agentId))[promptKey];
     await setAgentPrompt(agentId, promptKey, {
       content: typeof content === "string" ? content : "",
       references: Array.isArray(references) ? references : [],
     });
     const prompts = await getAgentPrompts(agentId);
     const entry = prompts[promptKey];
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.AGENT_PROMPT_UPDATE,
+      targetType: "agent_prompt",
+      targetId: `${agentId}/${promptKey}`,
+      before: previous ? { content: previous.content ?? "", references: previous.references ?? [] } : null,
+      after: { content: entry?.content ?? "", references: entry?.references ?? [] },
+    });
     res.json({ agentId, promptKey, content: entry?.content ?? "", references: entry?.references ?? [] });
   })
 );
@@ -0,0 +1,105 @@
+/**
+ * Admin: API keys for scripts, cron and brand integrations (api-keys:manage). The secret is in the response of create
+ * and rotate only.
+ */
+import { Router } from "express";
+import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
+import { AUDIT_ACTIONS, auditContext, recordAudit } from "../../domain/audit/auditLog.js";
+import {
+  API_KEY_SCOPES,
+  listApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+} from "../../domain/apiKey/apiKey.js";
+
+const router = Router();
+const requireKeysManage = requirePermission(PERMISSIONS.API_KEYS_MANAGE);
+
+function sendApiKeyError(res, err) {
+  if (err.name === "ApiKeyError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** GET /api-keys?brandId=&includeRevoked=true — keys without secrets; also returns the available scopes. */
+router.get(
+  "/api-keys",
+  requireKeysManage,
+  asyncHandler(async (req, res) => {
+    const apiKeys = await listApiKeys({
+      brandId: req.query.brandId,
+      includeRevoked: req.query.includeRevoked === "true",
+    });
+    res.json({ apiKeys, scopes: Object.values(API_KEY_SCOPES) });
+  })
+);
+
+/** POST /api-keys — body: { name, scopes: string[], brandId?, expiresAt? }. 201 { apiKey, key }; key is shown only once. */
+router.post(
+  "/api-keys",
+  requireKeysManage,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await createApiKey(req.body || {}, req.userId);
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.API_KEY_CREATE,
+        targetType: "api_key",
+        targetId: result.apiKey.id,
+        after: result.apiKey,
+      });
+      res.status(201).json(result);
+    } catch (err) {
+      if (sendApiKeyError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /api-keys/:id/rotate — body: { graceMinutes? }. Issues a replacement key; the old one stops working now or
+ * after graceMinutes. 201 { apiKey, key, previous }.
+ */
+router.post(
+  "/api-keys/:id/rotate",
+  requireKeysManage,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await rotateApiKey(req.params.id, { graceMinutes: req.body?.graceMinutes }, req.userId);
+      if (!result) return res.status(404).json({ error: "API key not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.API_KEY_ROTATE,
+        targetType: "api_key",
+        targetId: result.previous.id,
+        after: { replacementId: result.apiKey.id, expiresAt: result.previous.expiresAt },
+      });
+      res.status(201).json(result);
+    } catch (err) {
+      if (sendApiKeyError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** DELETE /api-keys/:id — revoke now. 204. */
+router.delete(
+  "/api-keys/:id",
+  requireKeysManage,
+  asyncHandler(async (req, res) => {
+    const revoked = await revokeApiKey(req.params.id);
+    if (!revoked) return res.status(404).json({ error: "API key not found" });
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.API_KEY_REVOKE,
+      targetType: "api_key",
+      targetId: revoked.id,
+      after: { revokedAt: revoked.revokedAt },
+    });
+    res.status(204).end();
+  })
+);
+
+export default router;
@@ -0,0 +1,34 @@
+/**
+ * Admin: read the audit log of admin and moderation actions (audit:read).
+ */
+import { Router } from "express";
+import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
+import { listAuditLog, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
+
+const router = Router();
+
+/**
+ * GET /audit-log?actorId=&action=&targetType=&targetId=&from=&to=&limit=&offset= — newest first. action may end in
+ * ".*" for a prefix (e.g. microstore.*); from / to are ISO dates. Returns { items, total, limit, offset, actions }.
+ */
+router.get(
+  "/audit-log",
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  asyncHandler(async (req, res) => {
+    const result = await listAuditLog({
+      actorId: req.query.actorId,
+      action: req.query.action,
+      targetType: req.query.targetType,
+      targetId: req.query.targetId,
+      from: req.query.from,
+      to: req.query.to,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    res.json({ ...result, actions: Object.values(AUDIT_ACTIONS) });
+  })
+);
+
+export default router;
@@ -1,5 +1,5 @@
 /**
- * Admin: brands, sync-status, enrich, products delete, brand-users.
+ * Admin: brands, sync-status, enrich, products delete, brand-users and their brand memberships, Shopify write credentials.
  */
 import { Router } from "express";
 import { asyncHandler } from "../../core/asyncHandler.js";
@@ -10,6 +10,10 @@ import {
   enqueueEnrichment,
   enqueueSyncShopify,
 } from "../../utils/queue.js";
+import { setBrandShopifyAccessToken } from "../../domain/order/fulfillment.js";
+import { enqueueStaleAttributeEnrichment } from "../../domain/product/enrichment.js";
+import { addBrandMembership, removeBrandMembership } from "../../domain/user/permissions.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 import bcrypt from "bcryptjs";
 import { randomUUID } from "crypto";
 
@@ -118,6 +122,22 @@ router.post(
   })
 );
 
+/**
+ * POST /enrich-stale — body: { brandId?, limit? } (default 500). Queues products enriched under an older attribute
+ * taxonomy (or never) for re-enrichment. Returns { enqueued }.
+ */
+router.post(
+  "/enrich-stale",
+  asyncHandler(async (req, res) => {
+    const { brandId, limit } = req.body || {};
+    const enqueued = await enqueueStaleAttributeEnrichment({
+      brandId: typeof brandId === "string" && brandId.trim() ? brandId.trim() : undefined,
+      limit,
+    });
+    res.json({ enqueued });
+  })
+);
+
 router.post(
   "/sync-shopify",
   asyncHandler(async (req, res) => {
@@ -133,6 +153,22 @@ router.post(
   })
 );
 
+/** PUT /brands/:id/shopify-credentials — store the Admin API token used to create draft orders (write-enabled brands) */
+router.put(
+  "/brands/:id/shopify-credentials",
+  asyncHandler(async (req, res) => {
+    const { accessToken } = req.body || {};
+    if (!accessToken || typeof accessToken !== "string") {
+      return res.status(400).json({ error: "accessToken is required" });
+    }
+    const prisma = getPrisma();
+    const brand = await prisma.brand.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!brand) return res.status(404).json({ error: "Brand not found" });
+    const result = await setBrandShopifyAccessToken(brand.id, accessToken);
+    res.json(result);
+  })
+);
+
 router.delete(
   "/products/:id",
   asyncHandler(async (req, res) => {
@@ -148,10 +184,27 @@ router.delete(
   "/brands/:id",
   asyncHandler(async (req, res) => {
     const prisma = getPrisma();
-    const brand = await prisma.brand.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    const brand = await prisma.brand.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        name: true,
+        shopDomain: true,
+        isActive: true,
+        createdAt: true,
+        _count: { select: { products: true, brandAdmins: true, orders: true } },
+      },
+    });
     if (!brand) return res.status(404).json({ error: "Brand not found" });
     await prisma.feedPost.updateMany({ where: { brandId: req.params.id }, data: { brandId: null } });
     await prisma.brand.delete({ where: { id: req.params.id } });
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.BRAND_DELETE,
+      targetType: "brand",
+      targetId: brand.id,
+      before: brand,
+      after: null,
+    });
     res.status(204).send();
   })
 );
@@ -212,7 +265,7 @@ router.get(
         username: true,
         role: true,
         createdAt: true,
-        brandAdmins: { select: { brandId: true }, take: 1 },
+        brandAdmins: { select: { brandId: true }, orderBy: { createdAt: "asc" } },
       },
       orderBy: { createdAt: "desc" },
     });
@@ -232,9 +285,33 @@ router.get(
       createdAt: u.createdAt,
       brandId: u.brandAdmins[0]?.brandId ?? null,
       brand: u.brandAdmins[0] ? brandMap[u.brandAdmins[0].brandId] ?? null : null,
+      brandIds: u.brandAdmins.map((a) => a.brandId),
+      brands: u.brandAdmins.map((a) => brandMap[a.brandId]).filter(Boolean),
     }));
     res.json({ items });
   })
 );
 
+/** POST /brand-users/:id/brands — body: { brandId }. Let a brand user also administer this brand. */
+router.post(
+  "/brand-users/:id/brands",
+  asyncHandler(async (req, res) => {
+    const brandId = (req.body?.brandId || "").trim();
+    if (!brandId) return res.status(400).json({ error: "brandId is required" });
+    const membership = await addBrandMembership(req.params.id, brandId);
+    if (!membership) return res.status(404).json({ error: "User or brand not found" });
+    res.status(201).json({ userId: membership.userId, brandId: membership.brandId });
+  })
+);
+
+/** DELETE /brand-users/:id/brands/:brandId — revoke a brand user's access to one brand. */
+router.delete(
+  "/brand-users/:id/brands/:brandId",
+  asyncHandler(async (req, res) => {
+    const removed = await removeBrandMembership(req.params.id, req.params.brandId);
+    if (!removed) return res.status(404).json({ error: "Membership not found" });
+    res.status(204).send();
+  })
+);
+
 export default router;
@@ -0,0 +1,84 @@
+/**
+ * Admin: coupons of any scope (platform-wide, brand, microstore).
+ */
+import { Router } from "express";
+import { asyncHandler } from "../../core/asyncHandler.js";
+import {
+  listCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+} from "../../domain/promotion/promotion.js";
+
+const router = Router();
+
+function sendPromotionError(res, err) {
+  if (err.name === "PromotionError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** GET /coupons?brandId=&active=&limit=&offset= */
+router.get(
+  "/coupons",
+  asyncHandler(async (req, res) => {
+    const result = await listCoupons({
+      brandId: req.query.brandId,
+      active: req.query.active != null ? req.query.active === "true" : undefined,
+      limit: req.query.limit ? Number(req.query.limit) : 50,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json(result);
+  })
+);
+
+router.get(
+  "/coupons/:id",
+  asyncHandler(async (req, res) => {
+    const coupon = await getCoupon(req.params.id);
+    if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+    res.json(coupon);
+  })
+);
+
+/** POST /coupons — body: { code, type: percent|flat, value, brandId?, microStoreId?, minCartValue?, maxDiscount?, firstOrderOnly?, usageLimit?, perUserLimit?, startsAt?, endsAt? } */
+router.post(
+  "/coupons",
+  asyncHandler(async (req, res) => {
+    try {
+      const coupon = await createCoupon(req.body || {}, { createdBy: "admin", userId: req.user?.id });
+      res.status(201).json(coupon);
+    } catch (err) {
+      if (sendPromotionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+router.put(
+  "/coupons/:id",
+  asyncHandler(async (req, res) => {
+    try {
+      const coupon = await updateCoupon(req.params.id, req.body || {});
+      if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+      res.json(coupon);
+    } catch (err) {
+      if (sendPromotionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+router.delete(
+  "/coupons/:id",
+  asyncHandler(async (req, res) => {
+    const deleted = await deleteCoupon(req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Coupon not found" });
+    res.status(204).send();
+  })
+);
+
+export default router;
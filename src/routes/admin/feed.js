@@ -3,13 +3,18 @@
  */
 import { Router } from "express";
 import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
+import { getPrisma } from "../../core/db.js";
 import * as contentFeed from "../../domain/contentFeed/contentFeed.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 import { runFeedAgent, runFeedAgentVideoIdeas } from "../../agents/feedAgent.js";
 
 const router = Router();
 
 router.post(
   "/feed-posts/approve",
+  requirePermission(PERMISSIONS.FEED_APPROVE),
   asyncHandler(async (req, res) => {
     const { postId, action, rejectionReason } = req.body || {};
     if (!postId || !action) {
@@ -18,6 +23,9 @@ router.post(
     if (action !== "approve" && action !== "reject") {
       return res.status(400).json({ error: "action must be approve or reject" });
     }
+    const moderationSelect = { approvalStatus: true, isActive: true, rejectionReason: true, approvedBy: true };
+    const before = await getPrisma().feedPost.findUnique({ where: { id: String(postId) }, select: moderationSelect });
+    if (!before) return res.status(404).json({ error: "Feed post not found" });
     const post = await contentFeed.approveFeedPost(
       postId,
       action,
@@ -25,6 +33,13 @@ router.post(
       rejectionReason ?? null
     );
     if (!post) return res.status(404).json({ error: "Feed post not found" });
+    await recordAudit(auditContext(req), {
+      action: action === "approve" ? AUDIT_ACTIONS.FEED_POST_APPROVE : AUDIT_ACTIONS.FEED_POST_REJECT,
+      targetType: "feed_post",
+      targetId: post.id,
+      before,
+      after: Object.fromEntries(Object.keys(moderationSelect).map((k) => [k, post[k] ?? null])),
+    });
     res.json({ post });
   })
 );
@@ -1,11 +1,17 @@
 /**
- * Admin router: import (admin-or-secret), then requireAdmin, then mounted sub-routers.
+ * Admin router: import (catalog:import via JWT, API key or secret), then admin:access, then mounted sub-routers.
+ * Sensitive routes in the sub-routers also check their own permission (e.g. microstore:approve, prompts:edit).
  */
 import { Router } from "express";
-import { requireAdmin } from "../../middleware/requireAdmin.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
 import { requireAdminOrSecret } from "../../middleware/requireAdminOrSecret.js";
 import { asyncHandler } from "../../core/asyncHandler.js";
-import { importBrandFromPublicUrl, importBrandFromPublicPayload } from "../../domain/product/importPublic.js";
+import { getPrisma } from "../../core/db.js";
+import {
+  importBrandFromPublicUrl,
+  importBrandFromPublicPayload,
+  getShopDomainFromUrl,
+} from "../../domain/product/importPublic.js";
 
 import brandsRouter from "./brands.js";
 import modelConfigRouter from "./modelConfig.js";
@@ -16,11 +22,25 @@ import storeForYouConstructRouter from "./storeForYouConstruct.js";
 import feedRouter from "./feed.js";
 import storageTestRouter from "./storageTest.js";
 import agentPromptsRouter from "./agentPrompts.js";
+import ordersRouter from "./orders.js";
+import couponsRouter from "./coupons.js";
+import usersRouter from "./users.js";
+import apiKeysRouter from "./apiKeys.js";
+import auditLogRouter from "./auditLog.js";
 import { getStyleReportSettings, saveStyleReportSettings } from "../../config/styleReportSettings.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 
 const router = Router();
 
-// Import endpoints: allow ADMIN_SECRET so CLI can auth without JWT
+/** A brand-bound API key may only import its own brand's store (matched by shop domain). */
+async function importAllowedForKey(req, url) {
+  if (!req.user?.apiKeyId || !req.user.brandId) return true;
+  const brand = await getPrisma().brand.findUnique({ where: { id: req.user.brandId }, select: { shopDomain: true } });
+  return brand?.shopDomain === getShopDomainFromUrl(url);
+}
+
+// Import endpoints: allow API keys (catalog:import) and ADMIN_SECRET so CLI can auth without JWT
 router.post(
   "/import-public",
   requireAdminOrSecret,
@@ -30,6 +50,9 @@ router.post(
     if (!urlInput) {
       return res.status(400).json({ error: "url is required" });
     }
+    if (!(await importAllowedForKey(req, urlInput))) {
+      return res.status(403).json({ error: "API key is bound to another brand", code: "forbidden" });
+    }
     console.log("[admin] import-public request:", { url: urlInput, brandName: brandName || "(derive from URL)" });
     const result = await importBrandFromPublicUrl(urlInput, brandName?.trim() || undefined);
     console.log("[admin] import-public done:", result.summary);
@@ -54,6 +77,9 @@ router.post(
     if (!Array.isArray(products)) {
       return res.status(400).json({ error: "products array is required" });
     }
+    if (!(await importAllowedForKey(req, urlInput))) {
+      return res.status(403).json({ error: "API key is bound to another brand", code: "forbidden" });
+    }
     console.log("[admin] import-public-payload request:", { url: urlInput, productCount: products.length });
     const result = await importBrandFromPublicPayload(urlInput, brandName?.trim() || undefined, products);
     console.log("[admin] import-public-payload done:", result.summary);
@@ -66,7 +92,7 @@ router.post(
   })
 );
 
-router.use(requireAdmin);
+router.use(requirePermission(PERMISSIONS.ADMIN_ACCESS));
 
 /** GET /style-report-settings — for admin style report page */
 router.get(
@@ -81,7 +107,14 @@ router.get(
 router.put(
   "/style-report-settings",
   asyncHandler(async (req, res) => {
+    const previous = await getStyleReportSettings();
     const updated = await saveStyleReportSettings(req.body || {});
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.STYLE_REPORT_SETTINGS_UPDATE,
+      targetType: "style_report_settings",
+      before: previous,
+      after: updated,
+    });
     res.json(updated);
   })
 );
@@ -95,5 +128,10 @@ router.use(storeForYouConstructRouter);
 router.use(feedRouter);
 router.use(storageTestRouter);
 router.use(agentPromptsRouter);
+router.use(ordersRouter);
+router.use(couponsRouter);
+router.use(usersRouter);
+router.use(apiKeysRouter);
+router.use(auditLogRouter);
 
 export default router;
@@ -3,8 +3,11 @@
  */
 import { Router } from "express";
 import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
 import * as microstore from "../../domain/microstore/microstore.js";
 import * as creationContext from "../../domain/microstore/creationContext.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 import {
   runMicrostoreCuration,
   suggestMicrostoreName,
@@ -197,10 +200,18 @@ router.post(
 
 router.post(
   "/microstores/:id/approve",
+  requirePermission(PERMISSIONS.MICROSTORE_APPROVE),
   asyncHandler(async (req, res) => {
     try {
       const updated = await microstore.approveMicrostore(req.params.id);
       if (!updated) return res.status(404).json({ error: "Microstore not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.MICROSTORE_APPROVE,
+        targetType: "microstore",
+        targetId: updated.id,
+        before: { status: "pending_approval" },
+        after: { status: updated.status, publishedAt: updated.publishedAt },
+      });
       res.json(updated);
     } catch (err) {
       if (err.message?.includes("must be pending_approval")) {
@@ -213,10 +224,18 @@ router.post(
 
 router.post(
   "/microstores/:id/reject",
+  requirePermission(PERMISSIONS.MICROSTORE_APPROVE),
   asyncHandler(async (req, res) => {
     try {
       const updated = await microstore.rejectMicrostore(req.params.id);
       if (!updated) return res.status(404).json({ error: "Microstore not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.MICROSTORE_REJECT,
+        targetType: "microstore",
+        targetId: updated.id,
+        before: { status: "pending_approval" },
+        after: { status: updated.status },
+      });
       res.json(updated);
     } catch (err) {
       if (err.message?.includes("must be pending_approval")) {
@@ -3,6 +3,8 @@
  */
 import { Router } from "express";
 import { asyncHandler } from "../../core/asyncHandler.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
 import {
   getAllModelConfig,
   invalidateModelConfigCache,
@@ -10,6 +12,7 @@ import {
 } from "../../config/modelConfig.js";
 import { saveModelConfig } from "../../config/modelConfigDb.js";
 import { getStyleReportSettings, saveStyleReportSettings } from "../../config/styleReportSettings.js";
+import { recordAudit, auditContext, AUDIT_ACTIONS } from "../../domain/audit/auditLog.js";
 
 const router = Router();
 
@@ -23,6 +26,7 @@ router.get(
 
 router.put(
   "/model-config",
+  requirePermission(PERMISSIONS.MODELS_EDIT),
   asyncHandler(async (req, res) => {
     const { scope, provider, model } = req.body || {};
     const scopeStr = typeof scope === "string" ? scope.trim() : "";
@@ -38,9 +42,17 @@ router.put(
     if (!providerStr || !modelStr) {
       return res.status(400).json({ error: "provider and model are required" });
     }
+    const previous = (await getAllModelConfig())[scopeStr] ?? null;
     await saveModelConfig(scopeStr, { provider: providerStr, model: modelStr });
     invalidateModelConfigCache(scopeStr);
     const updated = await getAllModelConfig();
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.MODEL_CONFIG_UPDATE,
+      targetType: "model_config",
+      targetId: scopeStr,
+      before: previous,
+      after: updated[scopeStr] ?? { provider: providerStr, model: modelStr },
+    });
     res.json(updated);
   })
 );
@@ -56,7 +68,14 @@ router.get(
 router.put(
   "/style-report-settings",
   asyncHandler(async (req, res) => {
+    const previous = await getStyleReportSettings();
     const updated = await saveStyleReportSettings(req.body || {});
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.STYLE_REPORT_SETTINGS_UPDATE,
+      targetType: "style_report_settings",
+      before: previous,
+      after: updated,
+    });
     res.json(updated);
   })
 );
@@ -0,0 +1,54 @@
+/**
+ * Admin: order fulfilment operations (Shopify draft order retry, status transitions).
+ */
+import { Router } from "express";
+import { asyncHandler } from "../../core/asyncHandler.js";
+import { getPrisma } from "../../core/db.js";
+import { pushOrderToShopify } from "../../domain/order/fulfillment.js";
+import { transitionOrder, getOrderStatusHistory } from "../../domain/order/orderStatus.js";
+
+const router = Router();
+
+/** POST /orders/:id/push-shopify — (re)create Shopify draft orders for sub-orders not yet pushed */
+router.post(
+  "/orders/:id/push-shopify",
+  asyncHandler(async (req, res) => {
+    const prisma = getPrisma();
+    const order = await prisma.order.findUnique({
+      where: { id: req.params.id },
+      select: { id: true, parentOrderId: true },
+    });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    const results = await pushOrderToShopify(order.parentOrderId ?? order.id);
+    res.json({ orderId: order.parentOrderId ?? order.id, results });
+  })
+);
+
+/** POST /orders/:id/status — body: { status, note? } — move a customer order through its lifecycle */
+router.post(
+  "/orders/:id/status",
+  asyncHandler(async (req, res) => {
+    const { status, note } = req.body || {};
+    if (!status) return res.status(400).json({ error: "status is required" });
+    try {
+      const order = await transitionOrder(req.params.id, String(status), { type: "admin", id: req.user?.id ?? null }, { note });
+      res.json(order);
+    } catch (err) {
+      if (err.name === "OrderError") {
+        return res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+      }
+      throw err;
+    }
+  })
+);
+
+/** GET /orders/:id/history — order- and item-level status history */
+router.get(
+  "/orders/:id/history",
+  asyncHandler(async (req, res) => {
+    const history = await getOrderStatusHistory(req.params.id);
+    res.json({ items: history });
+  })
+);
+
+export default router;
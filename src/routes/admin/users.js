@@ -0,0 +1,255 @@
+/**
+ * Admin: user accounts — search and detail (users:manage), activate / deactivate, role changes, session revocation,
+ * sign-in lockouts, and support impersonation (users:impersonate).
+ */
+import { Router } from "express";
+import { asyncHandler } from "../../core/asyncHandler.js";
+import { getPrisma } from "../../core/db.js";
+import { requirePermission } from "../../middleware/requirePermission.js";
+import { PERMISSIONS } from "../../domain/user/permissions.js";
+import { revokeAllSessions } from "../../domain/user/sessions.js";
+import { getLoginLockStatus, unlockLogin } from "../../domain/user/loginThrottle.js";
+import { AUDIT_ACTIONS, auditContext, recordAudit } from "../../domain/audit/auditLog.js";
+import {
+  searchUsers,
+  getUserDetail,
+  setUserActive,
+  changeUserRole,
+  startImpersonation,
+  listImpersonations,
+  endImpersonation,
+} from "../../domain/user/userAdmin.js";
+
+const router = Router();
+const requireUsersManage = requirePermission(PERMISSIONS.USERS_MANAGE);
+const requireImpersonate = requirePermission(PERMISSIONS.USERS_IMPERSONATE);
+
+function sendAccountError(res, err) {
+  if (err.name === "AccountError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
+function parseBoolean(value) {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  return undefined;
+}
+
+async function userExists(userId) {
+  return Boolean(await getPrisma().user.findUnique({ where: { id: userId }, select: { id: true } }));
+}
+
+/** Audit snapshot: the access-related fields of a user (admin view or row with brandAdmins). */
+function accessSnapshot(user) {
+  return {
+    role: user.role,
+    isActive: user.isActive,
+    brandIds: user.brandIds ?? user.brandAdmins.map((b) => b.brandId),
+  };
+}
+
+async function findAccessSnapshot(userId) {
+  const user = await getPrisma().user.findUnique({
+    where: { id: userId },
+    select: { role: true, isActive: true, brandAdmins: { select: { brandId: true } } },
+  });
+  return user ? accessSnapshot(user) : null;
+}
+
+/** GET /users?q=&role=&active=&brandId=&limit=&offset= — q matches email, username or name. Returns { users, total }. */
+router.get(
+  "/users",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    const result = await searchUsers({
+      q: req.query.q,
+      role: req.query.role,
+      active: parseBoolean(req.query.active),
+      brandId: req.query.brandId,
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    res.json(result);
+  })
+);
+
+/** GET /users/impersonations?userId=&adminId=&active=&limit=&offset= — impersonation audit trail. */
+router.get(
+  "/users/impersonations",
+  requireImpersonate,
+  asyncHandler(async (req, res) => {
+    const result = await listImpersonations({
+      userId: req.query.userId,
+      adminId: req.query.adminId,
+      active: req.query.active === "true",
+      limit: req.query.limit,
+      offset: req.query.offset,
+    });
+    res.json(result);
+  })
+);
+
+/** DELETE /users/impersonations/:id — end an impersonation early; its token stops working. 204. */
+router.delete(
+  "/users/impersonations/:id",
+  requireImpersonate,
+  asyncHandler(async (req, res) => {
+    const ended = await endImpersonation(req.params.id);
+    if (!ended) return res.status(404).json({ error: "Active impersonation not found" });
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.IMPERSONATION_END,
+      targetType: "impersonation",
+      targetId: req.params.id,
+    });
+    res.status(204).end();
+  })
+);
+
+/** GET /users/:id — profile, role and permissions, brands, activity counts, active sessions, recent impersonations. */
+router.get(
+  "/users/:id",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    const user = await getUserDetail(req.params.id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    res.json({ user });
+  })
+);
+
+/** POST /users/:id/deactivate — blocks sign-in and signs the user out everywhere. Returns { user }. */
+router.post(
+  "/users/:id/deactivate",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    try {
+      const before = await findAccessSnapshot(req.params.id);
+      const user = await setUserActive(req.params.id, false, req.userId);
+      if (!user) return res.status(404).json({ error: "User not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.USER_DEACTIVATE,
+        targetType: "user",
+        targetId: user.id,
+        before,
+        after: accessSnapshot(user),
+      });
+      res.json({ user });
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /users/:id/activate — Returns { user }. */
+router.post(
+  "/users/:id/activate",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    const before = await findAccessSnapshot(req.params.id);
+    const user = await setUserActive(req.params.id, true, req.userId);
+    if (!user) return res.status(404).json({ error: "User not found" });
+    await recordAudit(auditContext(req), {
+      action: AUDIT_ACTIONS.USER_ACTIVATE,
+      targetType: "user",
+      targetId: user.id,
+      before,
+      after: accessSnapshot(user),
+    });
+    res.json({ user });
+  })
+);
+
+/** PUT /users/:id/role — body: { role: admin|brand|user, clearBrands? }. clearBrands removes brand memberships. */
+router.put(
+  "/users/:id/role",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    const { role, clearBrands } = req.body || {};
+    try {
+      const before = await findAccessSnapshot(req.params.id);
+      const user = await changeUserRole(req.params.id, role, req.userId, { clearBrands: clearBrands === true });
+      if (!user) return res.status(404).json({ error: "User not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.USER_ROLE_CHANGE,
+        targetType: "user",
+        targetId: user.id,
+        before,
+        after: accessSnapshot(user),
+      });
+      res.json({ user });
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /users/:id/impersonate — body: { reason, minutes? } (default IMPERSONATION_TTL_MINUTES, max 120). Returns
+ * { token, expiresIn, expiresAt, impersonationId, user }: an access token that signs in as the user, without a refresh
+ * token. It cannot change credentials, check out, pay or delete data. Every grant is recorded.
+ */
+router.post(
+  "/users/:id/impersonate",
+  requireImpersonate,
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await startImpersonation(req.params.id, req.userId, req.body || {}, {
+        ip: req.ip,
+        userAgent: req.headers["user-agent"],
+      });
+      if (!result) return res.status(404).json({ error: "User not found" });
+      await recordAudit(auditContext(req), {
+        action: AUDIT_ACTIONS.IMPERSONATION_START,
+        targetType: "user",
+        targetId: result.user.id,
+        after: { impersonationId: result.impersonationId, expiresAt: result.expiresAt, reason: req.body.reason.trim() },
+      });
+      res.status(201).json(result);
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /users/:id/revoke-sessions — sign the user out of every device. Returns { revoked } (refresh sessions ended). */
+router.post(
+  "/users/:id/revoke-sessions",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    const revoked = await revokeAllSessions(req.params.id, "admin");
+    if (revoked == null) return res.status(404).json({ error: "User not found" });
+    res.json({ revoked });
+  })
+);
+
+/** GET /users/:id/login-lock — { locked, lockedForSeconds, failures } for the user's account. */
+router.get(
+  "/users/:id/login-lock",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    if (!(await userExists(req.params.id))) return res.status(404).json({ error: "User not found" });
+    res.json(await getLoginLockStatus(req.params.id));
+  })
+);
+
+/**
+ * POST /users/:id/unlock-login — body: { ip? }. Clears sign-in lockout, delay and failure count for the user's account,
+ * and for the given IP if any. Returns { cleared } (Redis keys removed).
+ */
+router.post(
+  "/users/:id/unlock-login",
+  requireUsersManage,
+  asyncHandler(async (req, res) => {
+    if (!(await userExists(req.params.id))) return res.status(404).json({ error: "User not found" });
+    const ip = typeof req.body?.ip === "string" ? req.body.ip.trim() : undefined;
+    const cleared = await unlockLogin({ userId: req.params.id, ip });
+    res.json({ cleared });
+  })
+);
+
+export default router;
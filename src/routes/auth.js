@@ -1,11 +1,80 @@
+/**
+ * Auth: login, refresh and logout, signed-in devices, brand switching, self-service registration, email verification,
+ * password reset and change. Sign-in responses carry a short-lived access token (`token`, `expiresIn` seconds) and a refresh token.
+ */
 import { Router } from "express";
 import { asyncHandler } from "../core/asyncHandler.js";
 import { getBearerToken } from "../core/getBearerToken.js";
-import { validateLogin, getUser, createToken, verifyToken } from "../domain/user/auth.js";
+import { optionalAuth, requireAuth, denyImpersonation } from "../middleware/requireAuth.js";
+import { accountEmailLimiter } from "../middleware/rateLimit.js";
+import { validateLogin, getUser, getUserForToken, verifyToken } from "../domain/user/auth.js";
+import {
+  startSession,
+  refreshSession,
+  endSession,
+  revokeAllSessions,
+  listSessions,
+  switchBrand,
+} from "../domain/user/sessions.js";
+import { listBrandMemberships } from "../domain/user/permissions.js";
+import {
+  registerUser,
+  verifyEmail,
+  resendVerificationEmail,
+  resendVerificationEmailByAddress,
+  requestPasswordReset,
+  resetPassword,
+  changePassword,
+} from "../domain/user/account.js";
+import { assertLoginAllowed, recordLoginFailure, recordLoginSuccess } from "../domain/user/loginThrottle.js";
+import { mergeGuestIntoUser } from "../domain/guest/guest.js";
 
 const router = Router();
 
-/** POST /api/auth/login - body: { username, password }. Username can be email (admin) or username (brand). */
+function sendAccountError(res, err) {
+  if (err.name === "AccountError") {
+    if (err.details?.retryAfter) res.set("Retry-After", String(err.details.retryAfter));
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
+function sendSessionError(res, err) {
+  if (err.name === "SessionError") {
+    res.status(err.statusCode ?? 401).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+function clientMeta(req) {
+  return { userAgent: req.headers["user-agent"], ip: req.ip };
+}
+
+/** Session id (`sid`) of the bearer access token, if any. */
+function currentSessionId(req) {
+  const token = getBearerToken(req);
+  return (token && verifyToken(token)?.sid) || null;
+}
+
+/** Merge the guest cart and wishlist (body guestId or X-Guest-Id) into the account; failures are logged, not fatal. */
+async function mergeGuest(req, userId) {
+  const guestId = req.body?.guestId || req.headers["x-guest-id"];
+  if (!guestId) return null;
+  try {
+    return await mergeGuestIntoUser(String(guestId), userId);
+  } catch (err) {
+    console.error("[auth] guest merge failed:", err.message);
+    return null;
+  }
+}
+
+/**
+ * POST /api/auth/login - body: { username, password, guestId? }. Username can be email (admin) or username (brand).
+ * guestId (or X-Guest-Id header): guest cart and wishlist are merged into the account; response includes guestMerge.
+ * Repeated failures slow down and then lock the account (429 account_locked / too_many_attempts, Retry-After).
+ */
 router.post(
   "/login",
   asyncHandler(async (req, res) => {
@@ -14,28 +83,159 @@ router.post(
     if (!identifier || !password) {
       return res.status(400).json({ error: "Username and password required" });
     }
+    try {
+      await assertLoginAllowed(identifier, req.ip);
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
     const user = await validateLogin(identifier, password);
     if (!user) {
+      await recordLoginFailure(identifier, req.ip);
       return res.status(401).json({ error: "Invalid username or password" });
     }
-    const token = createToken({
-      userId: user.id,
-      role: user.role,
-      brandId: user.brandId,
-    });
+    await recordLoginSuccess(identifier);
+    const { sessionId: _sid, ...session } = await startSession(user.id, clientMeta(req));
+    const guestMerge = await mergeGuest(req, user.id);
     res.json({
-      token,
+      ...session,
+      guestMerge,
       user: {
         id: user.id,
         email: user.email,
         username: user.username,
         role: user.role,
         brandId: user.brandId,
+        brandIds: user.brandIds,
+        permissions: user.permissions,
+        emailVerified: user.emailVerified,
       },
     });
   })
 );
 
+/**
+ * POST /api/auth/register - body: { email, password, username?, firstName?, lastName?, guestId? }.
+ * Creates a customer account, emails a verification link and signs the user in (same response shape as login).
+ */
+router.post(
+  "/register",
+  asyncHandler(async (req, res) => {
+    let result;
+    try {
+      result = await registerUser(req.body || {});
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+    const { user, verificationSent } = result;
+    const { sessionId: _sid, ...session } = await startSession(user.id, clientMeta(req));
+    const guestMerge = await mergeGuest(req, user.id);
+    res.status(201).json({ ...session, guestMerge, verificationSent, user });
+  })
+);
+
+/** POST /api/auth/verify-email - body: { token } from the verification link */
+router.post(
+  "/verify-email",
+  asyncHandler(async (req, res) => {
+    const token = req.body?.token;
+    if (!token || typeof token !== "string") return res.status(400).json({ error: "token required" });
+    try {
+      const user = await verifyEmail(token);
+      res.json({ user });
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /api/auth/verify-email/resend - signed in: resend to the account's email (429 with retryAfter when throttled).
+ * Signed out: body { email }; always 202 so the response does not reveal whether the address has an account.
+ */
+router.post(
+  "/verify-email/resend",
+  accountEmailLimiter,
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    try {
+      if (req.user) {
+        await resendVerificationEmail(req.userId);
+      } else {
+        if (!req.body?.email) return res.status(400).json({ error: "email required" });
+        await resendVerificationEmailByAddress(req.body.email);
+      }
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+    res.status(202).json({ sent: true });
+  })
+);
+
+/**
+ * POST /api/auth/forgot-password - body: { email } or { username }. Emails a single-use reset link; always 202 so the
+ * response does not reveal whether the account exists.
+ */
+router.post(
+  "/forgot-password",
+  accountEmailLimiter,
+  asyncHandler(async (req, res) => {
+    const identifier = req.body?.email ?? req.body?.username;
+    try {
+      await requestPasswordReset(identifier);
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+    res.status(202).json({ sent: true });
+  })
+);
+
+/** Fresh session after a password change (every older session is revoked). */
+async function sessionAfterPasswordChange(req, updated) {
+  const { sessionId: _sid, ...session } = await startSession(updated.id, clientMeta(req));
+  return { ...session, user: await getUser(updated.id) };
+}
+
+/** POST /api/auth/reset-password - body: { token, password }. Signs out every device; returns a new session. */
+router.post(
+  "/reset-password",
+  asyncHandler(async (req, res) => {
+    const { token, password } = req.body || {};
+    if (!token || typeof token !== "string") return res.status(400).json({ error: "token required" });
+    try {
+      const updated = await resetPassword(token, password);
+      res.json(await sessionAfterPasswordChange(req, updated));
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /api/auth/change-password - body: { currentPassword, newPassword } (auth required). Other sessions are
+ * signed out; the response carries a new session for this one.
+ */
+router.post(
+  "/change-password",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body || {};
+    try {
+      const updated = await changePassword(req.userId, currentPassword, newPassword);
+      res.json(await sessionAfterPasswordChange(req, updated));
+    } catch (err) {
+      if (sendAccountError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
 /** GET /api/auth/session - Authorization: Bearer <token> */
 router.get(
   "/session",
@@ -44,10 +244,107 @@ router.get(
     if (!token) return res.status(401).json({ error: "No token" });
     const payload = verifyToken(token);
     if (!payload?.userId) return res.status(401).json({ error: "Invalid token" });
-    const user = await getUser(payload.userId);
-    if (!user) return res.status(401).json({ error: "User not found" });
+    const user = await getUserForToken(payload);
+    if (!user) return res.status(401).json({ error: "Invalid or expired token" });
     res.json({ user });
   })
 );
 
+/**
+ * POST /api/auth/refresh - body: { refreshToken }. Returns { token, expiresIn, refreshToken }; the presented refresh
+ * token is spent. Presenting a spent token again signs that device out (401 refresh_token_reused).
+ */
+router.post(
+  "/refresh",
+  asyncHandler(async (req, res) => {
+    try {
+      const { sessionId: _sid, ...session } = await refreshSession(req.body?.refreshToken, clientMeta(req));
+      res.json(session);
+    } catch (err) {
+      if (sendSessionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /api/auth/logout - body: { refreshToken? }; otherwise signs out the session of the bearer token. 204. */
+router.post(
+  "/logout",
+  optionalAuth,
+  asyncHandler(async (req, res) => {
+    const refreshToken = req.body?.refreshToken;
+    if (refreshToken && typeof refreshToken === "string") {
+      await endSession({ refreshToken });
+    } else if (req.userId) {
+      const sessionId = currentSessionId(req);
+      if (sessionId) await endSession({ sessionId, userId: req.userId });
+    } else {
+      return res.status(400).json({ error: "refreshToken or Authorization header required" });
+    }
+    res.status(204).end();
+  })
+);
+
+/** POST /api/auth/logout-all - sign out every device, including this one. 204. */
+router.post(
+  "/logout-all",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    await revokeAllSessions(req.userId, "logout_all");
+    res.status(204).end();
+  })
+);
+
+/** GET /api/auth/sessions - signed-in devices; `current` marks the caller's. */
+router.get(
+  "/sessions",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const sessions = await listSessions(req.userId, currentSessionId(req));
+    res.json({ sessions });
+  })
+);
+
+/** DELETE /api/auth/sessions/:id - sign out one of the caller's devices. 204; 404 if not an active session. */
+router.delete(
+  "/sessions/:id",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const ended = await endSession({ sessionId: req.params.id, userId: req.userId });
+    if (!ended) return res.status(404).json({ error: "Session not found" });
+    res.status(204).end();
+  })
+);
+
+/** GET /api/auth/brands - brands the user administers; `active` marks the one this session acts for. */
+router.get(
+  "/brands",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const brands = await listBrandMemberships(req.userId);
+    res.json({ brands: brands.map((b) => ({ ...b, active: b.brandId === req.user.brandId })) });
+  })
+);
+
+/**
+ * POST /api/auth/switch-brand - body: { brandId } (null to clear, for users who act for any brand). Returns
+ * { token, expiresIn, brandId }: a new access token for this session; later refreshes keep the brand.
+ */
+router.post(
+  "/switch-brand",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const brandId = req.body?.brandId ?? null;
+    if (brandId !== null && typeof brandId !== "string") return res.status(400).json({ error: "brandId must be a string or null" });
+    try {
+      res.json(await switchBrand(req.userId, currentSessionId(req), brandId));
+    } catch (err) {
+      if (sendSessionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
 export default router;
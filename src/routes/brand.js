@@ -1,17 +1,36 @@
 /**
- * Brand user dashboard: brand zone (own brand) and microstores scoped to brand's products.
- * All routes require requireBrand (admin or brand). Brand users can only access their own brandId.
+ * Brand user dashboard: brand zone (own brand), microstores scoped to brand's products, order dashboard and
+ * fulfilment of own order items (/api/brand/orders), GST invoices and HSN codes, shipping rules and serviceable PIN
+ * codes (/api/brand/shipping), and coupons for the brand's own products.
+ * Reads (GET) require brand:read and writes brand:portal; all routes act for the session's brand (req.brandId, see
+ * POST /api/auth/switch-brand); users with brands:all (admins) pass brandId instead. Analytics and revenue need
+ * brand:analytics. Brand integrations can read with an API key (X-Api-Key) bound to the brand with the brand:read scope.
  */
 import { Router } from "express";
+import multer from "multer";
 import { asyncHandler } from "../core/asyncHandler.js";
-import { requireBrand } from "../middleware/requireBrand.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { hasPermission, canActForBrand, PERMISSIONS } from "../domain/user/permissions.js";
 import { getPrisma } from "../core/db.js";
 import * as brandDomain from "../domain/brand/brand.js";
 import * as microstore from "../domain/microstore/microstore.js";
 import * as contentFeed from "../domain/contentFeed/contentFeed.js";
+import { transitionOrderItem } from "../domain/order/orderStatus.js";
+import * as brandOrders from "../domain/order/brandOrders.js";
+import * as invoices from "../domain/invoice/invoice.js";
+import * as promotion from "../domain/promotion/promotion.js";
+import * as shipping from "../domain/shipping/shipping.js";
 
 const router = Router();
-router.use(requireBrand);
+const requireBrandRead = requirePermission(PERMISSIONS.BRAND_READ);
+const requireBrandPortal = requirePermission(PERMISSIONS.BRAND_PORTAL);
+router.use(apiKeyAuth);
+router.use((req, res, next) =>
+  (req.method === "GET" || req.method === "HEAD" ? requireBrandRead : requireBrandPortal)(req, res, next)
+);
+
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
 
 /** GET /api/brand/me - get current user's brand (brand users only; admin gets 400 if no brandId in query) */
 router.get(
@@ -21,7 +40,7 @@ router.get(
     if (!brandId) return res.status(400).json({ error: "Brand context required" });
     const brand = await brandDomain.getBrand(brandId);
     if (!brand) return res.status(404).json({ error: "Brand not found" });
-    if (req.user.role === "brand" && brandId !== req.brandId) return res.status(403).json({ error: "Access denied" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
     res.json({
       ...brand,
       followerCount: brand._count?.followers ?? 0,
@@ -30,27 +49,65 @@ router.get(
   })
 );
 
-/** PUT /api/brand/me - update current user's brand (brand zone); brand users can only update their own */
+function sendInvoiceError(res, err) {
+  if (err.name === "InvoiceError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * PUT /api/brand/me - update current user's brand (brand zone); brand users can only update their own.
+ * GST fields for invoices: gstin, legalName, gstAddress, defaultHsnCode.
+ */
 router.put(
   "/me",
   asyncHandler(async (req, res) => {
     const brandId = req.brandId || req.body?.brandId;
     if (!brandId) return res.status(400).json({ error: "Brand context required" });
-    if (req.user.role === "brand" && brandId !== req.brandId) return res.status(403).json({ error: "Access denied" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
     const { brandId: _b, ...data } = req.body || {};
-    const updated = await brandDomain.updateBrand(brandId, data);
+    let updated;
+    try {
+      updated = await brandDomain.updateBrand(brandId, data);
+    } catch (err) {
+      if (sendInvoiceError(res, err)) return;
+      throw err;
+    }
     if (!updated) return res.status(404).json({ error: "Brand not found" });
     res.json(updated);
   })
 );
 
+/** PUT /api/brand/products/:id/hsn-code - body: { hsnCode } (null clears; the brand's defaultHsnCode applies) */
+router.put(
+  "/products/:id/hsn-code",
+  asyncHandler(async (req, res) => {
+    let hsnCode;
+    try {
+      hsnCode = invoices.normalizeHsnCode(req.body?.hsnCode);
+    } catch (err) {
+      if (sendInvoiceError(res, err)) return;
+      throw err;
+    }
+    const prisma = getPrisma();
+    const product = await prisma.product.findUnique({ where: { id: req.params.id }, select: { id: true, brandId: true } });
+    if (!product || !canActForBrand(req.user, product.brandId)) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+    await prisma.product.update({ where: { id: product.id }, data: { hsnCode } });
+    res.json({ id: product.id, hsnCode });
+  })
+);
+
 /** GET /api/brand/microstores - list microstores for current brand (brand users see only their brand's) */
 router.get(
   "/microstores",
   asyncHandler(async (req, res) => {
     const brandId = req.brandId || req.query.brandId;
     if (!brandId) return res.status(400).json({ error: "Brand context required" });
-    if (req.user.role === "brand" && brandId !== req.brandId) return res.status(403).json({ error: "Access denied" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
     const result = await microstore.listMicrostores({
       userId: null,
       adminBypass: true,
@@ -119,7 +176,7 @@ router.get(
   asyncHandler(async (req, res) => {
     const brandId = req.brandId || req.query.brandId;
     if (!brandId) return res.status(400).json({ error: "Brand context required" });
-    if (req.user.role === "brand" && brandId !== req.brandId) return res.status(403).json({ error: "Access denied" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
     const result = await contentFeed.listFeedPosts({
       brandId,
       limit: req.query.limit ? Number(req.query.limit) : 50,
@@ -150,10 +207,11 @@ router.post(
 /** GET /api/brand/analytics - analytics for brand (views, followers, per-microstore breakdown) */
 router.get(
   "/analytics",
+  requirePermission(PERMISSIONS.BRAND_ANALYTICS),
   asyncHandler(async (req, res) => {
     const brandId = req.brandId || req.query.brandId;
     if (!brandId) return res.status(400).json({ error: "Brand context required" });
-    if (req.user.role === "brand" && brandId !== req.brandId) return res.status(403).json({ error: "Access denied" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
     const prisma = getPrisma();
 
     const microStores = await prisma.microStore.findMany({
@@ -225,4 +283,351 @@ router.get(
   })
 );
 
+/** Actor recorded on order status changes: "admin" for users who act for any brand. */
+function orderActor(req) {
+  return { type: hasPermission(req.user, PERMISSIONS.BRANDS_ALL) ? "admin" : "brand", id: req.userId };
+}
+
+function sendOrderError(res, err) {
+  if (err.name === "OrderError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** POST /api/brand/order-items/:id/status - body: { status, note? } - advance one of the brand's order lines (admin: any line) */
+router.post(
+  "/order-items/:id/status",
+  asyncHandler(async (req, res) => {
+    const { status, note } = req.body || {};
+    if (!status) return res.status(400).json({ error: "status is required" });
+    const actsForAnyBrand = hasPermission(req.user, PERMISSIONS.BRANDS_ALL);
+    if (!actsForAnyBrand && !req.brandId) return res.status(400).json({ error: "Brand context required" });
+    const actor = orderActor(req);
+    try {
+      const item = await transitionOrderItem(req.params.id, String(status), actor, {
+        brandId: actsForAnyBrand ? null : req.brandId,
+        note,
+      });
+      res.json(item);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/brand/orders - the brand's order lines; query: status? (comma-separated), from?, to?, paymentStatus?, limit?, offset? */
+router.get(
+  "/orders",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    try {
+      const result = await brandOrders.listBrandOrderItems(brandId, {
+        status: req.query.status,
+        from: req.query.from,
+        to: req.query.to,
+        paymentStatus: req.query.paymentStatus,
+        limit: req.query.limit ? Number(req.query.limit) : 50,
+        offset: req.query.offset ? Number(req.query.offset) : 0,
+      });
+      res.json(result);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/brand/orders/summary - revenue from paid orders; query: from?, to? */
+router.get(
+  "/orders/summary",
+  requirePermission(PERMISSIONS.BRAND_ANALYTICS),
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    try {
+      const summary = await brandOrders.getBrandRevenueSummary(brandId, { from: req.query.from, to: req.query.to });
+      res.json(summary);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/brand/orders/items/:id - one of the brand's order lines with its sub-order (ship-to, brand totals) */
+router.get(
+  "/orders/items/:id",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const item = await brandOrders.getBrandOrderItem(brandId, req.params.id);
+    if (!item) return res.status(404).json({ error: "Order item not found" });
+    res.json(item);
+  })
+);
+
+/** POST /api/brand/orders/pack - body: { itemIds, note? } - mark lines packed; per-line failures are returned in `failed` */
+router.post(
+  "/orders/pack",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.body?.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const actor = orderActor(req);
+    try {
+      const result = await brandOrders.markItemsPacked(brandId, req.body?.itemIds, actor, { note: req.body?.note });
+      res.json(result);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/**
+ * POST /api/brand/orders/ship - body: { itemIds, trackingNumber, carrier, trackingUrl?, note? } - mark lines shipped
+ * as one shipment; per-line failures are returned in `failed`
+ */
+router.post(
+  "/orders/ship",
+  asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const brandId = req.brandId || body.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const actor = orderActor(req);
+    try {
+      const result = await brandOrders.markItemsShipped(brandId, body.itemIds, body, actor);
+      res.json(result);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/brand/invoices - the brand's tax invoices; query: financialYear? (e.g. 2025-26), limit?, offset? */
+router.get(
+  "/invoices",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const result = await invoices.listBrandInvoices(brandId, {
+      financialYear: req.query.financialYear,
+      limit: req.query.limit ? Number(req.query.limit) : 50,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json(result);
+  })
+);
+
+/** POST /api/brand/invoices - body: { subOrderId } - issue (or fetch) the invoice for one of the brand's paid sub-orders */
+router.post(
+  "/invoices",
+  asyncHandler(async (req, res) => {
+    const subOrderId = req.body?.subOrderId;
+    if (!subOrderId) return res.status(400).json({ error: "subOrderId is required" });
+    const prisma = getPrisma();
+    const subOrder = await prisma.order.findUnique({ where: { id: String(subOrderId) }, select: { id: true, brandId: true } });
+    if (!subOrder || !canActForBrand(req.user, subOrder.brandId)) {
+      return res.status(404).json({ error: "Order not found" });
+    }
+    try {
+      const invoice = await invoices.issueInvoice(subOrder.id);
+      res.json(invoices.toPublicInvoice(invoice));
+    } catch (err) {
+      if (sendInvoiceError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+function sendShippingError(res, err) {
+  if (err.name === "ShippingError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** GET /api/brand/shipping - the brand's shipping rule (null = platform default) and serviceable PIN code count */
+router.get(
+  "/shipping",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    res.json(await shipping.getShippingSettings(brandId));
+  })
+);
+
+/**
+ * PUT /api/brand/shipping - create or update the shipping rule.
+ * Body: { rateType?: flat|weight|quantity, flatRate?, tiers?: [{ upTo, rate }], freeAbove?, defaultWeightGrams?,
+ *   codAvailable?, codFee?, codMaxOrderValue? }
+ */
+router.put(
+  "/shipping",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.body?.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const { brandId: _b, ...input } = req.body || {};
+    try {
+      const rule = await shipping.upsertShippingRule(brandId, input);
+      res.json(rule);
+    } catch (err) {
+      if (sendShippingError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** DELETE /api/brand/shipping - remove the rule; the platform default applies again */
+router.delete(
+  "/shipping",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const removed = await shipping.deleteShippingRule(brandId);
+    if (!removed) return res.status(404).json({ error: "No shipping rule" });
+    res.status(204).send();
+  })
+);
+
+/** GET /api/brand/shipping/pin-codes?prefix=&limit=&offset= - serviceable PIN codes */
+router.get(
+  "/shipping/pin-codes",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const result = await shipping.listServiceablePinCodes(brandId, {
+      prefix: req.query.prefix,
+      limit: req.query.limit ? Number(req.query.limit) : 100,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/brand/shipping/pin-codes - upload serviceable PIN codes as CSV (columns pin_code, cod, delivery_days):
+ * multipart "file", or body { csv }. replace=true (query or body) drops PIN codes missing from the file.
+ */
+router.post(
+  "/shipping/pin-codes",
+  csvUpload.single("file"),
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.body?.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const csv = req.file ? req.file.buffer.toString("utf8") : req.body?.csv;
+    if (!csv || typeof csv !== "string") return res.status(400).json({ error: "CSV file or csv body required" });
+    const replace = String(req.body?.replace ?? req.query.replace ?? "") === "true";
+    try {
+      const result = await shipping.importServiceablePinCodes(brandId, csv, { replace });
+      res.json(result);
+    } catch (err) {
+      if (sendShippingError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** DELETE /api/brand/shipping/pin-codes - body: { pinCodes? } - remove these PIN codes, or all (brand then ships everywhere) */
+router.delete(
+  "/shipping/pin-codes",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.body?.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const pinCodes = req.body?.pinCodes;
+    if (pinCodes !== undefined && !Array.isArray(pinCodes)) return res.status(400).json({ error: "pinCodes must be an array" });
+    const removed = await shipping.deleteServiceablePinCodes(brandId, pinCodes ?? null);
+    res.json({ removed });
+  })
+);
+
+function sendPromotionError(res, err) {
+  if (err.name === "PromotionError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** GET /api/brand/coupons - list the brand's coupons */
+router.get(
+  "/coupons",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.query.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    if (!canActForBrand(req.user, brandId)) return res.status(403).json({ error: "Access denied" });
+    const result = await promotion.listCoupons({
+      brandId,
+      limit: req.query.limit ? Number(req.query.limit) : 50,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json(result);
+  })
+);
+
+/** POST /api/brand/coupons - create a coupon; always scoped to the brand (admin: brandId in body) */
+router.post(
+  "/coupons",
+  asyncHandler(async (req, res) => {
+    const brandId = req.brandId || req.body?.brandId;
+    if (!brandId) return res.status(400).json({ error: "Brand context required" });
+    try {
+      const coupon = await promotion.createCoupon(req.body || {}, {
+        scopeBrandId: brandId,
+        createdBy: "brand",
+        userId: req.userId,
+      });
+      res.status(201).json(coupon);
+    } catch (err) {
+      if (sendPromotionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** PUT /api/brand/coupons/:id - update one of the brand's coupons */
+router.put(
+  "/coupons/:id",
+  asyncHandler(async (req, res) => {
+    const existing = await promotion.getCoupon(req.params.id, req.brandId || null);
+    if (!existing) return res.status(404).json({ error: "Coupon not found" });
+    if (!existing.brandId) return res.status(403).json({ error: "Access denied" });
+    try {
+      const coupon = await promotion.updateCoupon(existing.id, req.body || {}, { scopeBrandId: existing.brandId });
+      res.json(coupon);
+    } catch (err) {
+      if (sendPromotionError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** DELETE /api/brand/coupons/:id - delete one of the brand's coupons */
+router.delete(
+  "/coupons/:id",
+  asyncHandler(async (req, res) => {
+    const existing = await promotion.getCoupon(req.params.id, req.brandId || null);
+    if (!existing?.brandId) return res.status(404).json({ error: "Coupon not found" });
+    await promotion.deleteCoupon(existing.id, existing.brandId);
+    res.status(204).send();
+  })
+);
+
 export default router;
@@ -6,11 +6,23 @@ import {
   addToCart,
   removeFromCart,
   isInCart,
+  updateCartItem,
+  getCartSummary,
+  applyCartCoupon,
+  removeCartCoupon,
 } from "../domain/cart/cart.js";
 import { runMatchAnalysisForCart } from "../agents/matchAgent.js";
 
 const router = Router();
 
+function sendCartError(res, err) {
+  if (err.name === "CartError" || err.name === "InventoryError" || err.name === "PromotionError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
 /** GET /api/cart - list current user's cart (auth required) */
 router.get(
   "/",
@@ -27,7 +39,13 @@ router.post(
   requireAuth,
   asyncHandler(async (req, res) => {
     const { productId, variantId, quantity } = req.body || {};
-    const item = await addToCart(req.userId, productId, variantId, quantity ?? 1);
+    let item;
+    try {
+      item = await addToCart(req.userId, productId, variantId, quantity ?? 1);
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
     if (!item) return res.status(400).json({ error: "Invalid product or add failed" });
     res.status(201).json(item);
   })
@@ -47,6 +65,79 @@ router.delete(
   })
 );
 
+/**
+ * GET /api/cart/summary?cartItemIds=a,b&pinCode=&addressId=&paymentMethod= - priced cart: line and brand subtotals,
+ * savings, tax, per-brand shipping and PIN serviceability (default: the default shipping address), warnings (auth required)
+ */
+router.get(
+  "/summary",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const ids = req.query.cartItemIds ? String(req.query.cartItemIds).split(",").filter(Boolean) : undefined;
+    try {
+      const summary = await getCartSummary(req.userId, {
+        cartItemIds: ids,
+        pinCode: req.query.pinCode,
+        addressId: req.query.addressId,
+        paymentMethod: req.query.paymentMethod,
+      });
+      res.json(summary);
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** PATCH /api/cart/items/:id - body: { quantity?, variantId? } - change quantity or variant of a line (auth required) */
+router.patch(
+  "/items/:id",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const { quantity, variantId } = req.body || {};
+    if (quantity === undefined && variantId === undefined) {
+      return res.status(400).json({ error: "quantity or variantId required" });
+    }
+    let item;
+    try {
+      item = await updateCartItem(req.userId, req.params.id, { quantity, variantId });
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+    if (!item) return res.status(404).json({ error: "Cart item not found" });
+    res.json(item);
+  })
+);
+
+/** POST /api/cart/coupon - body: { code } - apply a coupon; returns the cart summary (auth required) */
+router.post(
+  "/coupon",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const code = req.body?.code;
+    if (!code || typeof code !== "string") return res.status(400).json({ error: "code required" });
+    try {
+      const summary = await applyCartCoupon(req.userId, code);
+      res.json(summary);
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** DELETE /api/cart/coupon - remove the applied coupon (auth required) */
+router.delete(
+  "/coupon",
+  requireAuth,
+  asyncHandler(async (req, res) => {
+    const removed = await removeCartCoupon(req.userId);
+    if (!removed) return res.status(404).json({ error: "No coupon applied" });
+    res.status(204).send();
+  })
+);
+
 /** GET /api/cart/contains?productId=&variantId= - check if in cart (auth required) */
 router.get(
   "/contains",
@@ -1,25 +1,29 @@
 import { Router } from "express";
 import { asyncHandler } from "../core/asyncHandler.js";
+import { apiKeyAuth } from "../middleware/apiKeyAuth.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { PERMISSIONS } from "../domain/user/permissions.js";
 import { runFashionContentAgent } from "../agents/fashionContentAgent.js";
 
 const router = Router();
 const CRON_SECRET = process.env.CRON_SECRET || "";
+const requireCronPermission = requirePermission(PERMISSIONS.CRON_RUN);
 
-function requireCronSecret(req, res, next) {
+/** API key with the cron:run scope (X-Api-Key), or (deprecated) X-Cron-Secret header / ?secret= matching CRON_SECRET. */
+function requireCronAccess(req, res, next) {
   const secret = req.headers["x-cron-secret"] || req.query.secret || "";
-  if (!CRON_SECRET || secret !== CRON_SECRET) {
-    return res.status(401).json({ error: "Unauthorized" });
-  }
-  next();
+  if (CRON_SECRET && secret === CRON_SECRET) return next();
+  if (secret) return res.status(401).json({ error: "Unauthorized" });
+  return apiKeyAuth(req, res, () => requireCronPermission(req, res, next));
 }
 
-/** POST or GET /api/cron/fashion-content-agent - run weekly (X-Cron-Secret header or ?secret=) */
+/** POST or GET /api/cron/fashion-content-agent - run weekly (X-Api-Key with cron:run, or X-Cron-Secret / ?secret=) */
 const runAgentHandler = asyncHandler(async (req, res) => {
   const seed = req.method === "POST" ? req.body?.seed : req.query?.seed;
   const result = await runFashionContentAgent({ seed: seed || "" });
   res.json({ success: true, result });
 });
-router.get("/fashion-content-agent", requireCronSecret, runAgentHandler);
-router.post("/fashion-content-agent", requireCronSecret, runAgentHandler);
+router.get("/fashion-content-agent", requireCronAccess, runAgentHandler);
+router.post("/fashion-content-agent", requireCronAccess, runAgentHandler);
 
 export default router;
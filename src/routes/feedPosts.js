@@ -6,7 +6,8 @@ import multer from "multer";
 import { randomUUID } from "crypto";
 import { asyncHandler } from "../core/asyncHandler.js";
 import { optionalAuth, requireAuth } from "../middleware/requireAuth.js";
-import { requireAdmin } from "../middleware/requireAdmin.js";
+import { requirePermission } from "../middleware/requirePermission.js";
+import { hasPermission, PERMISSIONS } from "../domain/user/permissions.js";
 import { uploadFile } from "../utils/storage.js";
 import * as contentFeed from "../domain/contentFeed/contentFeed.js";
 
@@ -95,8 +96,8 @@ router.post(
     let createdBy = "user";
     let createdByUserId = req.userId;
     let brandId = null;
-    if (req.user?.role === "admin") createdBy = "admin";
-    if (req.user?.role === "brand" && req.user?.brandId) {
+    if (hasPermission(req.user, PERMISSIONS.FEED_MANAGE)) createdBy = "admin";
+    else if (req.user?.brandId) {
       createdBy = "brand";
       brandId = req.user.brandId;
     }
@@ -118,10 +119,10 @@ router.post(
   })
 );
 
-/** POST /api/feed-posts — admin create */
+/** POST /api/feed-posts — create (feed:manage) */
 router.post(
   "/",
-  requireAdmin,
+  requirePermission(PERMISSIONS.FEED_MANAGE),
   asyncHandler(async (req, res) => {
     const body = req.body || {};
     const post = await contentFeed.createFeedPost({
@@ -144,10 +145,10 @@ router.get(
   })
 );
 
-/** PUT /api/feed-posts/:id — admin edit */
+/** PUT /api/feed-posts/:id — edit (feed:manage) */
 router.put(
   "/:id",
-  requireAdmin,
+  requirePermission(PERMISSIONS.FEED_MANAGE),
   asyncHandler(async (req, res) => {
     const updated = await contentFeed.updateFeedPost(req.params.id, req.body || {}, {
       adminCanEditAny: true,
@@ -157,10 +158,10 @@ router.put(
   })
 );
 
-/** DELETE /api/feed-posts/:id — admin delete */
+/** DELETE /api/feed-posts/:id — delete (feed:manage) */
 router.delete(
   "/:id",
-  requireAdmin,
+  requirePermission(PERMISSIONS.FEED_MANAGE),
   asyncHandler(async (req, res) => {
     const result = await contentFeed.deleteFeedPost(req.params.id);
     if (!result) return res.status(404).json({ error: "Feed post not found" });
@@ -0,0 +1,176 @@
+/**
+ * Guest (anonymous) shopping: start a session, then keep a cart and wishlist keyed by the X-Guest-Id header.
+ * Guest data is merged into the account on POST /api/auth/login (send guestId in the body or X-Guest-Id).
+ */
+import { Router } from "express";
+import { asyncHandler } from "../core/asyncHandler.js";
+import { requireGuest } from "../middleware/requireGuest.js";
+import { createGuestSession } from "../domain/guest/guest.js";
+import {
+  listGuestCartItems,
+  addToGuestCart,
+  updateGuestCartItem,
+  removeFromGuestCart,
+  isInGuestCart,
+  getGuestCartSummary,
+} from "../domain/cart/cart.js";
+import {
+  listGuestWishlist,
+  addToGuestWishlist,
+  removeFromGuestWishlist,
+  isInGuestWishlist,
+} from "../domain/preferences/preferences.js";
+
+const router = Router();
+
+function sendCartError(res, err) {
+  if (err.name === "CartError" || err.name === "InventoryError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
+/** POST /api/guest/session - start a guest session; returns { guestId } to send as X-Guest-Id */
+router.post(
+  "/session",
+  asyncHandler(async (_req, res) => {
+    const session = await createGuestSession();
+    res.status(201).json(session);
+  })
+);
+
+router.use(requireGuest);
+
+/** GET /api/guest/cart - list guest cart */
+router.get(
+  "/cart",
+  asyncHandler(async (req, res) => {
+    const result = await listGuestCartItems(req.guestId);
+    res.json(result);
+  })
+);
+
+/** POST /api/guest/cart - add item; body: { productId, variantId?, quantity? } */
+router.post(
+  "/cart",
+  asyncHandler(async (req, res) => {
+    const { productId, variantId, quantity } = req.body || {};
+    let item;
+    try {
+      item = await addToGuestCart(req.guestId, productId, variantId, quantity ?? 1);
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+    if (!item) return res.status(400).json({ error: "Invalid product or add failed" });
+    res.status(201).json(item);
+  })
+);
+
+/** DELETE /api/guest/cart - remove item; body or query: productId, variantId? */
+router.delete(
+  "/cart",
+  asyncHandler(async (req, res) => {
+    const productId = req.body?.productId ?? req.query?.productId;
+    const variantId = req.body?.variantId ?? req.query?.variantId;
+    if (!productId) return res.status(400).json({ error: "productId required" });
+    const removed = await removeFromGuestCart(req.guestId, productId, variantId);
+    if (!removed) return res.status(404).json({ error: "Cart item not found" });
+    res.status(204).send();
+  })
+);
+
+/** GET /api/guest/cart/summary?cartItemIds=a,b&pinCode=&paymentMethod= - priced guest cart (coupons need an account) */
+router.get(
+  "/cart/summary",
+  asyncHandler(async (req, res) => {
+    const ids = req.query.cartItemIds ? String(req.query.cartItemIds).split(",").filter(Boolean) : undefined;
+    try {
+      const summary = await getGuestCartSummary(req.guestId, {
+        cartItemIds: ids,
+        pinCode: req.query.pinCode,
+        paymentMethod: req.query.paymentMethod,
+      });
+      res.json(summary);
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** PATCH /api/guest/cart/items/:id - body: { quantity?, variantId? } */
+router.patch(
+  "/cart/items/:id",
+  asyncHandler(async (req, res) => {
+    const { quantity, variantId } = req.body || {};
+    if (quantity === undefined && variantId === undefined) {
+      return res.status(400).json({ error: "quantity or variantId required" });
+    }
+    let item;
+    try {
+      item = await updateGuestCartItem(req.guestId, req.params.id, { quantity, variantId });
+    } catch (err) {
+      if (sendCartError(res, err)) return;
+      throw err;
+    }
+    if (!item) return res.status(404).json({ error: "Cart item not found" });
+    res.json(item);
+  })
+);
+
+/** GET /api/guest/cart/contains?productId=&variantId= */
+router.get(
+  "/cart/contains",
+  asyncHandler(async (req, res) => {
+    const { productId, variantId } = req.query;
+    const inCart = await isInGuestCart(req.guestId, productId, variantId);
+    res.json({ inCart });
+  })
+);
+
+/** GET /api/guest/wishlist - list guest wishlist */
+router.get(
+  "/wishlist",
+  asyncHandler(async (req, res) => {
+    const result = await listGuestWishlist(req.guestId);
+    res.json(result);
+  })
+);
+
+/** POST /api/guest/wishlist - add item; body: { productId, variantId? } */
+router.post(
+  "/wishlist",
+  asyncHandler(async (req, res) => {
+    const { productId, variantId } = req.body || {};
+    const item = await addToGuestWishlist(req.guestId, productId, variantId);
+    if (!item) return res.status(400).json({ error: "Invalid product or add failed" });
+    res.status(201).json(item);
+  })
+);
+
+/** DELETE /api/guest/wishlist - remove item; body or query: productId, variantId? */
+router.delete(
+  "/wishlist",
+  asyncHandler(async (req, res) => {
+    const productId = req.body?.productId ?? req.query?.productId;
+    const variantId = req.body?.variantId ?? req.query?.variantId;
+    if (!productId) return res.status(400).json({ error: "productId required" });
+    const removed = await removeFromGuestWishlist(req.guestId, productId, variantId);
+    if (!removed) return res.status(404).json({ error: "Wishlist item not found" });
+    res.status(204).send();
+  })
+);
+
+/** GET /api/guest/wishlist/contains?productId=&variantId= */
+router.get(
+  "/wishlist/contains",
+  asyncHandler(async (req, res) => {
+    const { productId, variantId } = req.query;
+    const inWishlist = await isInGuestWishlist(req.guestId, productId, variantId);
+    res.json({ inWishlist });
+  })
+);
+
+export default router;
@@ -18,10 +18,14 @@ import brands from "./brands.js";
 import wishlist from "./wishlist.js";
 import brand from "./brand.js";
 import cart from "./cart.js";
+import guest from "./guest.js";
+import orders from "./orders.js";
+import payments from "./payments.js";
 import recommendations from "./recommendations.js";
 import analytics from "./analytics.js";
 import feedPosts from "./feedPosts.js";
 import user from "./user.js";
+import account from "./account.js";
 import lookPlanning from "./lookPlanning.js";
 import landing from "./landing.js";
 import stylingAvatars from "./stylingAvatars.js";
@@ -51,10 +55,14 @@ router.use("/brands", brands);
 router.use("/wishlist", wishlist);
 router.use("/brand", brand);
 router.use("/cart", cart);
+router.use("/guest", guest);
+router.use("/orders", orders);
+router.use("/payments", payments);
 router.use("/recommendations", recommendations);
 router.use("/analytics", analytics);
 router.use("/feed-posts", feedPosts);
 router.use("/user", user);
+router.use("/account", account);
 router.use("/look-planning", lookPlanning);
 router.use("/landing", landing);
 
@@ -20,6 +20,7 @@ import {
 import { triggerBuildPreferenceGraph } from "../domain/preferences/preferenceGraph.js";
 import { scoreAndOrderMicrostores } from "../domain/personalization/personalization.js";
 import * as allowedMicrostoreCreators from "../domain/allowedMicrostoreCreators/allowedMicrostoreCreators.js";
+import { hasPermission, PERMISSIONS } from "../domain/user/permissions.js";
 import { suggestMicrostoreName, suggestOneStyleNote, generateMicrostoreCoverImage, suggestProductsForMicrostore } from "../agents/microstoreCurationAgent.js";
 import { urlToStorageKey, uploadFile } from "../utils/storage.js";
 
@@ -153,7 +154,7 @@ router.post(
   "/suggest-name",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     if (!allowed) return res.status(403).json({ error: "Not allowed to create microstores" });
     const result = await suggestMicrostoreName(req.body || {});
     res.json(result);
@@ -165,7 +166,7 @@ router.post(
   "/suggest-products",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     if (!allowed) return res.status(403).json({ error: "Not allowed to create microstores" });
     const result = await suggestProductsForMicrostore(req.body || {});
     res.json(result);
@@ -177,7 +178,7 @@ router.post(
   "/suggest-one-style-note",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     if (!allowed) return res.status(403).json({ error: "Not allowed to create microstores" });
     const result = await suggestOneStyleNote(req.body || {});
     res.json(result);
@@ -189,7 +190,7 @@ router.post(
   "/generate-cover",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     if (!allowed) return res.status(403).json({ error: "Not allowed to create microstores" });
     const body = req.body || {};
     const result = await generateMicrostoreCoverImage({
@@ -209,7 +210,7 @@ router.post(
   "/",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     if (!allowed) return res.status(403).json({ error: "Not allowed to create microstores" });
     const body = req.body || {};
     const forCommunity = body.forCommunity === true;
@@ -251,11 +252,11 @@ router.put(
   "/:id",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const store = await getMicrostore(req.params.id, req.userId ?? null, req.user?.role === "admin");
+    const canManage = hasPermission(req.user, PERMISSIONS.MICROSTORE_MANAGE);
+    const store = await getMicrostore(req.params.id, req.userId ?? null, canManage);
     if (!store) return res.status(404).json({ error: "Microstore not found" });
     const isOwner = store.createdByUserId === req.userId;
-    const isAdmin = req.user?.role === "admin";
-    if (!isOwner && !isAdmin) return res.status(403).json({ error: "Not allowed to edit this store" });
+    if (!isOwner && !canManage) return res.status(403).json({ error: "Not allowed to edit this store" });
     const updated = await updateMicrostore(req.params.id, req.body || {});
     if (!updated) return res.status(404).json({ error: "Microstore not found" });
     const payload = {
@@ -275,11 +276,11 @@ router.post(
   requireAuth,
   coverUpload.single("file"),
   asyncHandler(async (req, res) => {
-    const store = await getMicrostore(req.params.id, req.userId ?? null, req.user?.role === "admin");
+    const canManage = hasPermission(req.user, PERMISSIONS.MICROSTORE_MANAGE);
+    const store = await getMicrostore(req.params.id, req.userId ?? null, canManage);
     if (!store) return res.status(404).json({ error: "Microstore not found" });
     const isOwner = store.createdByUserId === req.userId;
-    const isAdmin = req.user?.role === "admin";
-    if (!isOwner && !isAdmin) return res.status(403).json({ error: "Not allowed to edit this store" });
+    if (!isOwner && !canManage) return res.status(403).json({ error: "Not allowed to edit this store" });
     const file = req.file;
     if (!file || !file.buffer) return res.status(400).json({ error: "File required (image only: jpeg, png, webp, gif)" });
     const contentType = file.mimetype || "image/webp";
@@ -297,11 +298,11 @@ router.post(
   "/:id/submit-for-approval",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const store = await getMicrostore(req.params.id, req.userId ?? null, req.user?.role === "admin");
+    const canManage = hasPermission(req.user, PERMISSIONS.MICROSTORE_MANAGE);
+    const store = await getMicrostore(req.params.id, req.userId ?? null, canManage);
     if (!store) return res.status(404).json({ error: "Microstore not found" });
     const isOwner = store.createdByUserId === req.userId;
-    const isAdmin = req.user?.role === "admin";
-    if (!isOwner && !isAdmin) return res.status(403).json({ error: "Not allowed to submit this store" });
+    if (!isOwner && !canManage) return res.status(403).json({ error: "Not allowed to submit this store" });
     try {
       const updated = await submitMicrostoreForApproval(req.params.id);
       if (!updated) return res.status(404).json({ error: "Microstore not found" });
@@ -0,0 +1,147 @@
+/**
+ * Customer orders: checkout from cart, list and detail, payment session, cancel and return requests, tax invoices.
+ * All routes require auth; impersonation tokens cannot check out, pay, cancel or request returns.
+ */
+import { Router } from "express";
+import { asyncHandler } from "../core/asyncHandler.js";
+import { requireAuth, denyImpersonation } from "../middleware/requireAuth.js";
+import { checkout, listOrders, getOrder } from "../domain/order/order.js";
+import { createPaymentForOrder } from "../domain/payment/payment.js";
+import { cancelOrder, requestReturn, getOrderStatusHistory, isCashOnDelivery } from "../domain/order/orderStatus.js";
+import { getOrderInvoicesForUser } from "../domain/invoice/invoice.js";
+
+const router = Router();
+router.use(requireAuth);
+
+function sendOrderError(res, err) {
+  if (["OrderError", "PaymentError", "InventoryError", "PromotionError", "InvoiceError"].includes(err.name)) {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code, ...err.details });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * POST /api/orders — checkout; body: { shippingAddressId? | shippingAddress?, billingAddressId? | billingAddress?,
+ *   customerName?, customerPhone?, notes?, paymentMethod?, cartItemIds?, couponCode? }
+ * Without a shipping address the user's default address book entry is used.
+ * Returns the order plus `payment` (provider order for the client SDK); payment is null for cash on delivery, or if
+ * the provider call failed — retry with POST /api/orders/:id/payment.
+ */
+router.post(
+  "/",
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    try {
+      const order = await checkout(req.userId, req.body || {});
+      let payment = null;
+      if (!isCashOnDelivery(order)) {
+        try {
+          payment = await createPaymentForOrder(order.id, req.userId);
+        } catch (err) {
+          console.error("[orders] create payment failed:", order.id, err.message);
+        }
+      }
+      res.status(201).json({ ...order, payment });
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/orders?status=&limit=&offset= — current user's orders */
+router.get(
+  "/",
+  asyncHandler(async (req, res) => {
+    const result = await listOrders(req.userId, {
+      status: req.query.status,
+      limit: req.query.limit ? Number(req.query.limit) : 20,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json(result);
+  })
+);
+
+/** GET /api/orders/:id — order detail with items (owner only) */
+router.get(
+  "/:id",
+  asyncHandler(async (req, res) => {
+    const order = await getOrder(req.params.id, req.userId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    res.json(order);
+  })
+);
+
+/** POST /api/orders/:id/payment — create or return the provider payment order for a pending online-payment order */
+router.post(
+  "/:id/payment",
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    try {
+      const payment = await createPaymentForOrder(req.params.id, req.userId);
+      res.json(payment);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** GET /api/orders/:id/history — status history (owner only) */
+router.get(
+  "/:id/history",
+  asyncHandler(async (req, res) => {
+    const order = await getOrder(req.params.id, req.userId);
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    const history = await getOrderStatusHistory(order.id);
+    res.json({ items: history });
+  })
+);
+
+/** GET /api/orders/:id/invoices — GST invoices, one per brand (owner only); pending lists sub-orders not yet invoiced */
+router.get(
+  "/:id/invoices",
+  asyncHandler(async (req, res) => {
+    try {
+      const result = await getOrderInvoicesForUser(req.params.id, req.userId);
+      res.json(result);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /api/orders/:id/cancel — body: { reason? } — allowed until any line ships */
+router.post(
+  "/:id/cancel",
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    try {
+      const order = await cancelOrder(req.params.id, req.userId, req.body?.reason ?? null);
+      res.json(order);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /api/orders/:id/return-request — body: { reason?, type?: "return" | "exchange" } — delivered orders within the return window */
+router.post(
+  "/:id/return-request",
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    const { reason, type } = req.body || {};
+    try {
+      const order = await requestReturn(req.params.id, req.userId, { reason, type });
+      res.json(order);
+    } catch (err) {
+      if (sendOrderError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+export default router;
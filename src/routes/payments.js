@@ -0,0 +1,64 @@
+/**
+ * Payments: provider webhooks (signature-checked, no auth) and, outside production, a mock-provider simulator.
+ * Webhook bodies arrive as raw Buffers (see express.raw in src/index.js) so HMAC signatures can be verified.
+ */
+import { Router } from "express";
+import { asyncHandler } from "../core/asyncHandler.js";
+import { IS_PRODUCTION } from "../core/constants.js";
+import { getPrisma } from "../core/db.js";
+import { requireAuth, denyImpersonation } from "../middleware/requireAuth.js";
+import { handlePaymentWebhook, PAYMENT_STATUSES } from "../domain/payment/payment.js";
+import { buildWebhook } from "../utils/payments/mock.js";
+
+const router = Router();
+
+function sendPaymentError(res, err) {
+  if (err.name === "PaymentError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** POST /api/payments/webhook/:provider — provider webhook (razorpay | mock) */
+router.post(
+  "/webhook/:provider",
+  asyncHandler(async (req, res) => {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from(JSON.stringify(req.body ?? {}));
+    try {
+      const result = await handlePaymentWebhook(req.params.provider, rawBody, req.headers);
+      res.json(result);
+    } catch (err) {
+      if (sendPaymentError(res, err)) return;
+      throw err;
+    }
+  })
+);
+
+/** POST /api/payments/mock/simulate — body: { orderId, status } — sends a signed mock webhook for the user's order (non-production) */
+router.post(
+  "/mock/simulate",
+  requireAuth,
+  denyImpersonation,
+  asyncHandler(async (req, res) => {
+    if (IS_PRODUCTION) return res.status(404).json({ error: "Not found" });
+    const { orderId, status } = req.body || {};
+    if (!orderId || !PAYMENT_STATUSES.includes(status) || status === "pending" || status === "refund_pending") {
+      return res.status(400).json({ error: "orderId and status (authorized, captured, failed, refunded) are required" });
+    }
+    const prisma = getPrisma();
+    const order = await prisma.order.findFirst({
+      where: { id: String(orderId), userId: req.userId, parentOrderId: null },
+      select: { id: true, paymentProvider: true, razorpayOrderId: true },
+    });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+    if (order.paymentProvider !== "mock" || !order.razorpayOrderId) {
+      return res.status(400).json({ error: "Order has no mock payment" });
+    }
+    const { rawBody, headers } = buildWebhook(order.razorpayOrderId, status);
+    const result = await handlePaymentWebhook("mock", rawBody, headers);
+    res.json(result);
+  })
+);
+
+export default router;
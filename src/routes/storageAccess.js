@@ -3,11 +3,19 @@
  * Query: url=<encoded stored URL> or key=<storage key>. Optional: access_token=<short-lived JWT> for cross-origin img.
  * Returns 302 redirect to presigned URL (R2) or /uploads/key (local). No auth for admin-test/*; auth required for all others.
  * Avatars (styling-avatars/*) require any authenticated user; user content requires ownership.
+ * Data exports (exports/{userId}/*) are readable only by that user.
+ * Invoices (invoices/{userId}/{brandId}/*) are readable by the customer and anyone who may act for that brand.
  */
 import { Router } from "express";
 import { asyncHandler } from "../core/asyncHandler.js";
 import { optionalAuth, requireAuth } from "../middleware/requireAuth.js";
-import { verifyStorageAccessToken, createStorageAccessToken } from "../domain/user/auth.js";
+import {
+  verifyStorageAccessToken,
+  createStorageAccessToken,
+  findActiveImpersonationGrant,
+  getUser,
+} from "../domain/user/auth.js";
+import { canActForBrand } from "../domain/user/permissions.js";
 import {
   urlToStorageKey,
   getPresignedGetUrl,
@@ -39,7 +47,8 @@ router.get(
     let userId = req.userId || null;
     if (!userId && accessTokenParam) {
       const payload = verifyStorageAccessToken(accessTokenParam);
-      if (payload?.userId) userId = payload.userId;
+      const granted = payload?.imp ? await findActiveImpersonationGrant(payload.imp, payload.userId) : true;
+      if (payload?.userId && granted) userId = payload.userId;
     }
 
     // Public keys: no auth required (generated/* = AI-generated cover images, used in img src without credentials)
@@ -60,6 +69,14 @@ router.get(
         if (parts[1] !== userId) return res.status(403).json({ error: "Forbidden" });
       } else if (key.startsWith("looks/") && parts.length >= 2) {
         if (parts[1] !== "anon" && parts[1] !== userId) return res.status(403).json({ error: "Forbidden" });
+      } else if (key.startsWith("exports/")) {
+        if (parts.length < 3 || parts[1] !== userId) return res.status(403).json({ error: "Forbidden" });
+      } else if (key.startsWith("invoices/")) {
+        if (parts.length < 4) return res.status(403).json({ error: "Forbidden" });
+        if (parts[1] !== userId) {
+          const user = req.user?.id === userId ? req.user : await getUser(userId);
+          if (!canActForBrand(user, parts[2])) return res.status(403).json({ error: "Forbidden" });
+        }
       }
       // styling-avatars/*, generated/*: any authenticated user
     }
@@ -100,7 +117,7 @@ router.get(
   "/access-token",
   requireAuth,
   asyncHandler(async (req, res) => {
-    const token = createStorageAccessToken(req.userId);
+    const token = createStorageAccessToken(req.userId, req.user?.impersonationId);
     res.json({ token });
   })
 );
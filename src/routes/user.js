@@ -1,11 +1,13 @@
 /**
- * User-scoped routes: /api/user/feed-posts, /api/user/can-create-microstore
+ * User-scoped routes: /api/user/feed-posts, /api/user/can-create-microstore, /api/user/addresses, /api/user/alerts
  */
 import { Router } from "express";
 import { asyncHandler } from "../core/asyncHandler.js";
 import { requireAuth } from "../middleware/requireAuth.js";
 import * as contentFeed from "../domain/contentFeed/contentFeed.js";
 import * as allowedMicrostoreCreators from "../domain/allowedMicrostoreCreators/allowedMicrostoreCreators.js";
+import * as addressBook from "../domain/address/address.js";
+import * as productAlerts from "../domain/alerts/productAlerts.js";
 
 const router = Router();
 router.use(requireAuth);
@@ -32,7 +34,7 @@ router.get(
 router.get(
   "/can-create-microstore",
   asyncHandler(async (req, res) => {
-    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user?.role);
+    const allowed = await allowedMicrostoreCreators.canCreateMicrostore(req.userId, req.user);
     res.json({ allowed });
   })
 );
@@ -65,4 +67,131 @@ router.post(
   })
 );
 
+function sendAddressError(res, err) {
+  if (err.name === "AddressError") {
+    res.status(err.statusCode ?? 400).json({ error: err.message, code: err.code });
+    return true;
+  }
+  return false;
+}
+
+/** GET /api/user/addresses — address book, defaults first */
+router.get(
+  "/addresses",
+  asyncHandler(async (req, res) => {
+    const result = await addressBook.listAddresses(req.userId);
+    res.json(result);
+  })
+);
+
+/**
+ * POST /api/user/addresses — add an address.
+ * Body: { name, phone, line1, line2?, landmark?, city, state, pinCode, country?, label?, isDefault?, isDefaultShipping?, isDefaultBilling? }
+ */
+router.post(
+  "/addresses",
+  asyncHandler(async (req, res) => {
+    let address;
+    try {
+      address = await addressBook.createAddress(req.userId, req.body || {});
+    } catch (err) {
+      if (sendAddressError(res, err)) return;
+      throw err;
+    }
+    res.status(201).json({ address });
+  })
+);
+
+/** GET /api/user/addresses/:id */
+router.get(
+  "/addresses/:id",
+  asyncHandler(async (req, res) => {
+    const address = await addressBook.getAddress(req.userId, req.params.id);
+    if (!address) return res.status(404).json({ error: "Address not found" });
+    res.json({ address });
+  })
+);
+
+/** PATCH /api/user/addresses/:id — update the given fields (same body as POST) */
+router.patch(
+  "/addresses/:id",
+  asyncHandler(async (req, res) => {
+    let address;
+    try {
+      address = await addressBook.updateAddress(req.userId, req.params.id, req.body || {});
+    } catch (err) {
+      if (sendAddressError(res, err)) return;
+      throw err;
+    }
+    if (!address) return res.status(404).json({ error: "Address not found" });
+    res.json({ address });
+  })
+);
+
+/** POST /api/user/addresses/:id/default — body: { type?: "shipping" | "billing" | "both" } (default both) */
+router.post(
+  "/addresses/:id/default",
+  asyncHandler(async (req, res) => {
+    let address;
+    try {
+      address = await addressBook.setDefaultAddress(req.userId, req.params.id, req.body?.type ?? "both");
+    } catch (err) {
+      if (sendAddressError(res, err)) return;
+      throw err;
+    }
+    if (!address) return res.status(404).json({ error: "Address not found" });
+    res.json({ address });
+  })
+);
+
+/** DELETE /api/user/addresses/:id */
+router.delete(
+  "/addresses/:id",
+  asyncHandler(async (req, res) => {
+    const deleted = await addressBook.deleteAddress(req.userId, req.params.id);
+    if (!deleted) return res.status(404).json({ error: "Address not found" });
+    res.status(204).send();
+  })
+);
+
+/** GET /api/user/alerts — price-drop and back-in-stock alerts; query: unread?, type?, limit?, offset? */
+router.get(
+  "/alerts",
+  asyncHandler(async (req, res) => {
+    const result = await productAlerts.listUserAlerts(req.userId, {
+      unread: req.query.unread === "true",
+      type: req.query.type,
+      limit: req.query.limit ? Number(req.query.limit) : 20,
+      offset: req.query.offset ? Number(req.query.offset) : 0,
+    });
+    res.json({ alerts: result.items, total: result.total, unread: result.unread });
+  })
+);
+
+/** POST /api/user/alerts/read — body: { ids?: string[] } (omit ids to mark all read) */
+router.post(
+  "/alerts/read",
+  asyncHandler(async (req, res) => {
+    const ids = Array.isArray(req.body?.ids) ? req.body.ids : null;
+    const updated = await productAlerts.markAlertsRead(req.userId, ids);
+    res.json({ updated });
+  })
+);
+
+/** GET /api/user/alerts/settings — { priceDrop, backInStock } */
+router.get(
+  "/alerts/settings",
+  asyncHandler(async (req, res) => {
+    res.json(await productAlerts.getAlertPreferences(req.userId));
+  })
+);
+
+/** PUT /api/user/alerts/settings — opt in/out; body: { priceDrop?: boolean, backInStock?: boolean } */
+router.put(
+  "/alerts/settings",
+  asyncHandler(async (req, res) => {
+    res.json(await productAlerts.updateAlertPreferences(req.userId, req.body || {}));
+  })
+);
+
 export default router;
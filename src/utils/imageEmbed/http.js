@@ -0,0 +1,30 @@
+/**
+ * HTTP image embedding adapter for a self-hosted model server (e.g. CLIP behind a small API).
+ * POST IMAGE_EMBED_URL with { model, image: <base64> } → { embedding: number[] }.
+ * Optional IMAGE_EMBED_API_KEY is sent as a Bearer token.
+ */
+
+import axios from "axios";
+
+const TIMEOUT_MS = 30_000;
+
+/**
+ * @param {Buffer} buffer - Encoded image
+ * @param {{ model?: string }} options
+ * @returns {Promise<number[]>}
+ */
+export async function embed(buffer, options = {}) {
+  const url = process.env.IMAGE_EMBED_URL;
+  if (!url) throw new Error("IMAGE_EMBED_URL is required for the http image embedding provider");
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.IMAGE_EMBED_API_KEY) headers.Authorization = `Bearer ${process.env.IMAGE_EMBED_API_KEY}`;
+
+  const res = await axios.post(
+    url,
+    { model: options.model, image: buffer.toString("base64") },
+    { headers, timeout: TIMEOUT_MS }
+  );
+  const vec = res.data?.embedding;
+  if (!Array.isArray(vec) || vec.length === 0) throw new Error("Empty image embedding response");
+  return vec.map(Number);
+}
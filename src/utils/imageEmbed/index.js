@@ -0,0 +1,27 @@
+/**
+ * Image embedding adapter dispatcher: routes to provider-specific adapter by provider name.
+ * Adapters take image bytes and return a plain number[]; the caller checks the dimension.
+ */
+
+import * as localAdapter from "./local.js";
+import * as httpAdapter from "./http.js";
+
+const adapters = {
+  local: localAdapter,
+  http: httpAdapter,
+};
+
+/**
+ * Embed image bytes with the given provider and model.
+ * @param {string} provider - e.g. 'local', 'http'
+ * @param {string} model - model id for the provider
+ * @param {Buffer} buffer - Encoded image (JPEG, PNG, WebP…)
+ * @returns {Promise<number[]>}
+ */
+export async function embedWithProvider(provider, model, buffer) {
+  const adapter = adapters[provider?.toLowerCase()];
+  if (!adapter || typeof adapter.embed !== "function") {
+    throw new Error(`Image embedding provider '${provider}' is not supported. Supported: ${Object.keys(adapters).join(", ")}`);
+  }
+  return adapter.embed(buffer, { model });
+}
@@ -0,0 +1,53 @@
+/**
+ * Local image embedding adapter: a deterministic colour histogram computed with sharp, no external calls.
+ * 8 bins per RGB channel → 512 values (soft-binned, square-rooted, L2-normalized), so it matches VISUAL_EMBEDDING_DIM.
+ * Good enough for "same colours / same product photo" and for development; use the http adapter with a CLIP-style
+ * model for shape and style similarity.
+ */
+
+import sharp from "sharp";
+
+const BINS_PER_CHANNEL = 8;
+const SAMPLE_SIZE = 64;
+/** Refuse decompression bombs (e.g. a small PNG declaring huge dimensions). */
+const MAX_INPUT_PIXELS = 40_000_000;
+
+/**
+ * @param {Buffer} buffer - Encoded image
+ * @returns {Promise<number[]>} 512-dim unit vector
+ */
+export async function embed(buffer) {
+  const { data, info } = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .flatten({ background: "#ffffff" })
+    .toColourspace("srgb")
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: "inside" })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // Soft (trilinear) binning so near-identical colours either side of a bin edge still match
+  const histogram = new Array(BINS_PER_CHANNEL ** 3).fill(0);
+  const binWidth = 256 / BINS_PER_CHANNEL;
+  const split = (value) => {
+    const pos = Math.min(Math.max(value / binWidth - 0.5, 0), BINS_PER_CHANNEL - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(lo + 1, BINS_PER_CHANNEL - 1);
+    return [lo, hi, pos - lo];
+  };
+  for (let i = 0; i + 2 < data.length; i += info.channels) {
+    const [r0, r1, rw] = split(data[i]);
+    const [g0, g1, gw] = split(data[i + 1]);
+    const [b0, b1, bw] = split(data[i + 2]);
+    for (const [r, wr] of [[r0, 1 - rw], [r1, rw]]) {
+      for (const [g, wg] of [[g0, 1 - gw], [g1, gw]]) {
+        for (const [b, wb] of [[b0, 1 - bw], [b1, bw]]) {
+          histogram[(r * BINS_PER_CHANNEL + g) * BINS_PER_CHANNEL + b] += wr * wg * wb;
+        }
+      }
+    }
+  }
+
+  const vec = histogram.map(Math.sqrt);
+  const norm = Math.sqrt(vec.reduce((sum, v) => sum + v * v, 0));
+  if (!norm) throw new Error("Image has no pixels");
+  return vec.map((v) => v / norm);
+}
@@ -89,6 +89,7 @@ const IMAGE_DESCRIPTION_PROMPT =
 /**
  * Embed an image for semantic search by describing it with vision then embedding the description.
  * Returns the same vector shape as embedText (e.g. 1536-dim) so it can be used against text embeddings.
+ * For pixel-level similarity (image-to-image) use embedImageVisual in visualEmbedding.js.
  * @param {string} imageUrl - Public image URL or data URL
  * @param {object} options - { provider?, model? } (for vision and embed steps)
  * @returns {Promise<number[]>}
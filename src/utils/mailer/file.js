@@ -0,0 +1,44 @@
+/**
+ * File mail transport for local development: writes each message as an .eml file under MAIL_OUTBOX_DIR
+ * (default mail-outbox/ in the working directory) instead of sending it.
+ */
+import { mkdir, writeFile } from "fs/promises";
+import { join } from "path";
+
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || join(process.cwd(), "mail-outbox");
+
+function header(name, value) {
+  return `${name}: ${String(value).replace(/[\r\n]+/g, " ")}`;
+}
+
+export async function send({ from, to, subject, text, html, messageId }) {
+  const boundary = `b-${messageId.replace(/[^a-zA-Z0-9]/g, "")}`;
+  const headers = [
+    header("Message-ID", `<${messageId}>`),
+    header("Date", new Date().toUTCString()),
+    header("From", from),
+    header("To", to),
+    header("Subject", subject),
+    "MIME-Version: 1.0",
+  ];
+  const body = html
+    ? [
+        header("Content-Type", `multipart/alternative; boundary="${boundary}"`),
+        "",
+        `--${boundary}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text,
+        `--${boundary}`,
+        "Content-Type: text/html; charset=utf-8",
+        "",
+        html,
+        `--${boundary}--`,
+      ]
+    : ["Content-Type: text/plain; charset=utf-8", "", text];
+  await mkdir(OUTBOX_DIR, { recursive: true });
+  const file = join(OUTBOX_DIR, `${Date.now()}-${messageId.split("@")[0]}.eml`);
+  await writeFile(file, [...headers, ...body, ""].join("\r\n"), "utf8");
+  console.log(`[mail:file] to=${to} subject=${JSON.stringify(subject)} → ${file}`);
+  return { messageId };
+}
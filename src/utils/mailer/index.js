@@ -0,0 +1,56 @@
+/**
+ * Mail transport dispatcher: routes to the adapter named by MAIL_TRANSPORT (default "file", "resend" in production).
+ * The file transport only writes to disk, so it is not available in production; startup fails if production is
+ * configured without a working transport.
+ *
+ * Adapter shape:
+ *   send({ from, to, subject, text, html?, messageId }) → { messageId }
+ * Adapters throw when the message could not be handed off.
+ */
+
+import { randomUUID } from "crypto";
+import { IS_PRODUCTION } from "../../core/constants.js";
+import * as fileAdapter from "./file.js";
+import * as resendAdapter from "./resend.js";
+
+const adapters = {
+  resend: resendAdapter,
+  ...(IS_PRODUCTION ? {} : { file: fileAdapter }),
+};
+
+/** Transport used for outgoing mail. */
+export function getDefaultMailTransportName() {
+  return (process.env.MAIL_TRANSPORT || (IS_PRODUCTION ? "resend" : "file")).toLowerCase();
+}
+
+/** In production the configured transport must exist and have its credentials (fail fast). */
+if (IS_PRODUCTION) {
+  const name = getDefaultMailTransportName();
+  const adapter = adapters[name];
+  if (!adapter) throw new Error(`MAIL_TRANSPORT '${name}' is not available in production`);
+  if (adapter.isConfigured && !adapter.isConfigured()) {
+    throw new Error(`Mail transport '${name}' is not configured (see README)`);
+  }
+}
+
+/**
+ * @param {string} [name] - Transport name; defaults to getDefaultMailTransportName()
+ */
+export function getMailTransport(name) {
+  const key = (name || getDefaultMailTransportName()).toLowerCase();
+  const adapter = adapters[key];
+  if (!adapter) {
+    throw new Error(`Mail transport '${key}' is not supported. Supported: ${Object.keys(adapters).join(", ")}`);
+  }
+  return adapter;
+}
+
+/**
+ * Send one email through the configured transport. `from` defaults to MAIL_FROM.
+ * @param {{ to: string, subject: string, text: string, html?: string, from?: string }} message
+ * @returns {Promise<{ messageId: string }>}
+ */
+export async function sendMail(message) {
+  const from = message.from || process.env.MAIL_FROM || "Hanger <no-reply@localhost>";
+  return getMailTransport().send({ ...message, from, messageId: `${randomUUID()}@hanger` });
+}
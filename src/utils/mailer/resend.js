@@ -0,0 +1,31 @@
+/**
+ * Resend transport: sends through the Resend HTTP API (https://resend.com/docs/api-reference/emails/send-email).
+ * Requires RESEND_API_KEY; the From domain must be verified in Resend.
+ */
+
+const API_URL = "https://api.resend.com/emails";
+
+export function isConfigured() {
+  return Boolean(process.env.RESEND_API_KEY);
+}
+
+export async function send({ from, to, subject, text, html, messageId }) {
+  const apiKey = process.env.RESEND_API_KEY;
+  if (!apiKey) throw new Error("RESEND_API_KEY is required for the resend mail transport");
+  const res = await fetch(API_URL, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${apiKey}`,
+      "Idempotency-Key": messageId,
+    },
+    body: JSON.stringify({ from, to: [to], subject, text, ...(html ? { html } : {}) }),
+    signal: AbortSignal.timeout(10_000),
+  });
+  if (!res.ok) {
+    const body = await res.text();
+    throw new Error(`Resend API error: ${res.status} - ${body}`);
+  }
+  const data = await res.json();
+  return { messageId: data.id || messageId };
+}
@@ -0,0 +1,30 @@
+/**
+ * Notification channel dispatcher: routes to the adapter named by NOTIFICATION_CHANNEL (default "log").
+ *
+ * Adapter shape:
+ *   send({ to: { userId, email?, name? }, subject, text, data? }) → { delivered: boolean, reference? }
+ * Adapters throw on transient failures so the caller can retry.
+ */
+
+import * as logAdapter from "./log.js";
+
+const adapters = {
+  log: logAdapter,
+};
+
+/** Channel used for new notifications. */
+export function getDefaultNotificationChannelName() {
+  return (process.env.NOTIFICATION_CHANNEL || "log").toLowerCase();
+}
+
+/**
+ * @param {string} [name] - Channel name; defaults to getDefaultNotificationChannelName()
+ */
+export function getNotificationChannel(name) {
+  const key = (name || getDefaultNotificationChannelName()).toLowerCase();
+  const adapter = adapters[key];
+  if (!adapter) {
+    throw new Error(`Notification channel '${key}' is not supported. Supported: ${Object.keys(adapters).join(", ")}`);
+  }
+  return adapter;
+}
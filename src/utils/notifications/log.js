@@ -0,0 +1,8 @@
+/**
+ * Log-only notification channel for local development: writes the message to stdout instead of sending it.
+ */
+
+export async function send({ to, subject, text }) {
+  console.log(`[notify:log] to=${to?.email || to?.userId} subject=${JSON.stringify(subject)}\n${text}`);
+  return { delivered: true, reference: null };
+}
@@ -0,0 +1,36 @@
+/**
+ * Payment provider dispatcher: routes to the adapter named by PAYMENT_PROVIDER.
+ * Default is "razorpay" in production and "mock" elsewhere, so the full checkout → webhook flow runs offline.
+ * The mock adapter does not exist in production: payments and webhooks naming it are rejected as unknown providers.
+ *
+ * Adapter shape:
+ *   createOrder({ amountMinor, currency, receipt, notes }) → { providerOrderId, amountMinor, currency, publicKey? }
+ *   verifyWebhookSignature(rawBody, headers) → boolean
+ *   parseWebhookEvent(rawBody, headers) → { eventId, type, providerOrderId, paymentId?, status, method? } | null
+ */
+
+import { IS_PRODUCTION } from "../../core/constants.js";
+import * as razorpayAdapter from "./razorpay.js";
+import * as mockAdapter from "./mock.js";
+
+const adapters = {
+  razorpay: razorpayAdapter,
+  ...(IS_PRODUCTION ? {} : { mock: mockAdapter }),
+};
+
+/** Provider used for new payments. */
+export function getDefaultPaymentProviderName() {
+  return (process.env.PAYMENT_PROVIDER || (IS_PRODUCTION ? "razorpay" : "mock")).toLowerCase();
+}
+
+/**
+ * @param {string} [name] - Provider name; defaults to getDefaultPaymentProviderName()
+ */
+export function getPaymentProvider(name) {
+  const key = (name || getDefaultPaymentProviderName()).toLowerCase();
+  const adapter = adapters[key];
+  if (!adapter) {
+    throw new Error(`Payment provider '${key}' is not supported. Supported: ${Object.keys(adapters).join(", ")}`);
+  }
+  return adapter;
+}
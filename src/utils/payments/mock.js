@@ -0,0 +1,72 @@
+/**
+ * Mock payment adapter for local development and tests. No network. Webhooks use the same HMAC scheme as Razorpay
+ * (hex SHA-256 of the raw body in X-Mock-Signature) so signature checks are exercised offline. Requires
+ * MOCK_PAYMENT_WEBHOOK_SECRET (no default, so nobody can forge events with a known key); never enabled in production
+ * (see index.js).
+ *
+ * Webhook body: { id, type, orderId, paymentId?, status: "authorized" | "captured" | "failed" | "refunded", method? }
+ */
+
+import { createHmac, randomBytes, timingSafeEqual } from "crypto";
+
+function webhookSecret() {
+  return process.env.MOCK_PAYMENT_WEBHOOK_SECRET || null;
+}
+
+export async function createOrder({ amountMinor, currency = "INR" }) {
+  return {
+    providerOrderId: `mock_order_${randomBytes(8).toString("hex")}`,
+    amountMinor,
+    currency,
+    publicKey: "mock_key",
+  };
+}
+
+/** Sign a raw webhook body (for tests and the dev simulate endpoint). */
+export function signWebhook(rawBody) {
+  const secret = webhookSecret();
+  if (!secret) throw new Error("MOCK_PAYMENT_WEBHOOK_SECRET is required for the mock payment provider");
+  return createHmac("sha256", secret).update(rawBody).digest("hex");
+}
+
+/**
+ * Build a signed webhook for a provider order: { rawBody, headers }.
+ */
+export function buildWebhook(providerOrderId, status, { method = "upi" } = {}) {
+  const body = {
+    id: `mock_evt_${randomBytes(8).toString("hex")}`,
+    type: `payment.${status}`,
+    orderId: providerOrderId,
+    paymentId: `mock_pay_${randomBytes(6).toString("hex")}`,
+    status,
+    method,
+  };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return { rawBody, headers: { "x-mock-signature": signWebhook(rawBody) } };
+}
+
+export function verifyWebhookSignature(rawBody, headers = {}) {
+  const signature = headers["x-mock-signature"];
+  if (!signature || !rawBody || !webhookSecret()) return false;
+  const a = Buffer.from(signWebhook(rawBody));
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function parseWebhookEvent(rawBody) {
+  let body;
+  try {
+    body = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody));
+  } catch {
+    return null;
+  }
+  if (!body?.id || !body?.orderId) return null;
+  return {
+    eventId: body.id,
+    type: body.type || `payment.${body.status}`,
+    providerOrderId: body.orderId,
+    paymentId: body.paymentId ?? null,
+    status: body.status ?? null,
+    method: body.method ?? null,
+  };
+}
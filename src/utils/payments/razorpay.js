@@ -0,0 +1,82 @@
+/**
+ * Razorpay adapter: Orders API for checkout, HMAC-SHA256 webhook verification (X-Razorpay-Signature).
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+
+const API_BASE = "https://api.razorpay.com/v1";
+
+/** Razorpay webhook event → our paymentStatus. Events not listed are acknowledged and ignored. */
+const EVENT_STATUS = {
+  "payment.authorized": "authorized",
+  "payment.captured": "captured",
+  "order.paid": "captured",
+  "payment.failed": "failed",
+  "refund.processed": "refunded",
+};
+
+function credentials() {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (!keyId || !keySecret) throw new Error("RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET are required for Razorpay payments");
+  return { keyId, keySecret };
+}
+
+/**
+ * Create a Razorpay order. Amount is in paise.
+ */
+export async function createOrder({ amountMinor, currency = "INR", receipt, notes = {} }) {
+  const { keyId, keySecret } = credentials();
+  const res = await fetch(`${API_BASE}/orders`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString("base64")}`,
+    },
+    body: JSON.stringify({
+      amount: amountMinor,
+      currency,
+      receipt: String(receipt || "").slice(0, 40),
+      notes,
+    }),
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Razorpay API error: ${res.status} - ${text}`);
+  }
+  const data = await res.json();
+  return { providerOrderId: data.id, amountMinor: data.amount, currency: data.currency, publicKey: keyId };
+}
+
+export function verifyWebhookSignature(rawBody, headers = {}) {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  const signature = headers["x-razorpay-signature"];
+  if (!secret || !signature || !rawBody) return false;
+  const expected = createHmac("sha256", secret).update(rawBody).digest("hex");
+  const a = Buffer.from(expected);
+  const b = Buffer.from(String(signature));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function parseWebhookEvent(rawBody, headers = {}) {
+  let body;
+  try {
+    body = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : String(rawBody));
+  } catch {
+    return null;
+  }
+  const type = body?.event;
+  const payment = body?.payload?.payment?.entity;
+  const refund = body?.payload?.refund?.entity;
+  const order = body?.payload?.order?.entity;
+  const providerOrderId = payment?.order_id || order?.id || null;
+  if (!type || !providerOrderId) return null;
+  return {
+    eventId: headers["x-razorpay-event-id"] || `${type}:${payment?.id || order?.id}:${refund?.id || ""}:${body.created_at || ""}`,
+    type,
+    providerOrderId,
+    paymentId: payment?.id ?? null,
+    status: EVENT_STATUS[type] ?? null,
+    method: payment?.method ?? null,
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * Minimal PDF writer for text documents (invoices): A4 pages, Helvetica / Helvetica-Bold, text and lines.
+ * Coordinates are in points from the top-left corner. Text is WinAnsi (Latin-1); other characters print as "?".
+ *
+ *   const pdf = new SimplePdf();
+ *   pdf.text("Tax Invoice", 40, 50, { size: 16, bold: true });
+ *   pdf.line(40, 60, 555, 60);
+ *   const buffer = pdf.toBuffer();
+ */
+
+export const PAGE_WIDTH = 595;
+export const PAGE_HEIGHT = 842;
+
+/** Helvetica advance widths (1/1000 em) for characters common in amounts; others use an average. */
+const CHAR_WIDTHS = { " ": 278, ".": 278, ",": 278, "-": 333, "%": 889, "/": 278, ":": 278, "(": 333, ")": 333 };
+const DIGIT_WIDTH = 556;
+const AVERAGE_WIDTH = 540;
+
+function toLatin1(str) {
+  return String(str ?? "")
+    .replace(/₹/g, "Rs.")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+}
+
+function escapeText(str) {
+  return str.replace(/\\/g, "\\\\").replace(/\(/g, "\\(").replace(/\)/g, "\\)");
+}
+
+/**
+ * Approximate rendered width of `str` in points (exact for digits and punctuation used in amounts).
+ */
+export function textWidth(str, size) {
+  let units = 0;
+  for (const ch of toLatin1(str)) {
+    units += CHAR_WIDTHS[ch] ?? (ch >= "0" && ch <= "9" ? DIGIT_WIDTH : AVERAGE_WIDTH);
+  }
+  return (units * size) / 1000;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+export class SimplePdf {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.current = [];
+    this.pages.push(this.current);
+    return this;
+  }
+
+  /**
+   * @param {string} str
+   * @param {number} x - Left edge (or right edge with align "right")
+   * @param {number} y - Baseline, from the top of the page
+   * @param {{ size?: number, bold?: boolean, align?: "left" | "right" }} [opts]
+   */
+  text(str, x, y, { size = 10, bold = false, align = "left" } = {}) {
+    const s = toLatin1(str);
+    const left = align === "right" ? x - textWidth(s, size) : x;
+    this.current.push(`BT /${bold ? "F2" : "F1"} ${size} Tf ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escapeText(s)}) Tj ET`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.current.push(`${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    return this;
+  }
+
+  /**
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalog = add(null);
+    const pagesObj = add(null);
+    const regular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+    const bold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+    const pageIds = this.pages.map((ops) => {
+      const content = ops.join("\n");
+      const stream = add(`<< /Length ${Buffer.byteLength(content, "latin1")} >>\nstream\n${content}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pagesObj} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`
+      );
+    });
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesObj} 0 R >>`;
+    objects[pagesObj - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    let out = "%PDF-1.4\n";
+    const offsets = [];
+    objects.forEach((body, i) => {
+      offsets.push(Buffer.byteLength(out, "latin1"));
+      out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = Buffer.byteLength(out, "latin1");
+    out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    out += offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n \n`).join("");
+    out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(out, "latin1");
+  }
+}
@@ -46,6 +46,23 @@ export async function enqueueEnrichment(productId, priority = 100) {
   return id;
 }
 
+/** Queue many products in one Redis round trip per chunk (same effect as enqueueEnrichment for each). */
+export async function enqueueEnrichmentBatch(productIds, priority = 100) {
+  const ids = [...new Set((productIds || []).map(String))].filter((id) => id && id !== "undefined" && id !== "null");
+  const redis = getRedisClient();
+  for (let i = 0; i < ids.length; i += 1000) {
+    const chunk = ids.slice(i, i + 1000);
+    await redis
+      .multi()
+      .hdel(KEYS.ENRICH_FAILED, ...chunk)
+      .srem(KEYS.ENRICH_PROCESSING, ...chunk)
+      .zadd(KEYS.ENRICH_QUEUE, ...chunk.flatMap((id) => [priority, id]))
+      .hset(KEYS.ENRICH_ATTEMPTS, Object.fromEntries(chunk.map((id) => [id, "0"])))
+      .exec();
+  }
+  return ids.length;
+}
+
 export async function getNextEnrichmentJob() {
   const redis = getRedisClient();
   const result = await redis.zpopmin(KEYS.ENRICH_QUEUE, 1);
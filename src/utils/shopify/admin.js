@@ -0,0 +1,80 @@
+/**
+ * Shopify Admin GraphQL adapter: real HTTP calls to https://{shopDomain}/admin/api/{version}/graphql.json.
+ */
+
+export const SHOPIFY_API_VERSION = "2025-01";
+
+const DRAFT_ORDER_CREATE = `
+  mutation draftOrderCreate($input: DraftOrderInput!) {
+    draftOrderCreate(input: $input) {
+      draftOrder { id name }
+      userErrors { field message }
+    }
+  }
+`;
+
+const DRAFT_ORDER_DELETE = `
+  mutation draftOrderDelete($input: DraftOrderDeleteInput!) {
+    draftOrderDelete(input: $input) {
+      deletedId
+      userErrors { field message }
+    }
+  }
+`;
+
+/**
+ * Run a GraphQL query/mutation against a shop. Throws on HTTP or GraphQL errors; returns `data`.
+ * @param {string} shopDomain - e.g. brand.myshopify.com
+ * @param {string} accessToken - Shopify Admin API access token
+ * @param {string} query
+ * @param {object} [variables]
+ * @returns {Promise<object>}
+ */
+export async function graphql(shopDomain, accessToken, query, variables = {}) {
+  const url = `https://${shopDomain}/admin/api/${SHOPIFY_API_VERSION}/graphql.json`;
+  const res = await fetch(url, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Access-Token": accessToken,
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Shopify API error: ${res.status} - ${text}`);
+  }
+
+  const data = await res.json();
+  if (data.errors) throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+  return data.data;
+}
+
+/**
+ * Create a draft order. `input` is a Shopify DraftOrderInput.
+ * @returns {Promise<{ id: string, name: string }>} Draft order gid and display name
+ */
+export async function createDraftOrder(shopDomain, accessToken, input) {
+  const data = await graphql(shopDomain, accessToken, DRAFT_ORDER_CREATE, { input });
+  const result = data?.draftOrderCreate;
+  if (result?.userErrors?.length) {
+    throw new Error(`Shopify draftOrderCreate: ${result.userErrors.map((e) => e.message).join("; ")}`);
+  }
+  if (!result?.draftOrder?.id) throw new Error("Shopify draftOrderCreate returned no draft order");
+  return { id: result.draftOrder.id, name: result.draftOrder.name };
+}
+
+/**
+ * Delete an open draft order. Shopify refuses once the draft has been completed into an order.
+ * @returns {Promise<{ deletedId: string }>}
+ */
+export async function deleteDraftOrder(shopDomain, accessToken, id) {
+  const data = await graphql(shopDomain, accessToken, DRAFT_ORDER_DELETE, { input: { id } });
+  const result = data?.draftOrderDelete;
+  if (result?.userErrors?.length) {
+    throw new Error(`Shopify draftOrderDelete: ${result.userErrors.map((e) => e.message).join("; ")}`);
+  }
+  if (!result?.deletedId) throw new Error("Shopify draftOrderDelete returned no id");
+  return { deletedId: result.deletedId };
+}
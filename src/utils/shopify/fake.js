@@ -0,0 +1,36 @@
+/**
+ * In-memory Shopify adapter for local development and tests. No network; records every draft order it receives.
+ */
+
+const draftOrders = [];
+
+/** Product queries return an empty catalog page; other queries return empty data. */
+export async function graphql(_shopDomain, _accessToken, query) {
+  if (/products\s*\(/.test(query)) {
+    return { products: { pageInfo: { hasNextPage: false, endCursor: null }, edges: [] } };
+  }
+  return {};
+}
+
+export async function createDraftOrder(shopDomain, _accessToken, input) {
+  const n = draftOrders.length + 1001;
+  const draft = { id: `gid://shopify/DraftOrder/${n}`, name: `#D${n}`, shopDomain, input };
+  draftOrders.push(draft);
+  return { id: draft.id, name: draft.name };
+}
+
+export async function deleteDraftOrder(_shopDomain, _accessToken, id) {
+  const index = draftOrders.findIndex((d) => d.id === id);
+  if (index === -1) throw new Error(`Shopify draftOrderDelete: Draft order ${id} does not exist`);
+  draftOrders.splice(index, 1);
+  return { deletedId: id };
+}
+
+/** Draft orders created (and not deleted) so far (for assertions in tests/scripts). */
+export function getDraftOrders() {
+  return [...draftOrders];
+}
+
+export function resetFake() {
+  draftOrders.length = 0;
+}
@@ -0,0 +1,35 @@
+/**
+ * Shopify Admin client dispatcher: routes to the adapter named by SHOPIFY_CLIENT (default "admin").
+ * Use "fake" for local development and tests (no network); setShopifyClient() swaps in any object with the same shape.
+ */
+
+import * as adminAdapter from "./admin.js";
+import * as fakeAdapter from "./fake.js";
+
+const adapters = {
+  admin: adminAdapter,
+  fake: fakeAdapter,
+};
+
+let override = null;
+
+/**
+ * Current client: { graphql(shopDomain, accessToken, query, variables), createDraftOrder(shopDomain, accessToken, input),
+ * deleteDraftOrder(shopDomain, accessToken, id) }.
+ */
+export function getShopifyClient() {
+  if (override) return override;
+  const name = (process.env.SHOPIFY_CLIENT || "admin").toLowerCase();
+  const adapter = adapters[name];
+  if (!adapter) {
+    throw new Error(`Shopify client '${name}' is not supported. Supported: ${Object.keys(adapters).join(", ")}`);
+  }
+  return adapter;
+}
+
+/**
+ * Replace the client (e.g. with a local fake in tests). Pass null to restore env-based selection.
+ */
+export function setShopifyClient(client) {
+  override = client || null;
+}
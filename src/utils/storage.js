@@ -8,8 +8,8 @@
 
 import { createHash } from "crypto";
 import { createReadStream } from "fs";
-import { writeFile, mkdir } from "fs/promises";
-import { join, dirname } from "path";
+import { writeFile, mkdir, readdir, rm } from "fs/promises";
+import { join, dirname, relative, sep } from "path";
 import { existsSync } from "fs";
 
 const R2_ENABLED = process.env.R2_ENABLED === "true";
@@ -190,6 +190,7 @@ export async function getR2Object(key) {
 const EXT_TO_MIME = {
   jpeg: "image/jpeg", jpg: "image/jpeg", png: "image/png", webp: "image/webp", gif: "image/gif",
   mp4: "video/mp4", webm: "video/webm", mov: "video/quicktime",
+  pdf: "application/pdf", html: "text/html; charset=utf-8", zip: "application/zip",
 };
 
 /**
@@ -229,19 +230,95 @@ export async function getStoredImageAsBuffer(imageUrl) {
   if (!imageUrl || typeof imageUrl !== "string") return null;
   const key = urlToStorageKey(imageUrl.trim());
   if (!key) return null;
-  const r2 = await getR2Object(key);
-  if (r2?.body) {
-    const chunks = [];
-    for await (const chunk of r2.body) chunks.push(chunk);
-    return Buffer.concat(chunks);
+  return readStorageObject(key);
+}
+
+/**
+ * Read a stored object (R2, else local) into a Buffer by key.
+ * @param {string} key - Storage key
+ * @returns {Promise<Buffer|null>} - null if the object does not exist
+ */
+export async function readStorageObject(key) {
+  const obj = await getStorageObject(key);
+  if (!obj?.body) return null;
+  const chunks = [];
+  for await (const chunk of obj.body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function listLocalKeys(prefix) {
+  const root = join(STORAGE_PATH, prefix);
+  if (!root.startsWith(STORAGE_PATH) || !existsSync(root)) return [];
+  const keys = [];
+  const walk = async (dir) => {
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+      const path = join(dir, entry.name);
+      if (entry.isDirectory()) await walk(path);
+      else if (entry.isFile()) keys.push(relative(STORAGE_PATH, path).split(sep).join("/"));
+    }
+  };
+  await walk(root);
+  return keys;
+}
+
+/**
+ * List object keys under a prefix (e.g. "wardrobe/{userId}/") in R2 and local storage.
+ * @param {string} prefix - Must end with "/" so "wardrobe/u1" does not match "wardrobe/u10"
+ * @returns {Promise<string[]>}
+ */
+export async function listStorageKeys(prefix) {
+  if (!prefix || typeof prefix !== "string" || !prefix.endsWith("/") || prefix.includes("..")) return [];
+  const keys = new Set(await listLocalKeys(prefix));
+  const client = await getR2Client();
+  if (R2_ENABLED && client) {
+    const { ListObjectsV2Command } = await import("@aws-sdk/client-s3");
+    let ContinuationToken;
+    do {
+      const out = await client.send(
+        new ListObjectsV2Command({ Bucket: R2_BUCKET_NAME, Prefix: prefix, ContinuationToken })
+      );
+      for (const obj of out.Contents ?? []) if (obj.Key) keys.add(obj.Key);
+      ContinuationToken = out.IsTruncated ? out.NextContinuationToken : undefined;
+    } while (ContinuationToken);
   }
-  const local = getLocalObject(key);
-  if (local?.body) {
-    const chunks = [];
-    for await (const chunk of local.body) chunks.push(chunk);
-    return Buffer.concat(chunks);
+  return [...keys];
+}
+
+/**
+ * Delete objects by key from R2 and local storage. Missing objects are ignored.
+ * @param {string[]} keys
+ * @returns {Promise<number>} Keys processed
+ */
+export async function deleteStorageObjects(keys) {
+  const list = [...new Set((keys || []).filter((k) => typeof k === "string" && k && !k.includes("..")))];
+  if (list.length === 0) return 0;
+  const client = await getR2Client();
+  if (R2_ENABLED && client) {
+    const { DeleteObjectsCommand } = await import("@aws-sdk/client-s3");
+    for (let i = 0; i < list.length; i += 1000) {
+      const out = await client.send(
+        new DeleteObjectsCommand({
+          Bucket: R2_BUCKET_NAME,
+          Delete: { Objects: list.slice(i, i + 1000).map((Key) => ({ Key })), Quiet: true },
+        })
+      );
+      if (out.Errors?.length) throw new Error(`R2 delete failed for ${out.Errors.length} object(s): ${out.Errors[0].Message}`);
+    }
   }
-  return null;
+  for (const key of list) await rm(join(STORAGE_PATH, key), { force: true });
+  return list.length;
+}
+
+/**
+ * Delete every object under a prefix (R2 and local), including the local directory.
+ * @returns {Promise<number>} Objects deleted
+ */
+export async function deleteStoragePrefix(prefix) {
+  const keys = await listStorageKeys(prefix);
+  await deleteStorageObjects(keys);
+  const root = join(STORAGE_PATH, prefix);
+  if (root.startsWith(STORAGE_PATH + sep) && existsSync(root)) await rm(root, { recursive: true, force: true });
+  return keys.length;
 }
 
 function normalizeExtension(filename, contentType) {
@@ -256,6 +333,8 @@ function normalizeExtension(filename, contentType) {
       "video/webm": "webm",
       "video/quicktime": "mov",
       "video/x-msvideo": "avi",
+      "application/pdf": "pdf",
+      "text/html": "html",
     };
     const n = mimeToExt[contentType.toLowerCase()];
     if (n) return `.${n}`;
@@ -263,7 +342,7 @@ function normalizeExtension(filename, contentType) {
   const ext = filename.split(".").pop()?.toLowerCase() || "";
   const extMap = {
     jpg: "jpeg", jpeg: "jpeg", png: "png", webp: "webp", gif: "gif",
-    mp4: "mp4", webm: "webm", mov: "mov", avi: "avi",
+    mp4: "mp4", webm: "webm", mov: "mov", avi: "avi", pdf: "pdf", html: "html",
   };
   return extMap[ext] ? `.${extMap[ext]}` : ext ? `.${ext}` : "";
 }
@@ -0,0 +1,186 @@
+/**
+ * Visual (pixel) image embedding for image-to-image product search — unlike embedImage in llm.js, which captions the
+ * image and embeds the caption in text space.
+ * Provider and model from getModelConfig('imageEmbed'); adapters in imageEmbed/ (local colour histogram by default).
+ */
+
+import { lookup } from "node:dns/promises";
+import http from "node:http";
+import https from "node:https";
+import { BlockList, isIP } from "node:net";
+import { getModelConfig } from "../config/modelConfig.js";
+import { getStoredImageAsBuffer } from "./storage.js";
+import { embedWithProvider } from "./imageEmbed/index.js";
+
+/** Must match the DB column Product.visual_embedding_vector vector(512). */
+export const VISUAL_EMBEDDING_DIM = 512;
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const FETCH_TIMEOUT_MS = 15_000;
+const MAX_REDIRECTS = 3;
+
+/**
+ * Addresses an image URL may not point at: loopback, private, link-local (cloud metadata), CGNAT, multicast, and
+ * NAT64 IPv6 forms. BlockList checks IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) against the IPv4 ranges itself; an
+ * ::ffff:0:0/96 entry would match every IPv4 address.
+ */
+const BLOCKED_ADDRESSES = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 127],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(net, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * dns.lookup replacement for the image agents: resolves the host and fails unless every address is public. The socket
+ * connects to the address checked here, so the host cannot be re-resolved (rebound) to a private one in between.
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { all: true, verbatim: true })
+    .then((addresses) => {
+      if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new Error("Image URL host is not allowed");
+      }
+      if (options.all) callback(null, addresses);
+      else callback(null, addresses[0].address, addresses[0].family);
+    })
+    .catch((err) => callback(err));
+}
+
+const IMAGE_AGENTS = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup }),
+};
+
+/** Throws unless the URL is http(s) and, if its host is an IP literal (not looked up), a public one. */
+function assertPublicUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (!IMAGE_AGENTS[protocol]) throw new Error("Image URL must be http(s) or a data: URL");
+  const host = hostname.replace(/^\[|\]$/g, "");
+  if (isIP(host) && isBlockedAddress(host)) throw new Error("Image URL host is not allowed");
+}
+
+/** GET through the image agents; resolves with the response (headers received, body unread). */
+function requestImage(url, signal) {
+  const { protocol } = new URL(url);
+  const client = protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, { agent: IMAGE_AGENTS[protocol], signal }, resolve).on("error", reject);
+  });
+}
+
+/** Response body as a Buffer, aborting past MAX_IMAGE_BYTES. */
+async function readCapped(res) {
+  if (Number(res.headers["content-length"]) > MAX_IMAGE_BYTES) {
+    res.destroy();
+    throw new Error("Image is too large");
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of res) {
+    size += chunk.length;
+    if (size > MAX_IMAGE_BYTES) {
+      res.destroy();
+      throw new Error("Image is too large");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch an external image. Image URLs come from anonymous search requests, so the host (and every redirect target)
+ * must resolve to public addresses only; the check runs in the connection's own lookup (publicLookup).
+ */
+async function fetchExternalImage(url) {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    assertPublicUrl(current);
+    const res = await requestImage(current, signal);
+    if (res.statusCode >= 300 && res.statusCode < 400) {
+      res.resume();
+      const location = res.headers.location;
+      if (!location) throw new Error(`Failed to fetch image: ${res.statusCode}`);
+      current = new URL(location, current).toString();
+      continue;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new Error(`Failed to fetch image: ${res.statusCode}`);
+    }
+    return readCapped(res);
+  }
+  throw new Error("Too many redirects fetching image");
+}
+
+/**
+ * Image bytes from a Buffer, data: URL, our storage (read directly) or a public http(s) URL.
+ * @param {string|Buffer} imageUrlOrBuffer
+ * @returns {Promise<Buffer>}
+ */
+async function loadImage(imageUrlOrBuffer) {
+  if (Buffer.isBuffer(imageUrlOrBuffer)) return imageUrlOrBuffer;
+  const url = typeof imageUrlOrBuffer === "string" ? imageUrlOrBuffer.trim() : "";
+  if (!url) throw new Error("imageUrlOrBuffer must be a URL string or Buffer");
+
+  const dataMatch = url.match(/^data:image\/[\w.+-]+;base64,(.+)$/);
+  if (dataMatch) {
+    const buffer = Buffer.from(dataMatch[1], "base64");
+    if (buffer.length > MAX_IMAGE_BYTES) throw new Error("Image is too large");
+    return buffer;
+  }
+  const stored = await getStoredImageAsBuffer(url);
+  if (stored) return stored;
+  return fetchExternalImage(url);
+}
+
+/**
+ * Embed an image's pixels. Vectors from different models are not comparable, so store `model` with the vector.
+ * @param {string|Buffer} imageUrlOrBuffer - Public image URL, data URL or buffer
+ * @param {{ provider?: string, model?: string }} options - per-call overrides
+ * @returns {Promise<{ vector: number[], model: string }>} model is "provider:model"
+ */
+export async function embedImageVisual(imageUrlOrBuffer, options = {}) {
+  const config = await getModelConfig("imageEmbed", { provider: options.provider, model: options.model });
+  if (!config) throw new Error("No model config for scope imageEmbed");
+  const buffer = await loadImage(imageUrlOrBuffer);
+  const vector = await embedWithProvider(config.provider, config.model, buffer);
+  if (vector.length !== VISUAL_EMBEDDING_DIM || vector.some((v) => !Number.isFinite(v))) {
+    throw new Error(
+      `Image embedding from ${config.provider}:${config.model} has ${vector.length} dimensions; expected ${VISUAL_EMBEDDING_DIM}`
+    );
+  }
+  return { vector, model: `${config.provider}:${config.model}` };
+}
+
+/**
+ * Model id ("provider:model") that embedImageVisual would use now; compared with Product.visualEmbeddingModel to find
+ * stale vectors.
+ */
+export async function getVisualEmbeddingModel() {
+  const config = await getModelConfig("imageEmbed");
+  return config ? `${config.provider}:${config.model}` : null;
+}
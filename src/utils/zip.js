@@ -0,0 +1,102 @@
+/**
+ * Minimal ZIP writer (data exports): deflated entries, no encryption, no ZIP64 (archive and entries under 4 GB).
+ *
+ *   const zip = new SimpleZip();
+ *   zip.add("profile.json", JSON.stringify(profile, null, 2));
+ *   zip.add("images/photo.jpeg", buffer);
+ *   const buffer = zip.toBuffer();
+ */
+import { deflateRawSync } from "zlib";
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** MS-DOS time and date fields. */
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export class SimpleZip {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * @param {string} name - Path inside the archive ("/" separated)
+   * @param {Buffer|string} data
+   */
+  add(name, data, date = new Date()) {
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+    const deflated = deflateRawSync(raw);
+    const stored = deflated.length >= raw.length;
+    this.entries.push({
+      name: Buffer.from(String(name).replace(/^\/+/, ""), "utf8"),
+      data: stored ? raw : deflated,
+      method: stored ? 0 : 8,
+      crc: crc32(raw),
+      size: raw.length,
+      ...dosDateTime(date),
+    });
+    return this;
+  }
+
+  /** @returns {Buffer} */
+  toBuffer() {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    for (const e of this.entries) {
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);
+      local.writeUInt16LE(0x0800, 6); // UTF-8 names
+      local.writeUInt16LE(e.method, 8);
+      local.writeUInt16LE(e.time, 10);
+      local.writeUInt16LE(e.day, 12);
+      local.writeUInt32LE(e.crc, 14);
+      local.writeUInt32LE(e.data.length, 18);
+      local.writeUInt32LE(e.size, 22);
+      local.writeUInt16LE(e.name.length, 26);
+      parts.push(local, e.name, e.data);
+
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(e.method, 10);
+      header.writeUInt16LE(e.time, 12);
+      header.writeUInt16LE(e.day, 14);
+      header.writeUInt32LE(e.crc, 16);
+      header.writeUInt32LE(e.data.length, 20);
+      header.writeUInt32LE(e.size, 24);
+      header.writeUInt16LE(e.name.length, 28);
+      header.writeUInt32LE(offset, 42);
+      central.push(header, e.name);
+      offset += local.length + e.name.length + e.data.length;
+    }
+    const centralSize = central.reduce((n, b) => n + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, ...central, end]);
+  }
+}
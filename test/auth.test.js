@@ -0,0 +1,82 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import {
+  createAccessToken,
+  createImpersonationToken,
+  createStorageAccessToken,
+  verifyStorageAccessToken,
+  verifyToken,
+  getUserForToken,
+} from "../src/domain/user/auth.js";
+
+const hour = 60 * 60 * 1000;
+const user = { id: "u1", role: "user", isActive: true, tokenVersion: 2, brandAdmins: [], emailVerified: true };
+let db;
+
+beforeEach(() => {
+  db = installFakePrisma(
+    createFakePrisma({
+      user: [{ ...user }],
+      marketplaceSession: [
+        { id: "s1", familyId: "fam1", userId: "u1", revokedAt: null, expiresAt: new Date(Date.now() + hour) },
+      ],
+      impersonationGrant: [
+        { id: "g1", userId: "u1", adminId: "admin1", revokedAt: null, expiresAt: new Date(Date.now() + hour) },
+      ],
+    })
+  );
+});
+
+test("access tokens verify and resolve to the user while their session is live", async () => {
+  const { token, expiresIn } = createAccessToken(user, "fam1");
+  assert.ok(expiresIn > 0);
+  const payload = verifyToken(token);
+  assert.equal(payload.userId, "u1");
+  assert.equal((await getUserForToken(payload)).id, "u1");
+
+  db.marketplaceSession.rows[0].revokedAt = new Date();
+  assert.equal(await getUserForToken(payload), null, "logged-out session");
+});
+
+test("tokens from before a password change or without a session are refused", async () => {
+  const payload = verifyToken(createAccessToken(user, "fam1").token);
+  db.user.rows[0].tokenVersion = 3;
+  assert.equal(await getUserForToken(payload), null);
+  assert.equal(await getUserForToken({ userId: "u1", tv: 3 }), null, "no sid or imp: not revocable, not accepted");
+});
+
+test("inactive users are refused", async () => {
+  const payload = verifyToken(createAccessToken(user, "fam1").token);
+  db.user.rows[0].isActive = false;
+  assert.equal(await getUserForToken(payload), null);
+});
+
+test("impersonation tokens need a live grant", async () => {
+  const grant = db.impersonationGrant.rows[0];
+  const payload = verifyToken(createImpersonationToken(user, grant).token);
+  const sessionUser = await getUserForToken(payload);
+  assert.equal(sessionUser.impersonatedBy, "admin1");
+  assert.equal(sessionUser.impersonationId, "g1");
+  grant.revokedAt = new Date();
+  assert.equal(await getUserForToken(payload), null);
+});
+
+test("storage tokens are not bearer tokens and access tokens are not storage tokens", () => {
+  const storage = createStorageAccessToken("u1", "g1");
+  assert.equal(verifyToken(storage), null);
+  const payload = verifyStorageAccessToken(storage);
+  assert.equal(payload.userId, "u1");
+  assert.equal(payload.imp, "g1");
+  assert.equal(verifyStorageAccessToken(createAccessToken(user, "fam1").token), null);
+});
+
+test("tampered, foreign and expired tokens are rejected", () => {
+  const { token } = createAccessToken(user, "fam1");
+  assert.equal(verifyToken(`${token.slice(0, -2)}xx`), null);
+  assert.equal(verifyToken(jwt.sign({ userId: "u1", sid: "fam1" }, "another-secret")), null);
+  const expired = jwt.sign({ userId: "u1", sid: "fam1", exp: Math.floor(Date.now() / 1000) - 10 }, "unused");
+  assert.equal(verifyToken(expired), null);
+  assert.equal(verifyToken("not-a-jwt"), null);
+});
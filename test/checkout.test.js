@@ -0,0 +1,111 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import { checkout, OrderError } from "../src/domain/order/order.js";
+
+const USER = "user-1";
+const shippingAddress = {
+  name: "Asha Rao",
+  phone: "98765 43210",
+  line1: "12 MG Road",
+  city: "Mumbai",
+  state: "Maharashtra",
+  pinCode: "400001",
+};
+
+function product(id, brandId, price, variantId) {
+  return {
+    id,
+    title: `Product ${id}`,
+    brandId,
+    status: "active",
+    images: [],
+    variants: [{ id: variantId, price, compareAtPrice: null, weightGrams: 500 }],
+  };
+}
+
+let db;
+beforeEach(() => {
+  db = installFakePrisma(
+    createFakePrisma({
+      user: [{ id: USER, email: "asha@example.com", firstName: "Asha", lastName: "Rao", phone: null }],
+      address: [],
+      brand: [
+        { id: "b1", name: "Loom", taxRate: 0, shopDomain: "loom.myshopify.com" },
+        { id: "b2", name: "Weave", taxRate: 0, shopDomain: "weave.myshopify.com" },
+      ],
+      productVariant: [
+        { id: "v1", inventoryQuantity: 5, inventoryTracked: true },
+        { id: "v2", inventoryQuantity: 1, inventoryTracked: true },
+      ],
+      cartItem: [
+        { id: "c1", userId: USER, variantId: "v1", quantity: 2, unitPrice: "500.00", product: product("p1", "b1", "500.00", "v1") },
+        { id: "c2", userId: USER, variantId: "v2", quantity: 1, unitPrice: "800.00", product: product("p2", "b2", "800.00", "v2") },
+      ],
+      cartCoupon: [],
+      shippingRule: [
+        { brandId: "b1", flatRate: "0.00", tiers: null, freeAbove: null, codAvailable: true, codFee: "0.00" },
+        { brandId: "b2", flatRate: "0.00", tiers: null, freeAbove: null, codAvailable: false, codFee: "0.00" },
+      ],
+      serviceablePinCode: [],
+    })
+  );
+});
+
+test("checkout creates the order, one sub-order per brand, stock holds, and empties the cart", async () => {
+  const order = await checkout(USER, { shippingAddress, paymentMethod: "UPI" });
+  assert.equal(order.status, "pending");
+  assert.equal(order.paymentStatus, "pending");
+  assert.equal(order.paymentMethod, "upi");
+  assert.equal(order.subtotal, "1800.00");
+  assert.equal(order.total, "1800.00");
+  assert.equal(JSON.parse(order.shippingAddress).phone, "+919876543210");
+
+  const subOrders = db.order.rows.filter((o) => o.parentOrderId === order.id);
+  assert.deepEqual(subOrders.map((o) => [o.brandId, o.total]), [["b1", "1000.00"], ["b2", "800.00"]]);
+  assert.deepEqual(
+    db.orderItem.rows.map((i) => [i.orderId, i.variantId, i.quantity]),
+    [[order.id, "v1", 2], [order.id, "v2", 1]]
+  );
+  assert.deepEqual(
+    db.inventoryReservation.rows.map((r) => [r.orderId, r.variantId, r.quantity]),
+    [[order.id, "v1", 2], [order.id, "v2", 1]]
+  );
+  assert.equal(db.cartItem.rows.length, 0);
+});
+
+test("checkout of selected lines leaves the rest of the cart", async () => {
+  await checkout(USER, { shippingAddress, cartItemIds: ["c2"] });
+  assert.deepEqual(db.cartItem.rows.map((c) => c.id), ["c1"]);
+  assert.equal(db.order.rows.filter((o) => o.parentOrderId).length, 1);
+});
+
+test("checkout rejects an unsupported payment method before touching the cart", async () => {
+  await assert.rejects(checkout(USER, { shippingAddress, paymentMethod: "barter" }), (err) => {
+    assert.ok(err instanceof OrderError);
+    assert.equal(err.code, "invalid_payment_method");
+    assert.equal(err.statusCode, 400);
+    return true;
+  });
+  assert.equal(db.order.rows.length, 0);
+  assert.equal(db.cartItem.rows.length, 2);
+});
+
+test("checkout needs a shipping address and a non-empty cart", async () => {
+  await assert.rejects(checkout(USER, {}), { code: "address_required" });
+  await assert.rejects(checkout(USER, { shippingAddress: { ...shippingAddress, pinCode: "12" } }), {
+    code: "invalid_pin_code",
+  });
+  db.cartItem.rows.length = 0;
+  await assert.rejects(checkout(USER, { shippingAddress }), { code: "cart_empty" });
+});
+
+test("checkout refuses COD when a brand does not offer it, and stock it cannot hold", async () => {
+  await assert.rejects(checkout(USER, { shippingAddress, paymentMethod: "cod" }), (err) => {
+    assert.equal(err.code, "cod_unavailable");
+    assert.deepEqual(err.details.brandIds, ["b2"]);
+    return true;
+  });
+  db.productVariant.rows[1].inventoryQuantity = 0;
+  await assert.rejects(checkout(USER, { shippingAddress }), { name: "InventoryError", code: "insufficient_stock" });
+});
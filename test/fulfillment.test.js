@@ -0,0 +1,116 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import * as fakeShopify from "../src/utils/shopify/fake.js";
+import { setShopifyClient } from "../src/utils/shopify/index.js";
+import { pushSubOrderToShopify, pushOrderToShopify } from "../src/domain/order/fulfillment.js";
+
+let db;
+
+const item = (id, variantId, fields) => ({
+  id,
+  orderId: "o1",
+  brandId: "b1",
+  variantId,
+  quantity: 1,
+  status: "confirmed",
+  productTitle: "Kurta",
+  variantTitle: null,
+  ...fields,
+});
+
+beforeEach(() => {
+  fakeShopify.resetFake();
+  setShopifyClient(fakeShopify);
+  db = installFakePrisma(
+    createFakePrisma({
+      order: [
+        { id: "o1", parentOrderId: null, status: "confirmed", paymentStatus: "captured", couponCode: "FESTIVE10" },
+        {
+          id: "s1",
+          parentOrderId: "o1",
+          brandId: "b1",
+          orderNumber: "HNG-1-1",
+          status: "confirmed",
+          shipping: "49.00",
+          currency: "INR",
+          customerEmail: "asha@example.com",
+          shippingAddress: JSON.stringify({ name: "Asha Rao", line1: "12 MG Road", city: "Mumbai", pinCode: "400001" }),
+          shopifyOrderId: null,
+          shopifyPushStartedAt: null,
+          metadata: null,
+        },
+      ],
+      brand: [{ id: "b1", shopDomain: "b1.myshopify.com", shopifyWriteEnabled: true }],
+      brandShopifyCredential: [{ brandId: "b1", accessToken: "token" }],
+      orderItem: [
+        item("i1", "v1", { quantity: 2, unitPrice: "500.00", discount: "100.00" }),
+        item("i2", "v2", { unitPrice: "300.00", discount: "30.00", status: "cancelled" }),
+        item("i3", "v3", { unitPrice: "250.00", discount: "25.00", productTitle: "Scarf" }),
+      ],
+      productVariant: [
+        { id: "v1", sourceVariantId: "4401" },
+        { id: "v2", sourceVariantId: "4402" },
+        { id: "v3", sourceVariantId: "var-0" },
+      ],
+    })
+  );
+});
+
+after(() => setShopifyClient(null));
+
+const subOrder = () => db.order.rows.find((o) => o.id === "s1");
+
+test("the draft carries the live lines at the price paid, the coupon discount and shipping", async () => {
+  const result = await pushSubOrderToShopify("s1");
+  assert.equal(result.pushed, true);
+  const [draft] = fakeShopify.getDraftOrders();
+  assert.equal(draft.shopDomain, "b1.myshopify.com");
+  assert.deepEqual(draft.input.lineItems, [
+    {
+      variantId: "gid://shopify/ProductVariant/4401",
+      quantity: 2,
+      priceOverride: { amount: "500.00", currencyCode: "INR" },
+    },
+    { title: "Scarf", originalUnitPrice: "250.00", quantity: 1 },
+  ]);
+  assert.deepEqual(draft.input.appliedDiscount, { title: "FESTIVE10", value: 125, valueType: "FIXED_AMOUNT" });
+  assert.deepEqual(draft.input.shippingLine, { title: "Shipping", price: "49.00" });
+  assert.equal(subOrder().shopifyOrderId, draft.id);
+  assert.equal(subOrder().shopifyPushStartedAt, null);
+});
+
+test("concurrent pushes of one sub-order create a single draft", async () => {
+  const results = await Promise.all([
+    pushSubOrderToShopify("s1"),
+    pushSubOrderToShopify("s1"),
+    pushOrderToShopify("o1"),
+  ]);
+  assert.equal(fakeShopify.getDraftOrders().length, 1);
+  assert.equal(results.flat().filter((r) => r.pushed).length, 1);
+  assert.deepEqual((await pushSubOrderToShopify("s1")).reason, "already_pushed");
+});
+
+test("a failed push releases its claim so the next attempt can retry; stale claims are taken over", async () => {
+  setShopifyClient({
+    async createDraftOrder() {
+      throw new Error("store unreachable");
+    },
+  });
+  const [failed] = await pushOrderToShopify("o1");
+  assert.equal(failed.error, "store unreachable");
+  assert.equal(subOrder().shopifyPushStartedAt, null);
+  assert.equal(JSON.parse(subOrder().metadata).shopifyError, "store unreachable");
+
+  setShopifyClient(fakeShopify);
+  subOrder().shopifyPushStartedAt = new Date();
+  assert.equal((await pushSubOrderToShopify("s1")).reason, "push_in_progress");
+  subOrder().shopifyPushStartedAt = new Date(Date.now() - 60 * 60 * 1000);
+  assert.equal((await pushSubOrderToShopify("s1")).pushed, true);
+});
+
+test("nothing is pushed for a cancelled order", async () => {
+  db.order.rows[0].status = "cancelled";
+  assert.equal((await pushSubOrderToShopify("s1")).reason, "not_paid");
+  assert.equal(fakeShopify.getDraftOrders().length, 0);
+});
@@ -0,0 +1,180 @@
+/**
+ * In-memory stand-in for the Prisma client, covering only the calls the tested domain modules make
+ * (findMany / findFirst / findUnique / count / groupBy with _sum / createMany / create / update / updateMany /
+ * delete / deleteMany, $queryRaw as a no-op lock, $transaction with a callback). Only the relations in RELATIONS and
+ * BELONGS_TO can be included (and the former created nested); select and orderBy are ignored, so rows come back whole,
+ * in insertion order. installFakePrisma swaps it in behind getPrisma().
+ */
+import { randomUUID } from "node:crypto";
+import { getPrisma } from "../../src/core/db.js";
+
+function isOperator(cond) {
+  return cond !== null && typeof cond === "object" && !(cond instanceof Date) && !Array.isArray(cond);
+}
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  return a === b;
+}
+
+function matchesField(value, cond) {
+  if (!isOperator(cond)) return same(value ?? null, cond);
+  if (cond.mode === "insensitive") {
+    const { mode: _mode, ...rest } = cond;
+    const lower = (v) => (typeof v === "string" ? v.toLowerCase() : Array.isArray(v) ? v.map(lower) : v);
+    return matchesField(lower(value), Object.fromEntries(Object.entries(rest).map(([op, arg]) => [op, lower(arg)])));
+  }
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case "equals":
+        return same(value ?? null, arg);
+      case "in":
+        return arg.some((a) => same(value, a));
+      case "notIn":
+        return !arg.some((a) => same(value, a));
+      case "not":
+        return isOperator(arg) ? !matchesField(value, arg) : !same(value ?? null, arg);
+      case "gt":
+        return value != null && value > arg;
+      case "gte":
+        return value != null && value >= arg;
+      case "lt":
+        return value != null && value < arg;
+      case "lte":
+        return value != null && value <= arg;
+      default:
+        throw new Error(`fakePrisma: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, cond]) => {
+    if (key === "OR") return cond.some((w) => matches(row, w));
+    if (key === "AND") return cond.every((w) => matches(row, w));
+    if (key.includes("_") && !(key in row) && isOperator(cond)) return matches(row, cond); // compound unique key
+    return matchesField(row[key], cond);
+  });
+}
+
+function applyData(row, data) {
+  for (const [key, value] of Object.entries(data)) {
+    if (isOperator(value) && "decrement" in value) row[key] -= value.decrement;
+    else if (isOperator(value) && "increment" in value) row[key] += value.increment;
+    else row[key] = value;
+  }
+  return row;
+}
+
+/** One-to-many relations per model: field → [child model, foreign key on the child]. */
+const RELATIONS = { order: { items: ["orderItem", "orderId"], subOrders: ["order", "parentOrderId"] } };
+
+/** Many-to-one relations per model: field → [parent model, foreign key on this model]. */
+const BELONGS_TO = { order: { parentOrder: ["order", "parentOrderId"], brand: ["brand", "brandId"] } };
+
+function model(name, rows, db) {
+  const load = async (row, include) => {
+    if (!row) return null;
+    const copy = { ...row };
+    for (const [field, [target, fk]] of Object.entries(RELATIONS[name] ?? {})) {
+      if (include?.[field]) copy[field] = await db[target].findMany({ where: { [fk]: row.id } });
+    }
+    for (const [field, [target, fk]] of Object.entries(BELONGS_TO[name] ?? {})) {
+      if (include?.[field]) copy[field] = row[fk] == null ? null : await db[target].findFirst({ where: { id: row[fk] } });
+    }
+    return copy;
+  };
+  return {
+    rows,
+    async findMany({ where, include } = {}) {
+      return Promise.all(rows.filter((r) => matches(r, where)).map((r) => load(r, include)));
+    },
+    async findFirst({ where, include } = {}) {
+      return load(rows.find((r) => matches(r, where)), include);
+    },
+    async findUnique({ where, include } = {}) {
+      return load(rows.find((r) => matches(r, where)), include);
+    },
+    async count({ where } = {}) {
+      return rows.filter((r) => matches(r, where)).length;
+    },
+    async groupBy({ by, where, _sum }) {
+      const groups = new Map();
+      for (const r of rows.filter((row) => matches(row, where))) {
+        const key = by.map((k) => r[k]).join("\u0000");
+        const group = groups.get(key) ?? { ...Object.fromEntries(by.map((k) => [k, r[k]])), _sum: {} };
+        for (const field of Object.keys(_sum ?? {})) group._sum[field] = (group._sum[field] ?? 0) + r[field];
+        groups.set(key, group);
+      }
+      return [...groups.values()];
+    },
+    async create({ data }) {
+      const row = { id: randomUUID(), createdAt: new Date(), ...data };
+      for (const [field, [target, fk]] of Object.entries(RELATIONS[name] ?? {})) {
+        if (!data[field]?.create) continue;
+        delete row[field];
+        for (const child of [].concat(data[field].create)) await db[target].create({ data: { ...child, [fk]: row.id } });
+      }
+      rows.push(row);
+      return { ...row };
+    },
+    async createMany({ data }) {
+      for (const d of data) rows.push({ id: randomUUID(), status: "active", ...d });
+      return { count: data.length };
+    },
+    async update({ where, data }) {
+      const row = rows.find((r) => matches(r, where));
+      if (!row) throw new Error("fakePrisma: record to update not found");
+      return { ...applyData(row, data) };
+    },
+    async updateMany({ where, data }) {
+      const hit = rows.filter((r) => matches(r, where));
+      for (const row of hit) applyData(row, data);
+      return { count: hit.length };
+    },
+    async delete({ where }) {
+      const index = rows.findIndex((r) => matches(r, where));
+      if (index === -1) throw new Error("fakePrisma: record to delete not found");
+      return rows.splice(index, 1)[0];
+    },
+    async deleteMany({ where } = {}) {
+      const keep = rows.filter((r) => !matches(r, where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    },
+  };
+}
+
+/**
+ * @param {Record<string, Object[]>} tables - Initial rows per model, e.g. { productVariant: [...] }
+ * @returns {Object} Fake client; each model exposes its live rows as `.rows`
+ */
+export function createFakePrisma(tables = {}) {
+  const db = {
+    async $queryRaw() {
+      return [];
+    },
+    async $executeRaw() {
+      return 0;
+    },
+    async $transaction(fn) {
+      return fn(db);
+    },
+  };
+  const names = [
+    "user", "marketplaceSession", "impersonationGrant", "productVariant", "inventoryReservation", "order", "orderItem",
+    "orderStatusHistory",
+  ];
+  for (const name of new Set([...names, ...Object.keys(tables)])) db[name] = model(name, tables[name] ?? [], db);
+  return db;
+}
+
+/**
+ * Point getPrisma() at a fake client. The singleton is created once (no connection is opened until a query runs,
+ * and the fake replaces every method the code under test calls).
+ */
+export function installFakePrisma(fake) {
+  process.env.DATABASE_URL ||= "postgresql://test@localhost/test";
+  return Object.assign(getPrisma(), fake);
+}
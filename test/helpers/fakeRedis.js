@@ -0,0 +1,55 @@
+/**
+ * In-memory stand-in for the ioredis client, covering the string commands login throttling uses
+ * (get / set with PX / incr / pexpire / pttl / del); keys expire against Date.now(). installFakeRedis swaps it in
+ * behind getRedisClient().
+ */
+import { getRedisClient } from "../../src/utils/queue.js";
+
+export function createFakeRedis() {
+  const store = new Map();
+  const live = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt != null && entry.expiresAt <= Date.now()) store.delete(key);
+    return store.get(key);
+  };
+  return {
+    store,
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, mode, ms) {
+      store.set(key, { value: String(value), expiresAt: mode === "PX" ? Date.now() + ms : null });
+      return "OK";
+    },
+    async incr(key) {
+      const entry = live(key) ?? { value: "0", expiresAt: null };
+      entry.value = String(Number(entry.value) + 1);
+      store.set(key, entry);
+      return Number(entry.value);
+    },
+    async pexpire(key, ms) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + ms;
+      return 1;
+    },
+    async pttl(key) {
+      const entry = live(key);
+      if (!entry) return -2;
+      return entry.expiresAt == null ? -1 : entry.expiresAt - Date.now();
+    },
+    async del(...keys) {
+      return keys.filter((key) => live(key) && store.delete(key)).length;
+    },
+  };
+}
+
+/**
+ * Point getRedisClient() at a fake. The real client is disconnected before it ever connects, so tests need no
+ * Redis and the process can exit.
+ */
+export function installFakeRedis(fake) {
+  const client = getRedisClient();
+  client.disconnect();
+  return Object.assign(client, fake);
+}
@@ -0,0 +1,78 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import {
+  InventoryError,
+  getAvailability,
+  reserveForOrder,
+  commitReservations,
+  releaseReservations,
+  expireReservations,
+} from "../src/domain/inventory/inventory.js";
+
+let db;
+
+beforeEach(() => {
+  db = installFakePrisma(
+    createFakePrisma({
+      productVariant: [
+        { id: "v1", inventoryQuantity: 5, inventoryTracked: true },
+        { id: "v2", inventoryQuantity: 0, inventoryTracked: false },
+      ],
+    })
+  );
+});
+
+const available = async (id) => (await getAvailability([id], db)).get(id).available;
+
+test("reserving holds units until the order is paid", async () => {
+  const expiresAt = await reserveForOrder(db, "o1", [{ variantId: "v1", quantity: 2 }, { variantId: "v2", quantity: 9 }]);
+  assert.ok(expiresAt > new Date());
+  assert.equal(await available("v1"), 3);
+  assert.equal(await available("v2"), Infinity);
+  assert.equal(db.inventoryReservation.rows.length, 1, "untracked variants are not reserved");
+});
+
+test("reserving more than is available rolls the checkout back", async () => {
+  await reserveForOrder(db, "o1", [{ variantId: "v1", quantity: 4 }]);
+  await assert.rejects(
+    reserveForOrder(db, "o2", [{ variantId: "v1", quantity: 1, productTitle: "Tee" }, { variantId: "v1", quantity: 1 }]),
+    (err) => err instanceof InventoryError && err.details.available === 1 && /Only 1 of "Tee"/.test(err.message)
+  );
+});
+
+test("committing turns held units into sold units", async () => {
+  await reserveForOrder(db, "o1", [{ variantId: "v1", quantity: 2 }]);
+  assert.equal(await commitReservations("o1"), 1);
+  const variant = db.productVariant.rows.find((v) => v.id === "v1");
+  assert.equal(variant.inventoryQuantity, 3);
+  assert.equal(await available("v1"), 3);
+  assert.equal(await commitReservations("o1"), 0, "a second commit is a no-op");
+  assert.equal(variant.inventoryQuantity, 3);
+});
+
+test("releasing gives the units back", async () => {
+  await reserveForOrder(db, "o1", [{ variantId: "v1", quantity: 5 }]);
+  assert.equal(await available("v1"), 0);
+  assert.equal(await releaseReservations("o1", db), 1);
+  assert.equal(await available("v1"), 5);
+  assert.equal(await commitReservations("o1"), 0, "released holds are never committed");
+});
+
+test("lapsed holds stop counting and are committed only if the stock is still there", async () => {
+  await reserveForOrder(db, "o1", [{ variantId: "v1", quantity: 3 }]);
+  const [hold] = db.inventoryReservation.rows;
+  hold.expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await available("v1"), 5);
+  assert.equal(await expireReservations(), 1);
+  assert.equal(hold.status, "expired");
+
+  await reserveForOrder(db, "o2", [{ variantId: "v1", quantity: 4 }]);
+  assert.equal(await commitReservations("o1"), 0, "only 1 unit left for the lapsed hold of 3");
+  assert.equal(hold.status, "expired");
+
+  await releaseReservations("o2", db);
+  assert.equal(await commitReservations("o1"), 1);
+  assert.equal(hold.status, "committed");
+  assert.equal(db.productVariant.rows.find((v) => v.id === "v1").inventoryQuantity, 2);
+});
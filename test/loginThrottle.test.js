@@ -0,0 +1,65 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import { createFakeRedis, installFakeRedis } from "./helpers/fakeRedis.js";
+import {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockLogin,
+  getLoginLockStatus,
+} from "../src/domain/user/loginThrottle.js";
+
+beforeEach(() => {
+  installFakePrisma(createFakePrisma({ user: [{ id: "u1", email: "asha@example.com", username: "asha" }] }));
+  installFakeRedis(createFakeRedis());
+});
+
+async function fail(identifier, times, ip = "10.0.0.1") {
+  let result;
+  for (let i = 0; i < times; i++) result = await recordLoginFailure(identifier, ip);
+  return result;
+}
+
+test("the first two failures are free; later ones make the next attempt wait", async () => {
+  assert.equal((await fail("asha", 2)).retryAfter, 0);
+  await assertLoginAllowed("asha", "10.0.0.1");
+  assert.deepEqual(await recordLoginFailure("asha", "10.0.0.1"), { failures: 3, locked: false, retryAfter: 1 });
+  await assert.rejects(assertLoginAllowed("asha", "10.0.0.2"), { code: "too_many_attempts", statusCode: 429 });
+});
+
+test("an account's email, its username and any casing share one failure budget", async () => {
+  await fail("asha", 2, "10.0.0.1");
+  await fail("ASHA@example.com", 2, "10.0.0.2");
+  const locked = await recordLoginFailure(" asha@Example.com ", "10.0.0.3");
+  assert.equal(locked.locked, true);
+  await assert.rejects(assertLoginAllowed("asha", "10.0.0.4"), (err) => {
+    assert.equal(err.code, "account_locked");
+    assert.ok(err.details.retryAfter > 0);
+    return true;
+  });
+  await assert.rejects(assertLoginAllowed("asha@example.com", "10.0.0.4"), { code: "account_locked" });
+  assert.equal((await getLoginLockStatus("u1")).locked, true);
+});
+
+test("identifiers without an account are counted as typed, case-insensitively", async () => {
+  await fail("Nobody@example.com", 4);
+  assert.equal((await recordLoginFailure("nobody@EXAMPLE.com", "10.0.0.9")).locked, true);
+  await assert.rejects(assertLoginAllowed("NOBODY@example.com", "10.0.0.9"), { code: "account_locked" });
+  await assertLoginAllowed("asha", "10.0.0.9");
+});
+
+test("a successful sign-in clears the account's failures whichever identifier was used", async () => {
+  await fail("asha@example.com", 2);
+  await recordLoginSuccess("asha");
+  assert.equal((await getLoginLockStatus("u1")).failures, 0);
+  assert.equal((await recordLoginFailure("asha", "10.0.0.1")).failures, 1);
+});
+
+test("admins unlock the account by user id", async () => {
+  await fail("asha", 5);
+  assert.equal((await getLoginLockStatus("u1")).locked, true);
+  assert.equal(await unlockLogin({ userId: "u1" }), 1);
+  await assertLoginAllowed("asha@example.com", "10.0.0.1");
+  assert.deepEqual(await getLoginLockStatus("u1"), { locked: false, lockedForSeconds: 0, failures: 0 });
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toMinorUnits, formatMinorUnits } from "../src/core/helpers.js";
+
+test("toMinorUnits parses money strings without float drift", () => {
+  assert.equal(toMinorUnits("1,299.99"), 129999);
+  assert.equal(toMinorUnits("0.1"), 10);
+  assert.equal(toMinorUnits(19.99), 1999);
+  assert.equal(toMinorUnits(" 5 "), 500);
+  assert.equal(toMinorUnits(null), 0);
+  assert.equal(toMinorUnits("abc"), 0);
+});
+
+test("formatMinorUnits renders the money column shape", () => {
+  assert.equal(formatMinorUnits(129999), "1299.99");
+  assert.equal(formatMinorUnits(5), "0.05");
+  assert.equal(formatMinorUnits(-250), "-2.50");
+  assert.equal(formatMinorUnits(undefined), "0.00");
+  assert.equal(formatMinorUnits(toMinorUnits("42.10")), "42.10");
+});
@@ -0,0 +1,109 @@
+import { test, beforeEach, after } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import * as fakeShopify from "../src/utils/shopify/fake.js";
+import { setShopifyClient } from "../src/utils/shopify/index.js";
+import { canTransition, cancelOrder, transitionOrder } from "../src/domain/order/orderStatus.js";
+
+let db;
+let draftId;
+
+/** Order o1 of user u1: two brands, one line each; b1's sub-order was sent to Shopify. */
+async function setup(opts = {}) {
+  const { status = "pending", paymentStatus = "pending", paymentMethod = null, reservation = "active" } = opts;
+  fakeShopify.resetFake();
+  draftId = (await fakeShopify.createDraftOrder("b1.myshopify.com", "token", { lineItems: [] })).id;
+  const expiresAt = new Date(Date.now() + 60_000);
+  db = installFakePrisma(
+    createFakePrisma({
+      order: [
+        { id: "o1", userId: "u1", parentOrderId: null, status, paymentStatus, paymentMethod, metadata: null },
+        {
+          id: "s1",
+          parentOrderId: "o1",
+          brandId: "b1",
+          status,
+          paymentStatus,
+          shopDomain: "b1.myshopify.com",
+          shopifyOrderId: status === "pending" ? null : draftId,
+        },
+        { id: "s2", parentOrderId: "o1", brandId: "b2", status, paymentStatus, shopifyOrderId: null },
+      ],
+      orderItem: [
+        { id: "i1", orderId: "o1", brandId: "b1", variantId: "v1", quantity: 2, status },
+        { id: "i2", orderId: "o1", brandId: "b2", variantId: "v2", quantity: 1, status },
+      ],
+      productVariant: [
+        { id: "v1", inventoryQuantity: reservation === "committed" ? 3 : 5, inventoryTracked: true },
+        { id: "v2", inventoryQuantity: reservation === "committed" ? 0 : 1, inventoryTracked: true },
+      ],
+      inventoryReservation: [
+        { id: "r1", orderId: "o1", variantId: "v1", quantity: 2, status: reservation, expiresAt },
+        { id: "r2", orderId: "o1", variantId: "v2", quantity: 1, status: reservation, expiresAt },
+      ],
+      brandShopifyCredential: [{ brandId: "b1", accessToken: "token" }],
+      couponRedemption: [],
+    })
+  );
+}
+
+beforeEach(() => setShopifyClient(fakeShopify));
+after(() => setShopifyClient(null));
+
+const row = (model, id) => db[model].rows.find((r) => r.id === id);
+
+test("the state machine only moves along the fulfilment and return paths", () => {
+  assert.equal(canTransition("pending", "confirmed"), true);
+  assert.equal(canTransition("packed", "cancelled"), true);
+  assert.equal(canTransition("shipped", "cancelled"), false);
+  assert.equal(canTransition("delivered", "return_requested"), true);
+  assert.equal(canTransition("cancelled", "refunded"), true);
+  assert.equal(canTransition("refunded", "pending"), false);
+  assert.equal(canTransition("nope", "confirmed"), false);
+});
+
+test("cancelling an unpaid order cascades to items and sub-orders and releases its holds", async () => {
+  await setup();
+  const order = await cancelOrder("o1", "u1", "changed my mind");
+  assert.equal(order.status, "cancelled");
+  assert.equal(order.paymentStatus, "pending");
+  assert.deepEqual(JSON.parse(order.metadata), { cancellationReason: "changed my mind" });
+  assert.deepEqual(["s1", "s2"].map((id) => row("order", id).status), ["cancelled", "cancelled"]);
+  assert.deepEqual(["i1", "i2"].map((id) => row("orderItem", id).status), ["cancelled", "cancelled"]);
+  assert.deepEqual(db.inventoryReservation.rows.map((r) => r.status), ["released", "released"]);
+  assert.deepEqual(db.productVariant.rows.map((v) => v.inventoryQuantity), [5, 1]);
+  assert.equal(db.orderStatusHistory.rows.filter((h) => h.actorType === "user").length, 5);
+});
+
+test("cancelling a paid order restocks it, owes a refund and withdraws its Shopify drafts", async () => {
+  await setup({ status: "confirmed", paymentStatus: "captured", reservation: "committed" });
+  const order = await cancelOrder("o1", "u1");
+  assert.equal(order.status, "cancelled");
+  assert.deepEqual(db.order.rows.map((o) => o.paymentStatus), ["refund_pending", "refund_pending", "refund_pending"]);
+  assert.deepEqual(db.inventoryReservation.rows.map((r) => r.status), ["restocked", "restocked"]);
+  assert.deepEqual(db.productVariant.rows.map((v) => v.inventoryQuantity), [5, 1]);
+  assert.deepEqual(fakeShopify.getDraftOrders(), []);
+  assert.equal(JSON.parse(row("order", "s1").metadata).shopifyDraftDeleted, true);
+
+  await assert.rejects(transitionOrder("o1", "cancelled", { type: "admin" }), { code: "invalid_transition" });
+  assert.deepEqual(db.productVariant.rows.map((v) => v.inventoryQuantity), [5, 1], "stock is restocked once");
+});
+
+test("a confirmed COD order is restocked on cancel; a draft that cannot be withdrawn is flagged", async () => {
+  await setup({ status: "confirmed", paymentMethod: "cod", reservation: "committed" });
+  db.brandShopifyCredential.rows.length = 0;
+  await cancelOrder("o1", "u1");
+  assert.equal(row("order", "o1").paymentStatus, "pending");
+  assert.deepEqual(db.productVariant.rows.map((v) => v.inventoryQuantity), [5, 1]);
+  assert.equal(fakeShopify.getDraftOrders().length, 1);
+  assert.match(JSON.parse(row("order", "s1").metadata).shopifyCancelError, /access token/);
+});
+
+test("customers cannot cancel shipped or other people's orders", async () => {
+  await setup({ status: "confirmed", paymentStatus: "captured", reservation: "committed" });
+  row("orderItem", "i2").status = "shipped";
+  await assert.rejects(cancelOrder("o1", "u1"), { code: "not_cancellable", statusCode: 409 });
+  await assert.rejects(cancelOrder("o1", "u2"), { code: "order_not_found", statusCode: 404 });
+  assert.equal(row("order", "o1").status, "confirmed");
+  assert.equal(row("order", "o1").paymentStatus, "captured");
+});
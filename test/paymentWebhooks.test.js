@@ -0,0 +1,125 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import * as mock from "../src/utils/payments/mock.js";
+import * as razorpay from "../src/utils/payments/razorpay.js";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import { handlePaymentWebhook, createPaymentForOrder, PaymentError } from "../src/domain/payment/payment.js";
+import { isReleasedForFulfilment } from "../src/domain/order/orderStatus.js";
+
+beforeEach(() => {
+  process.env.MOCK_PAYMENT_WEBHOOK_SECRET = "mock-secret";
+  process.env.RAZORPAY_WEBHOOK_SECRET = "rzp-secret";
+});
+
+test("mock webhooks verify only with the shared secret over the exact body", () => {
+  const { rawBody, headers } = mock.buildWebhook("mock_order_1", "captured");
+  assert.equal(mock.verifyWebhookSignature(rawBody, headers), true);
+  assert.equal(mock.verifyWebhookSignature(Buffer.from(`${rawBody} `), headers), false);
+  assert.equal(mock.verifyWebhookSignature(rawBody, { "x-mock-signature": "00" }), false);
+  assert.equal(mock.verifyWebhookSignature(rawBody, {}), false);
+  assert.equal(mock.parseWebhookEvent(rawBody).status, "captured");
+});
+
+test("mock webhooks are refused when no secret is configured", () => {
+  const { rawBody, headers } = mock.buildWebhook("mock_order_1", "captured");
+  delete process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  assert.equal(mock.verifyWebhookSignature(rawBody, headers), false);
+  assert.throws(() => mock.signWebhook(rawBody), /MOCK_PAYMENT_WEBHOOK_SECRET/);
+});
+
+test("razorpay webhooks verify the X-Razorpay-Signature HMAC", () => {
+  const rawBody = Buffer.from(
+    JSON.stringify({ event: "payment.captured", payload: { payment: { entity: { id: "pay_1", order_id: "order_1" } } } })
+  );
+  const signature = createHmac("sha256", "rzp-secret").update(rawBody).digest("hex");
+  assert.equal(razorpay.verifyWebhookSignature(rawBody, { "x-razorpay-signature": signature }), true);
+  const forged = createHmac("sha256", "guess").update(rawBody).digest("hex");
+  assert.equal(razorpay.verifyWebhookSignature(rawBody, { "x-razorpay-signature": forged }), false);
+  delete process.env.RAZORPAY_WEBHOOK_SECRET;
+  assert.equal(razorpay.verifyWebhookSignature(rawBody, { "x-razorpay-signature": signature }), false);
+  const event = razorpay.parseWebhookEvent(rawBody, { "x-razorpay-event-id": "evt_1" });
+  assert.deepEqual([event.eventId, event.providerOrderId, event.status], ["evt_1", "order_1", "captured"]);
+});
+
+test("a webhook with a bad signature is rejected before anything is recorded", async () => {
+  const { rawBody } = mock.buildWebhook("mock_order_1", "captured");
+  await assert.rejects(
+    handlePaymentWebhook("mock", rawBody, { "x-mock-signature": "bad" }),
+    (err) => err instanceof PaymentError && err.statusCode === 401 && err.code === "invalid_signature"
+  );
+  await assert.rejects(
+    handlePaymentWebhook("nope", rawBody, {}),
+    (err) => err instanceof PaymentError && err.statusCode === 404
+  );
+});
+
+function cancelledOrderDb() {
+  return installFakePrisma(
+    createFakePrisma({
+      order: [
+        {
+          id: "o1",
+          userId: "u1",
+          parentOrderId: null,
+          orderNumber: "HNG-1",
+          status: "cancelled",
+          paymentStatus: "pending",
+          paymentProvider: "mock",
+          razorpayOrderId: "mock_order_1",
+          total: "100.00",
+          currency: "INR",
+        },
+        { id: "o1-1", parentOrderId: "o1", status: "cancelled", paymentStatus: "pending" },
+      ],
+      productVariant: [{ id: "v1", inventoryQuantity: 3, inventoryTracked: true }],
+      inventoryReservation: [{ id: "r1", orderId: "o1", variantId: "v1", quantity: 1, status: "released" }],
+      paymentEvent: [],
+    })
+  );
+}
+
+test("a payment captured after the order was cancelled is recorded as refund_pending, not fulfilled", async () => {
+  const db = cancelledOrderDb();
+  const { rawBody, headers } = mock.buildWebhook("mock_order_1", "captured");
+  const result = await handlePaymentWebhook("mock", rawBody, headers);
+  assert.deepEqual(result, { received: true, applied: true, refundPending: true });
+
+  const [order, sub] = db.order.rows;
+  assert.equal(order.paymentStatus, "refund_pending");
+  assert.match(order.paymentTransactionId, /^mock_pay_/);
+  assert.equal(sub.paymentStatus, "refund_pending");
+  assert.equal(order.status, "cancelled");
+  assert.equal(db.inventoryReservation.rows[0].status, "released");
+  assert.equal(db.productVariant.rows[0].inventoryQuantity, 3);
+  assert.equal(db.paymentEvent.rows[0].applied, true);
+  assert.equal(isReleasedForFulfilment(order), false);
+});
+
+test("cancelled orders cannot be paid for", async () => {
+  const db = cancelledOrderDb();
+  await assert.rejects(createPaymentForOrder("o1", "u1"), (err) => {
+    assert.ok(err instanceof PaymentError);
+    assert.equal(err.code, "order_not_payable");
+    assert.equal(err.statusCode, 409);
+    return true;
+  });
+  db.order.rows[0].status = "pending";
+  const payment = await createPaymentForOrder("o1", "u1");
+  assert.equal(payment.providerOrderId, "mock_order_1");
+});
+
+test("cash-on-delivery orders have no online payment", async () => {
+  const db = cancelledOrderDb();
+  Object.assign(db.order.rows[0], { status: "confirmed", paymentMethod: "cod", razorpayOrderId: null });
+  await assert.rejects(createPaymentForOrder("o1", "u1"), { name: "PaymentError", code: "cod_order" });
+  assert.equal(db.order.rows[0].razorpayOrderId, null);
+});
+
+test("isReleasedForFulfilment: paid or confirmed COD, never cancelled", () => {
+  assert.equal(isReleasedForFulfilment({ status: "pending", paymentStatus: "captured" }), true);
+  assert.equal(isReleasedForFulfilment({ status: "cancelled", paymentStatus: "captured" }), false);
+  assert.equal(isReleasedForFulfilment({ status: "confirmed", paymentStatus: "pending", paymentMethod: "COD" }), true);
+  assert.equal(isReleasedForFulfilment({ status: "pending", paymentStatus: "pending", paymentMethod: "cod" }), false);
+  assert.equal(isReleasedForFulfilment({ status: "confirmed", paymentStatus: "refund_pending" }), false);
+});
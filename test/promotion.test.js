@@ -0,0 +1,136 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma } from "./helpers/fakePrisma.js";
+import { evaluateCoupon, redeemCoupon, PromotionError } from "../src/domain/promotion/promotion.js";
+
+const now = new Date("2025-03-01T12:00:00Z");
+
+/** Shopper with no past redemptions or orders. */
+const db = {
+  couponRedemption: { count: async () => 0 },
+  order: { count: async () => 0 },
+};
+
+function line(cartItemId, lineSubtotal, extra = {}) {
+  return { cartItemId, productId: `p-${cartItemId}`, brandId: "b1", minor: { lineSubtotal }, ...extra };
+}
+
+function coupon(overrides = {}) {
+  return {
+    id: "c1",
+    isActive: true,
+    type: "percent",
+    value: "10",
+    usageLimit: null,
+    usedCount: 0,
+    perUserLimit: null,
+    firstOrderOnly: false,
+    brandId: null,
+    microStoreId: null,
+    minCartValue: null,
+    maxDiscount: null,
+    startsAt: null,
+    endsAt: null,
+    ...overrides,
+  };
+}
+
+test("percent coupon is capped by maxDiscount and allocated across lines to the paisa", async () => {
+  const lines = [line("a", 33333), line("b", 33333), line("c", 33334)];
+  const result = await evaluateCoupon(coupon({ value: "15", maxDiscount: "120" }), lines, null, { now, db });
+  assert.equal(result.applied, true);
+  assert.equal(result.discountMinor, 12000);
+  const shares = [...result.allocations.values()];
+  assert.equal(shares.reduce((a, b) => a + b, 0), 12000);
+  assert.deepEqual(shares, [3999, 3999, 4002]);
+});
+
+test("flat coupon never exceeds the eligible subtotal", async () => {
+  const result = await evaluateCoupon(coupon({ type: "flat", value: "500" }), [line("a", 30000)], null, { now, db });
+  assert.equal(result.discountMinor, 30000);
+});
+
+test("brand-scoped coupon only discounts that brand's lines", async () => {
+  const lines = [line("a", 10000), line("b", 10000, { brandId: "b2" })];
+  const result = await evaluateCoupon(coupon({ brandId: "b2", value: "50" }), lines, null, { now, db });
+  assert.equal(result.discountMinor, 5000);
+  assert.deepEqual([...result.allocations.entries()], [["b", 5000]]);
+});
+
+test("coupon below minCartValue reports how much more to add", async () => {
+  const result = await evaluateCoupon(coupon({ minCartValue: "999" }), [line("a", 50000)], null, { now, db });
+  assert.equal(result.applied, false);
+  assert.equal(result.code, "min_cart_value");
+  assert.match(result.message, /499\.00 more/);
+});
+
+test("inactive, future, expired and exhausted coupons are rejected", async () => {
+  const lines = [line("a", 10000)];
+  const cases = [
+    [{ isActive: false }, "coupon_inactive"],
+    [{ startsAt: new Date("2025-04-01T00:00:00Z") }, "coupon_not_started"],
+    [{ endsAt: now }, "coupon_expired"],
+    [{ usageLimit: 5, usedCount: 5 }, "coupon_exhausted"],
+  ];
+  for (const [overrides, code] of cases) {
+    const result = await evaluateCoupon(coupon(overrides), lines, null, { now, db });
+    assert.equal(result.code, code);
+    assert.equal(result.discountMinor, 0);
+  }
+});
+
+test("per-user and first-order limits consult past redemptions and orders", async () => {
+  const redeemed = { ...db, couponRedemption: { count: async () => 1 } };
+  const lines = [line("a", 10000)];
+  const used = await evaluateCoupon(coupon({ perUserLimit: 1 }), lines, "u1", { now, db: redeemed });
+  assert.equal(used.code, "coupon_already_used");
+  const guest = await evaluateCoupon(coupon({ firstOrderOnly: true }), lines, null, { now, db });
+  assert.equal(guest.code, "login_required");
+  const first = await evaluateCoupon(coupon({ firstOrderOnly: true }), lines, "u1", { now, db });
+  assert.equal(first.applied, true);
+});
+
+test("first-order coupons ignore abandoned, unpaid and cancelled orders", async () => {
+  const lines = [line("a", 10000)];
+  const orders = createFakePrisma({
+    order: [
+      { userId: "u1", parentOrderId: null, status: "pending", paymentStatus: "pending", paymentMethod: null },
+      { userId: "u1", parentOrderId: null, status: "pending", paymentStatus: "failed", paymentMethod: "upi" },
+      { userId: "u1", parentOrderId: null, status: "cancelled", paymentStatus: "refund_pending", paymentMethod: null },
+      { userId: "u1", parentOrderId: null, status: "cancelled", paymentStatus: "pending", paymentMethod: "cod" },
+      { userId: "u2", parentOrderId: null, status: "confirmed", paymentStatus: "captured", paymentMethod: null },
+    ],
+  });
+  const first = await evaluateCoupon(coupon({ firstOrderOnly: true }), lines, "u1", { now, db: orders });
+  assert.equal(first.applied, true);
+
+  const codOrder = { userId: "u1", parentOrderId: null, status: "confirmed", paymentStatus: "pending", paymentMethod: "COD" };
+  orders.order.rows.push(codOrder);
+  const afterCod = await evaluateCoupon(coupon({ firstOrderOnly: true }), lines, "u1", { now, db: orders });
+  assert.equal(afterCod.code, "not_first_order");
+});
+
+test("redeeming enforces the per-user limit inside the checkout transaction", async () => {
+  const tx = createFakePrisma({ coupon: [coupon({ perUserLimit: 1 })], couponRedemption: [] });
+  const limited = tx.coupon.rows[0];
+  await redeemCoupon(tx, limited, { orderId: "o1", userId: "u1", discountMinor: 1000 });
+  await assert.rejects(redeemCoupon(tx, limited, { orderId: "o2", userId: "u1", discountMinor: 1000 }), (err) => {
+    assert.ok(err instanceof PromotionError);
+    assert.deepEqual([err.code, err.statusCode], ["coupon_already_used", 409]);
+    return true;
+  });
+  await redeemCoupon(tx, limited, { orderId: "o3", userId: "u2", discountMinor: 1000 });
+  assert.equal(limited.usedCount, 2);
+  assert.deepEqual(tx.couponRedemption.rows.map((r) => [r.orderId, r.userId, r.discount]), [
+    ["o1", "u1", "10.00"],
+    ["o3", "u2", "10.00"],
+  ]);
+});
+
+test("redeeming the last use of a limited coupon fails once it is gone", async () => {
+  const tx = createFakePrisma({ coupon: [coupon({ usageLimit: 1 })], couponRedemption: [] });
+  await redeemCoupon(tx, tx.coupon.rows[0], { orderId: "o1", userId: "u1", discountMinor: 500 });
+  await assert.rejects(redeemCoupon(tx, tx.coupon.rows[0], { orderId: "o2", userId: "u2", discountMinor: 500 }), {
+    code: "coupon_exhausted",
+  });
+});
@@ -0,0 +1,61 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import { startSession, refreshSession, endSession } from "../src/domain/user/sessions.js";
+import { verifyToken, getUserForToken } from "../src/domain/user/auth.js";
+
+let db;
+
+beforeEach(() => {
+  db = installFakePrisma(
+    createFakePrisma({
+      user: [{ id: "u1", email: "asha@example.com", role: "user", isActive: true, tokenVersion: 0, brandAdmins: [] }],
+    })
+  );
+});
+
+const live = (familyId) => db.marketplaceSession.rows.filter((r) => r.familyId === familyId && !r.revokedAt);
+
+test("refreshing rotates the token within the device's session", async () => {
+  const first = await startSession("u1", { userAgent: "test" });
+  const second = await refreshSession(first.refreshToken);
+  assert.equal(second.sessionId, first.sessionId);
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.equal(live(first.sessionId).length, 1);
+  assert.equal(db.marketplaceSession.rows[0].revokedReason, "rotated");
+  assert.equal((await getUserForToken(verifyToken(second.token))).id, "u1");
+});
+
+test("presenting a rotated refresh token again revokes the whole session", async () => {
+  const first = await startSession("u1");
+  const second = await refreshSession(first.refreshToken);
+  await assert.rejects(refreshSession(first.refreshToken), { code: "refresh_token_reused", statusCode: 401 });
+  assert.equal(live(first.sessionId).length, 0);
+  assert.equal(db.marketplaceSession.rows[1].revokedReason, "reuse_detected");
+  await assert.rejects(refreshSession(second.refreshToken), { code: "session_revoked" });
+  assert.equal(await getUserForToken(verifyToken(second.token)), null, "its access tokens stop working too");
+});
+
+test("two refreshes racing with one token: one wins, the other is treated as reuse", async () => {
+  const { refreshToken, sessionId } = await startSession("u1");
+  const results = await Promise.allSettled([refreshSession(refreshToken), refreshSession(refreshToken)]);
+  assert.deepEqual(results.map((r) => r.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(results.find((r) => r.status === "rejected").reason.code, "refresh_token_reused");
+  assert.equal(live(sessionId).length, 0);
+});
+
+test("signed-out, expired and unknown refresh tokens are refused", async () => {
+  const a = await startSession("u1");
+  assert.equal(await endSession({ refreshToken: a.refreshToken, userId: "u1" }), true);
+  await assert.rejects(refreshSession(a.refreshToken), { code: "session_revoked" });
+
+  const b = await startSession("u1");
+  live(b.sessionId)[0].expiresAt = new Date(Date.now() - 1000);
+  await assert.rejects(refreshSession(b.refreshToken), { code: "refresh_token_expired" });
+  await assert.rejects(refreshSession("nope"), { code: "invalid_refresh_token" });
+
+  const c = await startSession("u1");
+  db.user.rows[0].isActive = false;
+  await assert.rejects(refreshSession(c.refreshToken), { code: "session_revoked" });
+  assert.equal(live(c.sessionId).length, 0);
+});
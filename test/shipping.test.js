@@ -0,0 +1,116 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createFakePrisma, installFakePrisma } from "./helpers/fakePrisma.js";
+import { quoteShipping, parsePinCodeCsv, importServiceablePinCodes } from "../src/domain/shipping/shipping.js";
+
+const rule = (brandId, fields) => ({
+  brandId,
+  rateType: "flat",
+  flatRate: "0.00",
+  tiers: null,
+  freeAbove: null,
+  defaultWeightGrams: 500,
+  codAvailable: false,
+  codFee: "0.00",
+  codMaxOrderValue: null,
+  ...fields,
+});
+
+let db;
+beforeEach(() => {
+  db = installFakePrisma(
+    createFakePrisma({
+      brand: [{ id: "flat" }, { id: "tiered" }, { id: "listed" }],
+      shippingRule: [
+        rule("flat", {
+          flatRate: "49.00",
+          freeAbove: "999.00",
+          codAvailable: true,
+          codFee: "30.00",
+          codMaxOrderValue: "2000.00",
+        }),
+        rule("tiered", {
+          rateType: "weight",
+          tiers: JSON.stringify([
+            { upTo: 500, rate: "40.00" },
+            { upTo: 2000, rate: "80.00" },
+            { upTo: null, rate: "150.00" },
+          ]),
+        }),
+        rule("listed", { codAvailable: true }),
+      ],
+      serviceablePinCode: [
+        { brandId: "listed", pinCode: "560001", codAvailable: false, deliveryDays: 3 },
+        { brandId: "listed", pinCode: "400001", codAvailable: true, deliveryDays: 2 },
+      ],
+    })
+  );
+});
+
+const group = (brandId, netMinor, lines = [{ quantity: 1, weightGrams: 300 }]) => ({
+  brandId,
+  netMinor,
+  quantity: lines.reduce((n, l) => n + l.quantity, 0),
+  lines,
+});
+
+test("flat rates apply below the free-shipping threshold", async () => {
+  const quotes = await quoteShipping([group("flat", 50000)]);
+  assert.equal(quotes.get("flat").shipping, 4900);
+  assert.equal((await quoteShipping([group("flat", 99900)])).get("flat").shipping, 0);
+});
+
+test("weight tiers use line weights, falling back to the rule's default weight", async () => {
+  const light = await quoteShipping([group("tiered", 10000, [{ quantity: 1, weightGrams: 400 }])]);
+  assert.equal(light.get("tiered").shipping, 4000);
+  const unweighed = await quoteShipping([group("tiered", 10000, [{ quantity: 3, weightGrams: null }])]);
+  assert.equal(unweighed.get("tiered").shipping, 8000);
+  const heavy = await quoteShipping([group("tiered", 10000, [{ quantity: 5, weightGrams: 900 }])]);
+  assert.equal(heavy.get("tiered").shipping, 15000);
+});
+
+test("COD adds the fee only where it is offered and under the order value cap", async () => {
+  const cod = await quoteShipping([group("flat", 50000), group("tiered", 10000)], { paymentMethod: "COD" });
+  const flat = cod.get("flat");
+  assert.deepEqual([flat.shipping, flat.codFee, flat.codAvailable], [7900, 3000, true]);
+  assert.equal(cod.get("tiered").codAvailable, false);
+  assert.equal(cod.get("tiered").codFee, 0);
+  const large = await quoteShipping([group("flat", 250000)], { paymentMethod: "cod" });
+  assert.equal(large.get("flat").codAvailable, false);
+});
+
+test("brands with listed PIN codes only deliver there, with per-PIN COD and delivery days", async () => {
+  const noPin = (await quoteShipping([group("listed", 10000), group("flat", 10000)])).get("listed");
+  assert.deepEqual([noPin.serviceable, noPin.reason], [null, "pin_code_required"]);
+
+  const quotes = await quoteShipping([group("listed", 10000), group("flat", 10000)], { pinCode: "110001" });
+  assert.deepEqual([quotes.get("listed").serviceable, quotes.get("listed").reason], [false, "unserviceable_pin_code"]);
+  assert.equal(quotes.get("flat").serviceable, true, "brands without PIN codes ship everywhere");
+
+  const bangalore = (await quoteShipping([group("listed", 10000)], { pinCode: "560001" })).get("listed");
+  assert.deepEqual([bangalore.serviceable, bangalore.codAvailable, bangalore.deliveryDays], [true, false, 3]);
+  const mumbai = (await quoteShipping([group("listed", 10000)], { pinCode: "400001" })).get("listed");
+  assert.deepEqual([mumbai.serviceable, mumbai.codAvailable, mumbai.deliveryDays], [true, true, 2]);
+});
+
+test("PIN code CSVs take an optional header and skip invalid rows", () => {
+  const csv = "PIN Code,COD,Delivery Days\n400001,yes,2\n12345,yes,\n560001,no,\n400001,no,4\n110001,maybe,";
+  const { rows, skipped } = parsePinCodeCsv(csv);
+  assert.deepEqual(rows, [
+    { pinCode: "400001", codAvailable: false, deliveryDays: 4 },
+    { pinCode: "560001", codAvailable: false, deliveryDays: null },
+  ]);
+  assert.deepEqual(skipped.map((s) => [s.line, s.reason]), [[3, "invalid_pin_code"], [6, "invalid_cod"]]);
+  assert.deepEqual(parsePinCodeCsv("400001").rows, [{ pinCode: "400001", codAvailable: true, deliveryDays: null }]);
+  assert.throws(() => parsePinCodeCsv("city,cod\nMumbai,yes"), { code: "invalid_csv" });
+});
+
+test("uploading PIN codes adds to or replaces a brand's list", async () => {
+  const added = await importServiceablePinCodes("listed", "110001,yes,1\n400001,no,5");
+  assert.deepEqual([added.imported, added.removed, added.total], [2, 0, 3]);
+  assert.equal(db.serviceablePinCode.rows.find((r) => r.pinCode === "400001").codAvailable, false);
+
+  const replaced = await importServiceablePinCodes("listed", "700001", { replace: true });
+  assert.deepEqual([replaced.imported, replaced.removed, replaced.total], [1, 2, 1]);
+  await assert.rejects(importServiceablePinCodes("nope", "700001"), { code: "brand_not_found", statusCode: 404 });
+});